@@ -0,0 +1,29 @@
+/**
+ * Caller IP helpers shared by API routes
+ */
+
+import crypto from "crypto";
+
+/**
+ * IP address of the caller, from the proxy headers Vercel and most hosts set
+ * @param {Object} req - Request
+ * @returns {string} IP, or "Unknown"
+ */
+export const getClientIp = (req) =>
+	req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
+	req.headers["x-real-ip"] ||
+	req.connection?.remoteAddress ||
+	req.socket?.remoteAddress ||
+	"Unknown";
+
+/**
+ * Keyed hash of an IP, stable across visits so repeat visitors can be counted without storing the address.
+ * Needs IP_HASH_SECRET: an unkeyed hash of an IPv4 address can be reversed by trying all 2^32 of them.
+ * @param {string} ip
+ * @returns {string|null} 16 hex characters, or null without a secret
+ */
+export const hashIp = (ip) => {
+	const secret = process.env.IP_HASH_SECRET;
+	if (!secret || ip === "Unknown") return null;
+	return crypto.createHmac("sha256", secret).update(ip).digest("hex").slice(0, 16);
+};
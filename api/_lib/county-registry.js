@@ -0,0 +1,56 @@
+/**
+ * County registry for API routes
+ * Reads src/config/counties.json from disk and resolves registry URLs ("/data/...") to files under public/
+ */
+
+import fs from "fs";
+import path from "path";
+
+const REGISTRY_PATH = path.join(process.cwd(), "src", "config", "counties.json");
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+
+let registry = null;
+
+export const loadRegistry = () => {
+	if (!registry) {
+		registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf-8"));
+	}
+	return registry;
+};
+
+/**
+ * Map a registry URL such as "/data/tiles.json" to its path on disk
+ * @param {string} url - Public URL path
+ * @returns {string} Absolute file path
+ */
+export const resolvePublicPath = (url) => path.join(PUBLIC_DIR, ...url.split("/").filter(Boolean));
+
+/**
+ * Counties whose bounds intersect a [west, south, east, north] box
+ * @param {Array<number>} bbox - Bounding box
+ * @returns {Array<Object>} County entries
+ */
+export const getCountiesForBbox = (bbox) =>
+	loadRegistry().counties.filter(
+		(county) =>
+			!(
+				bbox[2] < county.bounds.minLng ||
+				bbox[0] > county.bounds.maxLng ||
+				bbox[3] < county.bounds.minLat ||
+				bbox[1] > county.bounds.maxLat
+			),
+	);
+
+/**
+ * The county containing a point. County bounds are boxes around boundaries that aren't, so neighbouring
+ * counties overlap along their shared edge (Cole and Boone along the Missouri River); sourceType picks, of
+ * the counties there, the one whose source can answer.
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} options - { sourceType }: only counties with this source.type, e.g. "arcgis"
+ * @returns {Object|null} County entry
+ */
+export const getCountyForPoint = (lng, lat, { sourceType } = {}) => {
+	const counties = getCountiesForBbox([lng, lat, lng, lat]);
+	return counties.find((county) => !sourceType || county.source?.type === sourceType) ?? null;
+};
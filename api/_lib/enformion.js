@@ -0,0 +1,285 @@
+/**
+ * Enformion skip-trace client for API routes
+ * Picks the Enformion search for a parcel owner (classified by src/utils/ownerTypes.js) and normalizes the response
+ * into the contact schema ContactCard renders:
+ *
+ *   {
+ *     ownerType: "individual" | "business" | "trust" | "estate" | "government",
+ *     searchType: "person" | "business",
+ *     matchedName: string | null,
+ *     phones: [{ number, type, connected, lastSeen, confidence }],   // best first
+ *     emails: [{ address, confidence }],
+ *     addresses: [{ line, lastSeen, confidence }],
+ *     phone, email, address,                                        // best of each, or null
+ *     verified: boolean,                                            // best phone or email >= VERIFIED_CONFIDENCE
+ *     source: "enformion",
+ *   }
+ *
+ * Confidence is a 0-1 estimate built from what Enformion reports: the order it ranks results in,
+ * whether a phone is connected, how recently it was seen, whether an email was validated, and the
+ * identity score of the person match. It is a ranking aid, not a probability.
+ */
+
+import { classifyOwner } from "../../src/utils/ownerTypes.js";
+
+export const ENFORMION_API_URL = process.env.ENFORMION_API_URL || "https://devapi.enformion.com";
+
+export const VERIFIED_CONFIDENCE = 0.8;
+
+const MAX_PHONES = 5;
+const MAX_EMAILS = 5;
+const MAX_ADDRESSES = 3;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Endpoint and galaxy-search-type header per search
+const SEARCHES = {
+	contactEnrich: { path: "/Contact/Enrich", searchType: "DevAPIContactEnrich" },
+	person: { path: "/PersonSearch", searchType: "Person" },
+	business: { path: "/BusinessV2Search", searchType: "BusinessV2" },
+};
+
+/**
+ * Split an individual owner name into first/last. Assessor rolls write "LAST FIRST MIDDLE" or
+ * "LAST, FIRST"; a co-owner after "&" or "AND" is dropped. Mixed-case "First Last" is recognised too.
+ * @param {string} ownerName
+ * @returns {{ firstName: string, lastName: string }|null}
+ */
+export const parsePersonName = (ownerName) => {
+	const primary = ownerName.split(/\s+(?:&|AND)\s+/i)[0].replace(/[^A-Za-z,'\- ]/g, " ").trim();
+
+	if (primary.includes(",")) {
+		const [last, rest = ""] = primary.split(",").map((part) => part.trim());
+		const first = rest.split(/\s+/)[0];
+		return last && first ? { firstName: first, lastName: last } : null;
+	}
+
+	const words = primary.split(/\s+/).filter((word) => word.length > 0);
+	if (words.length < 2) return null;
+
+	// All-caps rolls put the last name first; names typed in mixed case are usually "First Last"
+	const isRollFormat = primary === primary.toUpperCase();
+	return isRollFormat
+		? { lastName: words[0], firstName: words[1] }
+		: { firstName: words[0], lastName: words[words.length - 1] };
+};
+
+/**
+ * Split a parcel mailing address into Enformion's two address lines:
+ * "123 MAIN ST, JEFFERSON CITY, MO, 65101" -> "123 MAIN ST" and "JEFFERSON CITY, MO 65101"
+ * @param {string} address - Mailing address from the parcel
+ * @returns {{ addressLine1: string, addressLine2: string }|null}
+ */
+export const splitAddress = (address) => {
+	const parts = address?.split(",").map((part) => part.trim()).filter(Boolean) ?? [];
+	if (parts.length < 2) return null;
+	const [street, city, ...rest] = parts;
+	return { addressLine1: street, addressLine2: [city, rest.join(" ")].filter(Boolean).join(", ") };
+};
+
+/**
+ * Choose the search for an owner
+ * @param {Object} owner - { ownerName, address }
+ * @returns {{ search: Object, ownerType: string, searchType: string, body: Object }|null}
+ *   null when the name can't be split into a first and last name
+ */
+export const buildSearch = ({ ownerName, address }) => {
+	const ownerType = classifyOwner(ownerName);
+	const mailing = splitAddress(address);
+
+	if (ownerType !== "individual") {
+		// Trusts, estates and government bodies are registered under the entity name, like businesses
+		return {
+			search: SEARCHES.business,
+			ownerType,
+			searchType: "business",
+			body: { BusinessName: ownerName.trim(), AddressLine2: mailing?.addressLine2 ?? "" },
+		};
+	}
+
+	const name = parsePersonName(ownerName);
+	if (!name) return null;
+
+	if (mailing) {
+		return {
+			search: SEARCHES.contactEnrich,
+			ownerType,
+			searchType: "person",
+			body: { FirstName: name.firstName, LastName: name.lastName, Address: mailing },
+		};
+	}
+
+	return {
+		search: SEARCHES.person,
+		ownerType,
+		searchType: "person",
+		body: { FirstName: name.firstName, LastName: name.lastName, Page: 1, ResultsPerPage: 10 },
+	};
+};
+
+const clamp = (value) => Math.round(Math.min(0.99, Math.max(0.05, value)) * 100) / 100;
+
+// Enformion ranks results best first; each step down the list costs some confidence
+const rankScore = (index, top, step, floor) => Math.max(floor, top - index * step);
+
+const recencyAdjustment = (lastSeen, now) => {
+	const date = lastSeen ? new Date(lastSeen) : null;
+	if (!date || Number.isNaN(date.getTime())) return 0;
+	const age = now - date.getTime();
+	if (age < 2 * YEAR_MS) return 0.05;
+	if (age > 5 * YEAR_MS) return -0.2;
+	return 0;
+};
+
+const formatPhone = (raw) => {
+	const digits = String(raw ?? "").replace(/\D/g, "").replace(/^1(?=\d{10}$)/, "");
+	return digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : null;
+};
+
+const PHONE_TYPES = { wireless: "mobile", mobile: "mobile", cell: "mobile", landline: "landline", voip: "voip" };
+
+const normalizePhones = (phones, matchScore, now) => {
+	const seen = new Set();
+	return (phones ?? [])
+		.map((phone, index) => {
+			const number = formatPhone(phone.number ?? phone.phoneNumber ?? phone.phone);
+			const connected = typeof phone.isConnected === "boolean" ? phone.isConnected : null;
+			const lastSeen = phone.lastReportedDate ?? phone.lastSeen ?? null;
+			const adjustment = (connected === true ? 0.1 : connected === false ? -0.3 : 0) + recencyAdjustment(lastSeen, now);
+			return {
+				number,
+				type: PHONE_TYPES[String(phone.type ?? phone.phoneType ?? "").toLowerCase()] ?? null,
+				connected,
+				lastSeen,
+				confidence: clamp((rankScore(index, 0.85, 0.1, 0.4) + adjustment) * matchScore),
+			};
+		})
+		.filter((phone) => phone.number && !seen.has(phone.number) && seen.add(phone.number))
+		.sort((a, b) => b.confidence - a.confidence)
+		.slice(0, MAX_PHONES);
+};
+
+const normalizeEmails = (emails, matchScore) => {
+	const seen = new Set();
+	return (emails ?? [])
+		.map((email, index) => {
+			const address = String(email.email ?? email.emailAddress ?? "").trim().toLowerCase();
+			const adjustment = email.isValidated === true ? 0.1 : 0;
+			return { address, confidence: clamp((rankScore(index, 0.8, 0.1, 0.35) + adjustment) * matchScore) };
+		})
+		.filter((email) => email.address.includes("@") && !seen.has(email.address) && seen.add(email.address))
+		.sort((a, b) => b.confidence - a.confidence)
+		.slice(0, MAX_EMAILS);
+};
+
+const formatAddress = (address) =>
+	address.fullAddress ??
+	[
+		[address.street ?? address.addressLine1, address.unit].filter(Boolean).join(" "),
+		address.city,
+		[address.state, address.zip].filter(Boolean).join(" "),
+	]
+		.filter(Boolean)
+		.join(", ");
+
+const normalizeAddresses = (addresses, matchScore, now) =>
+	(addresses ?? [])
+		.map((address, index) => {
+			const lastSeen = address.lastReportedDate ?? null;
+			return {
+				line: formatAddress(address),
+				lastSeen,
+				confidence: clamp((rankScore(index, 0.85, 0.15, 0.3) + recencyAdjustment(lastSeen, now)) * matchScore),
+			};
+		})
+		.filter((address) => address.line)
+		.slice(0, MAX_ADDRESSES);
+
+const formatPersonName = (name) =>
+	name ? [name.firstName, name.middleName, name.lastName].filter(Boolean).join(" ") || null : null;
+
+/**
+ * Pick the matched record out of whichever response shape the search returns
+ * @returns {{ record: Object|null, matchScore: number, matchedName: string|null }}
+ */
+const pickRecord = (searchType, data) => {
+	if (searchType === "business") {
+		const record = (data.businessV2Records ?? data.businesses ?? [])[0] ?? null;
+		const name = record?.businessNames?.[0]?.name ?? record?.businessName ?? record?.name ?? null;
+		return { record, matchScore: 1, matchedName: name };
+	}
+
+	// Contact Enrich returns one person with an identity score (0-100); Person Search a ranked list
+	const record = data.person ?? (data.persons ?? [])[0] ?? null;
+	const identityScore = Number(data.identityScore ?? record?.identityScore);
+	const matchScore = Number.isFinite(identityScore) && identityScore > 0 ? Math.min(1, identityScore / 100) : 0.9;
+	return { record, matchScore, matchedName: formatPersonName(record?.name) };
+};
+
+/**
+ * Normalize an Enformion response into the contact schema above
+ * @param {Object} data - Parsed response body
+ * @param {Object} context - { ownerType, searchType, now }
+ * @returns {Object} Normalized contact
+ */
+export const normalizeContact = (data, { ownerType, searchType, now = Date.now() }) => {
+	const { record, matchScore, matchedName } = pickRecord(searchType, data ?? {});
+
+	const phones = normalizePhones(record?.phones ?? record?.phoneNumbers, matchScore, now);
+	const emails = normalizeEmails(record?.emails ?? record?.emailAddresses, matchScore);
+	const addresses = normalizeAddresses(record?.addresses, matchScore, now);
+	const bestConfidence = Math.max(0, phones[0]?.confidence ?? 0, emails[0]?.confidence ?? 0);
+
+	return {
+		ownerType,
+		searchType,
+		matchedName,
+		phones,
+		emails,
+		addresses,
+		phone: phones[0]?.number ?? null,
+		email: emails[0]?.address ?? null,
+		address: addresses[0]?.line ?? null,
+		verified: bestConfidence >= VERIFIED_CONFIDENCE,
+		source: "enformion",
+	};
+};
+
+/**
+ * Contact with nothing found, in the same schema
+ * @param {Object} context - { ownerType, searchType }
+ * @returns {Object}
+ */
+export const emptyContact = ({ ownerType, searchType }) => normalizeContact({}, { ownerType, searchType });
+
+/**
+ * Look an owner up on Enformion
+ * @param {Object} owner - { ownerName, address }
+ * @param {Object} credentials - { apName, apPassword }
+ * @returns {Promise<Object>} Normalized contact
+ */
+export const lookupOwner = async (owner, { apName, apPassword }) => {
+	const plan = buildSearch(owner);
+	if (!plan) return emptyContact({ ownerType: "individual", searchType: "person" });
+
+	const response = await fetch(`${ENFORMION_API_URL}${plan.search.path}`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Accept: "application/json",
+			"galaxy-ap-name": apName,
+			"galaxy-ap-password": apPassword,
+			"galaxy-search-type": plan.search.searchType,
+		},
+		body: JSON.stringify(plan.body),
+	});
+
+	// Enformion answers "no match" with 404 on some searches
+	if (response.status === 404) return emptyContact(plan);
+	if (!response.ok) {
+		const error = new Error(`Enformion ${plan.search.searchType} search failed: HTTP ${response.status}`);
+		error.status = response.status;
+		throw error;
+	}
+
+	return normalizeContact(await response.json(), plan);
+};
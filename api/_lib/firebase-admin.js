@@ -0,0 +1,29 @@
+/**
+ * Firebase Admin SDK for API routes and scripts
+ * Credentials, in order: FIREBASE_SERVICE_ACCOUNT (the service account key JSON, for Vercel),
+ * the Firestore emulator when FIRESTORE_EMULATOR_HOST is set, then Application Default Credentials
+ * (GOOGLE_APPLICATION_CREDENTIALS)
+ */
+
+import { initializeApp, getApps, cert, applicationDefault } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { getAuth } from "firebase-admin/auth";
+
+const getAdminApp = () => {
+	const [existing] = getApps();
+	if (existing) return existing;
+
+	const projectId = process.env.FIREBASE_PROJECT_ID || undefined;
+	if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+		return initializeApp({ credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)), projectId });
+	}
+	if (process.env.FIRESTORE_EMULATOR_HOST) {
+		// The emulator accepts any "demo-" project without credentials
+		return initializeApp({ projectId: projectId ?? "demo-landverify" });
+	}
+	return initializeApp({ credential: applicationDefault(), projectId });
+};
+
+export const getAdminDb = () => getFirestore(getAdminApp());
+
+export const getAdminAuth = () => getAuth(getAdminApp());
@@ -0,0 +1,107 @@
+/**
+ * Retention and deletion for the tracking logs (visitors, geolocations, queries), and the purge of expired
+ * owner lookup state (ownerLookupCache, lookupLimits)
+ * Shared by the scheduled purge endpoint, the local purge script and "delete my data"
+ */
+
+// Default days each log is kept; override with RETENTION_DAYS_<COLLECTION> (e.g. RETENTION_DAYS_VISITORS=30)
+const DEFAULT_RETENTION_DAYS = {
+	visitors: 90,
+	geolocations: 30,
+	queries: 365,
+};
+
+export const LOG_COLLECTIONS = Object.keys(DEFAULT_RETENTION_DAYS);
+
+// Written by api/_lib/lookup-guard.js with their own expiresAt; a new lookupLimits document every minute and day
+// per caller. The TTL policy in firestore.indexes.json deletes them too, but only where it has been deployed.
+export const EXPIRING_COLLECTIONS = ["ownerLookupCache", "lookupLimits"];
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention period per log collection, with environment overrides applied
+ * @returns {Object} { visitors, geolocations, queries } in days
+ */
+export const getRetentionDays = () =>
+	Object.fromEntries(
+		LOG_COLLECTIONS.map((name) => {
+			const override = Number(process.env[`RETENTION_DAYS_${name.toUpperCase()}`]);
+			return [name, override > 0 ? override : DEFAULT_RETENTION_DAYS[name]];
+		}),
+	);
+
+/**
+ * Delete every document a query matches, a batch at a time
+ * @param {Object} db - Admin Firestore
+ * @param {Object} query - Admin SDK query
+ * @param {boolean} dryRun - Count without deleting
+ * @returns {Promise<number>} Documents deleted (or that would be)
+ */
+const deleteMatching = async (db, query, dryRun) => {
+	if (dryRun) {
+		const snapshot = await query.count().get();
+		return snapshot.data().count;
+	}
+
+	let deleted = 0;
+	for (;;) {
+		const snapshot = await query.limit(BATCH_SIZE).get();
+		if (snapshot.empty) return deleted;
+
+		const batch = db.batch();
+		snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+		await batch.commit();
+		deleted += snapshot.size;
+	}
+};
+
+/**
+ * Delete log entries older than their collection's retention period, and expired owner lookup state
+ * @param {Object} db - Admin Firestore
+ * @param {Object} options - { now: Date, dryRun: boolean, retentionDays: override getRetentionDays() }
+ * @returns {Promise<Object>} { [collection]: { retentionDays, cutoff, deleted } }; no retentionDays for
+ *   EXPIRING_COLLECTIONS, whose cutoff is now
+ */
+export const purgeExpiredLogs = async (db, { now = new Date(), dryRun = false, retentionDays } = {}) => {
+	const days = { ...getRetentionDays(), ...retentionDays };
+	const results = {};
+
+	for (const name of LOG_COLLECTIONS) {
+		const cutoff = new Date(now.getTime() - days[name] * DAY_MS);
+		const deleted = await deleteMatching(db, db.collection(name).where("timestamp", "<", cutoff), dryRun);
+		results[name] = { retentionDays: days[name], cutoff: cutoff.toISOString(), deleted };
+	}
+
+	for (const name of EXPIRING_COLLECTIONS) {
+		const deleted = await deleteMatching(db, db.collection(name).where("expiresAt", "<", now), dryRun);
+		results[name] = { cutoff: now.toISOString(), deleted };
+	}
+
+	return results;
+};
+
+/**
+ * Delete every log entry written from a device or attributed to an account
+ * @param {Object} db - Admin Firestore
+ * @param {Object} owner - { clientId, userId }; at least one is required
+ * @returns {Promise<Object>} Deleted counts per collection
+ */
+export const deleteLogsFor = async (db, { clientId, userId }) => {
+	if (!clientId && !userId) throw new Error("clientId or userId is required");
+
+	const deleted = {};
+	for (const name of LOG_COLLECTIONS) {
+		deleted[name] = 0;
+		if (clientId) {
+			deleted[name] += await deleteMatching(db, db.collection(name).where("clientId", "==", clientId), false);
+		}
+		if (userId) {
+			deleted[name] += await deleteMatching(db, db.collection(name).where("userId", "==", userId), false);
+		}
+	}
+	return deleted;
+};
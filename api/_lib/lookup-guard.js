@@ -0,0 +1,226 @@
+/**
+ * Cache and rate limits for owner contact lookups (/api/enformion)
+ * Enformion bills every search, so results are cached by normalized owner name and parcel id, and callers are
+ * throttled per minute and capped per day: by account when the request carries a Firebase ID token, otherwise
+ * by IP. Per-minute limits count every request; daily quotas count only lookups that missed the cache.
+ *
+ * State lives in Firestore (ownerLookupCache, lookupLimits) when Firebase Admin credentials are configured, and
+ * in process memory otherwise. Memory is enough for `npm run dev:api` but isn't shared between serverless
+ * instances, so deployments need FIREBASE_SERVICE_ACCOUNT. Expired Firestore documents are deleted by the daily
+ * retention job (log-retention.js).
+ */
+
+import crypto from "crypto";
+import { Timestamp } from "firebase-admin/firestore";
+import { getAdminDb } from "./firebase-admin.js";
+
+const CACHE_COLLECTION = "ownerLookupCache";
+const LIMITS_COLLECTION = "lookupLimits";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Defaults; each can be overridden with the environment variable beside it
+const DEFAULT_LIMITS = {
+	ipPerMinute: [5, "LOOKUP_LIMIT_IP_PER_MINUTE"],
+	ipPerDay: [25, "LOOKUP_QUOTA_IP_PER_DAY"],
+	userPerMinute: [10, "LOOKUP_LIMIT_USER_PER_MINUTE"],
+	userPerDay: [100, "LOOKUP_QUOTA_USER_PER_DAY"],
+};
+const DEFAULT_CACHE_TTL_DAYS = 30;
+
+const readPositive = (name, fallback) => {
+	const override = Number(process.env[name]);
+	return override > 0 ? override : fallback;
+};
+
+/**
+ * Rate limits and daily quotas, with environment overrides applied
+ * @returns {Object} { ipPerMinute, ipPerDay, userPerMinute, userPerDay }
+ */
+export const getLookupLimits = () =>
+	Object.fromEntries(
+		Object.entries(DEFAULT_LIMITS).map(([name, [fallback, envName]]) => [name, readPositive(envName, fallback)]),
+	);
+
+/**
+ * How long a lookup stays cached (LOOKUP_CACHE_TTL_DAYS, default 30)
+ * @returns {number} Days
+ */
+export const getCacheTtlDays = () => readPositive("LOOKUP_CACHE_TTL_DAYS", DEFAULT_CACHE_TTL_DAYS);
+
+/**
+ * Owner name as a cache key component: "Smith, John A." and "SMITH JOHN A" are the same owner
+ * @param {string} ownerName
+ * @returns {string}
+ */
+export const normalizeOwnerName = (ownerName) =>
+	String(ownerName ?? "")
+		.toUpperCase()
+		.replace(/[^A-Z0-9&]+/g, " ")
+		.trim();
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Cache document id for an owner on a parcel
+ * @param {string} ownerName
+ * @param {string} [parcelId]
+ * @returns {string}
+ */
+export const getCacheKey = (ownerName, parcelId) =>
+	sha256(`${normalizeOwnerName(ownerName)}|${parcelId ?? ""}`).slice(0, 40);
+
+/**
+ * Who a lookup counts against
+ * @param {Object} caller - { userId, ip }
+ * @returns {{ kind: "user"|"ip", id: string }}
+ */
+export const getLookupSubject = ({ userId, ip }) => {
+	if (userId) return { kind: "user", id: `user_${userId}` };
+	// Counters expire within a day, but still key them by a hash rather than the raw address
+	const secret = process.env.IP_HASH_SECRET ?? "";
+	return { kind: "ip", id: `ip_${crypto.createHmac("sha256", secret).update(String(ip)).digest("hex").slice(0, 24)}` };
+};
+
+const createFirestoreStore = (db) => ({
+	async getCached(key) {
+		const snapshot = await db.collection(CACHE_COLLECTION).doc(key).get();
+		if (!snapshot.exists) return null;
+		const data = snapshot.data();
+		return { contact: data.contact, cachedAt: data.cachedAt.toMillis(), expiresAt: data.expiresAt.toMillis() };
+	},
+
+	async setCached(key, { ownerName, parcelId, contact, cachedAt, expiresAt }) {
+		await db
+			.collection(CACHE_COLLECTION)
+			.doc(key)
+			.set({
+				ownerName,
+				parcelId: parcelId ?? null,
+				contact,
+				cachedAt: Timestamp.fromMillis(cachedAt),
+				expiresAt: Timestamp.fromMillis(expiresAt),
+			});
+	},
+
+	// Counters are only incremented while under the limit, inside a transaction so concurrent requests can't overshoot
+	increment(key, limit, expiresAt) {
+		const ref = db.collection(LIMITS_COLLECTION).doc(key);
+		return db.runTransaction(async (transaction) => {
+			const snapshot = await transaction.get(ref);
+			const count = snapshot.exists ? snapshot.data().count : 0;
+			if (count >= limit) return { allowed: false, count };
+			transaction.set(ref, { count: count + 1, expiresAt: Timestamp.fromMillis(expiresAt) });
+			return { allowed: true, count: count + 1 };
+		});
+	},
+});
+
+const createMemoryStore = () => {
+	const cache = new Map();
+	const counters = new Map();
+
+	const prune = (map, now) => {
+		for (const [key, entry] of map) {
+			if (entry.expiresAt <= now) map.delete(key);
+		}
+	};
+
+	return {
+		async getCached(key) {
+			return cache.get(key) ?? null;
+		},
+
+		async setCached(key, entry) {
+			prune(cache, entry.cachedAt);
+			cache.set(key, { contact: entry.contact, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt });
+		},
+
+		async increment(key, limit, expiresAt) {
+			const count = counters.get(key)?.count ?? 0;
+			if (count >= limit) return { allowed: false, count };
+			if (!counters.has(key)) prune(counters, Date.now());
+			counters.set(key, { count: count + 1, expiresAt });
+			return { allowed: true, count: count + 1 };
+		},
+	};
+};
+
+let store = null;
+
+const getStore = () => {
+	if (store) return store;
+	const hasCredentials = Boolean(
+		process.env.FIREBASE_SERVICE_ACCOUNT ||
+		process.env.FIRESTORE_EMULATOR_HOST ||
+		process.env.GOOGLE_APPLICATION_CREDENTIALS,
+	);
+	if (hasCredentials) {
+		store = createFirestoreStore(getAdminDb());
+	} else {
+		console.warn("[API] Lookup cache and limits are in memory: no Firebase Admin credentials configured");
+		store = createMemoryStore();
+	}
+	return store;
+};
+
+/**
+ * Count a request against one of the subject's fixed windows
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: number }>}
+ */
+const consume = async (subject, windowMs, limit, now) => {
+	const windowStart = Math.floor(now / windowMs) * windowMs;
+	const resetAt = windowStart + windowMs;
+	const key = `${subject.id}_${windowMs === DAY_MS ? "day" : "min"}_${windowStart}`;
+	const { allowed, count } = await getStore().increment(key, limit, resetAt);
+	return { allowed, limit, remaining: Math.max(0, limit - count), resetAt };
+};
+
+/**
+ * Per-minute rate limit; counts every request, cached or not
+ * @param {Object} subject - From getLookupSubject
+ * @param {Object} options - { now }
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: number }>}
+ */
+export const checkRateLimit = (subject, { now = Date.now() } = {}) => {
+	const limits = getLookupLimits();
+	return consume(subject, MINUTE_MS, subject.kind === "user" ? limits.userPerMinute : limits.ipPerMinute, now);
+};
+
+/**
+ * Daily quota of billed lookups; call only on a cache miss. Days run midnight to midnight UTC.
+ * @param {Object} subject - From getLookupSubject
+ * @param {Object} options - { now }
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: number }>}
+ */
+export const consumeDailyQuota = (subject, { now = Date.now() } = {}) => {
+	const limits = getLookupLimits();
+	return consume(subject, DAY_MS, subject.kind === "user" ? limits.userPerDay : limits.ipPerDay, now);
+};
+
+/**
+ * Cached contact for an owner on a parcel
+ * @param {string} ownerName
+ * @param {string} [parcelId]
+ * @param {Object} options - { now }
+ * @returns {Promise<{ contact: Object, cachedAt: number, expiresAt: number }|null>} null when missing or expired
+ */
+export const getCachedContact = async (ownerName, parcelId, { now = Date.now() } = {}) => {
+	const entry = await getStore().getCached(getCacheKey(ownerName, parcelId));
+	return entry && entry.expiresAt > now ? entry : null;
+};
+
+/**
+ * Cache a lookup result, including empty ones: a search that found nothing was billed all the same
+ * @param {string} ownerName
+ * @param {string} [parcelId]
+ * @param {Object} contact - Normalized contact
+ * @param {Object} options - { now }
+ * @returns {Promise<{ contact: Object, cachedAt: number, expiresAt: number }>}
+ */
+export const cacheContact = async (ownerName, parcelId, contact, { now = Date.now() } = {}) => {
+	const entry = { ownerName, parcelId, contact, cachedAt: now, expiresAt: now + getCacheTtlDays() * DAY_MS };
+	await getStore().setCached(getCacheKey(ownerName, parcelId), entry);
+	return entry;
+};
@@ -0,0 +1,255 @@
+/**
+ * Parcel spatial index backed by the local tile sets
+ * Each registry county's tile manifest is read on first use, and its tiles are loaded lazily
+ * and indexed with an R-tree, so bbox queries only touch the tiles that intersect the requested bounds.
+ * Parcel ID lookups go through each county's prebuilt ID index (scripts/lib/parcel-id-index.mjs) to the one tile
+ * holding the parcel.
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+import RBush from "rbush";
+import { getGeometryBbox, bboxIntersects, simplifyGeometry } from "../../src/utils/geometry.js";
+import { createOwnerIndex } from "../../src/utils/ownerSearch.js";
+import { PARCEL_ID_FIELDS, getMatchedIdField, normalizeParcelId } from "../../src/utils/parcelIds.js";
+import { loadRegistry, getCountiesForBbox, resolvePublicPath } from "./county-registry.js";
+
+export const DEFAULT_FEATURE_LIMIT = 2000;
+export const MAX_FEATURE_LIMIT = 5000;
+
+// Zoom at which parcels are returned at full resolution
+const FULL_DETAIL_ZOOM = 16;
+// Simplification tolerance in screen pixels (512px Mapbox tiles)
+const SIMPLIFY_PIXEL_TOLERANCE = 0.5;
+
+const manifests = new Map(); // county id -> tile manifest
+const tileIndexes = new Map(); // tile path -> RBush
+const idIndexes = new Map(); // county id -> parcel ID index, or null when the county has none on disk
+let ownerIndex = null; // owner-name index over every county's tiles, built on the first owner search or holdings
+
+// A county's tiles, each tagged with its file path on disk (empty when the county has no local tile set)
+const getCountyTiles = (county) => {
+	if (!county.tiles) return [];
+
+	if (!manifests.has(county.id)) {
+		const manifestPath = resolvePublicPath(county.tiles.manifest);
+		const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf-8")) : { tiles: [] };
+		manifests.set(county.id, manifest);
+	}
+
+	return manifests.get(county.id).tiles.map((tile) => ({
+		...tile,
+		path: resolvePublicPath(`${county.tiles.baseUrl}/${tile.file}`),
+	}));
+};
+
+const toBboxArray = (bounds) => [bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat];
+
+const loadTileIndex = (tile) => {
+	if (tileIndexes.has(tile.path)) {
+		return tileIndexes.get(tile.path);
+	}
+
+	const index = new RBush();
+
+	if (fs.existsSync(tile.path)) {
+		const data = JSON.parse(fs.readFileSync(tile.path, "utf-8"));
+		const items = [];
+		for (const feature of data.features ?? []) {
+			const bbox = getGeometryBbox(feature.geometry);
+			if (!bbox) continue;
+			items.push({ minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3], feature });
+		}
+		index.load(items);
+		console.log(`[ParcelIndex] Indexed ${items.length} parcels from ${tile.file}`);
+	} else {
+		console.warn(`[ParcelIndex] Tile listed in manifest but missing on disk: ${tile.file}`);
+	}
+
+	tileIndexes.set(tile.path, index);
+	return index;
+};
+
+const geometryKeys = new WeakMap(); // feature -> geometry hash, for parcels with no ID
+
+// A parcel written to several tiles has the same coordinates in each, so its geometry identifies it
+const getGeometryKey = (feature) => {
+	if (!geometryKeys.has(feature)) {
+		const hash = crypto.createHash("sha1").update(JSON.stringify(feature.geometry?.coordinates ?? null));
+		geometryKeys.set(feature, `geometry:${hash.digest("hex")}`);
+	}
+	return geometryKeys.get(feature);
+};
+
+// Parcels straddling a tile edge are written to every tile they touch. Ingested KML/CSV parcels may carry no
+// GlobalID, PID or feature id, and fall back to a hash of their geometry.
+const getFeatureKey = (feature) =>
+	feature.properties?.GlobalID ?? feature.properties?.PID ?? feature.id ?? getGeometryKey(feature);
+
+/**
+ * Simplification tolerance in degrees for a given zoom level
+ * @param {number} zoom - Map zoom
+ * @returns {number} Tolerance, 0 at and above FULL_DETAIL_ZOOM
+ */
+export const getSimplifyTolerance = (zoom) => {
+	if (!Number.isFinite(zoom) || zoom >= FULL_DETAIL_ZOOM) return 0;
+	return (SIMPLIFY_PIXEL_TOLERANCE * 360) / (512 * 2 ** zoom);
+};
+
+/**
+ * Query parcels intersecting a bounding box
+ * @param {Array<number>} bbox - [west, south, east, north]
+ * @param {Object} options
+ * @param {number} options.zoom - Map zoom, drives geometry simplification
+ * @param {number} options.limit - Maximum features to return
+ * @returns {Object} GeoJSON FeatureCollection with totalFeatures and truncated members
+ */
+export const queryParcelsInBbox = (bbox, { zoom, limit = DEFAULT_FEATURE_LIMIT } = {}) => {
+	const tiles = getCountiesForBbox(bbox).flatMap(getCountyTiles);
+	const seen = new Set();
+	const hits = [];
+
+	for (const tile of tiles) {
+		if (!bboxIntersects(toBboxArray(tile.bounds), bbox)) continue;
+
+		const results = loadTileIndex(tile).search({ minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3] });
+		for (const item of results) {
+			const key = getFeatureKey(item.feature);
+			if (seen.has(key)) continue;
+			seen.add(key);
+			hits.push(item);
+		}
+	}
+
+	// When capped, keep the largest parcels so the map stays readable when zoomed out
+	const truncated = hits.length > limit;
+	if (truncated) {
+		hits.sort((a, b) => (b.maxX - b.minX) * (b.maxY - b.minY) - (a.maxX - a.minX) * (a.maxY - a.minY));
+	}
+
+	const tolerance = getSimplifyTolerance(zoom);
+	const features = hits.slice(0, limit).map(({ feature }) =>
+		tolerance > 0 ? { ...feature, geometry: simplifyGeometry(feature.geometry, tolerance) } : feature,
+	);
+
+	return {
+		type: "FeatureCollection",
+		features,
+		totalFeatures: hits.length,
+		truncated,
+	};
+};
+
+/**
+ * Every parcel in every county's tile set, de-duplicated across tile edges
+ * @returns {Array<Object>} GeoJSON features
+ */
+export const loadAllParcels = () => {
+	const tiles = loadRegistry().counties.flatMap(getCountyTiles);
+	const seen = new Set();
+	const features = [];
+
+	for (const tile of tiles) {
+		for (const { feature } of loadTileIndex(tile).all()) {
+			const key = getFeatureKey(feature);
+			if (seen.has(key)) continue;
+			seen.add(key);
+			features.push(feature);
+		}
+	}
+
+	return features;
+};
+
+// The owner index, built on first use
+const getOwnerIndex = () => {
+	if (!ownerIndex) {
+		ownerIndex = createOwnerIndex({ getKey: getFeatureKey });
+		const indexed = ownerIndex.insert(loadAllParcels());
+		console.log(`[ParcelIndex] Indexed ${indexed} parcel owners`);
+	}
+	return ownerIndex;
+};
+
+/**
+ * Parcels whose owner name matches a query, across every county's tile set
+ * @param {string} query - Owner name, in any of the assessor roll's forms
+ * @param {Object} options
+ * @param {number} options.limit - Maximum matches to return
+ * @returns {{ matches: Array<Object>, total: number, truncated: boolean }} Matches best first, as from
+ *   src/utils/ownerSearch.js
+ */
+export const searchParcelsByOwner = (query, { limit = DEFAULT_FEATURE_LIMIT } = {}) => {
+	const { matches, total } = getOwnerIndex().search(query, { limit });
+	return { matches, total, truncated: total > matches.length };
+};
+
+/**
+ * Every parcel held by an owner under any spelling of their name, across every county's tile set
+ * @param {string} owner - Owner name as recorded on one of their parcels
+ * @param {Object} options
+ * @param {number} options.limit - Maximum parcels to return
+ * @returns {{ matches: Array<Object>, total: number, truncated: boolean }} As from src/utils/ownerSearch.js
+ */
+export const findParcelsByOwnerHoldings = (owner, { limit = DEFAULT_FEATURE_LIMIT } = {}) => {
+	const { matches, total } = getOwnerIndex().findHoldings(owner, { limit });
+	return { matches, total, truncated: total > matches.length };
+};
+
+// A county's prebuilt parcel ID index (null when it has none)
+const getCountyIdIndex = (county) => {
+	if (!county.tiles?.idIndex) return null;
+
+	if (!idIndexes.has(county.id)) {
+		const indexPath = resolvePublicPath(county.tiles.idIndex);
+		if (fs.existsSync(indexPath)) {
+			idIndexes.set(county.id, JSON.parse(fs.readFileSync(indexPath, "utf-8")));
+		} else {
+			console.warn(`[ParcelIndex] No parcel ID index for ${county.name}; run npm run parcels:index-ids`);
+			idIndexes.set(county.id, null);
+		}
+	}
+
+	return idIndexes.get(county.id);
+};
+
+/**
+ * Parcels carrying a parcel ID (PID, OLDPID or PARCEL_ID), across every county's tile set
+ * @param {string} id - ID as typed, with or without separators and leading zeros
+ * @returns {Array<{ feature: Object, field: string, county: string }>} Current-PID matches first; more than one
+ *   when an old PID was split into several parcels
+ */
+export const findParcelsById = (id) => {
+	const key = normalizeParcelId(id);
+	if (!key) return [];
+
+	const matches = [];
+	for (const county of loadRegistry().counties) {
+		const index = getCountyIdIndex(county);
+		const positions = index?.ids[key];
+		if (!positions) continue;
+
+		const tiles = getCountyTiles(county);
+		for (const position of positions) {
+			const parcel = index.parcels[position];
+			const tile = tiles.find((candidate) => candidate.file === index.tiles[parcel.tiles[0]]);
+			if (!tile) continue;
+
+			const [west, south, east, north] = parcel.bbox;
+			const hit = loadTileIndex(tile)
+				.search({ minX: west, minY: south, maxX: east, maxY: north })
+				.find(
+					(item) =>
+						(parcel.key === null || getFeatureKey(item.feature) === parcel.key) &&
+						getMatchedIdField(item.feature, key),
+				);
+			if (hit) {
+				matches.push({ feature: hit.feature, field: getMatchedIdField(hit.feature, key), county: county.id });
+			} else {
+				console.warn(`[ParcelIndex] ${tile.file} no longer holds parcel ID ${id}; rebuild the ID index`);
+			}
+		}
+	}
+
+	return matches.sort((a, b) => PARCEL_ID_FIELDS.indexOf(a.field) - PARCEL_ID_FIELDS.indexOf(b.field));
+};
@@ -0,0 +1,63 @@
+/**
+ * On-demand Mapbox Vector Tile slicing
+ * Builds a geojson-vt index over the local parcel tile set once per process
+ * and encodes z/x/y requests to PBF with a single "parcels" layer. The first request of every serverless
+ * instance pays for loading and indexing every county's parcels; see TILE_LOADING_ARCHITECTURE.md for the cost
+ * and the function's memory in vercel.json. Parcels carry OWNER_TYPE for the map's
+ * attribute filters and thematic styles (src/utils/parcelFilters.js).
+ */
+
+import geojsonvt from "geojson-vt";
+import vtpbf from "vt-pbf";
+import { loadAllParcels } from "./parcel-index.js";
+import { withOwnerType } from "../../src/utils/parcelFilters.js";
+
+export const PARCEL_LAYER = "parcels";
+export const TILE_MIN_ZOOM = 10;
+// Mapbox overzooms beyond this, so full detail is only sliced once
+export const TILE_MAX_ZOOM = 16;
+
+// Nested values (sale history) don't survive MVT encoding and aren't needed for rendering
+const DROPPED_PROPERTIES = ["SALE_HISTORY", "selected"];
+
+let tileIndex = null;
+
+const getTileIndex = () => {
+	if (tileIndex) return tileIndex;
+
+	const features = loadAllParcels().map((feature) => {
+		const properties = withOwnerType(feature.properties);
+		for (const key of DROPPED_PROPERTIES) delete properties[key];
+		return { type: "Feature", geometry: feature.geometry, properties };
+	});
+
+	console.log(`[VectorTiles] Building tile index over ${features.length} parcels...`);
+	tileIndex = geojsonvt(
+		{ type: "FeatureCollection", features },
+		{
+			maxZoom: TILE_MAX_ZOOM,
+			indexMaxZoom: 8,
+			tolerance: 3,
+			extent: 4096,
+			buffer: 64,
+		},
+	);
+
+	return tileIndex;
+};
+
+/**
+ * Encode one vector tile
+ * @param {number} z - Zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Buffer|null} PBF bytes, or null when the tile is empty or out of range
+ */
+export const getVectorTile = (z, x, y) => {
+	if (z < TILE_MIN_ZOOM || z > TILE_MAX_ZOOM) return null;
+
+	const tile = getTileIndex().getTile(z, x, y);
+	if (!tile || tile.features.length === 0) return null;
+
+	return Buffer.from(vtpbf.fromGeojsonVt({ [PARCEL_LAYER]: tile }, { version: 2 }));
+};
@@ -1,9 +1,11 @@
 /**
  * Vercel Serverless Function - ArcGIS Parcel API Proxy
- * This function proxies requests to the Boone County ArcGIS server
+ * This function proxies requests to the ArcGIS server of the registry county containing the point
  * Avoids CORS issues by running on the backend
  */
 
+import { getCountyForPoint } from "./_lib/county-registry.js";
+
 export default async function handler(req, res) {
 	// Only allow POST requests
 	if (req.method !== "POST") {
@@ -16,6 +18,11 @@ export default async function handler(req, res) {
 		return res.status(400).json({ error: "Invalid coordinates" });
 	}
 
+	const county = getCountyForPoint(lng, lat, { sourceType: "arcgis" });
+	if (county?.source?.type !== "arcgis") {
+		return res.status(404).json({ error: "No ArcGIS parcel service for this location" });
+	}
+
 	try {
 		const params = new URLSearchParams({
 			geometry: `${lng},${lat}`,
@@ -28,9 +35,9 @@ export default async function handler(req, res) {
 			outSR: "4326",
 		});
 
-		const arcgisUrl = `https://maps.boonecountymo.org/arcgis/rest/services/AS_ParcelMapping/MapServer/0/query?${params.toString()}`;
+		const arcgisUrl = `${county.source.url}?${params.toString()}`;
 
-		console.log("Fetching from ArcGIS:", arcgisUrl);
+		console.log(`Fetching from ${county.name} ArcGIS:`, arcgisUrl);
 
 		const response = await fetch(arcgisUrl, {
 			method: "GET",
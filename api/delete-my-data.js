@@ -0,0 +1,47 @@
+/**
+ * Vercel Serverless Function - Delete My Data
+ * Deletes the visitor, geolocation and query log entries written from a device (by its client id)
+ * and, when a Firebase ID token is sent, those attributed to the signed-in account
+ */
+
+import { getAdminDb, getAdminAuth } from "./_lib/firebase-admin.js";
+import { deleteLogsFor } from "./_lib/log-retention.js";
+
+// Client ids come from crypto.randomUUID(); anything else can't have been written by the app
+const CLIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const clientId = req.body?.clientId ?? null;
+	if (clientId !== null && !CLIENT_ID_PATTERN.test(clientId)) {
+		return res.status(400).json({ error: "Invalid client id" });
+	}
+
+	let userId = null;
+	const idToken = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+	if (idToken) {
+		try {
+			({ uid: userId } = await getAdminAuth().verifyIdToken(idToken));
+		} catch (error) {
+			console.warn("[API] Delete my data: invalid ID token:", error.message);
+			return res.status(401).json({ error: "Sign-in expired; sign in again and retry" });
+		}
+	}
+
+	if (!clientId && !userId) {
+		// Nothing was ever linked to this browser or account
+		return res.status(200).json({ deleted: {} });
+	}
+
+	try {
+		const deleted = await deleteLogsFor(getAdminDb(), { clientId, userId });
+		console.log("[API] Delete my data:", { user: Boolean(userId), deleted });
+		return res.status(200).json({ deleted });
+	} catch (error) {
+		console.error("[API] Delete my data failed:", error);
+		return res.status(500).json({ error: "Failed to delete data" });
+	}
+}
@@ -1,72 +1,113 @@
 /**
  * Vercel Serverless Function - Enformion API Proxy
- * This function securely calls the Enformion API without exposing the API key to the client
+ * Looks parcel owners up on Enformion without exposing the API credentials to the client.
+ * Individuals go to a person search, businesses, trusts and estates to a business search;
+ * the response is normalized by api/_lib/enformion.js.
+ *
+ * Lookups are billed, so results are cached and callers rate limited (api/_lib/lookup-guard.js).
+ * Response headers:
+ *   X-Cache: HIT | MISS, and X-Cache-Date (ISO) on a hit
+ *   X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset (epoch seconds) for the per-minute limit
+ *   X-Quota-Limit / X-Quota-Remaining for the daily quota, on a miss
+ *   Retry-After (seconds) with a 429
+ *
+ * Point ENFORMION_API_URL at `npm run enformion:serve` to use recorded fixtures instead of the live API.
  */
 
+import { lookupOwner } from "./_lib/enformion.js";
+import { getAdminAuth } from "./_lib/firebase-admin.js";
+import { getClientIp } from "./_lib/client-ip.js";
+import {
+	getLookupSubject,
+	checkRateLimit,
+	consumeDailyQuota,
+	getCachedContact,
+	cacheContact,
+} from "./_lib/lookup-guard.js";
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * Firebase user id from the Bearer ID token, if any. An invalid token falls back to the IP limits
+ * rather than failing the lookup: they're the stricter of the two.
+ */
+const getUserId = async (req) => {
+	const idToken = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+	if (!idToken) return null;
+	try {
+		const { uid } = await getAdminAuth().verifyIdToken(idToken);
+		return uid;
+	} catch (error) {
+		console.warn("[API] Enformion: ignoring invalid ID token:", error.message);
+		return null;
+	}
+};
+
 export default async function handler(req, res) {
 	// Only allow POST requests
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
 
-	// Get API key from environment variables
-	const apiKey = process.env.ENFORMION_API_KEY;
+	// Enformion authenticates with an access profile name and password
+	const apName = process.env.ENFORMION_AP_NAME;
+	const apPassword = process.env.ENFORMION_AP_PASSWORD;
 
-	if (!apiKey) {
-		console.error("ENFORMION_API_KEY not configured");
+	if (!apName || !apPassword) {
+		console.error("ENFORMION_AP_NAME / ENFORMION_AP_PASSWORD not configured");
 		return res.status(500).json({ error: "API key not configured" });
 	}
 
-	const { ownerName, parcelId } = req.body;
+	const { ownerName, parcelId, address } = req.body ?? {};
 
-	if (!ownerName) {
+	if (!ownerName || typeof ownerName !== "string") {
 		return res.status(400).json({ error: "Owner name is required" });
 	}
 
 	try {
-		// TODO: Replace with actual Enformion API endpoint and implementation
-		// This is a placeholder structure
+		const subject = getLookupSubject({ userId: await getUserId(req), ip: getClientIp(req) });
 
-		// Example Enformion API call structure:
-		// const response = await fetch('https://api.enformion.com/v1/direct-owner-search', {
-		//   method: 'POST',
-		//   headers: {
-		//     'Authorization': `Bearer ${apiKey}`,
-		//     'Content-Type': 'application/json',
-		//   },
-		//   body: JSON.stringify({
-		//     name: ownerName,
-		//     parcel_id: parcelId,
-		//   }),
-		// });
-		//
-		// if (!response.ok) {
-		//   throw new Error('Enformion API request failed');
-		// }
-		//
-		// const data = await response.json();
+		const rate = await checkRateLimit(subject);
+		res.setHeader("X-RateLimit-Limit", rate.limit);
+		res.setHeader("X-RateLimit-Remaining", rate.remaining);
+		res.setHeader("X-RateLimit-Reset", Math.ceil(rate.resetAt / 1000));
+		if (!rate.allowed) {
+			res.setHeader("Retry-After", secondsUntil(rate.resetAt));
+			return res.status(429).json({ error: "Too many lookups. Try again in a minute." });
+		}
 
-		// For now, return mock data until Enformion integration is complete
-		// Remove this section when implementing real API
-		const mockData = {
-			phone: "(573) 555-0123",
-			email: "landowner@missouri.com",
-			address: "123 Farm Road, Jefferson City, MO 65101",
-			verified: true,
-		};
+		const cached = await getCachedContact(ownerName, parcelId);
+		if (cached) {
+			res.setHeader("X-Cache", "HIT");
+			res.setHeader("X-Cache-Date", new Date(cached.cachedAt).toISOString());
+			console.log(`[API] Enformion cache hit for parcel ${parcelId ?? "n/a"}`);
+			return res.status(200).json(cached.contact);
+		}
 
-		return res.status(200).json(mockData);
+		const quota = await consumeDailyQuota(subject);
+		res.setHeader("X-Quota-Limit", quota.limit);
+		res.setHeader("X-Quota-Remaining", quota.remaining);
+		if (!quota.allowed) {
+			res.setHeader("Retry-After", secondsUntil(quota.resetAt));
+			return res.status(429).json({
+				error:
+					subject.kind === "user"
+						? "Daily lookup limit reached. Try again tomorrow."
+						: "Daily lookup limit reached. Sign in for a higher limit, or try again tomorrow.",
+			});
+		}
 
-		// When implementing real API, return actual data:
-		// return res.status(200).json({
-		//   phone: data.phone || null,
-		//   email: data.email || null,
-		//   address: data.address || null,
-		//   verified: data.verified || false,
-		// });
+		const contact = await lookupOwner({ ownerName, address }, { apName, apPassword });
+		await cacheContact(ownerName, parcelId, contact);
+		console.log(
+			`[API] Enformion ${contact.searchType} search for parcel ${parcelId ?? "n/a"}: ` +
+				`${contact.phones.length} phones, ${contact.emails.length} emails (${contact.ownerType})`,
+		);
+		res.setHeader("X-Cache", "MISS");
+		return res.status(200).json(contact);
 	} catch (error) {
 		console.error("Error calling Enformion API:", error);
-		return res.status(500).json({
+		return res.status(error.status === 401 || error.status === 403 ? 502 : 500).json({
 			error: "Failed to fetch owner data",
 			message: error.message,
 		});
@@ -0,0 +1,41 @@
+/**
+ * Vercel Serverless Function - Parcel Vector Tiles
+ * Serves /api/tiles/{z}/{x}/{y}.pbf as Mapbox Vector Tiles sliced on demand from the local tile set
+ */
+
+import { getVectorTile } from "./_lib/vector-tiles.js";
+
+export default async function handler(req, res) {
+	if (req.method !== "GET") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	// Vercel passes rewrite params as query, Express as route params
+	const params = { ...req.query, ...req.params };
+	const z = Number(params.z);
+	const x = Number(params.x);
+	const y = Number(params.y);
+
+	if (![z, x, y].every(Number.isInteger) || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+		return res.status(400).json({ error: "Invalid tile coordinates" });
+	}
+
+	try {
+		const tile = getVectorTile(z, x, y);
+
+		res.setHeader("Cache-Control", "public, max-age=86400");
+
+		if (!tile) {
+			return res.status(204).end();
+		}
+
+		res.setHeader("Content-Type", "application/x-protobuf");
+		return res.status(200).send(tile);
+	} catch (error) {
+		console.error(`[API] Error building tile ${z}/${x}/${y}:`, error);
+		return res.status(500).json({
+			error: "Error building vector tile",
+			details: error.message,
+		});
+	}
+}
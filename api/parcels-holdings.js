@@ -0,0 +1,41 @@
+/**
+ * Vercel Serverless Function - Owner Holdings
+ * Finds every parcel held by an owner across the local tile sets, under any spelling of the name that
+ * src/utils/ownerSearch.js treats as the same owner ("JOHNSON FAM TR" and "JOHNSON FAMILY TRUST")
+ */
+
+import { findParcelsByOwnerHoldings, MAX_FEATURE_LIMIT } from "./_lib/parcel-index.js";
+
+const MAX_OWNER_LENGTH = 120;
+
+export default async function handler(req, res) {
+	// Only allow POST requests
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { owner, limit } = req.body ?? {};
+
+		if (typeof owner !== "string" || !owner.trim() || owner.length > MAX_OWNER_LENGTH) {
+			return res.status(400).json({ error: "Owner name is required" });
+		}
+
+		const matchLimit = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_FEATURE_LIMIT) : MAX_FEATURE_LIMIT;
+		const { matches, total, truncated } = findParcelsByOwnerHoldings(owner, { limit: matchLimit });
+
+		console.log(`[API] Holdings of "${owner}": ${matches.length}/${total}${truncated ? " (truncated)" : ""}`);
+
+		return res.status(200).json({
+			matches: matches.map(({ feature, owner: recordedOwner }) => ({ feature, owner: recordedOwner })),
+			total,
+			truncated,
+		});
+	} catch (error) {
+		console.error("[API] Error finding owner holdings:", error);
+		return res.status(500).json({
+			error: "Error finding owner holdings",
+			details: error.message,
+		});
+	}
+}
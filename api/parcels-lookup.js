@@ -0,0 +1,36 @@
+/**
+ * Vercel Serverless Function - Parcel ID Lookup
+ * Resolves a parcel ID (PID, OLDPID or PARCEL_ID, formatted or not) to its parcel through each county's
+ * prebuilt ID index (src/utils/parcelIds.js, scripts/lib/parcel-id-index.mjs)
+ */
+
+import { findParcelsById } from "./_lib/parcel-index.js";
+
+const MAX_ID_LENGTH = 40;
+
+export default async function handler(req, res) {
+	// Only allow POST requests
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { id } = req.body ?? {};
+
+		if (typeof id !== "string" || !id.trim() || id.length > MAX_ID_LENGTH) {
+			return res.status(400).json({ error: "Parcel ID is required" });
+		}
+
+		const matches = findParcelsById(id);
+
+		console.log(`[API] Parcel ID lookup "${id}": ${matches.length} match${matches.length === 1 ? "" : "es"}`);
+
+		return res.status(200).json({ matches });
+	} catch (error) {
+		console.error("[API] Error looking up parcel ID:", error);
+		return res.status(500).json({
+			error: "Error looking up parcel ID",
+			details: error.message,
+		});
+	}
+}
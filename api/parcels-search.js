@@ -0,0 +1,42 @@
+/**
+ * Vercel Serverless Function - Parcel Owner Search
+ * Finds parcels by owner name across the local tile sets, matching the assessor roll's
+ * "LAST, FIRST & SPOUSE" forms, abbreviations and small typos (src/utils/ownerSearch.js)
+ */
+
+import { searchParcelsByOwner, MAX_FEATURE_LIMIT } from "./_lib/parcel-index.js";
+
+const DEFAULT_MATCH_LIMIT = 200;
+const MAX_QUERY_LENGTH = 120;
+
+export default async function handler(req, res) {
+	// Only allow POST requests
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { query, limit } = req.body ?? {};
+
+		if (typeof query !== "string" || !query.trim() || query.length > MAX_QUERY_LENGTH) {
+			return res.status(400).json({ error: "Owner name query is required" });
+		}
+
+		const matchLimit = Math.min(Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_MATCH_LIMIT, MAX_FEATURE_LIMIT);
+		const { matches, total, truncated } = searchParcelsByOwner(query, { limit: matchLimit });
+
+		console.log(`[API] Owner search "${query}": ${matches.length}/${total}${truncated ? " (truncated)" : ""}`);
+
+		return res.status(200).json({
+			matches: matches.map(({ feature, owner, matchedName, score }) => ({ feature, owner, matchedName, score })),
+			total,
+			truncated,
+		});
+	} catch (error) {
+		console.error("[API] Error searching parcel owners:", error);
+		return res.status(500).json({
+			error: "Error searching parcel owners",
+			details: error.message,
+		});
+	}
+}
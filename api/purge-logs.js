@@ -0,0 +1,24 @@
+/**
+ * Vercel Serverless Function - Log Retention
+ * Run daily by the cron in vercel.json; deletes tracking log entries past their retention period and expired
+ * owner lookup cache and rate-limit documents (see api/_lib/log-retention.js). Vercel sends CRON_SECRET as a bearer token; other callers are refused.
+ */
+
+import { getAdminDb } from "./_lib/firebase-admin.js";
+import { purgeExpiredLogs } from "./_lib/log-retention.js";
+
+export default async function handler(req, res) {
+	const secret = process.env.CRON_SECRET;
+	if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+		return res.status(401).json({ error: "Unauthorized" });
+	}
+
+	try {
+		const results = await purgeExpiredLogs(getAdminDb());
+		console.log("[API] Purged expired logs:", results);
+		return res.status(200).json(results);
+	} catch (error) {
+		console.error("[API] Log purge failed:", error);
+		return res.status(500).json({ error: "Log purge failed" });
+	}
+}
@@ -2,8 +2,11 @@
  * Track Visitor API
  * Returns visitor IP address and metadata (no Firebase dependency)
  * The client-side will write to Firebase using the standard SDK
+ * With `anonymize: true` in the body the raw IP is withheld and only a keyed hash is returned
  */
 
+import { getClientIp, hashIp } from "./_lib/client-ip.js";
+
 export default async function handler(req, res) {
 	// Set CORS headers
 	res.setHeader("Access-Control-Allow-Credentials", true);
@@ -25,22 +28,21 @@ export default async function handler(req, res) {
 
 	try {
 		// Extract IP address from request headers
-		const ip =
-			req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-			req.headers["x-real-ip"] ||
-			req.connection?.remoteAddress ||
-			req.socket?.remoteAddress ||
-			"Unknown";
+		const ip = getClientIp(req);
 
 		// Get additional metadata
 		const userAgent = req.headers["user-agent"] || "Unknown";
 		const referrer = req.headers["referer"] || req.headers["referrer"] || "Direct";
 
-		console.log("Visitor info extracted:", { ip, userAgent, referrer });
+		const anonymize = req.body?.anonymize === true;
+		const ipHash = hashIp(ip);
+
+		console.log("Visitor info extracted:", { ip: anonymize ? ipHash : ip, userAgent, referrer });
 
 		return res.status(200).json({
 			success: true,
-			ip,
+			ip: anonymize ? null : ip,
+			ipHash,
 			userAgent,
 			referrer,
 		});
@@ -0,0 +1,91 @@
+/**
+ * Service worker for offline field mode
+ * Keeps the app shell (index.html, built assets, icons and the Mapbox stylesheet) available without signal,
+ * and serves basemap raster tiles saved by src/services/basemapCache.js.
+ * Parcel tiles, manifests and owner lookups are not cached here - areas saved for offline use
+ * live in IndexedDB (src/services/offlineStore.js) so they can be sized, refreshed and deleted per area.
+ */
+
+const SHELL_CACHE = "landverify-shell-v1";
+const BASEMAP_CACHE = "landverify-basemap-v1"; // filled by the page, never by this worker
+const KEEP_CACHES = [SHELL_CACHE, BASEMAP_CACHE];
+const SHELL_URLS = ["/", "/index.html", "/logo.png"];
+const CACHEABLE_CROSS_ORIGIN = ["https://api.mapbox.com/mapbox-gl-js/"];
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches
+			.open(SHELL_CACHE)
+			.then((cache) => cache.addAll(SHELL_URLS))
+			.then(() => self.skipWaiting()),
+	);
+});
+
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) => Promise.all(keys.filter((key) => !KEEP_CACHES.includes(key)).map((key) => caches.delete(key))))
+			.then(() => self.clients.claim()),
+	);
+});
+
+const putInCache = async (request, response) => {
+	if (response.ok || response.type === "opaque") {
+		const cache = await caches.open(SHELL_CACHE);
+		await cache.put(request, response.clone());
+	}
+	return response;
+};
+
+// Page loads: network first so deploys show up, cached shell without signal
+const handleNavigation = async (request) => {
+	try {
+		return await putInCache("/index.html", await fetch(request));
+	} catch {
+		return (await caches.match("/index.html")) ?? (await caches.match("/")) ?? Response.error();
+	}
+};
+
+// Hashed build assets and icons never change under the same URL
+const handleStatic = async (request) => {
+	const cached = await caches.match(request);
+	if (cached) return cached;
+	return putInCache(request, await fetch(request));
+};
+
+// z/x/y tile URLs, e.g. .../tiles/256/14/4012/6235@2x or http://localhost:3002/14/4012/6235.png
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?(\.\w+)?$/;
+
+// Saved basemap tiles first (keys carry no access token), otherwise the network
+const handleTile = async (request) => {
+	const cache = await caches.open(BASEMAP_CACHE);
+	const cached = await cache.match(request.url, { ignoreSearch: true });
+	return cached ?? fetch(request);
+};
+
+self.addEventListener("fetch", (event) => {
+	const { request } = event;
+	if (request.method !== "GET") return;
+
+	const url = new URL(request.url);
+
+	if (request.mode === "navigate") {
+		event.respondWith(handleNavigation(request));
+		return;
+	}
+
+	const sameOrigin = url.origin === self.location.origin;
+	const isShellAsset =
+		(sameOrigin && (url.pathname.startsWith("/assets/") || url.pathname.startsWith("/icons/") || url.pathname === "/logo.png")) ||
+		CACHEABLE_CROSS_ORIGIN.some((prefix) => request.url.startsWith(prefix));
+
+	if (isShellAsset) {
+		event.respondWith(handleStatic(request));
+		return;
+	}
+
+	if (TILE_PATH.test(url.pathname)) {
+		event.respondWith(handleTile(request));
+	}
+});
@@ -0,0 +1,106 @@
+/**
+ * Local basemap tile server stand-in
+ * Serves generated 256px PNG tiles at /{z}/{x}/{y}.png so offline basemap downloads can be tested
+ * without a Mapbox token or quota. Each tile is a flat colour derived from its coordinates with a
+ * grid border, which makes cached vs. missing tiles easy to tell apart on the map.
+ *
+ * Usage:
+ *   npm run basemap:serve [-- --port 3002 --delay 100]
+ *   VITE_BASEMAP_TILE_URL=http://localhost:3002/{z}/{x}/{y}.png npm run dev
+ */
+
+import http from "http";
+import zlib from "zlib";
+
+const args = process.argv.slice(2);
+const getFlag = (name, fallback) => {
+	const index = args.indexOf(name);
+	return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const PORT = getFlag("--port", 3002);
+const DELAY_MS = getFlag("--delay", 0); // simulate a slow field connection
+const TILE_SIZE = 256;
+const TILE_PATH = /^\/(\d+)\/(\d+)\/(\d+)\.png$/;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(body));
+	return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode an RGB tile as PNG
+ * @returns {Buffer}
+ */
+const renderTile = (z, x, y) => {
+	const fill = [(x * 47 + z * 13) % 200, (y * 71 + z * 29) % 200, (z * 37) % 200].map((c) => c + 40);
+	const rows = [];
+	for (let row = 0; row < TILE_SIZE; row++) {
+		const line = Buffer.alloc(1 + TILE_SIZE * 3); // filter byte 0 (none) + RGB pixels
+		for (let col = 0; col < TILE_SIZE; col++) {
+			const border = row < 2 || col < 2;
+			const [r, g, b] = border ? [255, 255, 255] : fill;
+			line[1 + col * 3] = r;
+			line[2 + col * 3] = g;
+			line[3 + col * 3] = b;
+		}
+		rows.push(line);
+	}
+
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(TILE_SIZE, 0);
+	header.writeUInt32BE(TILE_SIZE, 4);
+	header[8] = 8; // bit depth
+	header[9] = 2; // colour type: RGB
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		chunk("IHDR", header),
+		chunk("IDAT", zlib.deflateSync(Buffer.concat(rows))),
+		chunk("IEND", Buffer.alloc(0)),
+	]);
+};
+
+let served = 0;
+
+const server = http.createServer((req, res) => {
+	res.setHeader("Access-Control-Allow-Origin", "*");
+	const match = TILE_PATH.exec(new URL(req.url, `http://localhost:${PORT}`).pathname);
+	if (!match) {
+		res.writeHead(404).end("Not a tile");
+		return;
+	}
+
+	const [z, x, y] = match.slice(1).map(Number);
+	if (x >= 2 ** z || y >= 2 ** z) {
+		res.writeHead(404).end("Tile out of range");
+		return;
+	}
+
+	setTimeout(() => {
+		res.writeHead(200, { "Content-Type": "image/png", "Cache-Control": "no-store" });
+		res.end(renderTile(z, x, y));
+		if (++served % 100 === 0) console.log(`🧱 Served ${served} tiles`);
+	}, DELAY_MS);
+});
+
+server.listen(PORT, () => {
+	console.log(`🗺️ Basemap tile stand-in on http://localhost:${PORT}/{z}/{x}/{y}.png`);
+	console.log(`   Run the app with VITE_BASEMAP_TILE_URL=http://localhost:${PORT}/{z}/{x}/{y}.png`);
+});
@@ -0,0 +1,46 @@
+/**
+ * Build a county's parcel ID index from the tiles already on disk
+ * Run with: npm run parcels:index-ids [-- --county <id>]
+ * Tiling (split-parcels-into-tiles.mjs, ingest-parcels.mjs) writes the index itself; run this after replacing
+ * tiles some other way, or to add the index to a tile set made before it existed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { toPublicPath } from "./lib/parcel-tiles.mjs";
+import { writeParcelIdIndex } from "./lib/parcel-id-index.mjs";
+
+// County to index, from src/config/counties.json (defaults to the registry's default county)
+const registry = JSON.parse(fs.readFileSync("./src/config/counties.json", "utf-8"));
+const countyFlagIndex = process.argv.indexOf("--county");
+const countyId = countyFlagIndex >= 0 ? process.argv[countyFlagIndex + 1] : registry.defaultCounty;
+const county = registry.counties.find((c) => c.id === countyId);
+
+if (!county?.tiles?.idIndex) {
+	console.error(`County "${countyId}" is not in the registry or has no tiles.idIndex configured.`);
+	process.exit(1);
+}
+
+const manifestPath = toPublicPath(county.tiles.manifest);
+const tilesDir = toPublicPath(county.tiles.baseUrl);
+
+if (!fs.existsSync(manifestPath)) {
+	console.error(`Tile manifest not found: ${manifestPath}`);
+	process.exit(1);
+}
+
+console.log(`📂 Reading ${county.name} tiles listed in ${manifestPath}...`);
+const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+
+const tiles = [];
+for (const tile of manifest.tiles) {
+	const tilePath = path.join(tilesDir, tile.file);
+	if (!fs.existsSync(tilePath)) {
+		console.warn(`  ⚠️ Skipping tile listed in manifest but missing on disk: ${tile.file}`);
+		continue;
+	}
+	const data = JSON.parse(fs.readFileSync(tilePath, "utf-8"));
+	tiles.push({ file: tile.file, features: data.features ?? [] });
+}
+
+writeParcelIdIndex(tiles, county, toPublicPath(county.tiles.idIndex));
@@ -1,52 +1,50 @@
 import fs from "fs";
 import path from "path";
 import shp from "shpjs";
+import { readAssessorRoll, indexAssessorRoll, joinAssessorRoll } from "./lib/assessor-roll.mjs";
+import { loadProfile, createPropertyMapper } from "./lib/field-mapping.mjs";
+import { validateFeatures, summarizeValidation } from "./lib/geometry-validation.mjs";
 
 const workspaceRoot = process.cwd();
 const zipPath = path.join(workspaceRoot, "public", "data", "CC_Parcels.zip");
 const outputPath = path.join(workspaceRoot, "public", "data", "cole_parcels.geojson");
+const reportPath = path.join(workspaceRoot, "reports", "assessor-join-report.json");
+const validationReportPath = path.join(workspaceRoot, "reports", "geometry-validation-report.json");
+
+// Optional assessor roll (CSV or DBF) to join ownership records by PID
+const assessorFlagIndex = process.argv.indexOf("--assessor");
+const assessorPath = assessorFlagIndex >= 0 ? process.argv[assessorFlagIndex + 1] : null;
+
+// Field-mapping profile: a name under scripts/profiles/ or a path to a profile JSON
+const profileFlagIndex = process.argv.indexOf("--profile");
+const profileName = profileFlagIndex >= 0 ? process.argv[profileFlagIndex + 1] : "cole";
+
+// Repair invalid geometries instead of only reporting them
+const repair = process.argv.includes("--repair");
+const registry = JSON.parse(fs.readFileSync(path.join(workspaceRoot, "src", "config", "counties.json"), "utf-8"));
 
 if (!fs.existsSync(zipPath)) {
 	console.error("Parcel ZIP not found:", zipPath);
 	process.exit(1);
 }
 
-const normalizeProperties = (properties) => {
-	const owner =
-		properties?.OWNER ??
-		properties?.OWNER_NAME ??
-		properties?.OWNERNAME ??
-		properties?.OWNERNME1 ??
-		properties?.OWNER1 ??
-		properties?.OWN_NAME ??
-		null;
-
-	const parcelId =
-		properties?.PARCEL_ID ??
-		properties?.PARCELID ??
-		properties?.PIN ??
-		properties?.PARCEL ??
-		properties?.OBJECTID ??
-		properties?.OBJECTID_1 ??
-		properties?.OBJECTID_2 ??
-		"N/A";
-
-	const acres =
-		properties?.ACRES_CALC ??
-		properties?.ACRES ??
-		properties?.ACREAGE ??
-		properties?.ACRES_1 ??
-		properties?.CALC_ACRE ??
-		0;
-
-	return {
-		...properties,
-		OWNER: owner,
-		OWNER_NAME: owner,
-		ACRES_CALC: acres,
-		PARCEL_ID: parcelId,
-	};
-};
+let normalizeProperties;
+let countyBounds;
+try {
+	const profile = loadProfile(profileName);
+	normalizeProperties = createPropertyMapper(profile);
+	console.log(`Using field-mapping profile: ${profile.name ?? profileName}`);
+
+	// Geometries are checked against the bounds of the county the profile is for
+	const county = registry.counties.find((c) => c.id === profile.county);
+	if (!county?.bounds) {
+		throw new Error(`Profile "${profileName}" names county "${profile.county}", which has no bounds in the registry`);
+	}
+	countyBounds = county.bounds;
+} catch (error) {
+	console.error(error.message);
+	process.exit(1);
+}
 
 const buffer = fs.readFileSync(zipPath);
 
@@ -58,10 +56,19 @@ if (!geojson || geojson.type !== "FeatureCollection") {
 	process.exit(1);
 }
 
+const { features: validFeatures, report: validation } = validateFeatures(geojson.features, {
+	bounds: countyBounds,
+	repair,
+	source: zipPath,
+});
+fs.mkdirSync(path.dirname(validationReportPath), { recursive: true });
+fs.writeFileSync(validationReportPath, JSON.stringify(validation, null, 2));
+console.log(`Geometry: ${summarizeValidation(validation)} - report: ${validationReportPath}`);
+
 // shpjs already outputs in WGS84, so just normalize properties
 const converted = {
 	...geojson,
-	features: geojson.features.map((feature) => {
+	features: validFeatures.map((feature) => {
 		return {
 			...feature,
 			properties: {
@@ -72,5 +79,22 @@ const converted = {
 	}),
 };
 
+if (assessorPath) {
+	if (!fs.existsSync(assessorPath)) {
+		console.error("Assessor roll not found:", assessorPath);
+		process.exit(1);
+	}
+
+	console.log("Joining assessor roll:", assessorPath);
+	const { features, report } = joinAssessorRoll(converted.features, indexAssessorRoll(readAssessorRoll(assessorPath)));
+	converted.features = features;
+
+	fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+	fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+	console.log(
+		`Matched ${report.matched}/${report.parcels} parcels (${report.unmatchedParcelCount} unmatched) - report: ${reportPath}`,
+	);
+}
+
 fs.writeFileSync(outputPath, JSON.stringify(converted));
 console.log(`✅ Wrote ${converted.features.length} features to:`, outputPath);
@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import shp from "shpjs";
+import { validateFeatures, summarizeValidation } from "./lib/geometry-validation.mjs";
 
 const workspaceRoot = process.cwd();
 const zipPath = path.join(workspaceRoot, "public", "data", "CC_Parcels.zip");
@@ -80,4 +81,18 @@ if (geojson && geojson.features.length > 0) {
 	} else if (rangeX < 1 && rangeY < 1) {
 		console.log("→ Likely in degrees (WGS84)");
 	}
+
+	// Check every geometry (report only - the converter's --repair fixes them)
+	const registry = JSON.parse(fs.readFileSync(path.join(workspaceRoot, "src", "config", "counties.json"), "utf-8"));
+	const { report } = validateFeatures(geojson.features, {
+		bounds: registry.counties.find((county) => county.id === "cole").bounds,
+		source: zipPath,
+	});
+	const reportPath = path.join(workspaceRoot, "reports", "geometry-validation-report.json");
+	fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+	fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+	console.log("\nGeometry validation:");
+	console.log(summarizeValidation(report));
+	console.log("Report:", reportPath);
 }
@@ -0,0 +1,119 @@
+/**
+ * Local Enformion API stand-in
+ * Answers the Contact Enrich, Person Search and Business Search endpoints from recorded fixtures in
+ * scripts/fixtures/enformion/<search>/, so owner lookups can be exercised without credentials or cost.
+ * A fixture named after the searched name (e.g. person/johnson-mary.json) wins over default.json.
+ *
+ * Usage:
+ *   npm run enformion:serve [-- --port 3003]
+ *   ENFORMION_API_URL=http://localhost:3003 ENFORMION_AP_NAME=local ENFORMION_AP_PASSWORD=local npm run dev:api
+ *
+ * Recording: with --record, requests are forwarded to the live API (ENFORMION_RECORD_URL, default
+ * https://devapi.enformion.com) using the credentials the API route sends, and each response is saved
+ * as a named fixture. Scrub names, phones and emails before committing recorded fixtures.
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf("--port");
+const PORT = portIndex >= 0 ? Number(args[portIndex + 1]) : 3003;
+const RECORD = args.includes("--record");
+const RECORD_URL = process.env.ENFORMION_RECORD_URL || "https://devapi.enformion.com";
+const FIXTURE_DIR = path.join("scripts", "fixtures", "enformion");
+
+const ROUTES = {
+	"/Contact/Enrich": "contact-enrich",
+	"/PersonSearch": "person",
+	"/BusinessV2Search": "business",
+};
+
+const slugify = (text) =>
+	text
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "");
+
+// Fixture name for a request body: "<last>-<first>" for people, the business name for businesses
+const fixtureName = (body) =>
+	slugify(body.BusinessName ?? [body.LastName, body.FirstName].filter(Boolean).join(" ")) || "default";
+
+const readBody = (req) =>
+	new Promise((resolve, reject) => {
+		let data = "";
+		req.on("data", (chunk) => (data += chunk));
+		req.on("end", () => resolve(data));
+		req.on("error", reject);
+	});
+
+const send = (res, status, body) => {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+};
+
+const record = async (req, route, rawBody, fixturePath) => {
+	const response = await fetch(`${RECORD_URL}${route}`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			Accept: "application/json",
+			"galaxy-ap-name": req.headers["galaxy-ap-name"],
+			"galaxy-ap-password": req.headers["galaxy-ap-password"],
+			"galaxy-search-type": req.headers["galaxy-search-type"],
+		},
+		body: rawBody,
+	});
+	const body = await response.json();
+	if (response.ok) {
+		fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+		fs.writeFileSync(fixturePath, `${JSON.stringify(body, null, "\t")}\n`);
+		console.log(`💾 Recorded ${fixturePath}`);
+	}
+	return { status: response.status, body };
+};
+
+const server = http.createServer(async (req, res) => {
+	const route = new URL(req.url, `http://localhost:${PORT}`).pathname;
+	const search = ROUTES[route];
+	if (req.method !== "POST" || !search) {
+		send(res, 404, { isError: true, error: { message: `No stand-in for ${req.method} ${route}` } });
+		return;
+	}
+
+	// Same credential headers the live API requires
+	if (!req.headers["galaxy-ap-name"] || !req.headers["galaxy-ap-password"]) {
+		send(res, 401, { isError: true, error: { message: "Missing galaxy-ap-name / galaxy-ap-password" } });
+		return;
+	}
+
+	try {
+		const rawBody = await readBody(req);
+		const name = fixtureName(JSON.parse(rawBody || "{}"));
+		const namedPath = path.join(FIXTURE_DIR, search, `${name}.json`);
+
+		if (RECORD) {
+			const { status, body } = await record(req, route, rawBody, namedPath);
+			send(res, status, body);
+			return;
+		}
+
+		const fixturePath = [namedPath, path.join(FIXTURE_DIR, search, "default.json")].find((file) => fs.existsSync(file));
+		if (!fixturePath) {
+			send(res, 404, { isError: true, error: { message: "No records found" } });
+			return;
+		}
+
+		console.log(`📇 ${route} "${name}" -> ${path.relative(FIXTURE_DIR, fixturePath)}`);
+		send(res, 200, JSON.parse(fs.readFileSync(fixturePath, "utf-8")));
+	} catch (error) {
+		console.error("❌ Stand-in request failed:", error);
+		send(res, 500, { isError: true, error: { message: error.message } });
+	}
+});
+
+server.listen(PORT, () => {
+	console.log(`📇 Enformion stand-in on http://localhost:${PORT}${RECORD ? ` (recording from ${RECORD_URL})` : ""}`);
+	console.log(`   Run the API with ENFORMION_API_URL=http://localhost:${PORT}`);
+});
@@ -0,0 +1,138 @@
+/**
+ * Ingest a county parcel source in one run: read, reproject, validate, normalize, write GeoJSON and tiles
+ *
+ * Usage:
+ *   npm run parcels:ingest -- <input> [--format shapefile|geopackage|kml|csv] [--county <id>]
+ *     [--profile <name|path>] [--layer <name>] [--wkt-column <column>] [--prj <file|definition>]
+ *     [--assessor <roll>] [--output <geojson>] [--no-tiles] [--repair]
+ *
+ * Format is detected from the extension (.zip/.shp, .gpkg, .kml, .csv) unless --format is given.
+ * Output paths and the default field-mapping profile come from the county's entry in src/config/counties.json.
+ * Geometry problems are written to reports/geometry-validation-report.json; --repair fixes what it can.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readParcelSource, acceptsPrj, FORMATS } from "./lib/parcel-readers.mjs";
+import { loadProfile, createPropertyMapper } from "./lib/field-mapping.mjs";
+import { readAssessorRoll, indexAssessorRoll, joinAssessorRoll } from "./lib/assessor-roll.mjs";
+import { writeParcelTiles, toPublicPath } from "./lib/parcel-tiles.mjs";
+import { validateFeatures, summarizeValidation, looksUnprojected } from "./lib/geometry-validation.mjs";
+
+const VALUE_FLAGS = ["--format", "--county", "--profile", "--layer", "--wkt-column", "--prj", "--assessor", "--output"];
+
+const args = process.argv.slice(2);
+const getFlag = (name) => {
+	const index = args.indexOf(name);
+	return index >= 0 ? args[index + 1] : null;
+};
+const inputPath = args.find((arg, i) => !arg.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+
+const fail = (message) => {
+	console.error(message);
+	process.exit(1);
+};
+
+if (!inputPath) {
+	fail("Usage: npm run parcels:ingest -- <input> [--format shapefile|geopackage|kml|csv] [--county <id>] [--profile <name>]");
+}
+if (!fs.existsSync(inputPath)) {
+	fail(`Input not found: ${inputPath}`);
+}
+
+const format = getFlag("--format");
+if (format && !FORMATS.includes(format)) {
+	fail(`Unknown --format "${format}"; expected one of ${FORMATS.join(", ")}`);
+}
+
+const registry = JSON.parse(fs.readFileSync("./src/config/counties.json", "utf-8"));
+const countyId = getFlag("--county") ?? registry.defaultCounty;
+const county = registry.counties.find((c) => c.id === countyId);
+if (!county) {
+	fail(`County "${countyId}" is not in the registry`);
+}
+
+const writeTiles = !args.includes("--no-tiles");
+const repair = args.includes("--repair");
+const validationReportPath = path.join("reports", "geometry-validation-report.json");
+const outputPath = getFlag("--output") ?? (county.tiles ? toPublicPath(county.tiles.geojson) : null);
+if (!outputPath) {
+	fail(`${county.name} has no tile set in the registry; pass --output and --no-tiles`);
+}
+if (writeTiles && !county.tiles) {
+	fail(`${county.name} has no tile set in the registry; pass --no-tiles`);
+}
+
+// --prj accepts a .prj file or an inline WKT / proj4 / EPSG definition
+const prjArg = getFlag("--prj");
+const prj = prjArg && fs.existsSync(prjArg) ? fs.readFileSync(prjArg, "utf-8") : prjArg;
+if (prj && !acceptsPrj(inputPath, format ?? undefined)) {
+	fail(`--prj does not apply to ${inputPath}: KML is always WGS84 and a zipped shapefile uses its own .prj`);
+}
+
+async function ingest() {
+	const profile = loadProfile(getFlag("--profile") ?? county.profile ?? county.id);
+	const normalizeProperties = createPropertyMapper(profile);
+
+	console.log(`📂 Reading ${inputPath} (${format ?? "auto-detected format"}) for ${county.name}...`);
+	const source = await readParcelSource(inputPath, {
+		format,
+		layer: getFlag("--layer"),
+		wktColumn: getFlag("--wkt-column"),
+		prj,
+	});
+	console.log(`📊 Source features: ${source.features.length}`);
+
+	const { features: valid, report: validation } = validateFeatures(source.features, {
+		bounds: county.bounds,
+		repair,
+		source: inputPath,
+	});
+	fs.mkdirSync(path.dirname(validationReportPath), { recursive: true });
+	fs.writeFileSync(validationReportPath, JSON.stringify(validation, null, 2));
+	console.log(`🩺 Geometry: ${summarizeValidation(validation)} - report: ${validationReportPath}`);
+
+	if (valid.length === 0) {
+		throw new Error(
+			looksUnprojected(validation)
+				? "No usable features - coordinates are not WGS84 in the county; pass --prj with the source projection"
+				: "No usable polygon features in source",
+		);
+	}
+	if (looksUnprojected(validation)) {
+		console.warn("⚠️ No features fall inside the county bounds - check the source projection (--prj)");
+	}
+
+	console.log(`🏷️ Normalizing fields with profile: ${profile.name ?? county.profile}`);
+	let features = valid.map((feature) => ({
+		type: "Feature",
+		geometry: feature.geometry,
+		properties: {
+			...normalizeProperties(feature.properties ?? {}),
+			selected: false,
+		},
+	}));
+
+	const assessorPath = getFlag("--assessor");
+	if (assessorPath) {
+		console.log("Joining assessor roll:", assessorPath);
+		const joined = joinAssessorRoll(features, indexAssessorRoll(readAssessorRoll(assessorPath)));
+		features = joined.features;
+
+		const reportPath = path.join("reports", "assessor-join-report.json");
+		fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+		fs.writeFileSync(reportPath, JSON.stringify(joined.report, null, 2));
+		console.log(`Matched ${joined.report.matched}/${joined.report.parcels} parcels - report: ${reportPath}`);
+	}
+
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, JSON.stringify({ type: "FeatureCollection", features }));
+	console.log(`✅ Wrote ${features.length} features to:`, outputPath);
+
+	if (writeTiles) {
+		console.log(`\n🧩 Writing tiles for ${county.name}...`);
+		writeParcelTiles(features, county);
+	}
+}
+
+ingest().catch((error) => fail(`❌ Ingest failed: ${error.message}`));
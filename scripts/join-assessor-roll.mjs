@@ -0,0 +1,112 @@
+/**
+ * Join Cole County assessor ownership records onto parcel GeoJSON
+ * Matches roll rows to parcels on PID (then OLDPID) and fills in owner,
+ * mailing address, assessed value and sale history
+ *
+ * Usage:
+ *   node scripts/join-assessor-roll.mjs <roll.csv|roll.dbf> [geojson ...] [--tiles] [--report <path>]
+ *
+ * With no GeoJSON arguments the full dataset (public/data/cole_parcels.geojson) is joined.
+ * --tiles also joins every tile listed in public/data/tiles.json in place.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readAssessorRoll, indexAssessorRoll, joinAssessorRoll } from "./lib/assessor-roll.mjs";
+
+const workspaceRoot = process.cwd();
+const DEFAULT_GEOJSON = path.join(workspaceRoot, "public", "data", "cole_parcels.geojson");
+const TILES_DIR = path.join(workspaceRoot, "public", "data", "tiles");
+const TILES_MANIFEST = path.join(workspaceRoot, "public", "data", "tiles.json");
+const DEFAULT_REPORT = path.join(workspaceRoot, "reports", "assessor-join-report.json");
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name, fallback) => {
+	const index = args.indexOf(name);
+	return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const reportPath = option("--report", DEFAULT_REPORT);
+const positional = args.filter((arg, index) => !arg.startsWith("--") && args[index - 1] !== "--report");
+const [rollPath, ...geojsonArgs] = positional;
+
+if (!rollPath) {
+	console.error("Usage: node scripts/join-assessor-roll.mjs <roll.csv|roll.dbf> [geojson ...] [--tiles] [--report <path>]");
+	process.exit(1);
+}
+
+if (!fs.existsSync(rollPath)) {
+	console.error("Assessor roll not found:", rollPath);
+	process.exit(1);
+}
+
+const targets = geojsonArgs.length > 0 ? [...geojsonArgs] : [];
+if (flag("--tiles")) {
+	const manifest = JSON.parse(fs.readFileSync(TILES_MANIFEST, "utf-8"));
+	for (const tile of manifest.tiles) {
+		const tilePath = path.join(TILES_DIR, tile.file);
+		if (fs.existsSync(tilePath)) targets.push(tilePath);
+	}
+}
+if (targets.length === 0) targets.push(DEFAULT_GEOJSON);
+
+console.log("📒 Reading assessor roll:", rollPath);
+const rollIndex = indexAssessorRoll(readAssessorRoll(rollPath));
+console.log(`📊 Roll records: ${rollIndex.size}`);
+
+const combined = {
+	generatedAt: new Date().toISOString(),
+	roll: rollPath,
+	files: [],
+	unmatchedParcels: [],
+};
+const matchedRollPids = new Set();
+
+for (const target of targets) {
+	if (!fs.existsSync(target)) {
+		console.warn("  ⚠️ Skipping missing file:", target);
+		continue;
+	}
+
+	const data = JSON.parse(fs.readFileSync(target, "utf-8"));
+	if (!data || data.type !== "FeatureCollection") {
+		console.warn("  ⚠️ Skipping non-FeatureCollection:", target);
+		continue;
+	}
+
+	const { features, report } = joinAssessorRoll(data.features, rollIndex);
+	fs.writeFileSync(target, JSON.stringify({ ...data, features }));
+
+	const unmatchedInFile = new Set(report.unmatchedRollPids);
+	for (const pid of rollIndex.keys()) {
+		if (!unmatchedInFile.has(pid)) matchedRollPids.add(pid);
+	}
+
+	combined.files.push({
+		file: path.relative(workspaceRoot, target),
+		parcels: report.parcels,
+		matched: report.matched,
+		matchedByPid: report.matchedByPid,
+		matchedByOldPid: report.matchedByOldPid,
+		unmatched: report.unmatchedParcelCount,
+	});
+	combined.unmatchedParcels.push(
+		...report.unmatchedParcels.map((parcel) => ({ ...parcel, file: path.relative(workspaceRoot, target) })),
+	);
+
+	console.log(
+		`  ${path.basename(target)}: ${report.matched}/${report.parcels} matched ` +
+			`(${report.matchedByPid} PID, ${report.matchedByOldPid} OLDPID), ${report.unmatchedParcelCount} unmatched`,
+	);
+}
+
+combined.unmatchedRollPids = [...rollIndex.keys()].filter((pid) => !matchedRollPids.has(pid));
+
+fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+fs.writeFileSync(reportPath, JSON.stringify(combined, null, 2));
+
+console.log(`\n✅ Assessor join complete`);
+console.log(`  Unmatched parcels: ${combined.unmatchedParcels.length}`);
+console.log(`  Roll records with no parcel: ${combined.unmatchedRollPids.length}`);
+console.log(`  Report saved to: ${reportPath}`);
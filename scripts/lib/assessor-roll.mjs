@@ -0,0 +1,329 @@
+/**
+ * Assessor roll helpers
+ * Reads a county assessor export (CSV or DBF) and joins its ownership records
+ * onto parcel features by PID, falling back to OLDPID for re-numbered parcels
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseDbf } from "shpjs";
+
+// Candidate column names seen in Missouri assessor exports, in priority order
+const ROLL_FIELDS = {
+	pid: ["PID", "PARCEL_ID", "PARCELID", "PIN", "PARCEL", "PARCEL_NO", "PARCELNUMBER"],
+	owner: ["OWNER", "OWNER_NAME", "OWNERNAME", "OWNER1", "OWN_NAME", "TAXPAYER"],
+	owner2: ["OWNER2", "OWNER_NAME2", "CO_OWNER", "OWN_NAME2"],
+	mailAddress: ["MAIL_ADDR", "MAIL_ADDRESS", "MAILING_ADDRESS", "MAIL_ADDR1", "MAILADDR", "OWNER_ADDR"],
+	mailCity: ["MAIL_CITY", "MAILING_CITY", "OWNER_CITY", "CITY"],
+	mailState: ["MAIL_STATE", "MAILING_STATE", "OWNER_STATE", "STATE"],
+	mailZip: ["MAIL_ZIP", "MAILING_ZIP", "OWNER_ZIP", "ZIP", "ZIPCODE"],
+	situsAddress: ["SITUS", "SITUS_ADDR", "SITUS_ADDRESS", "PROP_ADDR", "PROPERTY_ADDRESS"],
+	assessedValue: ["ASSESSED_VALUE", "TOTAL_ASSESSED", "ASSESSED", "ASSD_VAL", "TOT_ASSD"],
+	marketValue: ["MARKET_VALUE", "APPRAISED_VALUE", "TOTAL_MARKET", "APPRAISED", "MKT_VAL"],
+	saleDate: ["SALE_DATE", "SALEDATE", "DEED_DATE", "LAST_SALE_DATE"],
+	salePrice: ["SALE_PRICE", "SALEPRICE", "SALE_AMT", "LAST_SALE_PRICE"],
+	saleBook: ["BOOK", "DEED_BOOK", "SALE_BOOK"],
+	salePage: ["PAGE", "DEED_PAGE", "SALE_PAGE"],
+};
+
+// Numbered sale columns, e.g. SALE_DATE1 / SALE_PRICE1 ... SALE_DATE5
+const MAX_NUMBERED_SALES = 5;
+
+/**
+ * Normalize a parcel number so "09-05-22-0000-00-3005" and "0905220000003005" match
+ * @param {*} value - Raw PID value
+ * @returns {string|null} Digits/letters only, upper-cased
+ */
+export const normalizePid = (value) => {
+	if (value === null || value === undefined) return null;
+	const normalized = String(value).toUpperCase().replace(/[^0-9A-Z]/g, "");
+	return normalized.length > 0 ? normalized : null;
+};
+
+const pick = (row, candidates) => {
+	for (const name of candidates) {
+		const value = row[name];
+		if (value === undefined || value === null) continue;
+		const text = typeof value === "string" ? value.trim() : value;
+		if (text !== "") return text;
+	}
+	return null;
+};
+
+const toNumber = (value) => {
+	if (value === null || value === undefined || value === "") return null;
+	const number = typeof value === "number" ? value : Number(String(value).replace(/[$,\s]/g, ""));
+	return Number.isFinite(number) ? number : null;
+};
+
+const toIsoDate = (value) => {
+	if (!value) return null;
+	if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+
+	const text = String(value).trim();
+	// DBF dates come through as YYYYMMDD
+	const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+	if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+
+	const parsed = new Date(text);
+	return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into an array of row objects keyed by upper-cased header
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>} Rows
+ */
+export const parseCsv = (text) => {
+	const records = [];
+	let record = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+			continue;
+		}
+
+		if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			record.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			record.push(field);
+			records.push(record);
+			record = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	if (field !== "" || record.length > 0) {
+		record.push(field);
+		records.push(record);
+	}
+
+	const [header, ...body] = records.filter((r) => r.some((value) => value.trim() !== ""));
+	if (!header) return [];
+
+	const columns = header.map((name) => name.replace(/^\uFEFF/, "").trim().toUpperCase());
+	return body.map((values) => {
+		const row = {};
+		columns.forEach((column, index) => {
+			row[column] = values[index] ?? "";
+		});
+		return row;
+	});
+};
+
+/**
+ * Read an assessor roll from disk
+ * @param {string} rollPath - Path to a .csv or .dbf export
+ * @returns {Array<Object>} Rows keyed by upper-cased column name
+ */
+export const readAssessorRoll = (rollPath) => {
+	const extension = path.extname(rollPath).toLowerCase();
+
+	if (extension === ".csv" || extension === ".txt") {
+		return parseCsv(fs.readFileSync(rollPath, "utf-8"));
+	}
+
+	if (extension === ".dbf") {
+		const cpgPath = rollPath.replace(/\.dbf$/i, ".cpg");
+		const cpg = fs.existsSync(cpgPath) ? fs.readFileSync(cpgPath, "utf-8") : undefined;
+		const rows = parseDbf(fs.readFileSync(rollPath), cpg);
+		return rows.map((row) => {
+			const upper = {};
+			for (const [key, value] of Object.entries(row)) {
+				upper[key.toUpperCase()] = value;
+			}
+			return upper;
+		});
+	}
+
+	throw new Error(`Unsupported assessor roll format "${extension}" (expected .csv or .dbf)`);
+};
+
+const readSales = (row) => {
+	const sales = [];
+
+	const single = {
+		date: toIsoDate(pick(row, ROLL_FIELDS.saleDate)),
+		price: toNumber(pick(row, ROLL_FIELDS.salePrice)),
+		book: pick(row, ROLL_FIELDS.saleBook),
+		page: pick(row, ROLL_FIELDS.salePage),
+	};
+	if (single.date || single.price) sales.push(single);
+
+	for (let n = 1; n <= MAX_NUMBERED_SALES; n++) {
+		const date = toIsoDate(pick(row, [`SALE_DATE${n}`, `SALEDATE${n}`, `SALE${n}_DATE`]));
+		const price = toNumber(pick(row, [`SALE_PRICE${n}`, `SALEPRICE${n}`, `SALE${n}_PRICE`]));
+		if (date || price) {
+			sales.push({
+				date,
+				price,
+				book: pick(row, [`BOOK${n}`, `DEED_BOOK${n}`]),
+				page: pick(row, [`PAGE${n}`, `DEED_PAGE${n}`]),
+			});
+		}
+	}
+
+	return sales;
+};
+
+const formatMailingAddress = (record) => {
+	const cityLine = [record.mailCity, [record.mailState, record.mailZip].filter(Boolean).join(" ")]
+		.filter(Boolean)
+		.join(", ");
+	const full = [record.mailAddress, cityLine].filter(Boolean).join(", ");
+	return full || null;
+};
+
+/**
+ * Collapse roll rows into one ownership record per normalized PID.
+ * Rolls that list one row per sale are merged into a single sale history.
+ * @param {Array<Object>} rows - Rows from readAssessorRoll
+ * @returns {Map<string, Object>} Normalized PID -> ownership record
+ */
+export const indexAssessorRoll = (rows) => {
+	const index = new Map();
+
+	for (const row of rows) {
+		const pid = normalizePid(pick(row, ROLL_FIELDS.pid));
+		if (!pid) continue;
+
+		const sales = readSales(row);
+		const existing = index.get(pid);
+		if (existing) {
+			existing.sales.push(...sales);
+			continue;
+		}
+
+		const owner = pick(row, ROLL_FIELDS.owner);
+		const owner2 = pick(row, ROLL_FIELDS.owner2);
+		const mailZip = pick(row, ROLL_FIELDS.mailZip);
+
+		index.set(pid, {
+			pid,
+			owner: owner ? String(owner) : null,
+			owner2: owner2 ? String(owner2) : null,
+			mailAddress: pick(row, ROLL_FIELDS.mailAddress),
+			mailCity: pick(row, ROLL_FIELDS.mailCity),
+			mailState: pick(row, ROLL_FIELDS.mailState),
+			mailZip: mailZip !== null ? String(mailZip) : null,
+			situsAddress: pick(row, ROLL_FIELDS.situsAddress),
+			assessedValue: toNumber(pick(row, ROLL_FIELDS.assessedValue)),
+			marketValue: toNumber(pick(row, ROLL_FIELDS.marketValue)),
+			sales,
+		});
+	}
+
+	for (const record of index.values()) {
+		const seen = new Set();
+		record.sales = record.sales
+			.filter((sale) => {
+				const key = `${sale.date}|${sale.price}|${sale.book}|${sale.page}`;
+				if (seen.has(key)) return false;
+				seen.add(key);
+				return true;
+			})
+			.sort((a, b) => String(b.date ?? "").localeCompare(String(a.date ?? "")));
+	}
+
+	return index;
+};
+
+/**
+ * Join assessor ownership records onto parcel features
+ * @param {Array<Object>} features - GeoJSON parcel features (must carry PID and/or OLDPID)
+ * @param {Map<string, Object>} rollIndex - Output of indexAssessorRoll
+ * @returns {{ features: Array<Object>, report: Object }} Joined features and a match report
+ */
+export const joinAssessorRoll = (features, rollIndex) => {
+	const matchedPids = new Set();
+	const unmatchedParcels = [];
+	let matchedByPid = 0;
+	let matchedByOldPid = 0;
+
+	const joined = features.map((feature) => {
+		const properties = feature.properties ?? {};
+		const pid = normalizePid(properties.PID);
+		const oldPid = normalizePid(properties.OLDPID);
+
+		let record = pid ? rollIndex.get(pid) : null;
+		let matchedOn = record ? "PID" : null;
+		if (!record && oldPid) {
+			record = rollIndex.get(oldPid);
+			matchedOn = record ? "OLDPID" : null;
+		}
+
+		if (!record) {
+			unmatchedParcels.push({
+				PID: properties.PID ?? null,
+				OLDPID: properties.OLDPID ?? null,
+				PARCELNUM: properties.PARCELNUM ?? null,
+			});
+			return feature;
+		}
+
+		matchedPids.add(record.pid);
+		if (matchedOn === "PID") matchedByPid++;
+		else matchedByOldPid++;
+
+		const owner = [record.owner, record.owner2].filter(Boolean).join(" & ") || null;
+		const lastSale = record.sales[0] ?? null;
+
+		return {
+			...feature,
+			properties: {
+				...properties,
+				OWNER: owner,
+				OWNER_NAME: owner,
+				PARCEL_ID: properties.PID ?? properties.PARCEL_ID,
+				SITUS_ADDRESS: record.situsAddress,
+				MAIL_ADDRESS: record.mailAddress,
+				MAIL_CITY: record.mailCity,
+				MAIL_STATE: record.mailState,
+				MAIL_ZIP: record.mailZip,
+				MAILING_ADDRESS: formatMailingAddress(record),
+				ASSESSED_VALUE: record.assessedValue,
+				MARKET_VALUE: record.marketValue,
+				LAST_SALE_DATE: lastSale?.date ?? null,
+				LAST_SALE_PRICE: lastSale?.price ?? null,
+				SALE_HISTORY: record.sales,
+				ASSESSOR_MATCH: matchedOn,
+			},
+		};
+	});
+
+	const unmatchedRollPids = [...rollIndex.keys()].filter((pid) => !matchedPids.has(pid));
+
+	return {
+		features: joined,
+		report: {
+			generatedAt: new Date().toISOString(),
+			parcels: features.length,
+			rollRecords: rollIndex.size,
+			matched: matchedByPid + matchedByOldPid,
+			matchedByPid,
+			matchedByOldPid,
+			unmatchedParcelCount: unmatchedParcels.length,
+			unmatchedRollCount: unmatchedRollPids.length,
+			unmatchedParcels,
+			unmatchedRollPids,
+		},
+	};
+};
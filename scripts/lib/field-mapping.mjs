@@ -0,0 +1,189 @@
+/**
+ * Field-mapping profiles
+ * Declarative per-county JSON that says which source attributes become the app's parcel fields
+ * (OWNER, PARCEL_ID, ACRES_CALC, SITUS_ADDRESS, ...), with simple value transforms.
+ *
+ * Profile shape:
+ * {
+ *   "name": "Cole County, MO",
+ *   "keepSourceFields": true,
+ *   "fields": {
+ *     "PARCEL_ID": { "from": ["PID", "PARCEL_ID"], "transform": ["trim"], "default": "N/A" },
+ *     "ACRES_CALC": { "from": ["SHAPE_AREA"], "transform": [{ "convert": "sqft_to_acres" }, { "round": 3 }] },
+ *     "SITUS_ADDRESS": { "concat": ["SITUS_NUM", "SITUS_ST"], "separator": " " },
+ *     "OWNER_NAME": { "field": "OWNER" },
+ *     "STATE": { "value": "MO" }
+ *   }
+ * }
+ *
+ * "from" takes the first non-empty candidate, "concat" joins the non-empty parts, "field" copies an
+ * already-mapped output field and "value" is a constant. Fields are evaluated in the order listed.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const PROFILES_DIR = path.join(process.cwd(), "scripts", "profiles");
+
+const UNIT_CONVERSIONS = {
+	sqft_to_acres: 1 / 43560,
+	sqm_to_acres: 1 / 4046.8564224,
+	hectares_to_acres: 2.4710538147,
+	acres_to_sqft: 43560,
+	feet_to_meters: 0.3048,
+	meters_to_feet: 1 / 0.3048,
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const toNumber = (value) => {
+	if (isEmpty(value)) return null;
+	const number = typeof value === "number" ? value : Number(String(value).replace(/[$,\s]/g, ""));
+	return Number.isFinite(number) ? number : null;
+};
+
+const mapText = (value, fn) => (typeof value === "string" ? fn(value) : value);
+
+// Named transforms take no arguments; object transforms carry one, e.g. { "round": 2 }
+const NAMED_TRANSFORMS = {
+	trim: (value) => mapText(value, (text) => text.trim()),
+	upper: (value) => mapText(value, (text) => text.toUpperCase()),
+	lower: (value) => mapText(value, (text) => text.toLowerCase()),
+	collapseWhitespace: (value) => mapText(value, (text) => text.replace(/\s+/g, " ").trim()),
+	titleCase: (value) => mapText(value, (text) => text.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase())),
+	number: toNumber,
+	string: (value) => (isEmpty(value) ? value : String(value)),
+};
+
+const ARG_TRANSFORMS = {
+	round: (value, digits) => {
+		const number = toNumber(value);
+		if (number === null) return null;
+		const factor = 10 ** digits;
+		return Math.round(number * factor) / factor;
+	},
+	multiply: (value, factor) => {
+		const number = toNumber(value);
+		return number === null ? null : number * factor;
+	},
+	convert: (value, unit) => {
+		const number = toNumber(value);
+		return number === null ? null : number * UNIT_CONVERSIONS[unit];
+	},
+	replace: (value, [pattern, replacement]) => mapText(value, (text) => text.replace(new RegExp(pattern, "g"), replacement)),
+	prefix: (value, prefix) => (isEmpty(value) ? value : `${prefix}${value}`),
+	suffix: (value, suffix) => (isEmpty(value) ? value : `${value}${suffix}`),
+};
+
+const validateTransform = (transform, where) => {
+	if (typeof transform === "string") {
+		if (!NAMED_TRANSFORMS[transform]) throw new Error(`${where}: unknown transform "${transform}"`);
+		return;
+	}
+
+	const [name, ...rest] = Object.keys(transform ?? {});
+	if (!name || rest.length > 0 || !ARG_TRANSFORMS[name]) {
+		throw new Error(`${where}: transform must be a name or a single-key object, got ${JSON.stringify(transform)}`);
+	}
+	if (name === "convert" && !UNIT_CONVERSIONS[transform.convert]) {
+		throw new Error(`${where}: unknown unit conversion "${transform.convert}"`);
+	}
+	if (name === "replace" && (!Array.isArray(transform.replace) || transform.replace.length !== 2)) {
+		throw new Error(`${where}: "replace" expects [pattern, replacement]`);
+	}
+};
+
+/**
+ * Check a profile's structure, throwing on the first problem
+ * @param {Object} profile - Parsed profile JSON
+ * @param {string} source - Profile path, for error messages
+ * @returns {Object} The same profile
+ */
+export const validateProfile = (profile, source = "profile") => {
+	if (!profile || typeof profile.fields !== "object" || Array.isArray(profile.fields)) {
+		throw new Error(`${source}: "fields" must be an object of output field -> mapping`);
+	}
+
+	for (const [field, spec] of Object.entries(profile.fields)) {
+		const where = `${source} fields.${field}`;
+		const kinds = ["from", "concat", "field", "value"].filter((kind) => spec?.[kind] !== undefined);
+		if (kinds.length !== 1) {
+			throw new Error(`${where}: expected exactly one of "from", "concat", "field" or "value"`);
+		}
+		for (const transform of spec.transform ?? []) {
+			validateTransform(transform, where);
+		}
+	}
+
+	return profile;
+};
+
+/**
+ * Resolve a --profile argument: a bare name ("cole") is looked up in scripts/profiles/, anything else is a path
+ * @param {string} nameOrPath - Profile name or JSON path
+ * @returns {string} Absolute profile path
+ */
+export const resolveProfilePath = (nameOrPath) =>
+	nameOrPath.endsWith(".json") || nameOrPath.includes("/") || nameOrPath.includes("\\")
+		? path.resolve(nameOrPath)
+		: path.join(PROFILES_DIR, `${nameOrPath}.json`);
+
+/**
+ * Load and validate a field-mapping profile
+ * @param {string} nameOrPath - Profile name or JSON path
+ * @returns {Object} Profile
+ */
+export const loadProfile = (nameOrPath) => {
+	const profilePath = resolveProfilePath(nameOrPath);
+	if (!fs.existsSync(profilePath)) {
+		throw new Error(`Field-mapping profile not found: ${profilePath}`);
+	}
+	return validateProfile(JSON.parse(fs.readFileSync(profilePath, "utf-8")), profilePath);
+};
+
+const pick = (properties, candidates) => {
+	for (const name of [].concat(candidates)) {
+		if (!isEmpty(properties?.[name])) return properties[name];
+	}
+	return null;
+};
+
+const applyTransforms = (value, transforms = []) =>
+	transforms.reduce((current, transform) => {
+		if (typeof transform === "string") return NAMED_TRANSFORMS[transform](current);
+		const [name] = Object.keys(transform);
+		return ARG_TRANSFORMS[name](current, transform[name]);
+	}, value);
+
+/**
+ * Build a property mapper for a profile
+ * @param {Object} profile - Validated profile
+ * @returns {(properties: Object) => Object} Maps source attributes to normalized parcel properties
+ */
+export const createPropertyMapper = (profile) => {
+	const entries = Object.entries(profile.fields);
+	const keepSourceFields = profile.keepSourceFields !== false;
+
+	return (properties) => {
+		const mapped = {};
+
+		for (const [field, spec] of entries) {
+			let value;
+			if (spec.from !== undefined) {
+				value = pick(properties, spec.from);
+			} else if (spec.concat !== undefined) {
+				const parts = spec.concat.map((part) => pick(properties, part)).filter((part) => !isEmpty(part));
+				value = parts.length > 0 ? parts.map(String).join(spec.separator ?? " ") : null;
+			} else if (spec.field !== undefined) {
+				value = mapped[spec.field] ?? null;
+			} else {
+				value = spec.value;
+			}
+
+			value = applyTransforms(value, spec.transform);
+			mapped[field] = isEmpty(value) ? (spec.default ?? null) : value;
+		}
+
+		return keepSourceFields ? { ...properties, ...mapped } : mapped;
+	};
+};
@@ -0,0 +1,159 @@
+/**
+ * Geometry encodings used by parcel sources
+ * WKT (CSV exports), WKB and GeoPackage binary geometry, decoded to GeoJSON geometries.
+ * Z/M ordinates are dropped - parcels are 2D.
+ */
+
+const WKT_TYPES = {
+	POINT: "Point",
+	LINESTRING: "LineString",
+	POLYGON: "Polygon",
+	MULTIPOINT: "MultiPoint",
+	MULTILINESTRING: "MultiLineString",
+	MULTIPOLYGON: "MultiPolygon",
+};
+
+const WKB_TYPES = ["Geometry", "Point", "LineString", "Polygon", "MultiPoint", "MultiLineString", "MultiPolygon"];
+
+// Keep x/y of every position in a nested coordinate array
+const to2d = (coords) => (typeof coords[0] === "number" ? coords.slice(0, 2) : coords.map(to2d));
+
+/**
+ * Parse WKT or EWKT ("SRID=26915;POLYGON ((...))")
+ * @param {string} text - Well-known text
+ * @returns {{ geometry: Object|null, srid: number|null }} GeoJSON geometry (null for EMPTY) and EWKT SRID
+ */
+export const parseWkt = (text) => {
+	let wkt = String(text ?? "").trim();
+	let srid = null;
+
+	const sridMatch = wkt.match(/^SRID=(\d+);/i);
+	if (sridMatch) {
+		srid = Number(sridMatch[1]);
+		wkt = wkt.slice(sridMatch[0].length);
+	}
+
+	const match = wkt.match(/^([A-Z]+)\s*(?:ZM|Z|M)?\s*([\s\S]*)$/i);
+	const type = match && WKT_TYPES[match[1].toUpperCase()];
+	if (!type) {
+		throw new Error(`Unsupported WKT geometry: ${wkt.slice(0, 40)}`);
+	}
+
+	const body = match[2].trim();
+	if (body.toUpperCase() === "EMPTY" || body === "") {
+		return { geometry: null, srid };
+	}
+
+	// "(1 2, 3 4)" -> "[[1,2],[3,4]]"
+	const json = body
+		.replace(/(-?[\d.]+(?:e[+-]?\d+)?(?:\s+-?[\d.]+(?:e[+-]?\d+)?)+)/gi, (position) => `[${position.trim().split(/\s+/).join(",")}]`)
+		.replace(/\(/g, "[")
+		.replace(/\)/g, "]");
+
+	let coordinates = JSON.parse(json);
+	if (type === "Point") {
+		coordinates = coordinates[0];
+	} else if (type === "MultiPoint") {
+		// Both "MULTIPOINT (1 2, 3 4)" and "MULTIPOINT ((1 2), (3 4))" are valid
+		coordinates = coordinates.map((point) => (Array.isArray(point[0]) ? point[0] : point));
+	}
+
+	return { geometry: { type, coordinates: to2d(coordinates) }, srid };
+};
+
+/**
+ * Decode a WKB geometry (ISO or PostGIS EWKB)
+ * @param {Uint8Array} bytes - WKB bytes
+ * @param {number} offset - Start offset
+ * @returns {{ geometry: Object|null, srid: number|null }}
+ */
+export const parseWkb = (bytes, offset = 0) => {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let position = offset;
+	let srid = null;
+
+	const readGeometry = () => {
+		const littleEndian = view.getUint8(position) === 1;
+		position += 1;
+		let typeCode = view.getUint32(position, littleEndian);
+		position += 4;
+
+		// EWKB flags
+		let dimensions = 2;
+		if (typeCode & 0x80000000) dimensions++;
+		if (typeCode & 0x40000000) dimensions++;
+		if (typeCode & 0x20000000) {
+			srid = view.getUint32(position, littleEndian);
+			position += 4;
+		}
+		typeCode &= 0x0fffffff;
+
+		// ISO: 1000 = Z, 2000 = M, 3000 = ZM
+		const isoDimensions = Math.floor(typeCode / 1000);
+		if (isoDimensions === 1 || isoDimensions === 2) dimensions = 3;
+		if (isoDimensions === 3) dimensions = 4;
+		const type = WKB_TYPES[typeCode % 1000];
+		if (!type || type === "Geometry") {
+			throw new Error(`Unsupported WKB geometry type ${typeCode}`);
+		}
+
+		const readDouble = () => {
+			const value = view.getFloat64(position, littleEndian);
+			position += 8;
+			return value;
+		};
+		const readCount = () => {
+			const value = view.getUint32(position, littleEndian);
+			position += 4;
+			return value;
+		};
+		const readPoint = () => {
+			const point = [readDouble(), readDouble()];
+			position += (dimensions - 2) * 8;
+			return point;
+		};
+		const readPoints = () => Array.from({ length: readCount() }, readPoint);
+		const readRings = () => Array.from({ length: readCount() }, readPoints);
+		const readParts = () => Array.from({ length: readCount() }, () => readGeometry()?.coordinates);
+
+		switch (type) {
+			case "Point": {
+				const point = readPoint();
+				return Number.isNaN(point[0]) ? null : { type, coordinates: point };
+			}
+			case "LineString":
+				return { type, coordinates: readPoints() };
+			case "Polygon":
+				return { type, coordinates: readRings() };
+			default:
+				return { type, coordinates: readParts().filter(Boolean) };
+		}
+	};
+
+	const geometry = readGeometry();
+	const isEmpty = !geometry || geometry.coordinates.length === 0;
+	return { geometry: isEmpty ? null : geometry, srid };
+};
+
+/**
+ * Decode a GeoPackage geometry blob (GP header + WKB)
+ * @param {Uint8Array} blob - Column value
+ * @returns {{ geometry: Object|null, srid: number|null }}
+ */
+export const parseGpkgGeometry = (blob) => {
+	if (!blob || blob.length < 8 || blob[0] !== 0x47 || blob[1] !== 0x50) {
+		throw new Error("Not a GeoPackage geometry blob");
+	}
+
+	const flags = blob[3];
+	const littleEndian = (flags & 0x01) === 1;
+	const envelopeBytes = [0, 32, 48, 48, 64][(flags >> 1) & 0x07] ?? 0;
+	const srid = new DataView(blob.buffer, blob.byteOffset + 4, 4).getInt32(0, littleEndian);
+
+	// Empty-geometry flag
+	if (flags & 0x10) {
+		return { geometry: null, srid };
+	}
+
+	return { geometry: parseWkb(blob, 8 + envelopeBytes).geometry, srid };
+};
@@ -0,0 +1,331 @@
+/**
+ * Parcel geometry validation and repair
+ * Finds the problems that break tiling and point-in-polygon lookups - empty geometries, unclosed rings,
+ * duplicate vertices, wrong winding, self-intersections and coordinates outside the county - and,
+ * when asked, repairs them. Every finding is recorded in a machine-readable report.
+ */
+
+import { getGeometryBbox, isPointInGeometry } from "../../src/utils/geometry.js";
+
+export const ISSUE_TYPES = [
+	"emptyGeometry",
+	"unsupportedType",
+	"invalidCoordinates",
+	"unclosedRing",
+	"duplicateVertices",
+	"degenerateRing",
+	"wrongWinding",
+	"selfIntersection",
+	"outsideBounds",
+	"partiallyOutsideBounds",
+];
+
+// Rings smaller than this (in square degrees, roughly 0.01 m²) are slivers
+const MIN_RING_AREA = 1e-12;
+const MAX_SPLITS = 50;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const isValidPosition = (position) =>
+	Array.isArray(position) &&
+	Number.isFinite(position[0]) &&
+	Number.isFinite(position[1]) &&
+	Math.abs(position[0]) <= 180 &&
+	Math.abs(position[1]) <= 90;
+
+// Shoelace area; positive for counter-clockwise rings
+const signedArea = (ring) => {
+	let area = 0;
+	for (let i = 0; i < ring.length - 1; i++) {
+		area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+	}
+	return area / 2;
+};
+
+const removeDuplicateVertices = (ring) =>
+	ring.filter((position, i) => i === 0 || !samePosition(position, ring[i - 1])).map((p) => [p[0], p[1]]);
+
+const closeRing = (ring) => (ring.length > 0 && !samePosition(ring[0], ring[ring.length - 1]) ? [...ring, ring[0]] : ring);
+
+const isDegenerate = (ring) => ring.length < 4 || Math.abs(signedArea(ring)) < MIN_RING_AREA;
+
+// Intersection of segments p1-p2 and p3-p4, or null
+const segmentIntersection = (p1, p2, p3, p4) => {
+	const d1x = p2[0] - p1[0];
+	const d1y = p2[1] - p1[1];
+	const d2x = p4[0] - p3[0];
+	const d2y = p4[1] - p3[1];
+	const denominator = d1x * d2y - d1y * d2x;
+
+	if (denominator === 0) {
+		// Parallel; collinear overlap counts as an intersection at the first shared point
+		const cross = (p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x;
+		if (cross !== 0) return null;
+		const lengthSq = d1x * d1x + d1y * d1y;
+		for (const point of [p3, p4]) {
+			const t = ((point[0] - p1[0]) * d1x + (point[1] - p1[1]) * d1y) / lengthSq;
+			if (t >= 0 && t <= 1) return [point[0], point[1]];
+		}
+		return null;
+	}
+
+	const t = ((p3[0] - p1[0]) * d2y - (p3[1] - p1[1]) * d2x) / denominator;
+	const u = ((p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x) / denominator;
+	if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+	return [p1[0] + t * d1x, p1[1] + t * d1y];
+};
+
+/**
+ * First pair of non-adjacent segments of a closed ring that touch or cross
+ * Segments are swept by minimum longitude so only overlapping neighbours are compared.
+ * @param {Array<[number, number]>} ring - Closed, de-duplicated ring
+ * @returns {{ i: number, j: number, point: [number, number] }|null} Segment indexes (i < j) and the crossing
+ */
+const findSelfIntersection = (ring) => {
+	const count = ring.length - 1;
+	const segments = [];
+	for (let k = 0; k < count; k++) {
+		const a = ring[k];
+		const b = ring[k + 1];
+		segments.push({
+			k,
+			minX: Math.min(a[0], b[0]),
+			maxX: Math.max(a[0], b[0]),
+			minY: Math.min(a[1], b[1]),
+			maxY: Math.max(a[1], b[1]),
+		});
+	}
+	segments.sort((a, b) => a.minX - b.minX);
+
+	for (let s = 0; s < segments.length; s++) {
+		const first = segments[s];
+		for (let t = s + 1; t < segments.length && segments[t].minX <= first.maxX; t++) {
+			const second = segments[t];
+			if (second.minY > first.maxY || second.maxY < first.minY) continue;
+
+			const i = Math.min(first.k, second.k);
+			const j = Math.max(first.k, second.k);
+			// Adjacent segments share a vertex by construction
+			if (j === i + 1 || (i === 0 && j === count - 1)) continue;
+
+			const point = segmentIntersection(ring[i], ring[i + 1], ring[j], ring[j + 1]);
+			if (point) return { i, j, point };
+		}
+	}
+
+	return null;
+};
+
+// Split a self-intersecting ring at each crossing into simple rings (a bow-tie becomes two triangles)
+const splitSelfIntersections = (ring, depth = 0) => {
+	const crossing = findSelfIntersection(ring);
+	if (!crossing || depth >= MAX_SPLITS) return [ring];
+
+	const { i, j, point } = crossing;
+	const pieces = [
+		[...ring.slice(0, i + 1), point, ...ring.slice(j + 1)],
+		[point, ...ring.slice(i + 1, j + 1), point],
+	];
+
+	return pieces
+		.map((piece) => closeRing(removeDuplicateVertices(piece)))
+		.filter((piece) => !isDegenerate(piece))
+		.flatMap((piece) => splitSelfIntersections(piece, depth + 1));
+};
+
+const orient = (ring, counterClockwise) => ((signedArea(ring) > 0) === counterClockwise ? ring : [...ring].reverse());
+
+/**
+ * Check one ring, returning its cleaned piece(s) or null when nothing usable is left
+ * @param {Array<[number, number]>} ring - Ring positions
+ * @param {boolean} isExterior - Exterior rings wind counter-clockwise, holes clockwise (RFC 7946)
+ * @param {Set<string>} issues - Collects issue names
+ * @returns {Array<Array>|null} Rings (a split self-intersecting ring yields several)
+ */
+const checkRing = (ring, isExterior, issues) => {
+	if (!Array.isArray(ring) || ring.length === 0) {
+		issues.add("degenerateRing");
+		return null;
+	}
+
+	if (!samePosition(ring[0], ring[ring.length - 1])) issues.add("unclosedRing");
+
+	const deduped = removeDuplicateVertices(ring);
+	if (deduped.length !== ring.length) issues.add("duplicateVertices");
+
+	const closed = closeRing(deduped);
+	if (closed.length < 4) {
+		issues.add("degenerateRing");
+		return null;
+	}
+
+	// A bow-tie's halves cancel out in the signed area, so split before judging size or winding
+	if (findSelfIntersection(closed)) {
+		issues.add("selfIntersection");
+		const pieces = splitSelfIntersections(closed);
+		return pieces.length > 0 ? pieces.map((piece) => orient(piece, isExterior)) : null;
+	}
+
+	if (isDegenerate(closed)) {
+		issues.add("degenerateRing");
+		return null;
+	}
+
+	if (signedArea(closed) > 0 !== isExterior) issues.add("wrongWinding");
+	return [orient(closed, isExterior)];
+};
+
+/**
+ * Check one Polygon's rings, returning the cleaned polygon(s)
+ * @param {Array<Array>} polygon - Polygon coordinates (exterior ring first)
+ * @param {Set<string>} issues - Collects issue names
+ * @returns {Array<Array>} Repaired polygons (a split exterior ring yields several)
+ */
+const checkPolygon = (polygon, issues) => {
+	const [exterior, ...holes] = polygon;
+	const shells = checkRing(exterior, true, issues);
+	const holeRings = holes.flatMap((hole) => checkRing(hole, false, issues) ?? []);
+
+	// Losing the exterior ring loses the polygon
+	if (!shells || shells.length === 0) return [];
+
+	// Give each hole to the exterior piece that contains it
+	return shells.map((shell) => [
+		shell,
+		...holeRings.filter((hole) => isPointInGeometry(hole[0], { type: "Polygon", coordinates: [shell] })),
+	]);
+};
+
+const getFeatureId = (feature) =>
+	feature?.properties?.PID ?? feature?.properties?.GlobalID ?? feature?.properties?.PARCEL_ID ?? feature?.id ?? null;
+
+/**
+ * Validate (and optionally repair) one feature
+ * @param {Object} feature - GeoJSON feature
+ * @param {Object} options - { bounds, repair }
+ * @returns {{ feature: Object|null, issues: Array<string>, action: string|null }}
+ */
+export const validateFeature = (feature, { bounds = null, repair = false } = {}) => {
+	const issues = new Set();
+	const geometry = feature?.geometry;
+
+	const drop = (issue) => {
+		issues.add(issue);
+		return { feature: null, issues: [...issues], action: "dropped" };
+	};
+
+	if (!geometry || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+		return drop("emptyGeometry");
+	}
+	if (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon") {
+		return drop("unsupportedType");
+	}
+
+	const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+	if (!polygons.flat(2).every(isValidPosition)) {
+		return drop("invalidCoordinates");
+	}
+
+	// No ring survives cleaning - unusable, so dropped even without repair
+	const repaired = polygons.flatMap((polygon) => checkPolygon(polygon, issues));
+	if (repaired.length === 0) {
+		return drop("emptyGeometry");
+	}
+
+	const repairedGeometry =
+		repaired.length === 1 ? { type: "Polygon", coordinates: repaired[0] } : { type: "MultiPolygon", coordinates: repaired };
+
+	if (bounds) {
+		const [minLng, minLat, maxLng, maxLat] = getGeometryBbox(repairedGeometry);
+		if (maxLng < bounds.minLng || minLng > bounds.maxLng || maxLat < bounds.minLat || minLat > bounds.maxLat) {
+			issues.add("outsideBounds");
+			if (repair) return drop("outsideBounds");
+		} else if (minLng < bounds.minLng || maxLng > bounds.maxLng || minLat < bounds.minLat || maxLat > bounds.maxLat) {
+			issues.add("partiallyOutsideBounds");
+		}
+	}
+
+	if (issues.size === 0) {
+		return { feature, issues: [], action: null };
+	}
+
+	// Straddling the county line is reported but is not something to repair
+	const repairable = [...issues].some((issue) => issue !== "partiallyOutsideBounds");
+	if (!repair || !repairable) {
+		return { feature, issues: [...issues], action: "flagged" };
+	}
+
+	return {
+		feature: {
+			...feature,
+			geometry: geometry.bbox ? { ...repairedGeometry, bbox: getGeometryBbox(repairedGeometry) } : repairedGeometry,
+		},
+		issues: [...issues],
+		action: "repaired",
+	};
+};
+
+/**
+ * Validate a feature list
+ * @param {Array<Object>} features - WGS84 GeoJSON features
+ * @param {Object} options - { bounds: county bounds, repair: apply repairs, source: label for the report }
+ * @returns {{ features: Array<Object>, report: Object }} Kept features and the validation report
+ */
+export const validateFeatures = (features, { bounds = null, repair = false, source = null } = {}) => {
+	const issueCounts = Object.fromEntries(ISSUE_TYPES.map((issue) => [issue, 0]));
+	const problems = [];
+	const kept = [];
+	let repairedCount = 0;
+	let droppedCount = 0;
+
+	features.forEach((feature, index) => {
+		const result = validateFeature(feature, { bounds, repair });
+		if (result.feature) kept.push(result.feature);
+		if (!result.action) return;
+
+		for (const issue of result.issues) issueCounts[issue]++;
+		if (result.action === "repaired") repairedCount++;
+		if (result.action === "dropped") droppedCount++;
+		problems.push({ index, id: getFeatureId(feature), issues: result.issues, action: result.action });
+	});
+
+	return {
+		features: kept,
+		report: {
+			generatedAt: new Date().toISOString(),
+			source,
+			repair,
+			bounds,
+			features: features.length,
+			valid: features.length - problems.length,
+			flagged: problems.length - repairedCount - droppedCount,
+			repaired: repairedCount,
+			dropped: droppedCount,
+			issueCounts,
+			problems,
+		},
+	};
+};
+
+/**
+ * One-line summary of a validation report for console output
+ * @param {Object} report - From validateFeatures
+ * @returns {string}
+ */
+export const summarizeValidation = (report) => {
+	const counts = Object.entries(report.issueCounts)
+		.filter(([, count]) => count > 0)
+		.map(([issue, count]) => `${issue}: ${count}`)
+		.join(", ");
+	return `${report.valid}/${report.features} valid, ${report.flagged} flagged, ${report.repaired} repaired, ${report.dropped} dropped${counts ? ` (${counts})` : ""}`;
+};
+
+/**
+ * Does a run look like a projection problem (every polygon invalid or outside the county)?
+ * @param {Object} report - From validateFeatures
+ * @returns {boolean}
+ */
+export const looksUnprojected = (report) => {
+	const withGeometry = report.features - report.issueCounts.emptyGeometry - report.issueCounts.unsupportedType;
+	return withGeometry > 0 && report.issueCounts.invalidCoordinates + report.issueCounts.outsideBounds >= withGeometry;
+};
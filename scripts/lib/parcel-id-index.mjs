@@ -0,0 +1,99 @@
+/**
+ * Parcel ID index writer
+ * Maps every parcel ID in a county's tile set (PID, OLDPID, PARCEL_ID - see src/utils/parcelIds.js) to the
+ * parcel's extent and the tiles holding it, so /api/parcels/lookup can resolve a typed ID by reading one tile.
+ *
+ * Index (version 1):
+ * {
+ *   county, version: 1, fields,
+ *   tiles: ["tile_0.geojson", ...],
+ *   parcels: [{ key, ids: { PID, OLDPID, ... }, bbox: [w, s, e, n], tiles: [tile position, ...] }],
+ *   ids: { "<normalized id>": [parcel position, ...] }
+ * }
+ * `key` tells a parcel from its neighbours inside the bbox: GlobalID, else PID or the feature id (null without any).
+ * The index is checked in with the tiles, so it holds nothing but the tiles' contents: rebuilding unchanged tiles
+ * writes the same file.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getGeometryBbox } from "../../src/utils/geometry.js";
+import { PARCEL_ID_FIELDS, getParcelIds } from "../../src/utils/parcelIds.js";
+
+// Parcels straddling a tile edge are written to every tile they touch
+const getFeatureKey = (feature) => feature.properties?.GlobalID ?? feature.properties?.PID ?? feature.id ?? null;
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Build the ID index for a tile set
+ * @param {Array<{ file: string, features: Array<Object> }>} tiles - Each tile's file name and parcels
+ * @param {Object} county - Registry entry
+ * @returns {Object} Index, as described above
+ */
+export function buildParcelIdIndex(tiles, county) {
+	const parcels = [];
+	const ids = {};
+	const byKey = new Map(); // parcel key -> parcel position
+
+	tiles.forEach(({ features }, tilePosition) => {
+		for (const feature of features) {
+			const key = getFeatureKey(feature);
+			const existing = key === null ? undefined : byKey.get(key);
+			if (existing !== undefined) {
+				parcels[existing].tiles.push(tilePosition);
+				continue;
+			}
+
+			const parcelIds = getParcelIds(feature);
+			const bbox = getGeometryBbox(feature.geometry);
+			if (parcelIds.length === 0 || !bbox) continue;
+
+			const position = parcels.length;
+			parcels.push({
+				key,
+				ids: Object.fromEntries(parcelIds.map(({ field, value }) => [field, value])),
+				bbox: bbox.map(roundCoordinate),
+				tiles: [tilePosition],
+			});
+			if (key !== null) byKey.set(key, position);
+
+			// A parcel whose PID and OLDPID are the same is listed once
+			for (const id of new Set(parcelIds.map((entry) => entry.key))) {
+				if (!ids[id]) ids[id] = [];
+				ids[id].push(position);
+			}
+		}
+	});
+
+	return {
+		county: county.id,
+		version: 1,
+		fields: PARCEL_ID_FIELDS,
+		tiles: tiles.map((tile) => tile.file),
+		parcels,
+		ids,
+	};
+}
+
+/**
+ * Build and write the ID index
+ * @param {Array<{ file: string, features: Array<Object> }>} tiles - Each tile's file name and parcels
+ * @param {Object} county - Registry entry
+ * @param {string} indexPath - File to write, from the county's tiles.idIndex
+ * @returns {Object} The index that was written
+ */
+export function writeParcelIdIndex(tiles, county, indexPath) {
+	const index = buildParcelIdIndex(tiles, county);
+	fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+	fs.writeFileSync(indexPath, JSON.stringify(index));
+
+	const sharedIds = Object.values(index.ids).filter((positions) => positions.length > 1).length;
+	console.log(`🔢 Parcel ID index: ${Object.keys(index.ids).length} IDs for ${index.parcels.length} parcels`);
+	if (sharedIds > 0) {
+		console.log(`  ${sharedIds} IDs are shared by more than one parcel (usually an old PID of a split parcel)`);
+	}
+	console.log(`  Saved to: ${indexPath}`);
+
+	return index;
+}
@@ -0,0 +1,240 @@
+/**
+ * Parcel source readers
+ * Read a shapefile, GeoPackage, KML or CSV-with-WKT into a WGS84 GeoJSON FeatureCollection.
+ * Projected sources are reprojected with proj4 from their .prj / spatial reference definition.
+ */
+
+import fs from "fs";
+import path from "path";
+import proj4 from "proj4";
+import shp from "shpjs";
+import initSqlJs from "sql.js";
+import { kml } from "@tmcw/togeojson";
+import { DOMParser } from "@xmldom/xmldom";
+import { parseCsv } from "./assessor-roll.mjs";
+import { parseWkt, parseGpkgGeometry } from "./geometry-formats.mjs";
+
+export const FORMATS = ["shapefile", "geopackage", "kml", "csv"];
+
+const EXTENSION_FORMATS = {
+	".zip": "shapefile",
+	".shp": "shapefile",
+	".gpkg": "geopackage",
+	".kml": "kml",
+	".csv": "csv",
+};
+
+// NAD83 Missouri State Plane zone (transverse Mercator)
+const missouriStatePlane = ({ lat0, lon0, k, x0 }, units) =>
+	`+proj=tmerc +lat_0=${lat0} +lon_0=${lon0} +k=${k} +x_0=${x0} +y_0=0 +ellps=GRS80 +units=${units} +no_defs`;
+
+const MISSOURI_EAST = { lat0: 35.8333333333333, lon0: -90.5, k: 0.999933333, x0: 250000 };
+const MISSOURI_CENTRAL = { lat0: 35.8333333333333, lon0: -92.5, k: 0.999933333, x0: 500000 };
+const MISSOURI_WEST = { lat0: 36.1666666666667, lon0: -94.5, k: 0.999941177, x0: 850000 };
+
+// Projected systems Missouri county exports use, for EWKT SRIDs; proj4 itself only knows 4326, 3857 and 4269.
+// Anything else needs --prj.
+const PROJECTIONS = {
+	// UTM zones 15N and 16N, NAD83 and WGS84
+	26915: "+proj=utm +zone=15 +datum=NAD83 +units=m +no_defs",
+	26916: "+proj=utm +zone=16 +datum=NAD83 +units=m +no_defs",
+	32615: "+proj=utm +zone=15 +datum=WGS84 +units=m +no_defs",
+	32616: "+proj=utm +zone=16 +datum=WGS84 +units=m +no_defs",
+	// State Plane East, Central and West in meters (NAD83, then NAD83(HARN)), then in US survey feet (Esri codes)
+	26996: missouriStatePlane(MISSOURI_EAST, "m"),
+	26997: missouriStatePlane(MISSOURI_CENTRAL, "m"),
+	26998: missouriStatePlane(MISSOURI_WEST, "m"),
+	2815: missouriStatePlane(MISSOURI_EAST, "m"),
+	2816: missouriStatePlane(MISSOURI_CENTRAL, "m"),
+	2817: missouriStatePlane(MISSOURI_WEST, "m"),
+	102696: missouriStatePlane(MISSOURI_EAST, "us-ft"),
+	102697: missouriStatePlane(MISSOURI_CENTRAL, "us-ft"),
+	102698: missouriStatePlane(MISSOURI_WEST, "us-ft"),
+};
+
+for (const [srid, definition] of Object.entries(PROJECTIONS)) {
+	proj4.defs(`EPSG:${srid}`, definition);
+}
+
+// Column names tried for the WKT geometry in CSV exports
+const WKT_COLUMNS = ["WKT", "GEOMETRY", "GEOM", "THE_GEOM", "SHAPE", "WKT_GEOM"];
+
+/**
+ * Guess the input format from the file extension
+ * @param {string} inputPath - Source path
+ * @returns {string|null} One of FORMATS
+ */
+export const detectFormat = (inputPath) => EXTENSION_FORMATS[path.extname(inputPath).toLowerCase()] ?? null;
+
+const readSidecar = (inputPath, extension) => {
+	const sidecar = inputPath.slice(0, -path.extname(inputPath).length) + extension;
+	return fs.existsSync(sidecar) ? fs.readFileSync(sidecar, "utf-8") : null;
+};
+
+const mapPositions = (coords, fn) => (typeof coords[0] === "number" ? fn(coords) : coords.map((c) => mapPositions(c, fn)));
+
+/**
+ * Reproject every feature to WGS84
+ * @param {Array<Object>} features - GeoJSON features in the source CRS
+ * @param {string|null} definition - WKT / proj string / "EPSG:xxxx"; null means already WGS84
+ * @returns {Array<Object>} Features in WGS84
+ */
+export const reprojectFeatures = (features, definition) => {
+	if (!definition) return features;
+
+	let converter;
+	try {
+		converter = proj4(definition, "EPSG:4326");
+	} catch (error) {
+		// proj4 throws bare strings
+		throw new Error(`Cannot reproject from ${definition.slice(0, 80)}: ${error?.message ?? error}`);
+	}
+	return features.map((feature) =>
+		feature.geometry
+			? {
+					...feature,
+					geometry: {
+						...feature.geometry,
+						coordinates: mapPositions(feature.geometry.coordinates, (position) => converter.forward(position)),
+					},
+				}
+			: feature,
+	);
+};
+
+const readShapefile = async (inputPath, { layer, prj }) => {
+	let result;
+	if (inputPath.toLowerCase().endsWith(".zip")) {
+		// shpjs applies the .prj inside the zip itself
+		result = await shp(fs.readFileSync(inputPath));
+	} else {
+		const base = inputPath.slice(0, -4);
+		const read = (extension) => (fs.existsSync(base + extension) ? fs.readFileSync(base + extension) : undefined);
+		result = await shp({ shp: read(".shp"), dbf: read(".dbf"), prj: prj ?? read(".prj"), cpg: read(".cpg") });
+	}
+
+	const layers = Array.isArray(result) ? result : [result];
+	const selected = layer ? layers.filter((l) => l.fileName === layer || path.basename(l.fileName) === layer) : layers;
+	if (selected.length === 0) {
+		throw new Error(`Layer "${layer}" not found; available: ${layers.map((l) => l.fileName).join(", ")}`);
+	}
+
+	return selected.flatMap((l) => l.features);
+};
+
+const readGeoPackage = async (inputPath, { layer, prj }) => {
+	const SQL = await initSqlJs();
+	const db = new SQL.Database(fs.readFileSync(inputPath));
+
+	try {
+		const query = (sql) => {
+			const statement = db.prepare(sql);
+			const rows = [];
+			while (statement.step()) rows.push(statement.getAsObject());
+			statement.free();
+			return rows;
+		};
+
+		const layers = query(
+			`SELECT c.table_name, g.column_name, g.srs_id, s.definition
+			 FROM gpkg_contents c
+			 JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+			 LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+			 WHERE c.data_type = 'features'`,
+		);
+		const target = layer ? layers.find((l) => l.table_name === layer) : layers[0];
+		if (!target) {
+			throw new Error(`GeoPackage layer "${layer ?? ""}" not found; available: ${layers.map((l) => l.table_name).join(", ")}`);
+		}
+		if (!layer && layers.length > 1) {
+			console.warn(`⚠️ GeoPackage has ${layers.length} feature layers; reading "${target.table_name}" (use --layer)`);
+		}
+
+		const features = query(`SELECT * FROM "${target.table_name.replace(/"/g, '""')}"`).map((row) => {
+			const { [target.column_name]: blob, ...properties } = row;
+			return {
+				type: "Feature",
+				geometry: blob ? parseGpkgGeometry(blob).geometry : null,
+				properties,
+			};
+		});
+
+		// srs_id 4326 is WGS84; 0 / -1 are "undefined" systems in the spec
+		const definition =
+			prj ??
+			(target.srs_id > 0 && target.srs_id !== 4326 && target.definition && target.definition !== "undefined"
+				? target.definition
+				: null);
+		return reprojectFeatures(features, definition);
+	} finally {
+		db.close();
+	}
+};
+
+const readKml = async (inputPath) => {
+	// KML is always WGS84
+	const document = new DOMParser().parseFromString(fs.readFileSync(inputPath, "utf-8"), "text/xml");
+	return kml(document).features;
+};
+
+// EWKT SRID to a proj4 definition; null for WGS84 or no SRID
+const getSridDefinition = (srid) => {
+	if (!srid || srid === 4326) return null;
+	if (!proj4.defs(`EPSG:${srid}`)) {
+		throw new Error(`Unknown SRID ${srid} in the WKT; pass --prj with the source projection`);
+	}
+	return `EPSG:${srid}`;
+};
+
+const readCsv = async (inputPath, { wktColumn, prj }) => {
+	const rows = parseCsv(fs.readFileSync(inputPath, "utf-8"));
+	if (rows.length === 0) return [];
+
+	const column = wktColumn ? wktColumn.toUpperCase() : WKT_COLUMNS.find((name) => name in rows[0]);
+	if (!column || !(column in rows[0])) {
+		throw new Error(`No WKT column found; tried ${wktColumn ?? WKT_COLUMNS.join(", ")} (use --wkt-column)`);
+	}
+
+	let srid = null;
+	const features = rows.map((row) => {
+		const { [column]: wkt, ...properties } = row;
+		const parsed = wkt ? parseWkt(wkt) : { geometry: null, srid: null };
+		srid = srid ?? parsed.srid;
+		return { type: "Feature", geometry: parsed.geometry, properties };
+	});
+
+	const definition = prj ?? readSidecar(inputPath, ".prj") ?? getSridDefinition(srid);
+	return reprojectFeatures(features, definition);
+};
+
+const READERS = {
+	shapefile: readShapefile,
+	geopackage: readGeoPackage,
+	kml: readKml,
+	csv: readCsv,
+};
+
+/**
+ * Whether --prj can apply to a source: KML is always WGS84 and shpjs reads a zip's own .prj
+ * @param {string} inputPath - Source file
+ * @param {string} [format] - One of FORMATS; detected from the extension when omitted
+ * @returns {boolean}
+ */
+export const acceptsPrj = (inputPath, format = detectFormat(inputPath)) =>
+	format !== "kml" && !(format === "shapefile" && inputPath.toLowerCase().endsWith(".zip"));
+
+/**
+ * Read a parcel source into WGS84 GeoJSON
+ * @param {string} inputPath - Source file
+ * @param {Object} options - { format, layer, wktColumn, prj }; prj overrides the source's own CRS (not for zips or KML)
+ * @returns {Promise<Object>} FeatureCollection
+ */
+export const readParcelSource = async (inputPath, options = {}) => {
+	const format = options.format ?? detectFormat(inputPath);
+	const reader = READERS[format];
+	if (!reader) {
+		throw new Error(`Unknown format for ${inputPath}; pass --format ${FORMATS.join("|")}`);
+	}
+
+	return { type: "FeatureCollection", features: await reader(inputPath, options) };
+};
@@ -0,0 +1,175 @@
+/**
+ * Parcel tile writer
+ * Splits a county's parcels into an adaptive quadtree of GeoJSON tiles plus a tiles.json manifest,
+ * at the locations named by the county's registry entry. A tile is subdivided until it holds at most
+ * MAX_TILE_FEATURES parcels and MAX_TILE_BYTES of GeoJSON, so dense town blocks get small tiles and
+ * rural areas stay in a few large ones.
+ *
+ * Manifest (version 2):
+ * {
+ *   county, version: 2, bounds, split: { maxFeatures, maxBytes, maxDepth },
+ *   root: { key: "0", depth, bounds, featureCount, children: [...] | file },
+ *   tiles: [{ key, depth, file, bounds, featureCount, bytes }]   // flat list of the leaves
+ * }
+ * Child keys append the quadrant to the parent key: 0 = south-west, 1 = south-east, 2 = north-west, 3 = north-east.
+ * Counties with a tiles.idIndex also get the parcel ID index for the new tiles (./parcel-id-index.mjs).
+ */
+
+import fs from "fs";
+import path from "path";
+import { getGeometryBbox } from "../../src/utils/geometry.js";
+import { writeParcelIdIndex } from "./parcel-id-index.mjs";
+
+export const MAX_TILE_FEATURES = 1500;
+export const MAX_TILE_BYTES = 2 * 1024 * 1024;
+export const MAX_TILE_DEPTH = 8;
+
+const TILE_FILE_PATTERN = /^tile_[\w-]+\.geojson$/;
+
+// Registry paths are public URLs ("/data/...")
+export const toPublicPath = (url) => path.join("./public", ...url.split("/").filter(Boolean));
+
+const intersects = (bbox, bounds) =>
+	!(bbox[2] < bounds.minLng || bbox[0] > bounds.maxLng || bbox[3] < bounds.minLat || bbox[1] > bounds.maxLat);
+
+// Quadrants in key order: south-west, south-east, north-west, north-east
+const splitBounds = (bounds) => {
+	const midLng = (bounds.minLng + bounds.maxLng) / 2;
+	const midLat = (bounds.minLat + bounds.maxLat) / 2;
+	return [
+		{ minLng: bounds.minLng, maxLng: midLng, minLat: bounds.minLat, maxLat: midLat },
+		{ minLng: midLng, maxLng: bounds.maxLng, minLat: bounds.minLat, maxLat: midLat },
+		{ minLng: bounds.minLng, maxLng: midLng, minLat: midLat, maxLat: bounds.maxLat },
+		{ minLng: midLng, maxLng: bounds.maxLng, minLat: midLat, maxLat: bounds.maxLat },
+	];
+};
+
+/**
+ * Build the quadtree; parcels straddling a quadrant edge go to every quadrant they touch
+ * @param {Array<Object>} entries - { feature, bbox, bytes }
+ * @param {Object} bounds - Node bounds
+ * @param {string} key - Quadtree key
+ * @param {number} depth - Node depth (root = 0)
+ * @param {Object} limits - { maxFeatures, maxBytes, maxDepth }
+ * @returns {Object} Node, with `entries` on leaves
+ */
+const buildNode = (entries, bounds, key, depth, limits) => {
+	const bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+	const node = { key, depth, bounds, featureCount: entries.length };
+
+	if ((entries.length <= limits.maxFeatures && bytes <= limits.maxBytes) || depth >= limits.maxDepth) {
+		return { ...node, bytes, entries };
+	}
+
+	const childBounds = splitBounds(bounds);
+	const quadrants = childBounds.map((quadrantBounds) => entries.filter((entry) => intersects(entry.bbox, quadrantBounds)));
+
+	// Parcels bigger than the node land in every quadrant; splitting again wouldn't shrink anything
+	if (quadrants.every((quadrant) => quadrant.length === entries.length)) {
+		return { ...node, bytes, entries };
+	}
+
+	node.children = quadrants
+		.map((quadrant, index) =>
+			quadrant.length > 0 ? buildNode(quadrant, childBounds[index], `${key}${index}`, depth + 1, limits) : null,
+		)
+		.filter(Boolean);
+	return node;
+};
+
+const collectLeaves = (node) => (node.children ? node.children.flatMap(collectLeaves) : [node]);
+
+// Manifest copy of a node: leaves carry their file name instead of their features
+const toManifestNode = ({ entries, bytes, children, ...node }) =>
+	children ? { ...node, children: children.map(toManifestNode) } : { ...node, file: `tile_${node.key}.geojson` };
+
+/**
+ * Write the tile set and manifest for a county
+ * @param {Array<Object>} features - WGS84 parcel features
+ * @param {Object} county - Registry entry with bounds and tiles.{baseUrl, manifest, idIndex}
+ * @param {Object} limits - Override { maxFeatures, maxBytes, maxDepth }
+ * @returns {Object} The manifest that was written
+ */
+export function writeParcelTiles(features, county, limits = {}) {
+	const tilesDir = toPublicPath(county.tiles.baseUrl);
+	const manifestPath = toPublicPath(county.tiles.manifest);
+	const bounds = county.bounds;
+	const split = {
+		maxFeatures: limits.maxFeatures ?? MAX_TILE_FEATURES,
+		maxBytes: limits.maxBytes ?? MAX_TILE_BYTES,
+		maxDepth: limits.maxDepth ?? MAX_TILE_DEPTH,
+	};
+
+	// Every ring of every part counts toward a parcel's extent
+	const entries = [];
+	let outside = 0;
+	for (const feature of features) {
+		const bbox = getGeometryBbox(feature.geometry);
+		if (!bbox || !intersects(bbox, bounds)) {
+			outside++;
+			continue;
+		}
+		entries.push({ feature, bbox, bytes: Buffer.byteLength(JSON.stringify(feature)) });
+	}
+	if (outside > 0) {
+		console.warn(`  ⚠️ ${outside} parcels fall outside ${county.name} bounds and were left out of the tiles`);
+	}
+
+	const root = buildNode(entries, bounds, "0", 0, split);
+	const leaves = collectLeaves(root);
+
+	// Replace the previous tile set so stale tiles don't linger
+	fs.mkdirSync(tilesDir, { recursive: true });
+	for (const file of fs.readdirSync(tilesDir)) {
+		if (TILE_FILE_PATTERN.test(file)) fs.unlinkSync(path.join(tilesDir, file));
+	}
+
+	const manifest = {
+		county: county.id,
+		version: 2,
+		bounds,
+		split,
+		root: toManifestNode(root),
+		tiles: [],
+	};
+
+	let totalFeaturesInTiles = 0;
+
+	for (const leaf of leaves) {
+		const filename = `tile_${leaf.key}.geojson`;
+		const filepath = path.join(tilesDir, filename);
+		fs.writeFileSync(filepath, JSON.stringify({ type: "FeatureCollection", features: leaf.entries.map((e) => e.feature) }));
+
+		const filesize = fs.statSync(filepath).size;
+		console.log(`  Tile ${leaf.key} (depth ${leaf.depth}): ${leaf.featureCount} parcels (${(filesize / 1024).toFixed(0)}KB)`);
+
+		manifest.tiles.push({
+			key: leaf.key,
+			depth: leaf.depth,
+			file: filename,
+			bounds: leaf.bounds,
+			featureCount: leaf.featureCount,
+			bytes: filesize,
+		});
+
+		totalFeaturesInTiles += leaf.featureCount;
+	}
+
+	// Write manifest
+	fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+	console.log(`\n✅ Tile generation complete!`);
+	console.log(`  Tiles created: ${manifest.tiles.length} (max depth ${Math.max(...leaves.map((l) => l.depth))})`);
+	console.log(`  Total features in tiles: ${totalFeaturesInTiles} (${entries.length} unique)`);
+	console.log(`  Manifest saved to: ${manifestPath}`);
+
+	if (county.tiles.idIndex) {
+		const tiles = leaves.map((leaf) => ({
+			file: `tile_${leaf.key}.geojson`,
+			features: leaf.entries.map((entry) => entry.feature),
+		}));
+		writeParcelIdIndex(tiles, county, toPublicPath(county.tiles.idIndex));
+	}
+
+	return manifest;
+}
@@ -0,0 +1,56 @@
+/**
+ * Delete tracking log entries past their retention period, and expired owner lookup cache and rate-limit
+ * documents - the same job the daily Vercel cron runs
+ *
+ * Usage:
+ *   npm run logs:purge -- [--dry-run] [--visitors <days>] [--geolocations <days>] [--queries <days>]
+ *
+ * Against the emulator (nothing leaves your machine):
+ *   firebase emulators:start --only firestore
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run logs:purge -- --dry-run
+ *
+ * Against a real project, set GOOGLE_APPLICATION_CREDENTIALS to a service account key instead.
+ */
+
+import { getAdminDb } from "../api/_lib/firebase-admin.js";
+import { purgeExpiredLogs, getRetentionDays, LOG_COLLECTIONS } from "../api/_lib/log-retention.js";
+
+const args = process.argv.slice(2);
+const getFlag = (name) => {
+	const index = args.indexOf(name);
+	return index >= 0 ? args[index + 1] : null;
+};
+
+const fail = (message) => {
+	console.error(message);
+	process.exit(1);
+};
+
+const retentionDays = {};
+for (const name of LOG_COLLECTIONS) {
+	const value = getFlag(`--${name}`);
+	if (value === null) continue;
+	const days = Number(value);
+	if (!(days > 0)) fail(`--${name} must be a positive number of days`);
+	retentionDays[name] = days;
+}
+
+const { FIRESTORE_EMULATOR_HOST, GOOGLE_APPLICATION_CREDENTIALS, FIREBASE_SERVICE_ACCOUNT } = process.env;
+if (!FIRESTORE_EMULATOR_HOST && !GOOGLE_APPLICATION_CREDENTIALS && !FIREBASE_SERVICE_ACCOUNT) {
+	fail("Set FIRESTORE_EMULATOR_HOST to purge the emulator, or GOOGLE_APPLICATION_CREDENTIALS for a real project");
+}
+
+const dryRun = args.includes("--dry-run");
+const target = FIRESTORE_EMULATOR_HOST ? `emulator at ${FIRESTORE_EMULATOR_HOST}` : "live project";
+console.log(`🧹 ${dryRun ? "Counting" : "Purging"} expired logs in the ${target}`);
+console.log("   Retention (days):", { ...getRetentionDays(), ...retentionDays });
+
+try {
+	const results = await purgeExpiredLogs(getAdminDb(), { dryRun, retentionDays });
+	for (const [name, { deleted, cutoff }] of Object.entries(results)) {
+		console.log(`   ${name}: ${deleted} ${dryRun ? "would be deleted" : "deleted"} (before ${cutoff})`);
+	}
+	console.log("✅ Done");
+} catch (error) {
+	fail(`❌ Purge failed: ${error.message}`);
+}
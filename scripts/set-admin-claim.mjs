@@ -0,0 +1,44 @@
+/**
+ * Grant or revoke the `admin` custom claim on a Firebase Auth user
+ *
+ * Usage:
+ *   npm run admin:grant -- <email> [--revoke]
+ *
+ * Needs a service account: set GOOGLE_APPLICATION_CREDENTIALS to the path of its JSON key
+ * (Firebase Console → Project Settings → Service accounts → Generate new private key).
+ * The user picks up the change on their next sign-in or token refresh (at most an hour).
+ */
+
+import { initializeApp, applicationDefault } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+
+const args = process.argv.slice(2);
+const email = args.find((arg) => !arg.startsWith("--"));
+const revoke = args.includes("--revoke");
+
+const fail = (message) => {
+	console.error(message);
+	process.exit(1);
+};
+
+if (!email) {
+	fail("Usage: npm run admin:grant -- <email> [--revoke]");
+}
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+	fail("Set GOOGLE_APPLICATION_CREDENTIALS to a service account key for the Firebase project");
+}
+
+initializeApp({ credential: applicationDefault() });
+const auth = getAuth();
+
+try {
+	const user = await auth.getUserByEmail(email);
+	const claims = { ...user.customClaims };
+	if (revoke) delete claims.admin;
+	else claims.admin = true;
+
+	await auth.setCustomUserClaims(user.uid, claims);
+	console.log(`✅ ${revoke ? "Revoked admin from" : "Granted admin to"} ${email} (${user.uid})`);
+} catch (error) {
+	fail(`❌ Failed to update ${email}: ${error.message}`);
+}
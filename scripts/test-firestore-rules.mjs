@@ -0,0 +1,93 @@
+/**
+ * Check firestore.rules against the Firestore emulator
+ *
+ * Usage:
+ *   npm run rules:test
+ *
+ * Runs under `firebase emulators:exec`, which starts the emulator (needs the Firebase CLI and Java)
+ * and sets FIRESTORE_EMULATOR_HOST for this script.
+ */
+
+import fs from "fs";
+import { test, before, after, beforeEach } from "node:test";
+import { initializeTestEnvironment, assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { doc, getDoc, getDocs, setDoc, addDoc, collection } from "firebase/firestore";
+
+const ADMIN_COLLECTIONS = ["queries", "geolocations", "visitors"];
+
+let testEnv;
+
+before(async () => {
+	testEnv = await initializeTestEnvironment({
+		projectId: "landverify-rules-test",
+		firestore: { rules: fs.readFileSync("firestore.rules", "utf-8") },
+	});
+});
+
+after(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+	await testEnv.clearFirestore();
+	await testEnv.withSecurityRulesDisabled(async (context) => {
+		const db = context.firestore();
+		for (const name of ADMIN_COLLECTIONS) {
+			await setDoc(doc(db, name, "seed"), { timestamp: new Date() });
+		}
+		await setDoc(doc(db, "users", "alice"), { email: "alice@example.com" });
+		await setDoc(doc(db, "users", "alice", "areas", "1"), { id: 1 });
+	});
+});
+
+const anonymous = () => testEnv.unauthenticatedContext().firestore();
+const signedIn = (uid, claims = {}) => testEnv.authenticatedContext(uid, claims).firestore();
+const admin = () => signedIn("admin-user", { admin: true });
+
+for (const name of ADMIN_COLLECTIONS) {
+	test(`${name}: only admins can read`, async () => {
+		await assertFails(getDocs(collection(anonymous(), name)));
+		await assertFails(getDocs(collection(signedIn("alice"), name)));
+		await assertFails(getDoc(doc(signedIn("alice"), name, "seed")));
+		await assertFails(getDocs(collection(signedIn("alice", { admin: false }), name)));
+		await assertSucceeds(getDocs(collection(admin(), name)));
+	});
+
+	test(`${name}: anyone can log, nobody can edit or delete`, async () => {
+		await assertSucceeds(addDoc(collection(anonymous(), name), { userId: null }));
+		await assertFails(setDoc(doc(signedIn("alice"), name, "seed"), { tampered: true }));
+		await assertFails(setDoc(doc(admin(), name, "seed"), { tampered: true }));
+	});
+}
+
+for (const name of ADMIN_COLLECTIONS) {
+	test(`${name}: entries can only be attributed to the signed-in user`, async () => {
+		await assertSucceeds(addDoc(collection(signedIn("alice"), name), { userId: "alice" }));
+		await assertSucceeds(addDoc(collection(signedIn("alice"), name), { userId: null }));
+		await assertFails(addDoc(collection(signedIn("alice"), name), { userId: "bob" }));
+		await assertFails(addDoc(collection(anonymous(), name), { userId: "alice" }));
+	});
+}
+
+test("users: profiles are readable by their owner and admins only", async () => {
+	await assertSucceeds(getDoc(doc(signedIn("alice"), "users", "alice")));
+	await assertSucceeds(getDoc(doc(admin(), "users", "alice")));
+	await assertFails(getDoc(doc(signedIn("bob"), "users", "alice")));
+	await assertFails(getDoc(doc(anonymous(), "users", "alice")));
+	await assertFails(setDoc(doc(admin(), "users", "alice"), { email: "x@example.com" }));
+});
+
+test("users: drawn areas and saved parcels are private to their owner", async () => {
+	await assertSucceeds(getDoc(doc(signedIn("alice"), "users", "alice", "areas", "1")));
+	await assertSucceeds(setDoc(doc(signedIn("alice"), "users", "alice", "savedParcels", "p1"), { parcelId: "p1" }));
+	await assertFails(getDoc(doc(signedIn("bob"), "users", "alice", "areas", "1")));
+	await assertFails(getDoc(doc(admin(), "users", "alice", "areas", "1")));
+	await assertFails(setDoc(doc(signedIn("bob"), "users", "alice", "savedParcels", "p1"), { parcelId: "p1" }));
+});
+
+for (const name of ["ownerLookupCache", "lookupLimits"]) {
+	test(`${name}: only the API (Admin SDK) can use it`, async () => {
+		await assertFails(getDoc(doc(admin(), name, "entry")));
+		await assertFails(getDoc(doc(signedIn("alice"), name, "entry")));
+		await assertFails(setDoc(doc(anonymous(), name, "entry"), { count: 0 }));
+		await assertFails(setDoc(doc(admin(), name, "entry"), { count: 0 }));
+	});
+}
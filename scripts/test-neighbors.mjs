@@ -0,0 +1,48 @@
+/**
+ * Check how the neighbors report groups parcels by owner (src/utils/neighbors.js): one group per owner, under
+ * the same spelling rules as the holdings view
+ *
+ * Usage:
+ *   npm run owners:test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { groupNeighborsByOwner } from "../src/utils/neighbors.js";
+
+const subject = { properties: { OWNER: "BROWN MARK" } };
+
+const toNeighbors = (owners) =>
+	owners.map((owner, index) => ({
+		key: index,
+		feature: { properties: { OWNER: owner, ACRES: 10 } },
+		distanceMeters: 0,
+		touching: true,
+	}));
+
+const groupOwners = (owners) =>
+	groupNeighborsByOwner(toNeighbors(owners), subject).map((group) =>
+		group.parcels.map((parcel) => parcel.feature.properties.OWNER),
+	);
+
+test("spellings of one owner share a group", () => {
+	assert.deepEqual(groupOwners(["JOHNSON FAM TR", "JOHNSON FAMILY TRUST"]), [
+		["JOHNSON FAM TR", "JOHNSON FAMILY TRUST"],
+	]);
+});
+
+test("different people get their own groups", () => {
+	assert.equal(groupOwners(["SMITH JOHN", "JOHN SMITH"]).length, 2);
+	assert.equal(groupOwners(["SMITH JOHN", "SMITH JOAN"]).length, 2);
+});
+
+test("the subject's owner is flagged sameOwner and parcels without an owner stay apart", () => {
+	const groups = groupNeighborsByOwner(
+		toNeighbors(["BROWN MARK & MARY", "BROWN MARY", "BROWN JOAN", null, null]),
+		subject,
+	);
+	assert.equal(groups.length, 4);
+	const sameOwner = groups.filter((group) => group.sameOwner);
+	assert.equal(sameOwner.length, 1);
+	assert.equal(sameOwner[0].parcels.length, 2);
+});
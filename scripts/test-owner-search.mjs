@@ -0,0 +1,64 @@
+/**
+ * Check owner-name matching (src/utils/ownerSearch.js), which decides what the holdings view and the neighbours
+ * list treat as one owner
+ *
+ * Usage:
+ *   npm run owners:test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isSameOwner, splitOwnerNames, createOwnerIndex } from "../src/utils/ownerSearch.js";
+
+const SAME_OWNER = [
+	["SMITH JOHN", "SMITH JOHN & MARY"],
+	["SMITH JOHN & MARY", "SMITH MARY"],
+	["SMITH, JOHN A", "SMITH JOHN ALLEN"],
+	["JOHNSON FAM TR", "JOHNSON FAMILY TRUST"],
+	["ACME LLC", "ACME L.L.C."],
+	["SMITH JOHN", "SMITH JOHN REV TRUST"],
+	["JOHNSTON ROBERT", "JOHNSON ROBERT"], // a typo in a long surname
+];
+
+const DIFFERENT_OWNERS = [
+	["JONES JOHN", "SMITH JON"], // surnames must match each other, not a given name
+	["BROWN MARK", "BROWN MARY"], // no typos in given names
+	["SMITH JOHN", "SMITH JOAN"],
+	["JONES JOHN", "JONES JON"],
+	["JOHNS FARMS LLC", "JOHNSON FARMS LLC"], // a surname is no abbreviation
+	["SMITH FAMILY TRUST", "JOHNSON FAMILY TRUST"],
+	["SMITH", "SMITH JOHN"],
+];
+
+for (const [a, b] of SAME_OWNER) {
+	test(`"${a}" and "${b}" are the same owner`, () => {
+		assert.equal(isSameOwner(a, b), true);
+		assert.equal(isSameOwner(b, a), true);
+	});
+}
+
+for (const [a, b] of DIFFERENT_OWNERS) {
+	test(`"${a}" and "${b}" are different owners`, () => {
+		assert.equal(isSameOwner(a, b), false);
+		assert.equal(isSameOwner(b, a), false);
+	});
+}
+
+test("splitOwnerNames reorders people but not entities", () => {
+	assert.deepEqual(splitOwnerNames("SMITH JOHN A & JANE"), ["JOHN A SMITH", "JANE SMITH"]);
+	assert.deepEqual(splitOwnerNames("JOHNSON, MARY & ROBERT"), ["MARY JOHNSON", "ROBERT JOHNSON"]);
+	assert.deepEqual(splitOwnerNames("ACME LLC"), ["ACME LLC"]);
+	assert.deepEqual(splitOwnerNames("JOHNSON FAMILY TRUST"), ["JOHNSON FAMILY TRUST"]);
+});
+
+test("findHoldings returns only the owner's parcels", () => {
+	const index = createOwnerIndex({ getKey: (feature) => feature.id });
+	const owners = ["SMITH JOHN & MARY", "SMITH JOHN A", "SMITH JON", "SMITH JOAN", "JONES JOHN"];
+	index.insert(owners.map((owner, id) => ({ id, properties: { OWNER: owner } })));
+
+	const { matches } = index.findHoldings("SMITH JOHN");
+	assert.deepEqual(
+		matches.map((match) => match.owner),
+		["SMITH JOHN & MARY", "SMITH JOHN A"],
+	);
+});
@@ -5,16 +5,21 @@
 
 import express from "express";
 import axios from "axios";
+import parcelsBoundsHandler from "./api/parcels-bounds.js";
+import parcelTilesHandler from "./api/parcel-tiles.js";
+import parcelsSearchHandler from "./api/parcels-search.js";
+import parcelsLookupHandler from "./api/parcels-lookup.js";
+import parcelsHoldingsHandler from "./api/parcels-holdings.js";
+import trackVisitorHandler from "./api/track-visitor.js";
+import deleteMyDataHandler from "./api/delete-my-data.js";
+import enformionHandler from "./api/enformion.js";
+import { getCountyForPoint } from "./api/_lib/county-registry.js";
 
 const app = express();
 const PORT = 3001;
 
 app.use(express.json());
 
-// Real Boone County ArcGIS service URL (fallback to mock if unreachable)
-const BOONE_COUNTY_ARCGIS_URL =
-	"https://maps.boonecountymo.org/arcgis/rest/services/AS_ParcelMapping/MapServer/0/query";
-
 // Mock parcel database - simulates real Boone County data
 const MOCK_PARCELS = [
 	{
@@ -69,6 +74,12 @@ app.post("/api/arcgis", async (req, res) => {
 	console.log("[API] Received coordinates:", { lng, lat });
 
 	try {
+		// ArcGIS service URL comes from the county registry (fallback to mock if none or unreachable)
+		const county = getCountyForPoint(lng, lat, { sourceType: "arcgis" });
+		if (county?.source?.type !== "arcgis") {
+			throw new Error("No ArcGIS parcel service for this location");
+		}
+
 		// Build ArcGIS query parameters
 		const params = {
 			geometry: `${lng},${lat}`,
@@ -81,9 +92,9 @@ app.post("/api/arcgis", async (req, res) => {
 			f: "json",
 		};
 
-		console.log("[API] Attempting to fetch from real ArcGIS service...");
+		console.log(`[API] Attempting to fetch from ${county.name} ArcGIS service...`);
 
-		const response = await axios.get(BOONE_COUNTY_ARCGIS_URL, {
+		const response = await axios.get(county.source.url, {
 			params: params,
 			headers: {
 				"User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
@@ -141,54 +152,29 @@ app.post("/api/arcgis", async (req, res) => {
 });
 
 // Get all parcels in viewport (for displaying parcel boundaries)
-app.post("/api/parcels/bounds", async (req, res) => {
-	const { bounds } = req.body; // [[west, south], [east, north]]
-	console.log("[API] Getting parcels for bounds:", bounds);
-
-	// Generate a grid of parcels across the bounds
-	const parcels = [];
-	const [west, south] = bounds[0];
-	const [east, north] = bounds[1];
-
-	// Create a grid of parcels (e.g., 0.01 degree spacing)
-	const spacing = 0.008; // approximately 500m
-	for (let lng = west; lng < east; lng += spacing) {
-		for (let lat = south; lat < north; lat += spacing) {
-			const mockParcel = MOCK_PARCELS[Math.floor(Math.random() * MOCK_PARCELS.length)];
-			parcels.push({
-				type: "Feature",
-				properties: {
-					OBJECTID: Math.floor(Math.random() * 999999),
-					OWNER: mockParcel.owner,
-					ACRES_CALC: mockParcel.acres,
-					PARCEL_ID: `${mockParcel.parcelId}-${Math.floor(lng * 1000)}-${Math.floor(lat * 1000)}`,
-				},
-				geometry: {
-					type: "Polygon",
-					coordinates: [
-						[
-							[lng, lat],
-							[lng + spacing, lat],
-							[lng + spacing, lat + spacing],
-							[lng, lat + spacing],
-							[lng, lat],
-						],
-					],
-				},
-			});
-		}
-	}
+// Shares the Vercel handler so local and deployed responses match
+app.post("/api/parcels/bounds", parcelsBoundsHandler);
 
-	const geoJson = {
-		type: "FeatureCollection",
-		features: parcels,
-	};
+// Parcels by owner name across the local tile set
+app.post("/api/parcels/search", parcelsSearchHandler);
 
-	console.log(`[API] Generated ${parcels.length} parcels for viewport`);
-	res.json(geoJson);
-});
+// Parcel by PID / OLDPID through the prebuilt ID index
+app.post("/api/parcels/lookup", parcelsLookupHandler);
+
+// Every parcel held by the same owner, for the holdings view
+app.post("/api/parcels/holdings", parcelsHoldingsHandler);
+
+// Parcel vector tiles for the map's "visible-parcels" source
+app.get("/api/tiles/:z/:x/:y.pbf", parcelTilesHandler);
+
+// Visitor IP (or its hash) for the consent-gated visitor log, and "delete my data"
+app.post("/api/track-visitor", trackVisitorHandler);
+app.post("/api/delete-my-data", deleteMyDataHandler);
+
+// Owner contact lookups; set ENFORMION_API_URL to the `npm run enformion:serve` stand-in to use fixtures
+app.post("/api/enformion", enformionHandler);
 
 app.listen(PORT, () => {
 	console.log(`🚀 Local API server running on http://localhost:${PORT}`);
-	console.log(`   Proxying to Boone County ArcGIS service`);
+	console.log(`   Proxying to county ArcGIS services from src/config/counties.json`);
 });
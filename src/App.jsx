@@ -1,29 +1,81 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import Map, { Source, Layer } from "react-map-gl";
 import "mapbox-gl/dist/mapbox-gl.css";
 import useMissouriParcels from "./hooks/useMissouriParcels";
 import useTileBasedParcels from "./hooks/useTileBasedParcels";
+import useDrawnAreas from "./hooks/useDrawnAreas";
+import useAuth from "./hooks/useAuth";
 import ContactCard from "./components/ContactCard";
 import AdminPanel from "./components/AdminPanel";
 import DebugPanel from "./components/DebugPanel";
+import OfflineAreasPanel from "./components/OfflineAreasPanel";
+import BasemapDownloadPanel from "./components/BasemapDownloadPanel";
+import AccountPanel from "./components/AccountPanel";
+import PrivacyPanel from "./components/PrivacyPanel";
+import OwnerSearchResults from "./components/OwnerSearchResults";
+import ParcelIdResults from "./components/ParcelIdResults";
+import NeighborsPanel from "./components/NeighborsPanel";
+import HoldingsPanel from "./components/HoldingsPanel";
+import ParcelFiltersPanel from "./components/ParcelFiltersPanel";
 import { geocodeAddress } from "./services/geocodingService";
 import { logQuery, logGeolocation } from "./services/queryLogger";
 import { trackVisitor } from "./services/visitorTracker";
+import { getConsent, setConsent, subscribeToConsent, canTrack } from "./services/privacyService";
+import { listBasemapRegions } from "./services/offlineStore";
+import { saveParcel, unsaveParcel, subscribeToSavedParcels } from "./services/savedParcels";
+import { exportNeighborsCsv } from "./services/neighborsExport";
+import { deleteBasemapRegion, getOfflineBasemapStyle } from "./services/basemapCache";
+import { DEFAULT_COUNTY } from "./config/counties";
+import { getGeometryBbox } from "./utils/geometry";
+import { looksLikeParcelId, getParcelRecordId } from "./utils/parcelIds";
+import {
+	DEFAULT_PARCEL_FILTERS,
+	buildParcelFilter,
+	buildParcelColor,
+	hasActiveParcelFilters,
+	withOwnerType,
+	PARCEL_TILES_VERSION,
+} from "./utils/parcelFilters";
 import "./services/errorTracker"; // Initialize error tracking
 
-// Parcel data center - Cole County, Missouri (WGS84)
-// Centered on Columbia, MO area with parcels
-const PARCEL_CENTER = {
-	latitude: 38.53,
-	longitude: -92.24,
-	zoom: 13.5,
-};
+// Initial view - the registry's default county (WGS84)
+const PARCEL_CENTER = DEFAULT_COUNTY.center;
 
 const MIN_PARCEL_ZOOM = 13;
 const MAX_PARCEL_ZOOM = 20;
+
+// Parcel vector tiles; Mapbox overzooms past the max so parcels render at every zoom above the min
+const PARCEL_TILES_URL =
+	`${import.meta.env.VITE_API_BASE_URL || window.location.origin}/api/tiles/{z}/{x}/{y}.pbf` +
+	`?v=${PARCEL_TILES_VERSION}`;
+const PARCEL_TILE_MIN_ZOOM = 10;
+const PARCEL_TILE_MAX_ZOOM = 16;
+const ONLINE_MAP_STYLE = "mapbox://styles/mapbox/satellite-streets-v12";
 const LOCATION_CACHE_KEY = "landverify:userLocation";
 const LOCATION_PERMISSION_KEY = "landverify:locationPermission";
 
+// Search bar modes; the toggle button cycles through them
+const SEARCH_MODES = {
+	address: {
+		icon: "📍",
+		next: "owner",
+		title: "Searching addresses - switch to owner",
+		placeholder: "Search address (e.g., 123 Main St)",
+	},
+	owner: {
+		icon: "👤",
+		next: "parcel",
+		title: "Searching owners - switch to parcel ID",
+		placeholder: "Search owner (e.g., Johnson Family Trust)",
+	},
+	parcel: {
+		icon: "🔢",
+		next: "address",
+		title: "Searching parcel IDs - switch to address",
+		placeholder: "Search PID or old PID (e.g., 09-05-22-0000-003-005)",
+	},
+};
+
 function App() {
 	const [viewState, setViewState] = useState(PARCEL_CENTER);
 	const [selectedParcel, setSelectedParcel] = useState(null);
@@ -32,6 +84,16 @@ function App() {
 	const [locationPulse, setLocationPulse] = useState(0);
 	const [searchQuery, setSearchQuery] = useState("");
 	const [searchLoading, setSearchLoading] = useState(false);
+	const [searchMode, setSearchMode] = useState("address"); // 'address', 'owner' or 'parcel'
+	const [ownerSearch, setOwnerSearch] = useState(null); // { query, matches, total, truncated, partial }
+	const [focusedOwnerMatchKey, setFocusedOwnerMatchKey] = useState(null);
+	const ownerSearchRequestRef = useRef(null);
+	const [parcelIdSearch, setParcelIdSearch] = useState(null); // { query, matches, partial } when not exactly one match
+	const parcelIdRequestRef = useRef(null);
+	const [neighborsReport, setNeighborsReport] = useState(null); // { subject, bufferMeters, groups, partial, loading }
+	const neighborsRequestRef = useRef(null);
+	const [holdingsView, setHoldingsView] = useState(null); // { subject, ...holdings from loadHoldings, loading }
+	const holdingsRequestRef = useRef(null);
 	const [showSplash, setShowSplash] = useState(true);
 	const [followUserLocation, setFollowUserLocation] = useState(false);
 	const hasCenteredOnUser = useRef(false);
@@ -40,12 +102,45 @@ function App() {
 	const hasTrackedVisitor = useRef(false);
 	const lastRawLocation = useRef(null);
 	const smoothedDisplayLocation = useRef(null);
-
-	const { parcels, selectedParcelData, handleMapClick, loadParcelsForBounds, isLoading, loadingParcels, localParcels } =
-		useMissouriParcels();
-
-	// Tile-based parcel loading
-	const { updateVisibleTiles, getVisibleParcels, tilesManifest, error: tilesError } = useTileBasedParcels();
+	const mapRef = useRef(null);
+	const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+	const {
+		parcels,
+		selectedParcelData,
+		handleMapClick,
+		loadParcelsForBounds,
+		viewportParcels,
+		indexParcels,
+		unindexParcels,
+		searchOwners,
+		findParcelsById,
+		loadNeighbors,
+		loadHoldings,
+		selectParcel,
+		isLoading,
+		loadingParcels,
+		localParcels,
+	} = useMissouriParcels();
+
+	// Tile-based parcel loading; evicted tiles leave the click lookup index too
+	const indexedTilesRef = useRef(new Set());
+	const handleTileEvicted = useCallback(
+		(tileId, tileData) => {
+			if (!indexedTilesRef.current.delete(tileId)) return;
+			unindexParcels(tileData?.features);
+		},
+		[unindexParcels],
+	);
+	const {
+		updateVisibleTiles,
+		getVisibleParcels,
+		saveAreaOffline,
+		tileCache,
+		tilesManifests,
+		cacheStats: tileCacheStats,
+		error: tilesError,
+	} = useTileBasedParcels({ onEvict: handleTileEvicted });
 	const [useTiles, setUseTiles] = useState(true); // Toggle between full load and tile-based
 
 	const [visibleParcels, setVisibleParcels] = useState(null);
@@ -62,16 +157,35 @@ function App() {
 	const [showToolsMenu, setShowToolsMenu] = useState(false);
 	const [showDebugPanel, setShowDebugPanel] = useState(false);
 	const [showAdminPanel, setShowAdminPanel] = useState(false);
+	const [showAccountPanel, setShowAccountPanel] = useState(false);
+	const [showPrivacyPanel, setShowPrivacyPanel] = useState(false);
+	const [consent, setConsentState] = useState(getConsent);
 	const [showSearchInput, setShowSearchInput] = useState(false);
+	const [showOfflinePanel, setShowOfflinePanel] = useState(false);
+	const [showFiltersPanel, setShowFiltersPanel] = useState(false);
+	const [parcelFilters, setParcelFilters] = useState(DEFAULT_PARCEL_FILTERS);
+	const [basemapAreaId, setBasemapAreaId] = useState(null);
+	const [basemapRegions, setBasemapRegions] = useState([]);
 	const [drawMode, setDrawMode] = useState(false);
 	const [drawnPoints, setDrawnPoints] = useState([]);
 	const [drawnLines, setDrawnLines] = useState([]);
 
-	// Cached areas management
-	const [cachedAreas, setCachedAreas] = useState([]);
+	// Signed-in user and their saved parcels
+	const { user } = useAuth();
+	const [savedParcels, setSavedParcels] = useState([]);
+
+	useEffect(() => {
+		if (!user) {
+			setSavedParcels([]);
+			return undefined;
+		}
+		return subscribeToSavedParcels(user.uid, setSavedParcels);
+	}, [user]);
+
+	// Cached areas management - saved on the device and synced to the signed-in user's account
+	const { areas: cachedAreas, addArea, updateArea, removeArea, syncStatus: areaSyncStatus } = useDrawnAreas();
 	const [selectedAreaId, setSelectedAreaId] = useState(null);
 	const [editingAreaId, setEditingAreaId] = useState(null);
-	const areaIdRef = useRef(0); // Counter for unique area IDs
 
 	// Drawing management
 
@@ -167,30 +281,77 @@ function App() {
 		console.log("localParcels:", localParcels ? `${localParcels.features?.length} features` : "null");
 		console.log("visibleParcels:", visibleParcels ? `${visibleParcels.features?.length} features` : "null");
 
-		const renderCondition = visibleParcels && visibleParcels.features && visibleParcels.features.length > 0;
-		console.log(
-			"✔️ RENDER CONDITION (visibleParcels && visibleParcels.features && visibleParcels.features.length > 0):",
-			renderCondition,
-		);
-
-		if (renderCondition) {
-			console.log("🎨 WILL RENDER: Visible parcels layer is visible");
-		} else {
-			console.log("❌ WILL NOT RENDER: Check conditions above");
-			if (!visibleParcels) console.log("  - visibleParcels is null/undefined");
-			if (visibleParcels && !visibleParcels.features) console.log("  - visibleParcels.features is null/undefined");
-			if (visibleParcels?.features?.length === 0) console.log("  - visibleParcels.features.length is 0");
+		// Rendering comes from the vector tile source; this is the GeoJSON kept for parcel lookups
+		if (!visibleParcels?.features?.length) {
+			console.log("  - No parcel features loaded for the current viewport");
 		}
 		console.groupEnd();
 	}, [visibleParcels]);
 
-	// Track visitor on initial load
+	// Offline field mode: parcels draw from saved tiles while there's no signal
+	useEffect(() => {
+		const handleOnline = () => setIsOnline(true);
+		const handleOffline = () => setIsOnline(false);
+		window.addEventListener("online", handleOnline);
+		window.addEventListener("offline", handleOffline);
+		return () => {
+			window.removeEventListener("online", handleOnline);
+			window.removeEventListener("offline", handleOffline);
+		};
+	}, []);
+
+	// Saved basemap regions; while offline the map switches to a raster style the service worker serves from cache
+	const refreshBasemapRegions = useCallback(async () => {
+		setBasemapRegions(await listBasemapRegions());
+	}, []);
+
+	useEffect(() => {
+		refreshBasemapRegions();
+	}, [refreshBasemapRegions]);
+
+	const handleDeleteBasemapRegion = useCallback(
+		async (regionId) => {
+			await deleteBasemapRegion(regionId);
+			await refreshBasemapRegions();
+		},
+		[refreshBasemapRegions],
+	);
+
+	const mapStyle = useMemo(() => {
+		if (isOnline || basemapRegions.length === 0) return ONLINE_MAP_STYLE;
+		return getOfflineBasemapStyle(Math.max(...basemapRegions.map((region) => region.maxZoom)));
+	}, [isOnline, basemapRegions]);
+
+	const getViewportBounds = useCallback(() => {
+		const bounds = mapRef.current?.getBounds();
+		if (!bounds) return null;
+		return {
+			minLng: bounds.getWest(),
+			maxLng: bounds.getEast(),
+			minLat: bounds.getSouth(),
+			maxLat: bounds.getNorth(),
+		};
+	}, []);
+
+	const handleOfflineAreaClick = useCallback((area) => {
+		mapRef.current?.fitBounds(
+			[
+				[area.bounds.minLng, area.bounds.minLat],
+				[area.bounds.maxLng, area.bounds.maxLat],
+			],
+			{ duration: 1000 },
+		);
+	}, []);
+
+	useEffect(() => subscribeToConsent(setConsentState), []);
+
+	// Track visitor on initial load, or as soon as they consent
 	useEffect(() => {
-		if (!hasTrackedVisitor.current) {
+		if ((consent === "anonymous" || consent === "precise") && !hasTrackedVisitor.current) {
 			trackVisitor();
 			hasTrackedVisitor.current = true;
 		}
-	}, []);
+	}, [consent]);
 
 	// Display parcels when they load - but ONLY if already zoomed in
 	useEffect(() => {
@@ -214,6 +375,21 @@ function App() {
 		}
 	}, [localParcels, viewState.zoom]);
 
+	// Feed each tile into the click lookup index once, as it loads
+	useEffect(() => {
+		for (const [tileId, tileData] of tileCache) {
+			if (indexedTilesRef.current.has(tileId)) continue;
+			indexedTilesRef.current.add(tileId);
+			indexParcels(tileData?.features);
+		}
+	}, [tileCache, indexParcels]);
+
+	// When a county manifest fails to load, fall back to server-side viewport queries
+	useEffect(() => {
+		if (!tilesError || !viewportParcels) return;
+		setVisibleParcels(viewportParcels.features.length > 0 ? viewportParcels : null);
+	}, [tilesError, viewportParcels]);
+
 	// Handle admin panel location clicks
 	const handleAdminLocationClick = (lat, lng, zoom = 18) => {
 		console.log("Admin clicked location:", { lat, lng, zoom });
@@ -224,6 +400,26 @@ function App() {
 		});
 	};
 
+	const selectedParcelId = selectedParcel ? getParcelRecordId(selectedParcel) : null;
+	const isSelectedParcelSaved = Boolean(
+		selectedParcelId && savedParcels.some((parcel) => parcel.parcelId === String(selectedParcelId)),
+	);
+
+	const handleToggleSavedParcel = async () => {
+		if (!user || !selectedParcel) return;
+		try {
+			if (isSelectedParcelSaved) await unsaveParcel(user.uid, selectedParcelId);
+			else await saveParcel(user.uid, selectedParcel);
+		} catch (error) {
+			console.error("Failed to update saved parcels:", error);
+		}
+	};
+
+	const handleRemoveSavedParcel = (parcelId) => {
+		if (!user) return;
+		unsaveParcel(user.uid, parcelId).catch((error) => console.error("Failed to remove saved parcel:", error));
+	};
+
 	// Calculate distance between two coordinates in meters
 	const calculateDistance = (lat1, lon1, lat2, lon2) => {
 		const R = 6371e3; // Earth radius in meters
@@ -310,7 +506,8 @@ function App() {
 
 				setLocationError(null);
 
-				if (!hasLoggedGeolocation.current) {
+				// Waits for consent; the next position update after the visitor agrees is logged
+				if (!hasLoggedGeolocation.current && canTrack()) {
 					logGeolocation({ latitude, longitude, accuracy });
 					// Track visitor with location data
 					trackVisitor({ latitude, longitude, accuracy });
@@ -498,16 +695,260 @@ function App() {
 			}
 		: null;
 
+	// Fit the map to a set of parcels
+	const fitToFeatures = useCallback((features) => {
+		const bboxes = features.map((feature) => getGeometryBbox(feature.geometry)).filter(Boolean);
+		if (bboxes.length === 0) return;
+		mapRef.current?.fitBounds(
+			[
+				[Math.min(...bboxes.map((bbox) => bbox[0])), Math.min(...bboxes.map((bbox) => bbox[1]))],
+				[Math.max(...bboxes.map((bbox) => bbox[2])), Math.max(...bboxes.map((bbox) => bbox[3]))],
+			],
+			{ padding: 60, maxZoom: 18, duration: 1000 },
+		);
+	}, []);
+
+	// Owner search results, highlighted on the map; the focused result is drawn heavier
+	const ownerSearchGeoJSON = useMemo(
+		() =>
+			ownerSearch && {
+				type: "FeatureCollection",
+				features: ownerSearch.matches.map((match) => ({
+					...match.feature,
+					properties: { ...match.feature.properties, focused: match.key === focusedOwnerMatchKey },
+				})),
+			},
+		[ownerSearch, focusedOwnerMatchKey],
+	);
+
+	const clearOwnerSearch = useCallback(() => {
+		ownerSearchRequestRef.current?.abort();
+		setOwnerSearch(null);
+		setFocusedOwnerMatchKey(null);
+	}, []);
+
+	// Handle owner-name search across loaded parcels and the full tile set
+	const handleOwnerSearch = async (query) => {
+		ownerSearchRequestRef.current?.abort();
+		const controller = new AbortController();
+		ownerSearchRequestRef.current = controller;
+
+		setSearchLoading(true);
+		try {
+			const result = await searchOwners(query, { signal: controller.signal });
+			setOwnerSearch({ query, ...result });
+			setFocusedOwnerMatchKey(null);
+			fitToFeatures(result.matches.map((match) => match.feature));
+		} catch (error) {
+			if (error.name !== "AbortError") console.error("Owner search error:", error);
+		} finally {
+			if (ownerSearchRequestRef.current === controller) {
+				ownerSearchRequestRef.current = null;
+				setSearchLoading(false);
+			}
+		}
+	};
+
+	const handleFocusOwnerMatch = (match) => {
+		setFocusedOwnerMatchKey(match.key);
+		fitToFeatures([match.feature]);
+	};
+
+	// Fly to a parcel and select it, as clicking it on the map would
+	const handleSelectParcelIdMatch = (match) => {
+		fitToFeatures([match.feature]);
+		selectParcel(match.feature, { source: "parcel_id_search" });
+		// Reopens the contact card when the same parcel is picked again after closing it
+		setSelectedParcel(match.feature);
+	};
+
+	// Handle parcel ID search (PID or OLDPID, formatted or not) through the prebuilt ID index
+	const handleParcelIdSearch = async (query) => {
+		parcelIdRequestRef.current?.abort();
+		const controller = new AbortController();
+		parcelIdRequestRef.current = controller;
+
+		setSearchLoading(true);
+		try {
+			const result = await findParcelsById(query, { signal: controller.signal });
+			clearOwnerSearch();
+			if (result.matches.length === 1) {
+				setParcelIdSearch(null);
+			} else {
+				setParcelIdSearch({ query, ...result });
+			}
+			if (result.matches.length > 0) {
+				handleSelectParcelIdMatch(result.matches[0]);
+			}
+		} catch (error) {
+			if (error.name !== "AbortError") console.error("Parcel ID search error:", error);
+		} finally {
+			if (parcelIdRequestRef.current === controller) {
+				parcelIdRequestRef.current = null;
+				setSearchLoading(false);
+			}
+		}
+	};
+
+	// Neighbors report for a parcel; the contact card closes so the map and the report are visible
+	const handleShowNeighbors = async (subject, bufferMeters = 0) => {
+		neighborsRequestRef.current?.abort();
+		const controller = new AbortController();
+		neighborsRequestRef.current = controller;
+
+		setSelectedParcel(null);
+		setNeighborsReport((previous) => ({
+			subject,
+			bufferMeters,
+			groups: previous?.subject === subject ? previous.groups : [],
+			partial: false,
+			loading: true,
+		}));
+		try {
+			const { neighbors, groups, partial } = await loadNeighbors(subject, { bufferMeters, signal: controller.signal });
+			setNeighborsReport({ subject, bufferMeters, groups, partial, loading: false });
+			fitToFeatures([subject, ...neighbors.map((neighbor) => neighbor.feature)]);
+		} catch (error) {
+			if (error.name === "AbortError") return;
+			console.error("Neighbors report error:", error);
+			setNeighborsReport({ subject, bufferMeters, groups: [], partial: true, loading: false });
+		} finally {
+			if (neighborsRequestRef.current === controller) {
+				neighborsRequestRef.current = null;
+			}
+		}
+	};
+
+	const closeNeighborsReport = useCallback(() => {
+		neighborsRequestRef.current?.abort();
+		setNeighborsReport(null);
+	}, []);
+
+	// Holdings of a parcel's owner; the contact card closes so the footprint and the panel are visible
+	const handleShowHoldings = async (subject) => {
+		holdingsRequestRef.current?.abort();
+		const controller = new AbortController();
+		holdingsRequestRef.current = controller;
+
+		setSelectedParcel(null);
+		setHoldingsView({
+			subject,
+			owner: subject.properties?.OWNER || subject.properties?.OWNER_NAME,
+			spellings: [],
+			parcels: [],
+			blocks: [],
+			totalAcres: 0,
+			subjectBlockId: null,
+			truncated: false,
+			partial: false,
+			loading: true,
+		});
+		try {
+			const holdings = await loadHoldings(subject, { signal: controller.signal });
+			if (!holdings) {
+				setHoldingsView(null);
+				return;
+			}
+			setHoldingsView({ subject, ...holdings, loading: false });
+			fitToFeatures(holdings.parcels.map((parcel) => parcel.feature));
+		} catch (error) {
+			if (error.name === "AbortError") return;
+			console.error("Holdings error:", error);
+			setHoldingsView((previous) => previous && { ...previous, partial: true, loading: false });
+		} finally {
+			if (holdingsRequestRef.current === controller) {
+				holdingsRequestRef.current = null;
+			}
+		}
+	};
+
+	const closeHoldingsView = useCallback(() => {
+		holdingsRequestRef.current?.abort();
+		setHoldingsView(null);
+	}, []);
+
+	// The owner's footprint on the map: every parcel filled, each block outlined with its interior lines dissolved
+	const holdingsGeoJSON = useMemo(
+		() =>
+			holdingsView &&
+			!holdingsView.loading && {
+				type: "FeatureCollection",
+				features: [
+					...holdingsView.parcels.map((parcel) => ({
+						...parcel.feature,
+						properties: { ...parcel.feature.properties, holdingsPart: "parcel" },
+					})),
+					...holdingsView.blocks.map((block) => ({
+						type: "Feature",
+						geometry: block.outline,
+						properties: { holdingsPart: "outline", block: block.id },
+					})),
+				],
+			},
+		[holdingsView],
+	);
+
+	// Neighboring parcels on the map, touching ones drawn heavier
+	const neighborsGeoJSON = useMemo(
+		() =>
+			neighborsReport && {
+				type: "FeatureCollection",
+				features: neighborsReport.groups.flatMap((group) =>
+					group.parcels.map((neighbor) => ({
+						...neighbor.feature,
+						properties: { ...neighbor.feature.properties, touching: neighbor.touching },
+					})),
+				),
+			},
+		[neighborsReport],
+	);
+
+	// Attribute filter and thematic color for the parcel layers, as Mapbox expressions
+	const parcelLayerFilter = useMemo(() => buildParcelFilter(parcelFilters), [parcelFilters]);
+	const parcelLayerColor = useMemo(() => buildParcelColor(parcelFilters.theme, "#39FF14"), [parcelFilters.theme]);
+	const isParcelLayerThemed = parcelFilters.theme !== "none";
+
+	// Saved GeoJSON tiles carry no OWNER_TYPE; /api/tiles adds it to the vector tiles
+	const offlineParcelsGeoJSON = useMemo(
+		() =>
+			visibleParcels && {
+				...visibleParcels,
+				features: visibleParcels.features.map((feature) => ({
+					...feature,
+					properties: withOwnerType(feature.properties),
+				})),
+			},
+		[visibleParcels],
+	);
+
 	// Handle address search
 	const handleAddressSearch = async (e) => {
 		e.preventDefault();
 		if (!searchQuery.trim()) return;
 
+		if (searchMode === "owner") {
+			setParcelIdSearch(null);
+			await handleOwnerSearch(searchQuery.trim());
+			return;
+		}
+
+		// A parcel number typed into the address box is searched as one; addresses always have a street name
+		if (searchMode === "parcel" || looksLikeParcelId(searchQuery)) {
+			await handleParcelIdSearch(searchQuery.trim());
+			return;
+		}
+
 		setSearchLoading(true);
 		try {
 			const result = await geocodeAddress(searchQuery);
 			if (result) {
-				logQuery(searchQuery, result);
+				logQuery({
+					lat: result.latitude,
+					lng: result.longitude,
+					address: searchQuery,
+					result: null,
+					source: "address_search",
+				});
 				const newViewState = {
 					latitude: result.latitude,
 					longitude: result.longitude,
@@ -622,9 +1063,8 @@ function App() {
 					const acres = calculatePolygonArea(polygonCoords);
 					const centroid = calculateCentroid(polygonCoords);
 
-					const areaFeature = {
+					const areaFeature = addArea({
 						type: "Feature",
-						id: areaIdRef.current++,
 						geometry: {
 							type: "Polygon",
 							coordinates: [polygonCoords],
@@ -638,10 +1078,7 @@ function App() {
 							acres: acres.toFixed(2),
 							centroid: centroid,
 						},
-					};
-
-					// Add to cached areas
-					setCachedAreas((prev) => [...prev, areaFeature]);
+					});
 					setSelectedAreaId(areaFeature.id);
 
 					// Reset draw mode
@@ -671,7 +1108,7 @@ function App() {
 				setDrawnLines((prev) => [...prev, newLine]);
 			}
 		},
-		[drawMode, drawnPoints],
+		[drawMode, drawnPoints, addArea],
 	);
 
 	// Map mouse event handlers
@@ -688,8 +1125,8 @@ function App() {
 				setFollowUserLocation(false);
 			}
 
-			// Use tile-based system if available and zoomed in enough (zoom 13-20)
-			if (tilesManifest && evt.viewState.zoom >= MIN_PARCEL_ZOOM && evt.viewState.zoom <= MAX_PARCEL_ZOOM) {
+			// Use tile-based system if available and zoomed in enough (zoom 13-20); county manifests load on demand
+			if (!tilesError && evt.viewState.zoom >= MIN_PARCEL_ZOOM && evt.viewState.zoom <= MAX_PARCEL_ZOOM) {
 				const map = evt.target;
 				const bounds = map.getBounds();
 				const viewportBounds = {
@@ -717,26 +1154,32 @@ function App() {
 				// Outside zoom range or no tiles available - hide parcels
 				if (evt.viewState.zoom < MIN_PARCEL_ZOOM || evt.viewState.zoom > MAX_PARCEL_ZOOM) {
 					console.log(`◀ Zoom ${evt.viewState.zoom.toFixed(1)} outside parcel range - parcels hidden`);
-				} else if (!tilesManifest) {
-					console.log("📦 Tile manifest not ready yet");
+				} else if (tilesError) {
+					// Server-side viewport query fills in on move end
+					return;
 				}
 				setVisibleParcels(null);
 			}
 		},
-		[tilesManifest, updateVisibleTiles, getVisibleParcels],
+		[tilesError, updateVisibleTiles, getVisibleParcels],
+	);
+
+	// Query the parcels API once panning settles when tiles are unavailable
+	const handleMapMoveEnd = useCallback(
+		(evt) => {
+			if (!tilesError) return;
+			loadParcelsForBounds(evt.target);
+		},
+		[tilesError, loadParcelsForBounds],
 	);
 
 	// Area management functions
 	const updateAreaProperty = (areaId, property, value) => {
-		setCachedAreas((prev) =>
-			prev.map((area) =>
-				area.id === areaId ? { ...area, properties: { ...area.properties, [property]: value } } : area,
-			),
-		);
+		updateArea(areaId, { [property]: value });
 	};
 
 	const deleteArea = (areaId) => {
-		setCachedAreas((prev) => prev.filter((area) => area.id !== areaId));
+		removeArea(areaId);
 		if (selectedAreaId === areaId) {
 			setSelectedAreaId(null);
 			setEditingAreaId(null);
@@ -775,8 +1218,10 @@ function App() {
 		<div className="relative w-full h-screen overflow-hidden bg-black">
 			{/* Map */}
 			<Map
+				ref={mapRef}
 				{...viewState}
 				onMove={handleMapMove}
+				onMoveEnd={handleMapMoveEnd}
 				onClick={handleMapClickWithAreas}
 				onMouseDown={handleMapMouseDown}
 				onMouseMove={handleMapMouseMove}
@@ -785,28 +1230,52 @@ function App() {
 				onLoad={(e) => {
 					// Map is loaded - icons will render using circle approach
 				}}
-				mapStyle="mapbox://styles/mapbox/satellite-streets-v12"
+				mapStyle={mapStyle}
 				mapboxAccessToken={import.meta.env.VITE_MAPBOX_ACCESS_TOKEN}
 				minZoom={4}
 				maxZoom={20}
 				cursor={drawMode ? "crosshair" : "pointer"}>
-				{/* All Visible Parcels */}
-				{visibleParcels && visibleParcels.features && visibleParcels.features.length > 0 && (
-					<Source id="visible-parcels" type="geojson" data={visibleParcels}>
-						<Layer
-							id="visible-parcels-fill"
-							type="fill"
-							paint={{
-								"fill-color": "#39FF14",
-								"fill-opacity": 0.05,
-							}}
-						/>
+				{/* All Visible Parcels - Mapbox Vector Tiles sliced by /api/tiles */}
+				<Source
+					id="visible-parcels"
+					type="vector"
+					tiles={[PARCEL_TILES_URL]}
+					minzoom={PARCEL_TILE_MIN_ZOOM}
+					maxzoom={PARCEL_TILE_MAX_ZOOM}
+					promoteId="PID">
+					<Layer
+						id="visible-parcels-fill"
+						type="fill"
+						source-layer="parcels"
+						filter={parcelLayerFilter}
+						paint={{
+							"fill-color": parcelLayerColor,
+							"fill-opacity": isParcelLayerThemed ? 0.35 : 0.05,
+						}}
+					/>
+					<Layer
+						id="visible-parcels-line"
+						type="line"
+						source-layer="parcels"
+						filter={parcelLayerFilter}
+						paint={{
+							"line-color": parcelLayerColor,
+							"line-width": ["interpolate", ["linear"], ["zoom"], PARCEL_TILE_MIN_ZOOM, 0.5, 16, 2],
+							"line-opacity": 0.8,
+						}}
+					/>
+				</Source>
+
+				{/* Offline Parcels - the vector tile API needs signal, so draw the saved GeoJSON tiles instead */}
+				{!isOnline && offlineParcelsGeoJSON && (
+					<Source id="offline-parcels" type="geojson" data={offlineParcelsGeoJSON}>
 						<Layer
-							id="visible-parcels-line"
+							id="offline-parcels-line"
 							type="line"
+							filter={parcelLayerFilter}
 							paint={{
-								"line-color": "#39FF14",
-								"line-width": 2,
+								"line-color": parcelLayerColor,
+								"line-width": ["interpolate", ["linear"], ["zoom"], PARCEL_TILE_MIN_ZOOM, 0.5, 16, 2],
 								"line-opacity": 0.8,
 							}}
 						/>
@@ -882,6 +1351,81 @@ function App() {
 					</Source>
 				)}
 
+				{/* Owner Search Results */}
+				{ownerSearchGeoJSON && (
+					<Source id="owner-search-results" type="geojson" data={ownerSearchGeoJSON}>
+						<Layer
+							id="owner-search-results-fill"
+							type="fill"
+							paint={{
+								"fill-color": "#FBBF24",
+								"fill-opacity": ["case", ["get", "focused"], 0.4, 0.25],
+							}}
+						/>
+						<Layer
+							id="owner-search-results-line"
+							type="line"
+							paint={{
+								"line-color": "#FBBF24",
+								"line-width": ["case", ["get", "focused"], 4, 2],
+								"line-opacity": 0.9,
+							}}
+						/>
+					</Source>
+				)}
+
+				{/* Neighbors Report */}
+				{neighborsGeoJSON && (
+					<Source id="neighbor-parcels" type="geojson" data={neighborsGeoJSON}>
+						<Layer
+							id="neighbor-parcels-fill"
+							type="fill"
+							paint={{
+								"fill-color": "#22D3EE",
+								"fill-opacity": ["case", ["get", "touching"], 0.3, 0.15],
+							}}
+						/>
+						<Layer
+							id="neighbor-parcels-line"
+							type="line"
+							paint={{
+								"line-color": "#22D3EE",
+								"line-width": ["case", ["get", "touching"], 3, 1.5],
+								"line-opacity": 0.9,
+							}}
+						/>
+					</Source>
+				)}
+
+				{/* Owner Holdings - the footprint of everything the selected parcel's owner holds */}
+				{holdingsGeoJSON && (
+					<Source id="owner-holdings" type="geojson" data={holdingsGeoJSON}>
+						<Layer
+							id="owner-holdings-fill"
+							type="fill"
+							filter={["==", ["get", "holdingsPart"], "parcel"]}
+							paint={{
+								"fill-color": "#A78BFA",
+								"fill-opacity": 0.25,
+							}}
+						/>
+						<Layer
+							id="owner-holdings-outline"
+							type="line"
+							filter={["==", ["get", "holdingsPart"], "outline"]}
+							layout={{
+								"line-join": "round",
+								"line-cap": "round",
+							}}
+							paint={{
+								"line-color": "#A78BFA",
+								"line-width": 3.5,
+								"line-opacity": 1,
+							}}
+						/>
+					</Source>
+				)}
+
 				{/* Selected Parcel Highlight */}
 				{parcels && parcels.features && parcels.features.length > 0 && (
 					<Source id="selected-parcel" type="geojson" data={parcels}>
@@ -1054,14 +1598,21 @@ function App() {
 			<div className="absolute top-0 left-0 right-0 p-3 md:p-6 z-10 flex items-center gap-4">
 				<img src="/logo.png" alt="Landshake" className="w-auto" style={{ height: "60px" }} />
 
-				{/* Address Search - Hidden by default, shows on toggle */}
+				{/* Address / Owner Search - Hidden by default, shows on toggle */}
 				{showSearchInput ? (
 					<form onSubmit={handleAddressSearch} className="flex-1 flex items-center gap-1 md:gap-2">
+						<button
+							type="button"
+							onClick={() => setSearchMode(SEARCH_MODES[searchMode].next)}
+							title={SEARCH_MODES[searchMode].title}
+							className="px-2 py-1.5 md:px-3 md:py-2 text-sm md:text-base bg-black/80 backdrop-blur-sm border border-neon-green rounded-lg text-neon-green hover:bg-neon-green hover:text-black transition-all">
+							{SEARCH_MODES[searchMode].icon}
+						</button>
 						<input
 							type="text"
 							value={searchQuery}
 							onChange={(e) => setSearchQuery(e.target.value)}
-							placeholder="Search address (e.g., 123 Main St)"
+							placeholder={SEARCH_MODES[searchMode].placeholder}
 							className="flex-1 px-2 py-1.5 md:px-4 md:py-2 text-sm md:text-base rounded-lg bg-white/90 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-neon-green"
 							disabled={searchLoading || isLoading}
 							autoFocus
@@ -1192,14 +1743,38 @@ function App() {
 			{selectedParcel && (
 				<ContactCard
 					ownerName={selectedParcel.properties?.OWNER || selectedParcel.properties?.OWNER_NAME || "Unknown Owner"}
-					parcelId={selectedParcel.properties?.PARCEL_ID}
+					ownerAddress={selectedParcel.properties?.MAILING_ADDRESS}
+					parcelId={getParcelRecordId(selectedParcel)}
 					acres={selectedParcel.properties?.ACRES_CALC}
+					isSaved={isSelectedParcelSaved}
+					onToggleSave={user && selectedParcelId ? handleToggleSavedParcel : undefined}
+					onShowNeighbors={() => handleShowNeighbors(selectedParcel)}
+					onShowHoldings={
+						selectedParcel.properties?.OWNER || selectedParcel.properties?.OWNER_NAME
+							? () => handleShowHoldings(selectedParcel)
+							: undefined
+					}
 					onClose={() => setSelectedParcel(null)}
 				/>
 			)}
 
+			{/* Account Panel - sign in / profile */}
+			{showAccountPanel && (
+				<AccountPanel
+					user={user}
+					drawnAreaCount={cachedAreas.length}
+					savedParcels={savedParcels}
+					onParcelClick={(lat, lng, zoom) => {
+						handleAdminLocationClick(lat, lng, zoom);
+						setShowAccountPanel(false);
+					}}
+					onRemoveSavedParcel={handleRemoveSavedParcel}
+					onClose={() => setShowAccountPanel(false)}
+				/>
+			)}
+
 			{/* Admin Panel - Conditional Render */}
-			{showAdminPanel && <AdminPanel onLocationClick={handleAdminLocationClick} />}
+			{showAdminPanel && <AdminPanel onLocationClick={handleAdminLocationClick} onSignIn={() => setShowAccountPanel(true)} />}
 
 			{/* Debug Panel - Conditional Render */}
 			{showDebugPanel && (
@@ -1207,6 +1782,7 @@ function App() {
 					viewState={viewState}
 					selectedParcel={selectedParcel}
 					userLocation={userLocation}
+					tileCacheStats={tileCacheStats}
 					onClose={() => setShowDebugPanel(false)}
 				/>
 			)}
@@ -1218,6 +1794,84 @@ function App() {
 					bottom: "max(0px, env(safe-area-inset-bottom, 0px))",
 					pointerEvents: "none",
 				}}>
+				{/* Consent banner until the visitor chooses, then privacy settings from Tools */}
+				{(consent === null || showPrivacyPanel) && (
+					<PrivacyPanel consent={consent} onConsentChange={setConsent} onClose={() => setShowPrivacyPanel(false)} />
+				)}
+
+				{/* Owner Search Results - matches are also highlighted on the map */}
+				{ownerSearch && (
+					<OwnerSearchResults
+						{...ownerSearch}
+						focusedKey={focusedOwnerMatchKey}
+						onFocus={handleFocusOwnerMatch}
+						onShowAll={() => fitToFeatures(ownerSearch.matches.map((match) => match.feature))}
+						onOpenParcel={(match) => {
+							handleFocusOwnerMatch(match);
+							setSelectedParcel(match.feature);
+						}}
+						onClose={clearOwnerSearch}
+					/>
+				)}
+
+				{/* Neighbors Report - parcels around the selected one, grouped by owner */}
+				{neighborsReport && (
+					<NeighborsPanel
+						{...neighborsReport}
+						onBufferChange={(bufferMeters) => handleShowNeighbors(neighborsReport.subject, bufferMeters)}
+						onFocusGroup={(group) => fitToFeatures(group.parcels.map((neighbor) => neighbor.feature))}
+						onOpenParcel={(neighbor) => setSelectedParcel(neighbor.feature)}
+						onExport={() =>
+							exportNeighborsCsv(neighborsReport.subject, neighborsReport.groups, neighborsReport.bufferMeters)
+						}
+						onClose={closeNeighborsReport}
+					/>
+				)}
+
+				{/* Holdings - every parcel the selected parcel's owner holds, dissolved into contiguous blocks */}
+				{holdingsView && (
+					<HoldingsPanel
+						{...holdingsView}
+						onFocusBlock={(block) => fitToFeatures(block.parcels.map((parcel) => parcel.feature))}
+						onShowAll={() => fitToFeatures(holdingsView.parcels.map((parcel) => parcel.feature))}
+						onOpenParcel={(parcel) => setSelectedParcel(parcel.feature)}
+						onClose={closeHoldingsView}
+					/>
+				)}
+
+				{/* Parcel ID Results - when an ID matched no parcel, or an old PID several */}
+				{parcelIdSearch && (
+					<ParcelIdResults
+						{...parcelIdSearch}
+						selectedKey={parcelIdSearch.matches.find((match) => match.feature === selectedParcel)?.key}
+						onSelect={handleSelectParcelIdMatch}
+						onClose={() => setParcelIdSearch(null)}
+					/>
+				)}
+
+				{/* Offline Areas - saved regions for use without signal */}
+				{showOfflinePanel && (
+					<OfflineAreasPanel
+						getViewportBounds={getViewportBounds}
+						onSaveArea={saveAreaOffline}
+						onAreaClick={handleOfflineAreaClick}
+						tilesManifests={tilesManifests}
+						basemapRegions={basemapRegions}
+						onDeleteBasemapRegion={handleDeleteBasemapRegion}
+						isOnline={isOnline}
+						onClose={() => setShowOfflinePanel(false)}
+					/>
+				)}
+
+				{/* Parcel Filters - attribute filter and thematic colors for the parcel layer */}
+				{showFiltersPanel && (
+					<ParcelFiltersPanel
+						filters={parcelFilters}
+						onChange={setParcelFilters}
+						onClose={() => setShowFiltersPanel(false)}
+					/>
+				)}
+
 				{/* Tools Menu (Secondary Nav) - Appears First */}
 				{showToolsMenu && (
 					<div className="bg-black/70 border border-neon-green/30 rounded-lg backdrop-blur-md p-3" style={{ pointerEvents: "auto" }}>
@@ -1231,7 +1885,44 @@ function App() {
 								}`}>
 								{drawMode ? "✓ Draw Area" : "Draw Area"}
 							</button>
+							<button
+								onClick={() => setShowOfflinePanel(!showOfflinePanel)}
+								className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+									showOfflinePanel
+										? "bg-sky-500 text-black"
+										: "bg-black/50 border border-sky-500/50 text-sky-400 hover:bg-sky-500/20"
+								}`}>
+								{isOnline ? "Offline Areas" : "📴 Offline Areas"}
+							</button>
+							<button
+								onClick={() => setShowFiltersPanel(!showFiltersPanel)}
+								className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+									showFiltersPanel
+										? "bg-teal-500 text-black"
+										: "bg-black/50 border border-teal-500/50 text-teal-400 hover:bg-teal-500/20"
+								}`}>
+								{hasActiveParcelFilters(parcelFilters) ? "Filters •" : "Filters"}
+							</button>
+							<button
+								onClick={() => setShowPrivacyPanel(!showPrivacyPanel)}
+								className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+									showPrivacyPanel
+										? "bg-gray-200 text-black"
+										: "bg-black/50 border border-gray-400/50 text-gray-300 hover:bg-gray-400/20"
+								}`}>
+								Privacy
+							</button>
 						</div>
+						<p className="text-[10px] text-gray-400 text-center mt-2">
+							{
+								{
+									local: "Drawn areas saved on this device - sign in to sync",
+									syncing: "Syncing drawn areas...",
+									synced: "✓ Drawn areas synced",
+									error: "⚠️ Drawn area sync failed - saved on this device",
+								}[areaSyncStatus]
+							}
+						</p>
 					</div>
 				)}
 
@@ -1259,10 +1950,28 @@ function App() {
 									Close
 								</button>
 							</div>
+							<button
+								onClick={() => setBasemapAreaId(basemapAreaId === selectedAreaId ? null : selectedAreaId)}
+								className="w-full px-3 py-2 rounded-lg text-xs font-semibold bg-sky-600/70 border border-sky-500/50 text-sky-100 hover:bg-sky-600 transition">
+								Save Map Offline
+							</button>
 						</div>
 					</div>
 				)}
 
+				{/* Basemap Download - caches map imagery for the selected drawn area */}
+				{selectedArea && basemapAreaId === selectedAreaId && (
+					<BasemapDownloadPanel
+						area={selectedArea}
+						isOnline={isOnline}
+						onSaved={() => {
+							refreshBasemapRegions();
+							setBasemapAreaId(null);
+						}}
+						onClose={() => setBasemapAreaId(null)}
+					/>
+				)}
+
 				{/* Area Editing Menu - Full Editor when Edit Mode Active */}
 				{selectedArea && editingAreaId === selectedAreaId && (
 					<div className="bg-black/70 border border-amber-500/30 rounded-lg backdrop-blur-md p-3" style={{ pointerEvents: "auto" }}>
@@ -1362,6 +2071,17 @@ function App() {
 						TOOLS {showToolsMenu && "▼"}
 					</button>
 
+					{/* Account Button */}
+					<button
+						onClick={() => setShowAccountPanel(!showAccountPanel)}
+						className={`px-4 py-2 rounded-lg font-semibold transition ${
+							showAccountPanel
+								? "bg-neon-green text-black"
+								: "bg-black/50 border border-neon-green/50 text-neon-green hover:bg-neon-green/20"
+						}`}>
+						{user ? "ACCOUNT ●" : "SIGN IN"}
+					</button>
+
 					{/* Admin Button */}
 					<button
 						onClick={() => setShowAdminPanel(!showAdminPanel)}
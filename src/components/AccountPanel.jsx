@@ -0,0 +1,272 @@
+/**
+ * Account Panel Component
+ * Sign-up, sign-in and password reset for signed-out users; a profile screen for signed-in users
+ * with their saved parcels, drawn areas and recent lookups
+ */
+
+import React, { useState, useEffect } from "react";
+import { collection, query, where, limit, getDocs } from "firebase/firestore";
+import { db } from "../config/firebase";
+import {
+	signUp,
+	signIn,
+	signOutUser,
+	resetPassword,
+	updateDisplayName,
+	describeAuthError,
+} from "../services/authService";
+
+const inputClass =
+	"w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded text-white text-sm focus:outline-none focus:border-neon-green";
+const primaryButtonClass =
+	"w-full bg-neon-green text-black font-bold py-2 rounded hover:bg-green-400 transition disabled:opacity-50";
+const linkClass = "text-xs text-gray-400 hover:text-neon-green transition";
+
+function AuthForms() {
+	const [mode, setMode] = useState("signIn"); // signIn | signUp | reset
+	const [email, setEmail] = useState("");
+	const [password, setPassword] = useState("");
+	const [displayName, setDisplayName] = useState("");
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState(null);
+	const [notice, setNotice] = useState(null);
+
+	const switchMode = (nextMode) => {
+		setMode(nextMode);
+		setError(null);
+		setNotice(null);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setBusy(true);
+		setError(null);
+		setNotice(null);
+		try {
+			if (mode === "signUp") {
+				await signUp({ email, password, displayName });
+			} else if (mode === "signIn") {
+				await signIn(email, password);
+			} else {
+				await resetPassword(email);
+				setNotice("If an account exists for that email, a reset link is on its way.");
+			}
+			setPassword("");
+		} catch (err) {
+			console.error("[Auth] Request failed:", err);
+			setError(describeAuthError(err));
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="space-y-3">
+			<p className="text-gray-300 text-sm">
+				{mode === "signUp" && "Create an account to sync drawn areas and save parcels."}
+				{mode === "signIn" && "Sign in to your account."}
+				{mode === "reset" && "We'll email you a link to reset your password."}
+			</p>
+			{mode === "signUp" && (
+				<input
+					type="text"
+					value={displayName}
+					onChange={(e) => setDisplayName(e.target.value)}
+					placeholder="Name (optional)"
+					autoComplete="name"
+					className={inputClass}
+				/>
+			)}
+			<input
+				type="email"
+				value={email}
+				onChange={(e) => setEmail(e.target.value)}
+				placeholder="Email"
+				autoComplete="email"
+				required
+				className={inputClass}
+			/>
+			{mode !== "reset" && (
+				<input
+					type="password"
+					value={password}
+					onChange={(e) => setPassword(e.target.value)}
+					placeholder="Password"
+					autoComplete={mode === "signUp" ? "new-password" : "current-password"}
+					minLength={6}
+					required
+					className={inputClass}
+				/>
+			)}
+			{error && <p className="text-red-400 text-xs">{error}</p>}
+			{notice && <p className="text-neon-green text-xs">{notice}</p>}
+			<button type="submit" disabled={busy} className={primaryButtonClass}>
+				{busy ? "..." : { signIn: "Sign In", signUp: "Create Account", reset: "Send Reset Link" }[mode]}
+			</button>
+			<div className="flex justify-between">
+				{mode === "signIn" ? (
+					<>
+						<button type="button" onClick={() => switchMode("signUp")} className={linkClass}>
+							Create an account
+						</button>
+						<button type="button" onClick={() => switchMode("reset")} className={linkClass}>
+							Forgot password?
+						</button>
+					</>
+				) : (
+					<button type="button" onClick={() => switchMode("signIn")} className={linkClass}>
+						Back to sign in
+					</button>
+				)}
+			</div>
+		</form>
+	);
+}
+
+function Profile({ user, drawnAreaCount, savedParcels, onParcelClick, onRemoveSavedParcel }) {
+	const [name, setName] = useState(user.displayName ?? "");
+	const [savingName, setSavingName] = useState(false);
+	const [recentQueries, setRecentQueries] = useState([]);
+
+	// Recent lookups attributed to this user; sorted here to avoid needing a composite index
+	useEffect(() => {
+		const loadQueries = async () => {
+			try {
+				const snapshot = await getDocs(query(collection(db, "queries"), where("userId", "==", user.uid), limit(50)));
+				const list = snapshot.docs.map((docSnap) => ({
+					id: docSnap.id,
+					...docSnap.data(),
+					timestamp: docSnap.data().timestamp?.toDate?.() || new Date(),
+				}));
+				setRecentQueries(list.sort((a, b) => b.timestamp - a.timestamp).slice(0, 10));
+			} catch (error) {
+				console.error("[Account] Failed to load recent lookups:", error);
+			}
+		};
+		loadQueries();
+	}, [user.uid]);
+
+	const handleSaveName = async () => {
+		setSavingName(true);
+		try {
+			await updateDisplayName(name);
+		} catch (error) {
+			console.error("[Account] Failed to update name:", error);
+		} finally {
+			setSavingName(false);
+		}
+	};
+
+	return (
+		<div className="space-y-4 text-sm">
+			<div className="space-y-2">
+				<div className="text-gray-400 text-xs">Signed in as</div>
+				<div className="text-white font-semibold break-all">{user.email}</div>
+				<div className="flex gap-2">
+					<input
+						type="text"
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						placeholder="Display name"
+						className={inputClass}
+					/>
+					<button
+						onClick={handleSaveName}
+						disabled={savingName || name === (user.displayName ?? "")}
+						className="px-3 rounded bg-neon-green text-black font-bold hover:bg-green-400 transition disabled:opacity-50">
+						Save
+					</button>
+				</div>
+				{user.metadata?.creationTime && (
+					<div className="text-gray-500 text-xs">Member since {new Date(user.metadata.creationTime).toLocaleDateString()}</div>
+				)}
+			</div>
+
+			<div className="text-gray-300">
+				🗺️ {drawnAreaCount} drawn {drawnAreaCount === 1 ? "area" : "areas"} synced to this account
+			</div>
+
+			<div>
+				<div className="text-neon-green font-semibold mb-2">Saved Parcels ({savedParcels.length})</div>
+				{savedParcels.length === 0 ? (
+					<p className="text-gray-500 text-xs">Tap ☆ on a parcel's contact card to save it here.</p>
+				) : (
+					<div className="space-y-2 max-h-48 overflow-y-auto">
+						{savedParcels.map((parcel) => (
+							<div
+								key={parcel.parcelId}
+								className="bg-gray-800 border border-gray-700 rounded p-2 text-xs flex justify-between items-start gap-2">
+								<button
+									onClick={() => parcel.center && onParcelClick?.(parcel.center.lat, parcel.center.lng, 17)}
+									className="text-left flex-1 min-w-0 hover:text-neon-green transition">
+									<div className="text-white font-semibold truncate">{parcel.owner || "Unknown Owner"}</div>
+									<div className="text-gray-400">
+										{parcel.parcelId}
+										{parcel.acres ? ` · ${parcel.acres.toFixed(2)} acres` : ""}
+									</div>
+								</button>
+								<button
+									onClick={() => onRemoveSavedParcel?.(parcel.parcelId)}
+									className="text-gray-500 hover:text-red-400 transition"
+									title="Remove">
+									✕
+								</button>
+							</div>
+						))}
+					</div>
+				)}
+			</div>
+
+			<div>
+				<div className="text-neon-green font-semibold mb-2">Recent Lookups</div>
+				{recentQueries.length === 0 ? (
+					<p className="text-gray-500 text-xs">No lookups yet</p>
+				) : (
+					<div className="space-y-1 max-h-32 overflow-y-auto">
+						{recentQueries.map((q) => (
+							<button
+								key={q.id}
+								onClick={() => q.lat && onParcelClick?.(q.lat, q.lng, 18)}
+								className="w-full text-left bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs hover:border-neon-green transition">
+								<span className="text-white">{q.result?.owner || "Unknown"}</span>
+								<span className="text-gray-500"> · {q.timestamp.toLocaleDateString()}</span>
+							</button>
+						))}
+					</div>
+				)}
+			</div>
+
+			<button
+				onClick={signOutUser}
+				className="w-full text-xs text-gray-400 hover:text-gray-200 py-2 border-t border-gray-700 transition">
+				Sign Out
+			</button>
+		</div>
+	);
+}
+
+export default function AccountPanel({ user, drawnAreaCount, savedParcels, onParcelClick, onRemoveSavedParcel, onClose }) {
+	return (
+		<div className="fixed inset-x-4 top-20 mx-auto max-w-sm max-h-[70vh] bg-gray-900 border border-neon-green rounded-lg shadow-2xl z-50 flex flex-col overflow-hidden">
+			<div className="bg-gradient-to-r from-gray-800 to-gray-900 border-b border-neon-green px-4 py-3 flex justify-between items-center">
+				<h3 className="text-neon-green font-bold">{user ? "Your Account" : "Account"}</h3>
+				<button onClick={onClose} className="text-gray-400 hover:text-white text-xl">
+					×
+				</button>
+			</div>
+			<div className="flex-1 overflow-y-auto p-4">
+				{user ? (
+					<Profile
+						user={user}
+						drawnAreaCount={drawnAreaCount}
+						savedParcels={savedParcels}
+						onParcelClick={onParcelClick}
+						onRemoveSavedParcel={onRemoveSavedParcel}
+					/>
+				) : (
+					<AuthForms />
+				)}
+			</div>
+		</div>
+	);
+}
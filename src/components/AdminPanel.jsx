@@ -1,33 +1,149 @@
 /**
  * Admin Panel Component
- * Displays all logged queries and geolocations
+ * Displays the latest logged visitors, queries and geolocations to users with the `admin` custom claim,
+ * with the analytics dashboard one click away.
+ * Firestore rules (firestore.rules) deny these collections to everyone else.
  */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { collection, query, orderBy, limit, getDocs } from "firebase/firestore";
 import { db } from "../config/firebase";
+import useAuth from "../hooks/useAuth";
+import { signOutUser } from "../services/authService";
+import AnalyticsDashboard from "./AnalyticsDashboard";
+import { exportLog } from "../services/logExport";
+import { QUERY_SOURCES } from "../services/analyticsService";
 
-export default function AdminPanel({ onLocationClick }) {
+const parseDateInput = (value) => {
+	if (!value) return undefined;
+	const [year, month, day] = value.split("-").map(Number);
+	return new Date(year, month - 1, day);
+};
+
+/**
+ * Export controls for one log tab: optional date range (and source, for queries) applied to the full history
+ */
+function ExportBar({ collectionName }) {
+	const [start, setStart] = useState("");
+	const [end, setEnd] = useState("");
+	const [source, setSource] = useState("");
+	const [progress, setProgress] = useState(null); // null | { format, rows }
+	const [message, setMessage] = useState(null);
+	const abortRef = useRef(null);
+
+	const handleExport = async (format) => {
+		const controller = new AbortController();
+		abortRef.current = controller;
+		setProgress({ format, rows: 0 });
+		setMessage(null);
+		try {
+			const filters = {
+				start: parseDateInput(start),
+				end: parseDateInput(end),
+				source: collectionName === "queries" && source ? source : undefined,
+			};
+			const { rows, written } = await exportLog(collectionName, format, filters, {
+				signal: controller.signal,
+				onProgress: (count) => setProgress({ format, rows: count }),
+			});
+			setMessage(
+				format === "geojson" && written < rows
+					? `Exported ${written} of ${rows} (${rows - written} had no location)`
+					: `Exported ${written}`,
+			);
+		} catch (error) {
+			if (error.name !== "AbortError") {
+				console.error("[Export] Failed:", error);
+				setMessage(`Export failed: ${error.message}`);
+			}
+		} finally {
+			abortRef.current = null;
+			setProgress(null);
+		}
+	};
+
+	const inputClass =
+		"px-1 py-1 bg-gray-800 border border-gray-600 rounded text-white text-xs focus:outline-none focus:border-neon-green";
+	const buttonClass =
+		"px-2 py-1 text-xs rounded border border-neon-green/50 text-neon-green hover:bg-neon-green/20 transition disabled:opacity-50";
+
+	return (
+		<div className="mb-3 space-y-2 text-xs text-gray-400">
+			<div className="flex flex-wrap items-center gap-1">
+				<input
+					type="date"
+					value={start}
+					max={end || undefined}
+					onChange={(e) => setStart(e.target.value)}
+					className={inputClass}
+				/>
+				<span>to</span>
+				<input
+					type="date"
+					value={end}
+					min={start || undefined}
+					onChange={(e) => setEnd(e.target.value)}
+					className={inputClass}
+				/>
+				{collectionName === "queries" && (
+					<select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+						<option value="">All sources</option>
+						{QUERY_SOURCES.map((value) => (
+							<option key={value} value={value}>
+								{value}
+							</option>
+						))}
+					</select>
+				)}
+			</div>
+			<div className="flex items-center gap-2">
+				{progress ? (
+					<>
+						<span>
+							Exporting {progress.format.toUpperCase()}... {progress.rows} read
+						</span>
+						<button onClick={() => abortRef.current?.abort()} className="text-gray-400 hover:text-white">
+							Cancel
+						</button>
+					</>
+				) : (
+					<>
+						<span>Export {start || end ? "range" : "all"}:</span>
+						<button onClick={() => handleExport("csv")} className={buttonClass}>
+							CSV
+						</button>
+						<button onClick={() => handleExport("geojson")} className={buttonClass}>
+							GeoJSON
+						</button>
+						{message && <span className="truncate">{message}</span>}
+					</>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default function AdminPanel({ onLocationClick, onSignIn }) {
+	const { user, isAdmin, initializing, refreshClaims } = useAuth();
 	const [adminOpen, setAdminOpen] = useState(false);
-	const [password, setPassword] = useState("");
-	const [authenticated, setAuthenticated] = useState(false);
+	const [checkingAccess, setCheckingAccess] = useState(false);
+	const [showAnalytics, setShowAnalytics] = useState(false);
 	const [queries, setQueries] = useState([]);
 	const [geolocations, setGeolocations] = useState([]);
 	const [visitors, setVisitors] = useState([]);
 	const [loading, setLoading] = useState(false);
 	const [tab, setTab] = useState("visitors");
 
-	// Simple password check (in production, use proper authentication)
-	const ADMIN_PASSWORD = import.meta.env.VITE_ADMIN_PASSWORD || "admin123";
+	useEffect(() => {
+		if (adminOpen && isAdmin) loadData();
+	}, [adminOpen, isAdmin]);
 
-	const handleLogin = (e) => {
-		e.preventDefault();
-		if (password === ADMIN_PASSWORD) {
-			setAuthenticated(true);
-			setPassword("");
-			loadData();
-		} else {
-			alert("Invalid password");
+	const handleCheckAccess = async () => {
+		setCheckingAccess(true);
+		try {
+			await refreshClaims();
+		} finally {
+			setCheckingAccess(false);
 		}
 	};
 
@@ -85,181 +201,209 @@ export default function AdminPanel({ onLocationClick }) {
 	}
 
 	return (
-		<div className="fixed bottom-4 right-4 w-96 max-h-96 bg-gray-900 border border-neon-green rounded-lg shadow-2xl z-50 flex flex-col overflow-hidden">
-			{/* Header */}
-			<div className="bg-gradient-to-r from-gray-800 to-gray-900 border-b border-neon-green px-4 py-3 flex justify-between items-center">
-				<h3 className="text-neon-green font-bold">Admin Panel</h3>
-				<button
-					onClick={() => {
-						setAdminOpen(false);
-						setAuthenticated(false);
-					}}
-					className="text-gray-400 hover:text-white text-xl">
-					×
-				</button>
-			</div>
+		<>
+			<div className="fixed bottom-4 right-4 w-96 max-h-96 bg-gray-900 border border-neon-green rounded-lg shadow-2xl z-50 flex flex-col overflow-hidden">
+				{/* Header */}
+				<div className="bg-gradient-to-r from-gray-800 to-gray-900 border-b border-neon-green px-4 py-3 flex justify-between items-center">
+					<h3 className="text-neon-green font-bold">Admin Panel</h3>
+					<button onClick={() => setAdminOpen(false)} className="text-gray-400 hover:text-white text-xl">
+						×
+					</button>
+				</div>
 
-			{/* Content - with explicit background */}
-			<div className="flex-1 overflow-y-auto bg-gray-900 p-4 flex flex-col">
-				{!authenticated ? (
-					<form onSubmit={handleLogin} className="space-y-3">
-						<p className="text-gray-300 text-sm">Enter admin password:</p>
-						<input
-							type="password"
-							value={password}
-							onChange={(e) => setPassword(e.target.value)}
-							placeholder="Password"
-							className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded text-white text-sm focus:outline-none focus:border-neon-green"
-						/>
-						<button
-							type="submit"
-							className="w-full bg-neon-green text-black font-bold py-2 rounded hover:bg-green-400 transition">
-							Login
-						</button>
-					</form>
-				) : (
-					<>
-						{/* Tabs */}
-						<div className="flex gap-2 border-b border-gray-700 mb-4">
-							<button
-								onClick={() => setTab("visitors")}
-								className={`px-3 py-2 text-sm font-semibold transition ${
-									tab === "visitors"
-										? "text-neon-green border-b-2 border-neon-green"
-										: "text-gray-400 hover:text-gray-200"
-								}`}>
-								Visitors ({visitors.length})
-							</button>
-							<button
-								onClick={() => setTab("queries")}
-								className={`px-3 py-2 text-sm font-semibold transition ${
-									tab === "queries"
-										? "text-neon-green border-b-2 border-neon-green"
-										: "text-gray-400 hover:text-gray-200"
-								}`}>
-								Queries ({queries.length})
-							</button>
+				{/* Content - with explicit background */}
+				<div className="flex-1 overflow-y-auto bg-gray-900 p-4 flex flex-col">
+					{initializing ? (
+						<p className="text-gray-400 text-sm">Checking access...</p>
+					) : !user ? (
+						<div className="space-y-3">
+							<p className="text-gray-300 text-sm">Sign in with an admin account to view activity.</p>
 							<button
-								onClick={() => setTab("geolocations")}
-								className={`px-3 py-2 text-sm font-semibold transition ${
-									tab === "geolocations"
-										? "text-neon-green border-b-2 border-neon-green"
-										: "text-gray-400 hover:text-gray-200"
-								}`}>
-								Geolocations ({geolocations.length})
+								onClick={onSignIn}
+								className="w-full bg-neon-green text-black font-bold py-2 rounded hover:bg-green-400 transition">
+								Sign In
 							</button>
+						</div>
+					) : !isAdmin ? (
+						<div className="space-y-3">
+							<p className="text-gray-300 text-sm">
+								<span className="text-white break-all">{user.email}</span> doesn't have admin access.
+							</p>
+							<p className="text-gray-500 text-xs">If access was just granted, check again to pick up the new role.</p>
 							<button
-								onClick={loadData}
-								disabled={loading}
-								className="px-3 py-2 text-sm text-gray-400 hover:text-gray-200 disabled:opacity-50">
-								{loading ? "..." : "Refresh"}
+								onClick={handleCheckAccess}
+								disabled={checkingAccess}
+								className="w-full bg-neon-green text-black font-bold py-2 rounded hover:bg-green-400 transition disabled:opacity-50">
+								{checkingAccess ? "Checking..." : "Check Again"}
 							</button>
 						</div>
+					) : (
+						<>
+							{/* Tabs */}
+							<div className="flex gap-2 border-b border-gray-700 mb-4">
+								<button
+									onClick={() => setTab("visitors")}
+									className={`px-3 py-2 text-sm font-semibold transition ${
+										tab === "visitors"
+											? "text-neon-green border-b-2 border-neon-green"
+											: "text-gray-400 hover:text-gray-200"
+									}`}>
+									Visitors ({visitors.length})
+								</button>
+								<button
+									onClick={() => setTab("queries")}
+									className={`px-3 py-2 text-sm font-semibold transition ${
+										tab === "queries"
+											? "text-neon-green border-b-2 border-neon-green"
+											: "text-gray-400 hover:text-gray-200"
+									}`}>
+									Queries ({queries.length})
+								</button>
+								<button
+									onClick={() => setTab("geolocations")}
+									className={`px-3 py-2 text-sm font-semibold transition ${
+										tab === "geolocations"
+											? "text-neon-green border-b-2 border-neon-green"
+											: "text-gray-400 hover:text-gray-200"
+									}`}>
+									Geolocations ({geolocations.length})
+								</button>
+								<button
+									onClick={loadData}
+									disabled={loading}
+									className="px-3 py-2 text-sm text-gray-400 hover:text-gray-200 disabled:opacity-50">
+									{loading ? "..." : "Refresh"}
+								</button>
+							</div>
+
+							<ExportBar key={tab} collectionName={tab} />
 
-						{/* Visitors List */}
-						{tab === "visitors" && (
-							<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
-								{visitors.length === 0 ? (
-									<p className="text-gray-500 text-xs">No visitors yet</p>
-								) : (
-									visitors.map((v) => (
-										<div
-											key={v.id}
-											onClick={() =>
-												v.location?.latitude &&
-												v.location?.longitude &&
-												onLocationClick &&
-												onLocationClick(v.location.latitude, v.location.longitude, 15)
-											}
-											className={`bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 transition ${
-												v.location?.latitude ? "cursor-pointer hover:bg-gray-700 hover:border-neon-green" : ""
-											}`}>
-											<div className="flex justify-between">
-												<span className="text-neon-green font-mono font-bold">{v.ip || "Unknown"}</span>
-												<span className="text-gray-500">{v.timestamp?.toLocaleString() || ""}</span>
+							{/* Visitors List */}
+							{tab === "visitors" && (
+								<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
+									{visitors.length === 0 ? (
+										<p className="text-gray-500 text-xs">No visitors yet</p>
+									) : (
+										visitors.map((v) => (
+											<div
+												key={v.id}
+												onClick={() =>
+													v.location?.latitude &&
+													v.location?.longitude &&
+													onLocationClick &&
+													onLocationClick(v.location.latitude, v.location.longitude, 15)
+												}
+												className={`bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 transition ${
+													v.location?.latitude ? "cursor-pointer hover:bg-gray-700 hover:border-neon-green" : ""
+												}`}>
+												<div className="flex justify-between">
+													<span className="text-neon-green font-mono font-bold">{v.ip || (v.ipHash && `#${v.ipHash}`) || "Anonymous"}</span>
+													<span className="text-gray-500">{v.timestamp?.toLocaleString() || ""}</span>
+												</div>
+												{v.location && (
+													<div className="text-gray-400">
+														📍 {v.location.latitude?.toFixed(4)}, {v.location.longitude?.toFixed(4)}
+														{v.location.accuracy && ` (±${v.location.accuracy.toFixed(0)}m)`}
+													</div>
+												)}
+												{v.userAgent && (
+													<div className="text-gray-500 truncate" title={v.userAgent}>
+														🖥️ {v.userAgent}
+													</div>
+												)}
+												{v.referrer && v.referrer !== "Direct" && (
+													<div className="text-gray-500 truncate" title={v.referrer}>
+														🔗 {v.referrer}
+													</div>
+												)}
 											</div>
-											{v.location && (
-												<div className="text-gray-400">
-													📍 {v.location.latitude?.toFixed(4)}, {v.location.longitude?.toFixed(4)}
-													{v.location.accuracy && ` (±${v.location.accuracy.toFixed(0)}m)`}
+										))
+									)}
+								</div>
+							)}
+
+							{/* Query List */}
+							{tab === "queries" && (
+								<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
+									{queries.length === 0 ? (
+										<p className="text-gray-500 text-xs">No queries yet</p>
+									) : (
+										queries.map((q) => (
+											<div
+												key={q.id}
+												onClick={() => onLocationClick && onLocationClick(q.lat, q.lng, 18)}
+												className="bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 cursor-pointer hover:bg-gray-700 hover:border-neon-green transition">
+												<div className="flex justify-between">
+													<span className="text-neon-green font-mono">{q.result?.owner || "Unknown"}</span>
+													<span className="text-gray-500">{q.timestamp?.toLocaleTimeString() || ""}</span>
 												</div>
-											)}
-											{v.userAgent && (
-												<div className="text-gray-500 truncate" title={v.userAgent}>
-													🖥️ {v.userAgent}
+												<div className="text-gray-400">
+													{q.address ? `📍 ${q.address}` : `🗺️ ${q.lng?.toFixed(4)}, ${q.lat?.toFixed(4)}`}
 												</div>
-											)}
-											{v.referrer && v.referrer !== "Direct" && (
-												<div className="text-gray-500 truncate" title={v.referrer}>
-													🔗 {v.referrer}
+												<div className="text-gray-500">
+													📊 {q.result?.acres?.toFixed(2) || "N/A"} acres | {q.source}
 												</div>
-											)}
-										</div>
-									))
-								)}
-							</div>
-						)}
-
-						{/* Query List */}
-						{tab === "queries" && (
-							<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
-								{queries.length === 0 ? (
-									<p className="text-gray-500 text-xs">No queries yet</p>
-								) : (
-									queries.map((q) => (
-										<div
-											key={q.id}
-											onClick={() => onLocationClick && onLocationClick(q.lat, q.lng, 18)}
-											className="bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 cursor-pointer hover:bg-gray-700 hover:border-neon-green transition">
-											<div className="flex justify-between">
-												<span className="text-neon-green font-mono">{q.result?.owner || "Unknown"}</span>
-												<span className="text-gray-500">{q.timestamp?.toLocaleTimeString() || ""}</span>
+												{q.userEmail && <div className="text-gray-500 truncate">👤 {q.userEmail}</div>}
 											</div>
-											<div className="text-gray-400">
-												{q.address ? `📍 ${q.address}` : `🗺️ ${q.lng?.toFixed(4)}, ${q.lat?.toFixed(4)}`}
-											</div>
-											<div className="text-gray-500">
-												📊 {q.result?.acres?.toFixed(2) || "N/A"} acres | {q.source}
-											</div>
-										</div>
-									))
-								)}
-							</div>
-						)}
+										))
+									)}
+								</div>
+							)}
 
-						{/* Geolocation List */}
-						{tab === "geolocations" && (
-							<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
-								{geolocations.length === 0 ? (
-									<p className="text-gray-500 text-xs">No geolocation data yet</p>
-								) : (
-									geolocations.map((g) => (
-										<div
-											key={g.id}
-											onClick={() => onLocationClick && onLocationClick(g.latitude, g.longitude, 18)}
-											className="bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 cursor-pointer hover:bg-gray-700 hover:border-neon-green transition">
-											<div className="flex justify-between">
-												<span className="text-neon-green font-mono">
-													{g.latitude?.toFixed(4)}, {g.longitude?.toFixed(4)}
-												</span>
-												<span className="text-gray-500">{g.timestamp?.toLocaleTimeString() || ""}</span>
+							{/* Geolocation List */}
+							{tab === "geolocations" && (
+								<div className="space-y-2 max-h-64 overflow-y-auto mb-4">
+									{geolocations.length === 0 ? (
+										<p className="text-gray-500 text-xs">No geolocation data yet</p>
+									) : (
+										geolocations.map((g) => (
+											<div
+												key={g.id}
+												onClick={() => onLocationClick && onLocationClick(g.latitude, g.longitude, 18)}
+												className="bg-gray-800 border border-gray-700 rounded p-2 text-xs space-y-1 cursor-pointer hover:bg-gray-700 hover:border-neon-green transition">
+												<div className="flex justify-between">
+													<span className="text-neon-green font-mono">
+														{g.latitude?.toFixed(4)}, {g.longitude?.toFixed(4)}
+													</span>
+													<span className="text-gray-500">{g.timestamp?.toLocaleTimeString() || ""}</span>
+												</div>
+												<div className="text-gray-500">Accuracy: ±{g.accuracy?.toFixed(0) || "N/A"} m</div>
 											</div>
-											<div className="text-gray-500">Accuracy: ±{g.accuracy?.toFixed(0) || "N/A"} m</div>
-										</div>
-									))
-								)}
-							</div>
-						)}
+										))
+									)}
+								</div>
+							)}
 
-						{/* Logout */}
-						<button
-							onClick={() => setAuthenticated(false)}
-							className="w-full text-xs text-gray-400 hover:text-gray-200 py-2 border-t border-gray-700 transition">
-							Logout
-						</button>
-					</>
-				)}
+							<button
+								onClick={() => setShowAnalytics(true)}
+								className="w-full bg-neon-green/10 border border-neon-green/50 text-neon-green text-sm font-semibold py-2 rounded hover:bg-neon-green/20 transition mb-2">
+								📈 Analytics &amp; Full History
+							</button>
+
+							{/* Sign Out */}
+							<button
+								onClick={() => {
+									signOutUser();
+									setAdminOpen(false);
+								}}
+								className="w-full text-xs text-gray-400 hover:text-gray-200 py-2 border-t border-gray-700 transition">
+								Sign Out
+							</button>
+						</>
+					)}
+				</div>
 			</div>
-		</div>
+
+			{/* Rendered outside the panel so it overlays the whole app */}
+			{showAnalytics && isAdmin && (
+				<AnalyticsDashboard
+					onLocationClick={(lat, lng, zoom) => {
+						setShowAnalytics(false);
+						onLocationClick?.(lat, lng, zoom);
+					}}
+					onClose={() => setShowAnalytics(false)}
+				/>
+			)}
+		</>
 	);
 }
@@ -0,0 +1,356 @@
+/**
+ * Analytics Dashboard Component
+ * Admin view over the query and visitor logs: a heatmap of looked-up locations, queries and visitors
+ * per day, the most-queried parcels and the full query history, filtered by date range and source
+ */
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import Map, { Source, Layer } from "react-map-gl";
+import { DEFAULT_COUNTY } from "../config/counties";
+import {
+	QUERY_SOURCES,
+	ANALYTICS_MAX_DOCS,
+	fetchLogPage,
+	fetchLogRange,
+	countByDay,
+	getTopParcels,
+	toHeatmapGeoJSON,
+	getDefaultRange,
+	toDayKey,
+} from "../services/analyticsService";
+
+const HISTORY_PAGE_SIZE = 50;
+
+const SOURCE_LABELS = {
+	map_click: "Map click",
+	address_search: "Address search",
+	parcel_id_search: "Parcel ID search",
+};
+
+const heatmapLayer = {
+	id: "query-heatmap",
+	type: "heatmap",
+	paint: {
+		"heatmap-weight": 1,
+		"heatmap-intensity": ["interpolate", ["linear"], ["zoom"], 8, 1, 16, 3],
+		"heatmap-radius": ["interpolate", ["linear"], ["zoom"], 8, 6, 16, 24],
+		"heatmap-color": [
+			"interpolate",
+			["linear"],
+			["heatmap-density"],
+			0,
+			"rgba(0, 0, 0, 0)",
+			0.2,
+			"#0b3d1f",
+			0.5,
+			"#1a9e4b",
+			0.8,
+			"#39ff14",
+			1,
+			"#ffffff",
+		],
+		"heatmap-opacity": 0.85,
+	},
+};
+
+// Date inputs work in local YYYY-MM-DD
+const parseDayKey = (key) => {
+	const [year, month, day] = key.split("-").map(Number);
+	return new Date(year, month - 1, day);
+};
+
+function DailyChart({ title, series, color }) {
+	const max = Math.max(1, ...series.map((point) => point.count));
+	const total = series.reduce((sum, point) => sum + point.count, 0);
+	const barWidth = 100 / Math.max(series.length, 1);
+
+	return (
+		<div className="bg-gray-800 border border-gray-700 rounded p-3">
+			<div className="flex justify-between text-xs mb-2">
+				<span className="text-neon-green font-semibold">{title}</span>
+				<span className="text-gray-400">
+					{total} total · peak {max}/day
+				</span>
+			</div>
+			<svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-24">
+				{series.map((point, i) => {
+					const height = (point.count / max) * 38;
+					return (
+						<rect
+							key={point.day}
+							x={i * barWidth + barWidth * 0.1}
+							y={40 - height}
+							width={barWidth * 0.8}
+							height={height}
+							fill={color}>
+							<title>{`${point.day}: ${point.count}`}</title>
+						</rect>
+					);
+				})}
+			</svg>
+			<div className="flex justify-between text-[10px] text-gray-500 mt-1">
+				<span>{series[0]?.day}</span>
+				<span>{series[series.length - 1]?.day}</span>
+			</div>
+		</div>
+	);
+}
+
+export default function AnalyticsDashboard({ onLocationClick, onClose }) {
+	const mapRef = useRef(null);
+	const [range, setRange] = useState(() => {
+		const { start, end } = getDefaultRange();
+		return { start: toDayKey(start), end: toDayKey(end) };
+	});
+	const [source, setSource] = useState("");
+	const [queryRows, setQueryRows] = useState([]);
+	const [visitorRows, setVisitorRows] = useState([]);
+	const [truncated, setTruncated] = useState(false);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+
+	// Query history pages; cursors[i] is the last document of page i
+	const [historyRows, setHistoryRows] = useState([]);
+	const [cursors, setCursors] = useState([]);
+	const [pageIndex, setPageIndex] = useState(0);
+	const [hasMore, setHasMore] = useState(false);
+	const [historyLoading, setHistoryLoading] = useState(false);
+
+	const filters = useMemo(
+		() => ({ start: parseDayKey(range.start), end: parseDayKey(range.end), source: source || undefined }),
+		[range, source],
+	);
+
+	const loadHistoryPage = useCallback(
+		async (index, cursor) => {
+			setHistoryLoading(true);
+			try {
+				const page = await fetchLogPage("queries", filters, { cursor, pageSize: HISTORY_PAGE_SIZE });
+				setHistoryRows(page.rows);
+				setHasMore(page.hasMore);
+				setPageIndex(index);
+				setCursors((previous) => {
+					const next = previous.slice(0, index);
+					next[index] = page.cursor;
+					return next;
+				});
+			} catch (err) {
+				console.error("[Analytics] Failed to load query history:", err);
+				setError(err.message);
+			} finally {
+				setHistoryLoading(false);
+			}
+		},
+		[filters],
+	);
+
+	useEffect(() => {
+		if (filters.start > filters.end) {
+			setError("Start date is after end date");
+			return;
+		}
+
+		let cancelled = false;
+		const load = async () => {
+			setLoading(true);
+			setError(null);
+			try {
+				// Visitors have no source; the source filter applies to queries only
+				const [queries, visitors] = await Promise.all([
+					fetchLogRange("queries", filters),
+					fetchLogRange("visitors", { start: filters.start, end: filters.end }),
+				]);
+				if (cancelled) return;
+				setQueryRows(queries.rows);
+				setVisitorRows(visitors.rows);
+				setTruncated(queries.truncated || visitors.truncated);
+			} catch (err) {
+				console.error("[Analytics] Failed to load logs:", err);
+				if (!cancelled) setError(err.message);
+			} finally {
+				if (!cancelled) setLoading(false);
+			}
+		};
+
+		load();
+		loadHistoryPage(0, null);
+		return () => {
+			cancelled = true;
+		};
+	}, [filters, loadHistoryPage]);
+
+	const heatmapData = useMemo(() => toHeatmapGeoJSON(queryRows), [queryRows]);
+	const queriesPerDay = useMemo(() => countByDay(queryRows, filters.start, filters.end), [queryRows, filters]);
+	const visitorsPerDay = useMemo(() => countByDay(visitorRows, filters.start, filters.end), [visitorRows, filters]);
+	const topParcels = useMemo(() => getTopParcels(queryRows, 10), [queryRows]);
+
+	// Frame the heatmap around the queried locations
+	useEffect(() => {
+		const map = mapRef.current;
+		const coordinates = heatmapData.features.map((feature) => feature.geometry.coordinates);
+		if (!map || coordinates.length === 0) return;
+		const lngs = coordinates.map(([lng]) => lng);
+		const lats = coordinates.map(([, lat]) => lat);
+		map.fitBounds(
+			[
+				[Math.min(...lngs), Math.min(...lats)],
+				[Math.max(...lngs), Math.max(...lats)],
+			],
+			{ padding: 40, maxZoom: 15, duration: 0 },
+		);
+	}, [heatmapData]);
+
+	const inputClass =
+		"px-2 py-1 bg-gray-800 border border-gray-600 rounded text-white text-xs focus:outline-none focus:border-neon-green";
+
+	return (
+		<div className="fixed inset-0 bg-black/80 z-[60] flex items-center justify-center p-4">
+			<div className="w-full max-w-5xl max-h-full bg-gray-900 border border-neon-green rounded-lg shadow-2xl flex flex-col overflow-hidden">
+				{/* Header */}
+				<div className="bg-gradient-to-r from-gray-800 to-gray-900 border-b border-neon-green px-4 py-3 flex justify-between items-center">
+					<h3 className="text-neon-green font-bold">Analytics</h3>
+					<button onClick={onClose} className="text-gray-400 hover:text-white text-xl">
+						×
+					</button>
+				</div>
+
+				{/* Filters */}
+				<div className="flex flex-wrap gap-3 items-center px-4 py-3 border-b border-gray-700 text-xs text-gray-300">
+					<label className="flex items-center gap-1">
+						From
+						<input
+							type="date"
+							value={range.start}
+							max={range.end}
+							onChange={(e) => e.target.value && setRange((r) => ({ ...r, start: e.target.value }))}
+							className={inputClass}
+						/>
+					</label>
+					<label className="flex items-center gap-1">
+						To
+						<input
+							type="date"
+							value={range.end}
+							min={range.start}
+							onChange={(e) => e.target.value && setRange((r) => ({ ...r, end: e.target.value }))}
+							className={inputClass}
+						/>
+					</label>
+					<label className="flex items-center gap-1">
+						Source
+						<select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+							<option value="">All</option>
+							{QUERY_SOURCES.map((value) => (
+								<option key={value} value={value}>
+									{SOURCE_LABELS[value]}
+								</option>
+							))}
+						</select>
+					</label>
+					<span className="text-gray-500">
+						{loading ? "Loading..." : `${queryRows.length} queries · ${visitorRows.length} visitors`}
+					</span>
+				</div>
+
+				<div className="flex-1 overflow-y-auto p-4 space-y-4">
+					{error && <p className="text-red-400 text-xs">{error}</p>}
+					{truncated && (
+						<p className="text-yellow-400 text-xs">
+							⚠️ More than {ANALYTICS_MAX_DOCS} entries in this range; the map, charts and top parcels cover the newest{" "}
+							{ANALYTICS_MAX_DOCS}. Narrow the date range to see everything.
+						</p>
+					)}
+
+					{/* Heatmap */}
+					<div className="h-72 rounded overflow-hidden border border-gray-700">
+						<Map
+							ref={mapRef}
+							initialViewState={{ ...DEFAULT_COUNTY.center, zoom: 9 }}
+							mapStyle="mapbox://styles/mapbox/dark-v11"
+							mapboxAccessToken={import.meta.env.VITE_MAPBOX_ACCESS_TOKEN}
+							style={{ width: "100%", height: "100%" }}>
+							<Source id="query-heatmap-source" type="geojson" data={heatmapData}>
+								<Layer {...heatmapLayer} />
+							</Source>
+						</Map>
+					</div>
+
+					{/* Daily charts */}
+					<div className="grid md:grid-cols-2 gap-4">
+						<DailyChart title="Queries per day" series={queriesPerDay} color="#39ff14" />
+						<DailyChart title="Visitors per day" series={visitorsPerDay} color="#22d3ee" />
+					</div>
+
+					<div className="grid md:grid-cols-2 gap-4">
+						{/* Most-queried parcels */}
+						<div>
+							<div className="text-neon-green font-semibold text-sm mb-2">Most-Queried Parcels</div>
+							{topParcels.length === 0 ? (
+								<p className="text-gray-500 text-xs">No parcel lookups in this range</p>
+							) : (
+								<div className="space-y-1">
+									{topParcels.map((parcel, i) => (
+										<button
+											key={parcel.parcelId}
+											onClick={() => onLocationClick?.(parcel.lat, parcel.lng, 17)}
+											className="w-full text-left bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs hover:border-neon-green transition flex justify-between gap-2">
+											<span className="truncate">
+												<span className="text-gray-500">{i + 1}.</span>{" "}
+												<span className="text-white">{parcel.owner || "Unknown"}</span>
+												<span className="text-gray-500"> · {parcel.parcelId}</span>
+											</span>
+											<span className="text-neon-green font-mono whitespace-nowrap">{parcel.count}×</span>
+										</button>
+									))}
+								</div>
+							)}
+						</div>
+
+						{/* Query history */}
+						<div>
+							<div className="flex justify-between items-center mb-2">
+								<span className="text-neon-green font-semibold text-sm">Query History</span>
+								<div className="flex items-center gap-2 text-xs">
+									<button
+										onClick={() => loadHistoryPage(pageIndex - 1, cursors[pageIndex - 2] ?? null)}
+										disabled={pageIndex === 0 || historyLoading}
+										className="text-gray-400 hover:text-white disabled:opacity-30">
+										‹ Prev
+									</button>
+									<span className="text-gray-500">Page {pageIndex + 1}</span>
+									<button
+										onClick={() => loadHistoryPage(pageIndex + 1, cursors[pageIndex])}
+										disabled={!hasMore || historyLoading}
+										className="text-gray-400 hover:text-white disabled:opacity-30">
+										Next ›
+									</button>
+								</div>
+							</div>
+							{historyRows.length === 0 ? (
+								<p className="text-gray-500 text-xs">{historyLoading ? "Loading..." : "No queries in this range"}</p>
+							) : (
+								<div className="space-y-1 max-h-72 overflow-y-auto">
+									{historyRows.map((q) => (
+										<button
+											key={q.id}
+											onClick={() => q.lat && onLocationClick?.(q.lat, q.lng, 18)}
+											className="w-full text-left bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs hover:border-neon-green transition">
+											<div className="flex justify-between gap-2">
+												<span className="text-white truncate">{q.result?.owner || q.address || "Unknown"}</span>
+												<span className="text-gray-500 whitespace-nowrap">{q.timestamp.toLocaleString()}</span>
+											</div>
+											<div className="text-gray-500 truncate">
+												{SOURCE_LABELS[q.source] ?? q.source ?? "unknown source"}
+												{q.userEmail && ` · ${q.userEmail}`}
+											</div>
+										</button>
+									))}
+								</div>
+							)}
+						</div>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
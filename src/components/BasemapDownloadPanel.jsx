@@ -0,0 +1,174 @@
+/**
+ * Basemap Download Panel Component
+ * Estimates and downloads basemap raster tiles for a drawn area so the map still renders without signal
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import {
+	estimateBasemapRegion,
+	downloadBasemapRegion,
+	isBasemapCacheSupported,
+	BASEMAP_MIN_ZOOM,
+	BASEMAP_MAX_ZOOM,
+	MAX_REGION_TILES,
+} from "../services/basemapCache";
+import { requestPersistentStorage } from "../services/offlineStore";
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const ZOOM_OPTIONS = Array.from({ length: BASEMAP_MAX_ZOOM - BASEMAP_MIN_ZOOM + 1 }, (_, i) => BASEMAP_MIN_ZOOM + i);
+
+export default function BasemapDownloadPanel({ area, isOnline, onSaved, onClose }) {
+	const [minZoom, setMinZoom] = useState(12);
+	const [maxZoom, setMaxZoom] = useState(16);
+	const [estimate, setEstimate] = useState(null);
+	const [estimating, setEstimating] = useState(false);
+	const [progress, setProgress] = useState(null);
+	const [error, setError] = useState(null);
+	const controllerRef = useRef(null);
+
+	// A new zoom range or area needs a new estimate
+	useEffect(() => {
+		setEstimate(null);
+	}, [minZoom, maxZoom, area]);
+
+	// Stop downloading if the panel closes mid-download
+	useEffect(() => () => controllerRef.current?.abort(), []);
+
+	if (!isBasemapCacheSupported()) {
+		return null;
+	}
+
+	const handleEstimate = async () => {
+		setError(null);
+		setEstimating(true);
+		try {
+			setEstimate(await estimateBasemapRegion(area.geometry, minZoom, maxZoom));
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setEstimating(false);
+		}
+	};
+
+	const handleDownload = async () => {
+		setError(null);
+		const controller = new AbortController();
+		controllerRef.current = controller;
+		setProgress({ done: 0, total: estimate.tileCount });
+		try {
+			await requestPersistentStorage();
+			const record = await downloadBasemapRegion(
+				{
+					id: `basemap-${Date.now()}`,
+					name: `${area.properties.acres} acre area`,
+					geometry: area.geometry,
+					minZoom,
+					maxZoom,
+				},
+				{ signal: controller.signal, onProgress: (done, total) => setProgress({ done, total }) },
+			);
+			onSaved?.(record);
+		} catch (err) {
+			if (err.name !== "AbortError") {
+				console.error("[Basemap] Download failed:", err);
+				setError(err.message);
+			}
+		} finally {
+			controllerRef.current = null;
+			setProgress(null);
+		}
+	};
+
+	const downloading = progress !== null;
+
+	return (
+		<div className="bg-black/80 border border-sky-500/40 rounded-lg backdrop-blur-md p-3 text-xs space-y-2 max-w-xs mx-auto" style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between">
+				<span className="text-sky-300 font-bold">SAVE MAP OFFLINE</span>
+				<button onClick={onClose} className="text-gray-400 hover:text-sky-300 transition-colors">
+					✕
+				</button>
+			</div>
+
+			<div className="flex items-center gap-2 text-gray-300">
+				<label>Zoom</label>
+				<select
+					value={minZoom}
+					disabled={downloading}
+					onChange={(e) => {
+						const value = Number(e.target.value);
+						setMinZoom(value);
+						if (value > maxZoom) setMaxZoom(value);
+					}}
+					className="bg-black/50 border border-sky-500/40 rounded px-1 py-0.5 text-white">
+					{ZOOM_OPTIONS.map((zoom) => (
+						<option key={zoom} value={zoom}>
+							{zoom}
+						</option>
+					))}
+				</select>
+				<span>to</span>
+				<select
+					value={maxZoom}
+					disabled={downloading}
+					onChange={(e) => {
+						const value = Number(e.target.value);
+						setMaxZoom(value);
+						if (value < minZoom) setMinZoom(value);
+					}}
+					className="bg-black/50 border border-sky-500/40 rounded px-1 py-0.5 text-white">
+					{ZOOM_OPTIONS.map((zoom) => (
+						<option key={zoom} value={zoom}>
+							{zoom}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{estimate &&
+				(estimate.tooLarge ? (
+					<div className="text-amber-400">
+						About {estimate.tileCount.toLocaleString()} tiles - over the {MAX_REGION_TILES.toLocaleString()} tile limit. Lower the max
+						zoom or draw a smaller area.
+					</div>
+				) : (
+					<div className="text-gray-300">
+						{estimate.tileCount.toLocaleString()} tiles · ~{formatMegabytes(estimate.estimatedBytes)} MB
+						{!estimate.measured && <span className="text-gray-500"> (rough - no sample tiles loaded)</span>}
+					</div>
+				))}
+			{error && <div className="text-red-400">{error}</div>}
+
+			<div className="flex gap-2">
+				{downloading ? (
+					<>
+						<div className="flex-1 text-sky-200 self-center">
+							Downloading {progress.done}/{progress.total}
+						</div>
+						<button
+							onClick={() => controllerRef.current?.abort()}
+							className="px-3 py-1 rounded-lg font-semibold bg-red-600/60 text-red-100 hover:bg-red-600 transition">
+							Cancel
+						</button>
+					</>
+				) : (
+					<>
+						<button
+							onClick={handleEstimate}
+							disabled={estimating || !isOnline}
+							className="flex-1 px-3 py-1 rounded-lg font-semibold bg-black/50 border border-sky-500/50 text-sky-300 hover:bg-sky-500/20 transition disabled:opacity-50">
+							{estimating ? "Estimating..." : "Estimate size"}
+						</button>
+						<button
+							onClick={handleDownload}
+							disabled={!estimate || estimate.tooLarge || !isOnline}
+							className="flex-1 px-3 py-1 rounded-lg font-semibold bg-sky-600/70 border border-sky-500/50 text-sky-100 hover:bg-sky-600 transition disabled:opacity-50">
+							Download
+						</button>
+					</>
+				)}
+			</div>
+		</div>
+	);
+}
@@ -1,12 +1,84 @@
 import React, { useState, useEffect } from "react";
 import VerifiedBadge from "./VerifiedBadge";
-import { fetchOwnerData } from "../services/enformionService";
+import { fetchOwnerData, VERIFIED_CONFIDENCE } from "../services/enformionService";
+
+const OWNER_TYPE_LABELS = { business: "Business", trust: "Trust", estate: "Estate", government: "Government" };
+const PHONE_TYPE_LABELS = { mobile: "Mobile", landline: "Landline", voip: "VoIP" };
+
+/**
+ * ConfidenceBadge - Verified badge for high-confidence values, otherwise the confidence as a percentage
+ */
+const ConfidenceBadge = ({ confidence }) => {
+	if (typeof confidence !== "number") return null;
+	if (confidence >= VERIFIED_CONFIDENCE) return <VerifiedBadge />;
+	const tone = confidence >= 0.5 ? "text-amber-300 border-amber-400/50" : "text-gray-400 border-gray-500/50";
+	return (
+		<span className={`border rounded-full px-3 py-1 text-sm font-semibold ${tone}`} title="Match confidence">
+			{Math.round(confidence * 100)}%
+		</span>
+	);
+};
+
+/**
+ * ContactList - Labelled list of ranked contact values, best first
+ */
+const ContactList = ({ label, items, renderValue, renderDetail }) => (
+	<div>
+		<label className="text-gray-400 text-sm uppercase tracking-wide block mb-2">{label}</label>
+		{items.length === 0 ? (
+			<div className="bg-white/5 backdrop-blur-sm rounded-lg p-4">
+				<p className="text-white text-lg">Not available</p>
+			</div>
+		) : (
+			<div className="space-y-2">
+				{items.map((item, index) => (
+					<div
+						key={index}
+						className="bg-white/5 backdrop-blur-sm rounded-lg p-4 flex items-center justify-between gap-3">
+						<div className="min-w-0">
+							<p className={`text-white break-words ${index === 0 ? "text-lg" : ""}`}>{renderValue(item)}</p>
+							{renderDetail?.(item) && <p className="text-gray-400 text-xs mt-1">{renderDetail(item)}</p>}
+						</div>
+						<ConfidenceBadge confidence={item.confidence} />
+					</div>
+				))}
+			</div>
+		)}
+	</div>
+);
+
+const formatLastSeen = (lastSeen) => {
+	const date = lastSeen ? new Date(lastSeen) : null;
+	return date && !Number.isNaN(date.getTime())
+		? `last seen ${date.toLocaleDateString(undefined, { month: "short", year: "numeric" })}`
+		: null;
+};
+
+const describePhone = (phone) =>
+	[
+		PHONE_TYPE_LABELS[phone.type],
+		phone.connected === false ? "disconnected" : phone.connected === true ? "connected" : null,
+		formatLastSeen(phone.lastSeen),
+	]
+		.filter(Boolean)
+		.join(" · ");
 
 /**
  * ContactCard - Slide-up modal displaying landowner contact information
- * Features glassmorphism effect with direct contact display
+ * Features glassmorphism effect with direct contact display.
+ * Shows every phone, email and address the lookup returned, ranked by match confidence.
  */
-const ContactCard = ({ ownerName, parcelId, acres, onClose }) => {
+const ContactCard = ({
+	ownerName,
+	ownerAddress,
+	parcelId,
+	acres,
+	isSaved,
+	onToggleSave,
+	onShowNeighbors,
+	onShowHoldings,
+	onClose,
+}) => {
 	const [contactData, setContactData] = useState(null);
 	const [isLoading, setIsLoading] = useState(false);
 	const [error, setError] = useState(null);
@@ -18,10 +90,11 @@ const ContactCard = ({ ownerName, parcelId, acres, onClose }) => {
 			setError(null);
 
 			try {
-				const data = await fetchOwnerData(ownerName, parcelId);
+				const data = await fetchOwnerData(ownerName, parcelId, ownerAddress);
 				setContactData(data);
 			} catch (err) {
-				setError("Unable to retrieve contact information. Please try again.");
+				// Lookup limits come with a message saying when to retry
+				setError(err.status === 429 ? err.message : "Unable to retrieve contact information. Please try again.");
 				console.error("Error fetching owner data:", err);
 			} finally {
 				setIsLoading(false);
@@ -29,7 +102,7 @@ const ContactCard = ({ ownerName, parcelId, acres, onClose }) => {
 		};
 
 		fetchData();
-	}, [ownerName, parcelId]);
+	}, [ownerName, parcelId, ownerAddress]);
 
 	return (
 		<>
@@ -45,15 +118,53 @@ const ContactCard = ({ ownerName, parcelId, acres, onClose }) => {
 							<h2 className="text-2xl font-bold text-white mb-1">Land Owner Information</h2>
 							<p className="text-gray-300 text-sm">Parcel ID: {parcelId || "N/A"}</p>
 						</div>
-						<button onClick={onClose} className="text-white/70 hover:text-white text-2xl font-light leading-none">
-							×
-						</button>
+						<div className="flex items-center gap-3">
+							{onShowNeighbors && (
+								<button
+									onClick={onShowNeighbors}
+									className="border border-white/30 rounded-full px-3 py-1 text-sm text-white/80 hover:text-white hover:border-white transition"
+									title="Owners of the parcels around this one">
+									Neighbors
+								</button>
+							)}
+							{/* Only offered when the parcel has an owner on record */}
+							{onShowHoldings && (
+								<button
+									onClick={onShowHoldings}
+									className="border border-white/30 rounded-full px-3 py-1 text-sm text-white/80 hover:text-white hover:border-white transition"
+									title="Every parcel this owner holds">
+									Holdings
+								</button>
+							)}
+							{/* Save is only offered to signed-in users */}
+							{onToggleSave && (
+								<button
+									onClick={onToggleSave}
+									className={`text-2xl leading-none transition ${isSaved ? "text-amber-400" : "text-white/70 hover:text-amber-300"}`}
+									title={isSaved ? "Remove from saved parcels" : "Save parcel"}>
+									{isSaved ? "★" : "☆"}
+								</button>
+							)}
+							<button onClick={onClose} className="text-white/70 hover:text-white text-2xl font-light leading-none">
+								×
+							</button>
+						</div>
 					</div>
 
 					{/* Owner Name */}
 					<div className="mb-6">
 						<label className="text-gray-400 text-sm uppercase tracking-wide block mb-2">Owner Name</label>
-						<p className="text-white text-xl font-semibold">{ownerName}</p>
+						<div className="flex items-center gap-2 flex-wrap">
+							<p className="text-white text-xl font-semibold">{ownerName}</p>
+							{OWNER_TYPE_LABELS[contactData?.ownerType] && (
+								<span className="border border-white/30 rounded-full px-2 py-0.5 text-xs text-gray-200 uppercase tracking-wide">
+									{OWNER_TYPE_LABELS[contactData.ownerType]}
+								</span>
+							)}
+						</div>
+						{contactData?.matchedName && contactData.matchedName.toLowerCase() !== ownerName.toLowerCase() && (
+							<p className="text-gray-400 text-sm mt-1">Matched as {contactData.matchedName}</p>
+						)}
 					</div>
 
 					{/* Parcel Size */}
@@ -95,35 +206,63 @@ const ContactCard = ({ ownerName, parcelId, acres, onClose }) => {
 						</div>
 					) : (
 						<div className="space-y-4 mb-6">
-							<div>
-								<label className="text-gray-400 text-sm uppercase tracking-wide block mb-2">Phone Number</label>
-								<div className="bg-white/5 backdrop-blur-sm rounded-lg p-4 flex items-center justify-between">
-									<p className="text-white text-lg">{contactData?.phone || "Not available"}</p>
-									{contactData?.phone && <VerifiedBadge />}
-								</div>
-							</div>
+							<ContactList
+								label={contactData?.phones.length > 1 ? "Phone Numbers" : "Phone Number"}
+								items={contactData?.phones ?? []}
+								renderValue={(phone) => (
+									<a href={`tel:${phone.number.replace(/[^\d+]/g, "")}`} className="hover:text-neon-green">
+										{phone.number}
+									</a>
+								)}
+								renderDetail={describePhone}
+							/>
 
-							<div>
-								<label className="text-gray-400 text-sm uppercase tracking-wide block mb-2">Email Address</label>
-								<div className="bg-white/5 backdrop-blur-sm rounded-lg p-4 flex items-center justify-between">
-									<p className="text-white text-lg">{contactData?.email || "Not available"}</p>
-									{contactData?.email && <VerifiedBadge />}
-								</div>
-							</div>
+							<ContactList
+								label={contactData?.emails.length > 1 ? "Email Addresses" : "Email Address"}
+								items={contactData?.emails ?? []}
+								renderValue={(email) => (
+									<a href={`mailto:${email.address}`} className="hover:text-neon-green">
+										{email.address}
+									</a>
+								)}
+							/>
 
-							{contactData?.address && (
-								<div>
-									<label className="text-gray-400 text-sm uppercase tracking-wide block mb-2">Mailing Address</label>
-									<div className="bg-white/5 backdrop-blur-sm rounded-lg p-4">
-										<p className="text-white">{contactData.address}</p>
-									</div>
-								</div>
+							{contactData?.addresses.length > 0 && (
+								<ContactList
+									label="Mailing Address"
+									items={contactData.addresses}
+									renderValue={(address) => address.line}
+									renderDetail={(address) => formatLastSeen(address.lastSeen)}
+								/>
 							)}
 
-							{contactData && (
-								<div className="bg-neon-green/10 border border-neon-green/30 rounded-lg p-3">
-									<p className="text-neon-green text-sm">✓ Contact information verified</p>
+							{contactData?.offlineSavedAt ? (
+								<div className="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3">
+									<p className="text-amber-300 text-sm">
+										Offline copy saved {new Date(contactData.offlineSavedAt).toLocaleDateString()}
+									</p>
 								</div>
+							) : (
+								contactData &&
+								(contactData.verified ? (
+									<div className="bg-neon-green/10 border border-neon-green/30 rounded-lg p-3">
+										<p className="text-neon-green text-sm">✓ Contact information verified</p>
+									</div>
+								) : (
+									<div className="bg-white/5 border border-white/20 rounded-lg p-3">
+										<p className="text-gray-300 text-sm">
+											{contactData.phones.length || contactData.emails.length
+												? "Low-confidence match. Confirm the owner's identity before reaching out."
+												: "No contact details found for this owner."}
+										</p>
+									</div>
+								))
+							)}
+
+							{contactData?.cachedAt && (
+								<p className="text-gray-400 text-xs">
+									Cached result from {new Date(contactData.cachedAt).toLocaleDateString()}; no new lookup was made.
+								</p>
 							)}
 						</div>
 					)}
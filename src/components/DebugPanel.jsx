@@ -6,6 +6,8 @@
 import React, { useState, useEffect } from "react";
 import { getErrors, clearErrors } from "../services/errorTracker";
 
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
 export default function DebugPanel({
 	viewState,
 	selectedParcel,
@@ -14,6 +16,7 @@ export default function DebugPanel({
 	localParcels,
 	visibleParcels,
 	loadingParcels,
+	tileCacheStats,
 	onClose,
 }) {
 	const [fps, setFps] = useState(60);
@@ -103,6 +106,42 @@ export default function DebugPanel({
 				<div>Render: {visibleParcels?.features?.length > 0 ? "🎨 YES" : "❌ NO"}</div>
 			</div>
 
+			{/* Tile Cache */}
+			{tileCacheStats && (
+				<div className="text-gray-300 mb-2 border-t border-gray-600 pt-2">
+					<div className="text-gray-400">Tile Cache:</div>
+					<div>
+						Tiles:{" "}
+						<span className="text-neon-green">
+							{tileCacheStats.tiles}/{tileCacheStats.maxTiles}
+						</span>
+					</div>
+					<div>
+						Memory:{" "}
+						<span className="text-neon-green">
+							{formatMegabytes(tileCacheStats.bytes)}/{formatMegabytes(tileCacheStats.maxBytes)} MB
+						</span>
+					</div>
+					<div>
+						Hits/Misses:{" "}
+						<span className="text-neon-green">
+							{tileCacheStats.hits}/{tileCacheStats.misses}
+						</span>
+						{tileCacheStats.hits + tileCacheStats.misses > 0 && (
+							<span className="text-gray-400 ml-1">
+								({Math.round((tileCacheStats.hits / (tileCacheStats.hits + tileCacheStats.misses)) * 100)}%)
+							</span>
+						)}
+					</div>
+					<div>
+						Evictions:{" "}
+						<span className={tileCacheStats.evictions > 0 ? "text-yellow-400" : "text-neon-green"}>
+							{tileCacheStats.evictions}
+						</span>
+					</div>
+				</div>
+			)}
+
 			{/* Selected Parcel */}
 			<div className="text-gray-300 mb-2 border-t border-gray-600 pt-2">
 				<div>Map Interaction:</div>
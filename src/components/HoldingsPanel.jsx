@@ -0,0 +1,98 @@
+/**
+ * Holdings Panel Component
+ * Everything the selected parcel's owner holds, under any spelling of their name: total acreage and the blocks
+ * of contiguous parcels it dissolves into. The whole footprint is outlined on the map; clicking a block fits
+ * the map to it, Owner Info opens a parcel's contact card.
+ */
+
+import React from "react";
+import { getParcelAcres } from "../utils/neighbors";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export default function HoldingsPanel({
+	owner,
+	spellings,
+	parcels,
+	blocks,
+	totalAcres,
+	subjectBlockId,
+	truncated,
+	partial,
+	loading,
+	onFocusBlock,
+	onShowAll,
+	onOpenParcel,
+	onClose,
+}) {
+	return (
+		<div
+			className="bg-black/80 border border-violet-400/50 rounded-lg backdrop-blur-md p-3 text-xs space-y-2"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-violet-300 font-bold truncate">HOLDINGS: {owner}</span>
+				<button onClick={onClose} className="text-gray-400 hover:text-violet-300 transition-colors">
+					✕
+				</button>
+			</div>
+
+			<div className="flex items-center justify-between gap-2 text-gray-400">
+				<span>
+					{loading
+						? "Finding this owner's parcels..."
+						: `${plural(parcels.length, "parcel")} · ${plural(blocks.length, "block")} · ${totalAcres.toFixed(1)} ac`}
+				</span>
+				{blocks.length > 1 && !loading && (
+					<button onClick={onShowAll} className="text-violet-300 hover:text-violet-200 shrink-0">
+						Show all
+					</button>
+				)}
+			</div>
+			{spellings.length > 1 && (
+				<div className="text-gray-400">
+					Recorded as: {spellings.map((spelling) => `${spelling.owner} (${spelling.count})`).join(" · ")}
+				</div>
+			)}
+			{truncated && <div className="text-amber-400">Showing the first {parcels.length} parcels.</div>}
+			{partial && (
+				<div className="text-amber-400">Searched loaded parcels only; connect to search the whole county.</div>
+			)}
+
+			{blocks.length > 0 && !loading && (
+				<ul className="space-y-1 max-h-56 overflow-y-auto">
+					{blocks.map((block) => (
+						<li key={block.id} className="bg-black/50 border border-violet-400/20 rounded px-2 py-1.5 space-y-1">
+							<button onClick={() => onFocusBlock(block)} className="w-full text-left hover:text-violet-300">
+								<div className="flex items-center justify-between gap-2">
+									<span className="text-white font-semibold">
+										Block {block.id} · {plural(block.parcels.length, "parcel")}
+									</span>
+									<span className="text-gray-400 shrink-0">{block.acres.toFixed(2)} ac</span>
+								</div>
+								{block.id === subjectBlockId && <div className="text-violet-200/80">Includes the selected parcel</div>}
+							</button>
+							{block.parcels.map((parcel) => (
+								<div key={parcel.key} className="flex items-center justify-between gap-2 text-gray-400">
+									<span className="truncate">
+										{[
+											parcel.feature.properties?.PID,
+											`${getParcelAcres(parcel.feature).toFixed(2)} ac`,
+											parcel.feature.properties?.SITUS_ADDRESS,
+										]
+											.filter(Boolean)
+											.join(" · ")}
+									</span>
+									<button
+										onClick={() => onOpenParcel(parcel)}
+										className="px-2 py-0.5 rounded bg-violet-500/30 text-violet-100 hover:bg-violet-500/60 transition shrink-0">
+										Owner Info
+									</button>
+								</div>
+							))}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,112 @@
+/**
+ * Neighbors Panel Component
+ * The selected parcel's neighbors report: parcels touching it or within the chosen buffer, grouped by owner
+ * with their total acreage. Neighbors are highlighted on the map; Owner Info opens a parcel's contact card.
+ */
+
+import React from "react";
+import { NEIGHBOR_BUFFERS, getParcelAcres } from "../utils/neighbors";
+
+const METERS_PER_FOOT = 0.3048;
+
+const formatDistance = (neighbor) =>
+	neighbor.touching ? "touching" : `${Math.round(neighbor.distanceMeters / METERS_PER_FOOT)} ft away`;
+
+export default function NeighborsPanel({
+	subject,
+	bufferMeters,
+	groups,
+	partial,
+	loading,
+	onBufferChange,
+	onFocusGroup,
+	onOpenParcel,
+	onExport,
+	onClose,
+}) {
+	const parcelCount = groups.reduce((sum, group) => sum + group.parcels.length, 0);
+	const totalAcres = groups.reduce((sum, group) => sum + group.totalAcres, 0);
+
+	return (
+		<div
+			className="bg-black/80 border border-cyan-400/50 rounded-lg backdrop-blur-md p-3 text-xs space-y-2"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-cyan-300 font-bold truncate">NEIGHBORS: PID {subject.properties?.PID ?? "unknown"}</span>
+				<button onClick={onClose} className="text-gray-400 hover:text-cyan-300 transition-colors">
+					✕
+				</button>
+			</div>
+
+			<div className="flex items-center gap-1 flex-wrap">
+				{NEIGHBOR_BUFFERS.map((buffer) => (
+					<button
+						key={buffer.meters}
+						onClick={() => onBufferChange(buffer.meters)}
+						disabled={loading}
+						className={`px-2 py-0.5 rounded border transition ${
+							bufferMeters === buffer.meters
+								? "bg-cyan-500/40 border-cyan-400 text-cyan-100"
+								: "border-cyan-400/30 text-gray-300 hover:border-cyan-400"
+						}`}>
+						{buffer.label}
+					</button>
+				))}
+			</div>
+
+			<div className="flex items-center justify-between gap-2 text-gray-400">
+				<span>
+					{loading
+						? "Finding neighbors..."
+						: groups.length === 0
+							? "No neighboring parcels found"
+							: `${groups.length} owner${groups.length === 1 ? "" : "s"} · ${parcelCount} parcel${parcelCount === 1 ? "" : "s"} · ${totalAcres.toFixed(1)} ac`}
+				</span>
+				{groups.length > 0 && !loading && (
+					<button onClick={onExport} className="text-cyan-300 hover:text-cyan-200 shrink-0">
+						Export CSV
+					</button>
+				)}
+			</div>
+			{partial && (
+				<div className="text-amber-400">
+					Not every nearby parcel could be searched (offline, or too many in range); some neighbors may be missing.
+				</div>
+			)}
+
+			{groups.length > 0 && (
+				<ul className="space-y-1 max-h-56 overflow-y-auto">
+					{groups.map((group) => (
+						<li key={group.key} className="bg-black/50 border border-cyan-400/20 rounded px-2 py-1.5 space-y-1">
+							<button onClick={() => onFocusGroup(group)} className="w-full text-left hover:text-cyan-300">
+								<div className="flex items-center justify-between gap-2">
+									<span className="text-white font-semibold truncate">{group.owner ?? "Owner not on record"}</span>
+									<span className="text-gray-400 shrink-0">{group.totalAcres.toFixed(2)} ac</span>
+								</div>
+								{group.sameOwner && <div className="text-cyan-200/80">Same owner as the selected parcel</div>}
+							</button>
+							{group.parcels.map((neighbor) => (
+								<div key={neighbor.key} className="flex items-center justify-between gap-2 text-gray-400">
+									<span className="truncate">
+										{[
+											neighbor.feature.properties?.PID,
+											`${getParcelAcres(neighbor.feature).toFixed(2)} ac`,
+											formatDistance(neighbor),
+										]
+											.filter(Boolean)
+											.join(" · ")}
+									</span>
+									<button
+										onClick={() => onOpenParcel(neighbor)}
+										className="px-2 py-0.5 rounded bg-cyan-500/30 text-cyan-100 hover:bg-cyan-500/60 transition shrink-0">
+										Owner Info
+									</button>
+								</div>
+							))}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+}
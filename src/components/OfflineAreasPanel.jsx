@@ -0,0 +1,203 @@
+/**
+ * Offline Areas Panel Component
+ * Saves the current map view for offline field use and lists saved areas with their size and freshness,
+ * plus the basemap regions saved from drawn areas
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+	listOfflineAreas,
+	deleteOfflineArea,
+	getStorageEstimate,
+	requestPersistentStorage,
+	getManifestSignature,
+	isOfflineStorageSupported,
+	OFFLINE_AREA_STALE_DAYS,
+} from "../services/offlineStore";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const formatAge = (timestamp) => {
+	const minutes = Math.floor((Date.now() - timestamp) / 60000);
+	if (minutes < 1) return "just now";
+	if (minutes < 60) return `${minutes}m ago`;
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return `${hours}h ago`;
+	return `${Math.floor(hours / 24)}d ago`;
+};
+
+// An area is outdated once a county's live manifest no longer matches the one it was saved with
+const hasNewerTiles = (area, tilesManifests) =>
+	area.countyIds.some((countyId) => {
+		const live = tilesManifests?.get(countyId);
+		return live?.source === "network" && getManifestSignature(live) !== area.signatures?.[countyId];
+	});
+
+export default function OfflineAreasPanel({
+	getViewportBounds,
+	onSaveArea,
+	onAreaClick,
+	tilesManifests,
+	basemapRegions = [],
+	onDeleteBasemapRegion,
+	isOnline,
+	onClose,
+}) {
+	const [areas, setAreas] = useState([]);
+	const [estimate, setEstimate] = useState(null);
+	const [name, setName] = useState("");
+	const [progress, setProgress] = useState(null);
+	const [error, setError] = useState(null);
+
+	const refreshList = useCallback(async () => {
+		setAreas(await listOfflineAreas());
+		setEstimate(await getStorageEstimate());
+	}, []);
+
+	// Basemap downloads and deletes change the storage estimate too
+	useEffect(() => {
+		refreshList();
+	}, [refreshList, basemapRegions]);
+
+	const saveArea = async (bounds, options) => {
+		setError(null);
+		setProgress({ done: 0, total: 0 });
+		try {
+			await requestPersistentStorage();
+			await onSaveArea(bounds, {
+				...options,
+				onProgress: (done, total) => setProgress({ done, total }),
+			});
+			await refreshList();
+		} catch (err) {
+			console.error("[Offline] Failed to save area:", err);
+			setError(err.message);
+		} finally {
+			setProgress(null);
+		}
+	};
+
+	const handleDownloadView = () => {
+		const bounds = getViewportBounds();
+		if (!bounds) return;
+		saveArea(bounds, { name: name.trim() || `Area saved ${new Date().toLocaleDateString()}` });
+		setName("");
+	};
+
+	const handleDelete = async (areaId) => {
+		await deleteOfflineArea(areaId);
+		await refreshList();
+	};
+
+	if (!isOfflineStorageSupported()) {
+		return null;
+	}
+
+	const busy = progress !== null;
+
+	return (
+		<div className="bg-black/80 border border-sky-500/40 rounded-lg backdrop-blur-md p-3 text-xs space-y-2" style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between">
+				<span className="text-sky-300 font-bold">OFFLINE AREAS</span>
+				<span className={isOnline ? "text-neon-green" : "text-amber-400"}>{isOnline ? "● Online" : "● Offline"}</span>
+				{onClose && (
+					<button onClick={onClose} className="text-gray-400 hover:text-sky-300 transition-colors">
+						✕
+					</button>
+				)}
+			</div>
+
+			<div className="flex gap-2">
+				<input
+					type="text"
+					value={name}
+					onChange={(e) => setName(e.target.value)}
+					placeholder="Area name"
+					className="flex-1 min-w-0 px-2 py-1 rounded bg-black/50 border border-sky-500/40 text-white placeholder-gray-500"
+				/>
+				<button
+					onClick={handleDownloadView}
+					disabled={busy || !isOnline}
+					className="px-3 py-1 rounded-lg font-semibold bg-sky-600/70 border border-sky-500/50 text-sky-100 hover:bg-sky-600 transition disabled:opacity-50">
+					{busy ? `Saving ${progress.done}/${progress.total}` : "Download view"}
+				</button>
+			</div>
+			{error && <div className="text-red-400">{error}</div>}
+
+			{areas.length === 0 ? (
+				<div className="text-gray-400">No areas saved. Zoom to where you'll be and download the view.</div>
+			) : (
+				<ul className="space-y-1 max-h-48 overflow-y-auto">
+					{areas.map((area) => {
+						const stale = Date.now() - area.savedAt > OFFLINE_AREA_STALE_DAYS * DAY_MS;
+						const outdated = hasNewerTiles(area, tilesManifests);
+						return (
+							<li key={area.id} className="bg-black/50 border border-sky-500/20 rounded px-2 py-1.5">
+								<div className="flex items-center justify-between gap-2">
+									<button onClick={() => onAreaClick?.(area)} className="text-white font-semibold truncate text-left hover:text-sky-300">
+										{area.name}
+									</button>
+									<span className="text-gray-400 shrink-0">{formatMegabytes(area.bytes)} MB</span>
+								</div>
+								<div className="text-gray-400">
+									{area.parcelCount} parcels · {area.ownerCount} owners · saved {formatAge(area.savedAt)}
+								</div>
+								{(stale || outdated) && (
+									<div className="text-amber-400">{outdated ? "Newer parcel data available" : "Saved over 30 days ago"}</div>
+								)}
+								<div className="flex gap-2 mt-1">
+									<button
+										onClick={() => saveArea(area.bounds, { id: area.id, name: area.name })}
+										disabled={busy || !isOnline}
+										className="px-2 py-0.5 rounded bg-sky-600/50 text-sky-100 hover:bg-sky-600 transition disabled:opacity-50">
+										Refresh
+									</button>
+									<button
+										onClick={() => handleDelete(area.id)}
+										disabled={busy}
+										className="px-2 py-0.5 rounded bg-red-600/50 text-red-100 hover:bg-red-600 transition disabled:opacity-50">
+										Delete
+									</button>
+								</div>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+
+			<div className="text-sky-300 font-bold pt-1">BASEMAP</div>
+			{basemapRegions.length === 0 ? (
+				<div className="text-gray-400">No map imagery saved. Select a drawn area and choose Save Map Offline.</div>
+			) : (
+				<ul className="space-y-1 max-h-32 overflow-y-auto">
+					{basemapRegions.map((region) => (
+						<li key={region.id} className="bg-black/50 border border-sky-500/20 rounded px-2 py-1.5">
+							<div className="flex items-center justify-between gap-2">
+								<span className="text-white font-semibold truncate">{region.name}</span>
+								<span className="text-gray-400 shrink-0">{formatMegabytes(region.bytes)} MB</span>
+							</div>
+							<div className="text-gray-400">
+								Zoom {region.minZoom}-{region.maxZoom} · {region.tileCount} tiles · saved {formatAge(region.savedAt)}
+							</div>
+							{region.failedTiles > 0 && <div className="text-amber-400">{region.failedTiles} tiles missing</div>}
+							<button
+								onClick={() => onDeleteBasemapRegion?.(region.id)}
+								disabled={busy}
+								className="mt-1 px-2 py-0.5 rounded bg-red-600/50 text-red-100 hover:bg-red-600 transition disabled:opacity-50">
+								Delete
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+
+			{estimate && (
+				<div className="text-gray-500">
+					Device storage used: {formatMegabytes(estimate.usage)} MB of {formatMegabytes(estimate.quota)} MB
+				</div>
+			)}
+		</div>
+	);
+}
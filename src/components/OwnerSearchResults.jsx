@@ -0,0 +1,94 @@
+/**
+ * Owner Search Results Component
+ * Lists the parcels matching an owner-name search; the same parcels are highlighted on the map.
+ * Clicking a result flies to it, and Owner Info opens its contact card.
+ */
+
+import React from "react";
+
+const formatAcres = (properties) => {
+	const acres = Number(properties?.ACRES_CALC ?? properties?.ACRES);
+	return Number.isFinite(acres) && acres > 0 ? `${acres.toFixed(2)} ac` : null;
+};
+
+export default function OwnerSearchResults({
+	query,
+	matches,
+	total,
+	truncated,
+	partial,
+	focusedKey,
+	onFocus,
+	onShowAll,
+	onOpenParcel,
+	onClose,
+}) {
+	const totalAcres = matches.reduce(
+		(sum, match) => sum + (Number(match.feature.properties?.ACRES_CALC ?? match.feature.properties?.ACRES) || 0),
+		0,
+	);
+
+	return (
+		<div
+			className="bg-black/80 border border-amber-400/50 rounded-lg backdrop-blur-md p-3 text-xs space-y-2"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-amber-300 font-bold truncate">OWNER: {query.toUpperCase()}</span>
+				<button onClick={onClose} className="text-gray-400 hover:text-amber-300 transition-colors">
+					✕
+				</button>
+			</div>
+
+			<div className="flex items-center justify-between gap-2 text-gray-400">
+				<span>
+					{matches.length === 0
+						? "No parcels found"
+						: `${truncated ? `Top ${matches.length} of ${total}` : total} parcel${total === 1 ? "" : "s"} · ${totalAcres.toFixed(1)} ac`}
+				</span>
+				{matches.length > 1 && (
+					<button onClick={onShowAll} className="text-amber-300 hover:text-amber-200 shrink-0">
+						Show all on map
+					</button>
+				)}
+			</div>
+			{partial && (
+				<div className="text-amber-400">Searched loaded parcels only; connect to search the whole county.</div>
+			)}
+
+			{matches.length > 0 && (
+				<ul className="space-y-1 max-h-56 overflow-y-auto">
+					{matches.map((match) => {
+						const properties = match.feature.properties ?? {};
+						const details = [
+							properties.PARCEL_ID ?? properties.PID,
+							formatAcres(properties),
+							properties.SITUS_ADDRESS,
+						].filter(Boolean);
+						return (
+							<li
+								key={match.key}
+								className={`bg-black/50 border rounded px-2 py-1.5 ${
+									focusedKey === match.key ? "border-amber-400" : "border-amber-400/20"
+								}`}>
+								<div className="flex items-center justify-between gap-2">
+									<button
+										onClick={() => onFocus(match)}
+										className="text-white font-semibold truncate text-left hover:text-amber-300">
+										{match.owner}
+									</button>
+									<button
+										onClick={() => onOpenParcel(match)}
+										className="px-2 py-0.5 rounded bg-amber-500/30 text-amber-100 hover:bg-amber-500/60 transition shrink-0">
+										Owner Info
+									</button>
+								</div>
+								{match.matchedName && <div className="text-amber-200/80">Matched {match.matchedName}</div>}
+								{details.length > 0 && <div className="text-gray-400 truncate">{details.join(" · ")}</div>}
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,156 @@
+/**
+ * Parcel Filters Panel Component
+ * Filters the parcel layer by acreage, owner type, minimum size and last edit date, and colors it by any of
+ * those attributes. The map applies the choices as Mapbox expressions (src/utils/parcelFilters.js).
+ */
+
+import React from "react";
+import {
+	ACREAGE_RANGES,
+	OWNER_TYPES,
+	PRIVATE_OWNER_TYPES,
+	PARCEL_THEMES,
+	DEFAULT_PARCEL_FILTERS,
+	hasActiveParcelFilters,
+	getParcelThemeLegend,
+} from "../utils/parcelFilters";
+
+// The tracts worth asking about: 40 acres or more in private hands
+const LARGE_PRIVATE_TRACTS = {
+	...DEFAULT_PARCEL_FILTERS,
+	minAcres: "40",
+	ownerTypes: PRIVATE_OWNER_TYPES,
+	theme: "acreage",
+};
+
+const toggleValue = (values, value) =>
+	values.includes(value) ? values.filter((existing) => existing !== value) : [...values, value];
+
+const Chip = ({ active, onClick, children }) => (
+	<button
+		onClick={onClick}
+		className={`px-2 py-0.5 rounded border transition ${
+			active ? "bg-teal-500/40 border-teal-400 text-teal-100" : "border-teal-400/30 text-gray-300 hover:border-teal-400"
+		}`}>
+		{children}
+	</button>
+);
+
+export default function ParcelFiltersPanel({ filters, onChange, onClose }) {
+	const update = (changes) => onChange({ ...filters, ...changes });
+	const legend = getParcelThemeLegend(filters.theme);
+	const isModified = hasActiveParcelFilters(filters) || filters.theme !== DEFAULT_PARCEL_FILTERS.theme;
+
+	return (
+		<div
+			className="bg-black/80 border border-teal-400/50 rounded-lg backdrop-blur-md p-3 text-xs space-y-2"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-teal-300 font-bold">PARCEL FILTERS</span>
+				<div className="flex items-center gap-3">
+					{isModified && (
+						<button onClick={() => onChange(DEFAULT_PARCEL_FILTERS)} className="text-teal-300 hover:text-teal-200">
+							Reset
+						</button>
+					)}
+					<button onClick={onClose} className="text-gray-400 hover:text-teal-300 transition-colors">
+						✕
+					</button>
+				</div>
+			</div>
+
+			<button
+				onClick={() => onChange(LARGE_PRIVATE_TRACTS)}
+				className="w-full px-2 py-1 rounded bg-teal-500/30 text-teal-100 hover:bg-teal-500/60 transition">
+				40+ ac private tracts
+			</button>
+
+			<div className="space-y-1">
+				<div className="text-gray-400">Acreage</div>
+				<div className="flex items-center gap-1 flex-wrap">
+					{ACREAGE_RANGES.map((range) => (
+						<Chip
+							key={range.value}
+							active={filters.acreageRanges.includes(range.value)}
+							onClick={() => update({ acreageRanges: toggleValue(filters.acreageRanges, range.value) })}>
+							{range.label}
+						</Chip>
+					))}
+				</div>
+			</div>
+
+			<label className="flex items-center gap-2 text-gray-400">
+				Minimum size
+				<input
+					type="number"
+					min="0"
+					step="any"
+					value={filters.minAcres}
+					onChange={(e) => update({ minAcres: e.target.value })}
+					placeholder="any"
+					className="w-20 bg-black/50 border border-teal-400/30 rounded px-2 py-0.5 text-white focus:outline-none focus:border-teal-400"
+				/>
+				ac
+			</label>
+
+			<div className="space-y-1">
+				<div className="text-gray-400">Owner type</div>
+				<div className="flex items-center gap-1 flex-wrap">
+					{OWNER_TYPES.map((type) => (
+						<Chip
+							key={type.value}
+							active={filters.ownerTypes.includes(type.value)}
+							onClick={() => update({ ownerTypes: toggleValue(filters.ownerTypes, type.value) })}>
+							{type.label}
+						</Chip>
+					))}
+				</div>
+			</div>
+
+			<div className="space-y-1">
+				<div className="text-gray-400">Last edited</div>
+				<div className="flex items-center gap-2 text-gray-400">
+					<input
+						type="date"
+						value={filters.editedAfter}
+						onChange={(e) => update({ editedAfter: e.target.value })}
+						className="bg-black/50 border border-teal-400/30 rounded px-1 py-0.5 text-white focus:outline-none focus:border-teal-400"
+						title="Edited on or after"
+					/>
+					to
+					<input
+						type="date"
+						value={filters.editedBefore}
+						onChange={(e) => update({ editedBefore: e.target.value })}
+						className="bg-black/50 border border-teal-400/30 rounded px-1 py-0.5 text-white focus:outline-none focus:border-teal-400"
+						title="Edited before"
+					/>
+				</div>
+			</div>
+
+			<div className="space-y-1">
+				<div className="text-gray-400">Color by</div>
+				<div className="flex items-center gap-1 flex-wrap">
+					{PARCEL_THEMES.map((theme) => (
+						<Chip
+							key={theme.value}
+							active={filters.theme === theme.value}
+							onClick={() => update({ theme: theme.value })}>
+							{theme.label}
+						</Chip>
+					))}
+				</div>
+				{legend.length > 0 && (
+					<div className="flex items-center gap-x-3 gap-y-1 flex-wrap pt-1">
+						{legend.map((entry) => (
+							<span key={entry.label} className="flex items-center gap-1 text-gray-300">
+								<span className="w-3 h-3 rounded-sm inline-block" style={{ backgroundColor: entry.color }} />
+								{entry.label}
+							</span>
+						))}
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,62 @@
+/**
+ * Parcel ID Results Component
+ * Shown when a parcel ID search doesn't land on exactly one parcel: nothing matched, or an old PID
+ * now covers the parcels it was split into. Clicking a parcel flies to it and selects it.
+ */
+
+import React from "react";
+import { PARCEL_ID_FIELD_LABELS } from "../utils/parcelIds";
+
+const formatAcres = (properties) => {
+	const acres = Number(properties?.ACRES_CALC ?? properties?.ACRES);
+	return Number.isFinite(acres) && acres > 0 ? `${acres.toFixed(2)} ac` : null;
+};
+
+export default function ParcelIdResults({ query, matches, partial, selectedKey, onSelect, onClose }) {
+	return (
+		<div
+			className="bg-black/80 border border-neon-green/50 rounded-lg backdrop-blur-md p-3 text-xs space-y-2"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-neon-green font-bold truncate">PARCEL ID: {query}</span>
+				<button onClick={onClose} className="text-gray-400 hover:text-neon-green transition-colors">
+					✕
+				</button>
+			</div>
+
+			<div className="text-gray-400">
+				{matches.length === 0
+					? "No parcel has this ID"
+					: `${matches.length} parcels carry this ${PARCEL_ID_FIELD_LABELS[matches[0].field] ?? "ID"}`}
+			</div>
+			{partial && (
+				<div className="text-amber-400">Searched loaded parcels only; connect to search the whole county.</div>
+			)}
+
+			{matches.length > 0 && (
+				<ul className="space-y-1 max-h-56 overflow-y-auto">
+					{matches.map((match) => {
+						const properties = match.feature.properties ?? {};
+						const details = [
+							formatAcres(properties),
+							properties.OWNER || properties.OWNER_NAME,
+							properties.SITUS_ADDRESS,
+						].filter(Boolean);
+						return (
+							<li key={match.key}>
+								<button
+									onClick={() => onSelect(match)}
+									className={`w-full text-left bg-black/50 border rounded px-2 py-1.5 hover:border-neon-green ${
+										selectedKey === match.key ? "border-neon-green" : "border-neon-green/20"
+									}`}>
+									<div className="text-white font-semibold">PID {properties.PID ?? "unknown"}</div>
+									{details.length > 0 && <div className="text-gray-400 truncate">{details.join(" · ")}</div>}
+								</button>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+}
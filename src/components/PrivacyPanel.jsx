@@ -0,0 +1,132 @@
+/**
+ * Privacy Panel Component
+ * Shown as the consent banner until the visitor picks a tracking level; afterwards opened from Tools
+ * to change that choice or delete the visit, location and lookup logs linked to this device or account
+ */
+
+import React, { useState } from "react";
+import { deleteMyData } from "../services/privacyService";
+
+const CONSENT_OPTIONS = [
+	{
+		level: "none",
+		label: "No tracking",
+		description: "Nothing about your visit or location is logged.",
+	},
+	{
+		level: "anonymous",
+		label: "Anonymous",
+		description:
+			"Visits and lookups are logged with a hashed IP; your location and the places you look up are rounded to about 1 km.",
+	},
+	{
+		level: "precise",
+		label: "Precise",
+		description: "Your IP address and exact location are logged to help us improve coverage.",
+	},
+];
+
+const COLLECTION_LABELS = { visitors: "visits", geolocations: "locations", queries: "lookups" };
+
+export default function PrivacyPanel({ consent, onConsentChange, onClose }) {
+	const [confirmingDelete, setConfirmingDelete] = useState(false);
+	const [deleting, setDeleting] = useState(false);
+	const [deleteResult, setDeleteResult] = useState(null);
+
+	const isBanner = consent === null;
+
+	const handleDelete = async () => {
+		setDeleting(true);
+		setDeleteResult(null);
+		try {
+			const deleted = await deleteMyData();
+			const summary = Object.entries(deleted ?? {})
+				.map(([name, count]) => `${count} ${COLLECTION_LABELS[name] ?? name}`)
+				.join(", ");
+			setDeleteResult({ ok: true, message: summary ? `Deleted ${summary}.` : "Nothing to delete." });
+		} catch (error) {
+			console.error("[Privacy] Delete my data failed:", error);
+			setDeleteResult({ ok: false, message: `Couldn't delete your data: ${error.message}` });
+		} finally {
+			setDeleting(false);
+			setConfirmingDelete(false);
+		}
+	};
+
+	return (
+		<div
+			className="bg-black/80 border border-neon-green/40 rounded-lg backdrop-blur-md p-4 max-w-md mx-auto text-sm space-y-3"
+			style={{ pointerEvents: "auto" }}>
+			<div className="flex justify-between items-start gap-2">
+				<div>
+					<div className="text-neon-green font-semibold">{isBanner ? "Your privacy" : "Privacy"}</div>
+					<p className="text-gray-300 text-xs mt-1">
+						{isBanner
+							? "Can we log your visits and location? The map works the same whichever you pick."
+							: "Choose what we log about your visits. Logs are deleted automatically after a retention period."}
+					</p>
+				</div>
+				{!isBanner && (
+					<button onClick={onClose} className="text-gray-400 hover:text-white text-xl leading-none">
+						×
+					</button>
+				)}
+			</div>
+
+			<div className="space-y-2">
+				{CONSENT_OPTIONS.map((option) => (
+					<button
+						key={option.level}
+						onClick={() => onConsentChange(option.level)}
+						className={`w-full text-left rounded border px-3 py-2 transition ${
+							consent === option.level
+								? "border-neon-green bg-neon-green/10"
+								: "border-gray-700 bg-gray-900/60 hover:border-neon-green/60"
+						}`}>
+						<div className="text-white font-semibold text-xs">
+							{consent === option.level && "✓ "}
+							{option.label}
+						</div>
+						<div className="text-gray-400 text-xs">{option.description}</div>
+					</button>
+				))}
+			</div>
+
+			{!isBanner && (
+				<div className="border-t border-gray-700 pt-3 space-y-2">
+					{confirmingDelete ? (
+						<div className="space-y-2">
+							<p className="text-gray-300 text-xs">
+								Delete every visit, location and lookup logged from this device and your account? This can't be
+								undone.
+							</p>
+							<div className="flex gap-2">
+								<button
+									onClick={handleDelete}
+									disabled={deleting}
+									className="flex-1 px-3 py-2 rounded text-xs font-semibold bg-red-600/80 text-white hover:bg-red-600 transition disabled:opacity-50">
+									{deleting ? "Deleting..." : "Delete"}
+								</button>
+								<button
+									onClick={() => setConfirmingDelete(false)}
+									disabled={deleting}
+									className="flex-1 px-3 py-2 rounded text-xs font-semibold bg-gray-700 text-gray-100 hover:bg-gray-600 transition">
+									Cancel
+								</button>
+							</div>
+						</div>
+					) : (
+						<button
+							onClick={() => setConfirmingDelete(true)}
+							className="w-full px-3 py-2 rounded text-xs font-semibold border border-red-500/50 text-red-400 hover:bg-red-500/10 transition">
+							Delete My Data
+						</button>
+					)}
+					{deleteResult && (
+						<p className={`text-xs ${deleteResult.ok ? "text-neon-green" : "text-red-400"}`}>{deleteResult.message}</p>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
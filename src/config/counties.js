@@ -0,0 +1,36 @@
+/**
+ * County Registry
+ * Describes each supported county's parcel source, field-mapping profile, bounds and tile manifest.
+ * The same counties.json is read by the API routes and the data scripts.
+ */
+
+import registry from "./counties.json";
+
+export const COUNTIES = registry.counties;
+
+export const DEFAULT_COUNTY = COUNTIES.find((county) => county.id === registry.defaultCounty) ?? COUNTIES[0];
+
+/**
+ * Look up a county by id
+ * @param {string} countyId - Registry id, e.g. "cole"
+ * @returns {Object|null} County entry
+ */
+export const getCounty = (countyId) => COUNTIES.find((county) => county.id === countyId) ?? null;
+
+/**
+ * Counties whose bounds intersect a viewport
+ * @param {Object} bounds - { minLng, minLat, maxLng, maxLat }
+ * @returns {Array<Object>} County entries
+ */
+export const getCountiesInBounds = (bounds) =>
+	COUNTIES.filter(
+		(county) =>
+			!(
+				bounds.maxLng < county.bounds.minLng ||
+				bounds.minLng > county.bounds.maxLng ||
+				bounds.maxLat < county.bounds.minLat ||
+				bounds.minLat > county.bounds.maxLat
+			),
+	);
+
+export default registry;
@@ -1,7 +1,7 @@
 /**
  * Firebase Configuration - Landshake
  * Initialize Firebase and export common services
- * Email/password authentication is enabled for future login/signup features
+ * Email/password authentication backs user accounts (see services/authService.js)
  */
 
 import { initializeApp } from "firebase/app";
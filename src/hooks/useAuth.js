@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from "react";
+import { onAuthStateChanged } from "firebase/auth";
+import { auth } from "../config/firebase";
+import { hasAdminClaim } from "../services/authService";
+
+/**
+ * Hook for the signed-in Firebase user
+ * @returns {{ user: Object|null, isAdmin: boolean, initializing: boolean, refreshClaims: Function }}
+ *   initializing stays true until Firebase restores the session and its claims are read
+ */
+const useAuth = () => {
+	const [user, setUser] = useState(() => auth.currentUser);
+	const [isAdmin, setIsAdmin] = useState(false);
+	const [initializing, setInitializing] = useState(true);
+
+	useEffect(
+		() =>
+			onAuthStateChanged(auth, async (nextUser) => {
+				setUser(nextUser);
+				setIsAdmin(await hasAdminClaim(nextUser).catch(() => false));
+				setInitializing(false);
+			}),
+		[],
+	);
+
+	// Re-read claims from a fresh token, e.g. right after an admin was granted
+	const refreshClaims = useCallback(async () => {
+		const admin = await hasAdminClaim(auth.currentUser, true).catch(() => false);
+		setIsAdmin(admin);
+		return admin;
+	}, []);
+
+	return { user, isAdmin, initializing, refreshClaims };
+};
+
+export default useAuth;
@@ -0,0 +1,171 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from "react";
+import { onAuthStateChanged } from "firebase/auth";
+import { auth } from "../config/firebase";
+import {
+	createAreaId,
+	loadLocalAreas,
+	saveLocalAreas,
+	mergeAreaRecords,
+	getUnownedAreas,
+	pushAreaRecord,
+	subscribeToAreas,
+} from "../services/areaStore";
+
+// Area Editor sliders fire on every step; only the settled value is written to Firestore
+const PUSH_DEBOUNCE_MS = 800;
+
+/**
+ * Hook for drawn areas that survive reloads and follow the signed-in user across devices.
+ * Areas are always saved on the device; while a user is signed in they also sync to
+ * users/{uid}/areas, merging per area with last-write-wins (see areaStore.js). Signing out leaves only the
+ * areas drawn while signed out on the device.
+ * @returns {Object} { areas, addArea, updateArea, removeArea, syncStatus, user }
+ */
+const useDrawnAreas = () => {
+	const [records, setRecords] = useState(loadLocalAreas);
+	const [user, setUser] = useState(null);
+	const [syncStatus, setSyncStatus] = useState("local"); // local | syncing | synced | error
+	const recordsRef = useRef(records);
+	const userRef = useRef(null);
+	const pendingPushesRef = useRef(new Map()); // area id -> { timeout, send }
+
+	const commit = useCallback((nextRecords) => {
+		recordsRef.current = nextRecords;
+		setRecords(nextRecords);
+		saveLocalAreas(nextRecords);
+	}, []);
+
+	const push = useCallback((record, { immediate = false } = {}) => {
+		const uid = userRef.current?.uid;
+		if (!uid) return;
+
+		clearTimeout(pendingPushesRef.current.get(record.id)?.timeout);
+		const send = () => {
+			pendingPushesRef.current.delete(record.id);
+			setSyncStatus("syncing");
+			pushAreaRecord(uid, record).catch((error) => {
+				console.error(`[Areas] Failed to sync area ${record.id}:`, error);
+				setSyncStatus("error");
+			});
+		};
+
+		if (immediate) send();
+		else pendingPushesRef.current.set(record.id, { timeout: setTimeout(send, PUSH_DEBOUNCE_MS), send });
+	}, []);
+
+	const writeRecord = useCallback(
+		(record, options) => {
+			const uid = userRef.current?.uid;
+			const owned = uid ? { ...record, owner: uid } : record;
+			commit([...recordsRef.current.filter((r) => r.id !== owned.id), owned]);
+			push(owned, options);
+		},
+		[commit, push],
+	);
+
+	// Follow the signed-in user's area collection
+	useEffect(() => {
+		let unsubscribeAreas = null;
+
+		const unsubscribeAuth = onAuthStateChanged(auth, (nextUser) => {
+			unsubscribeAreas?.();
+			unsubscribeAreas = null;
+			userRef.current = nextUser;
+			setUser(nextUser);
+
+			if (!nextUser) {
+				// The account's areas stay in Firestore; the next user of this device must not see them
+				commit(getUnownedAreas(recordsRef.current));
+				setSyncStatus("local");
+				return;
+			}
+
+			setSyncStatus("syncing");
+			unsubscribeAreas = subscribeToAreas(
+				nextUser.uid,
+				(remote, metadata) => {
+					// Areas drawn while signed out join the account on the first sync
+					const { records: merged, toPush } = mergeAreaRecords(recordsRef.current, remote, nextUser.uid);
+					commit(merged);
+					toPush.forEach((record) => push(record, { immediate: true }));
+					setSyncStatus(metadata.hasPendingWrites || toPush.length > 0 ? "syncing" : "synced");
+				},
+				(error) => {
+					console.error("[Areas] Sync listener failed:", error);
+					setSyncStatus("error");
+				},
+			);
+		});
+
+		return () => {
+			unsubscribeAuth();
+			unsubscribeAreas?.();
+		};
+	}, [commit, push]);
+
+	// Flush debounced edits rather than drop them on unmount
+	useEffect(() => {
+		const pending = pendingPushesRef.current;
+		return () => {
+			for (const { timeout, send } of [...pending.values()]) {
+				clearTimeout(timeout);
+				send();
+			}
+		};
+	}, []);
+
+	const areas = useMemo(() => records.filter((record) => !record.deleted).map((record) => record.feature), [records]);
+
+	/**
+	 * Add a newly drawn area; its id is assigned here
+	 * @param {Object} feature - Polygon feature without an id
+	 * @returns {Object} The stored feature
+	 */
+	const addArea = useCallback(
+		(feature) => {
+			const now = Date.now();
+			const id = createAreaId();
+			const stored = { ...feature, id, properties: { ...feature.properties, createdAt: now } };
+			writeRecord({ id, feature: stored, updatedAt: now, deleted: false }, { immediate: true });
+			return stored;
+		},
+		[writeRecord],
+	);
+
+	/**
+	 * Change properties of an area (colors, opacity, ...)
+	 * @param {number} areaId - Area id
+	 * @param {Object} changes - Property values to set
+	 */
+	const updateArea = useCallback(
+		(areaId, changes) => {
+			const current = recordsRef.current.find((record) => record.id === areaId && !record.deleted);
+			if (!current) return;
+			const feature = { ...current.feature, properties: { ...current.feature.properties, ...changes } };
+			writeRecord({ ...current, feature, updatedAt: Date.now() });
+		},
+		[writeRecord],
+	);
+
+	/**
+	 * Delete an area, leaving a tombstone so the delete reaches other devices
+	 * @param {number} areaId - Area id
+	 */
+	const removeArea = useCallback(
+		(areaId) => {
+			writeRecord({ id: areaId, feature: null, updatedAt: Date.now(), deleted: true }, { immediate: true });
+		},
+		[writeRecord],
+	);
+
+	return {
+		areas,
+		addArea,
+		updateArea,
+		removeArea,
+		syncStatus,
+		user,
+	};
+};
+
+export default useDrawnAreas;
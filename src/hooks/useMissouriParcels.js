@@ -1,9 +1,47 @@
 import { useState, useRef, useCallback, useEffect } from "react";
 import { logQuery } from "../services/queryLogger";
+import { fetchParcelsInBounds } from "../services/parcelBoundsService";
+import { searchOwnersOnServer, findHoldingsOnServer } from "../services/ownerSearchService";
+import { lookupParcelIdOnServer } from "../services/parcelLookupService";
+import { createParcelIndex, getParcelKey } from "../utils/parcelIndex";
+import { createOwnerIndex } from "../utils/ownerSearch";
+import { createParcelIdIndex, PARCEL_ID_FIELDS, getParcelRecordId } from "../utils/parcelIds";
+import { findNeighbors, groupNeighborsByOwner, getNeighborSearchBbox, getParcelOwner } from "../utils/neighbors";
+import { buildHoldings } from "../utils/holdings";
+import { getGeometryBbox } from "../utils/geometry";
+import { getAllStoredTiles } from "../services/offlineStore";
+
+// Viewport queries below this zoom would return most of the county
+const MIN_VIEWPORT_ZOOM = 13;
+const VIEWPORT_FEATURE_LIMIT = 2000;
+// Clicks on road gaps snap to the closest parcel within this distance
+const NEAREST_PARCEL_MAX_METERS = 25;
+const OWNER_SEARCH_LIMIT = 200;
+// Zoom passed to /api/parcels/bounds for neighbor searches; at and above 16 geometry comes back unsimplified
+const NEIGHBOR_QUERY_ZOOM = 18;
+const HOLDINGS_LIMIT = 2000;
+
+/**
+ * Parcels from every tile saved for offline use, deduplicated across tile edges
+ * @returns {Promise<Object|null>} FeatureCollection, or null when nothing is stored
+ */
+const loadStoredParcels = async () => {
+	const tiles = await getAllStoredTiles();
+	const parcels = new Map();
+	for (const tile of tiles) {
+		for (const feature of tile.data?.features ?? []) {
+			parcels.set(getParcelKey(feature) ?? feature, feature);
+		}
+	}
+	return parcels.size > 0 ? { type: "FeatureCollection", features: [...parcels.values()] } : null;
+};
 
 /**
  * Custom hook to manage Missouri parcel data
- * Fetches parcel data from Boone County ArcGIS REST API on click
+ * Resolves map clicks and neighbor reports against an R-tree of the local parcel dataset and loaded tiles, and
+ * owner-name, holdings and parcel ID searches against owner and ID indexes of the same parcels plus the server's
+ * full tile set.
+ * Without signal the dataset comes from the tiles saved for offline areas.
  */
 const useMissouriParcels = () => {
 	const [parcels, setParcels] = useState({
@@ -14,7 +52,12 @@ const useMissouriParcels = () => {
 	const [isLoading, setIsLoading] = useState(false);
 	const [loadingParcels, setLoadingParcels] = useState(false);
 	const [localParcels, setLocalParcels] = useState(null);
+	const [viewportParcels, setViewportParcels] = useState(null);
 	const mapRef = useRef(null);
+	const viewportRequestRef = useRef(null);
+	const parcelIndexRef = useRef(createParcelIndex());
+	const ownerIndexRef = useRef(createOwnerIndex({ getKey: getParcelKey }));
+	const parcelIdIndexRef = useRef(createParcelIdIndex({ getKey: getParcelKey }));
 	const localParcelLoadAttempted = useRef(false);
 
 	useEffect(() => {
@@ -25,6 +68,26 @@ const useMissouriParcels = () => {
 
 			localParcelLoadAttempted.current = true;
 			setLoadingParcels(true);
+
+			const indexStoredParcels = async () => {
+				const stored = await loadStoredParcels();
+				if (!stored) {
+					console.warn("📴 No offline areas saved - parcel lookups need signal");
+					return false;
+				}
+				parcelIndexRef.current.insert(stored.features);
+				ownerIndexRef.current.insert(stored.features);
+				parcelIdIndexRef.current.insert(stored.features);
+				setLocalParcels(stored);
+				console.log("📴 Loaded", stored.features.length, "parcels from offline areas");
+				return true;
+			};
+
+			if (typeof navigator !== "undefined" && navigator.onLine === false) {
+				await indexStoredParcels();
+				setLoadingParcels(false);
+				return;
+			}
 			console.log("🚀 STARTING PARCEL LOAD (NEW CODE) - Loading from /data/cole_parcels.geojson...");
 
 			try {
@@ -62,6 +125,9 @@ const useMissouriParcels = () => {
 					throw new Error("Parcel dataset is not a FeatureCollection.");
 				}
 
+				parcelIndexRef.current.insert(data.features);
+				ownerIndexRef.current.insert(data.features);
+				parcelIdIndexRef.current.insert(data.features);
 				setLocalParcels(data);
 				console.log("✅ Successfully set localParcels in state:", data.features?.length ?? 0, "parcels");
 				console.log("🎯 DATA STRUCTURE CHECK:");
@@ -80,6 +146,7 @@ const useMissouriParcels = () => {
 					console.error("❌ Failed to load local parcel data:", error);
 					console.error("Error:", error.message);
 				}
+				await indexStoredParcels();
 			} finally {
 				setLoadingParcels(false);
 			}
@@ -89,84 +156,288 @@ const useMissouriParcels = () => {
 	}, []);
 
 	/**
-	 * Load all parcels for the current map viewport
-	 * DISABLED: Causes performance issues with mock data
-	 * TODO: Re-enable when real parcel data source is available
+	 * Load all parcels for the current map viewport from /api/parcels/bounds
+	 * Superseded requests are aborted so only the latest viewport wins
 	 */
 	const loadParcelsForBounds = useCallback(async (map) => {
-		// DISABLED - viewport loading causes too many parcels and crashes
-		// Need real parcel data source before re-enabling
-		console.log("[Hook] Viewport parcel loading disabled - click parcels to view");
-		return;
+		if (!map) return null;
+
+		const zoom = map.getZoom();
+		if (zoom < MIN_VIEWPORT_ZOOM) {
+			viewportRequestRef.current?.abort();
+			setViewportParcels(null);
+			return null;
+		}
+
+		const bounds = map.getBounds();
+		viewportRequestRef.current?.abort();
+		const controller = new AbortController();
+		viewportRequestRef.current = controller;
+
+		try {
+			const data = await fetchParcelsInBounds(
+				{
+					minLng: bounds.getWest(),
+					minLat: bounds.getSouth(),
+					maxLng: bounds.getEast(),
+					maxLat: bounds.getNorth(),
+				},
+				zoom,
+				{ limit: VIEWPORT_FEATURE_LIMIT, signal: controller.signal },
+			);
+
+			if (data.truncated) {
+				console.log(`[Hook] Viewport capped at ${data.features.length} of ${data.totalFeatures} parcels`);
+			}
+
+			setViewportParcels(data);
+			return data;
+		} catch (error) {
+			if (error.name !== "AbortError") {
+				console.error("[Hook] Failed to load viewport parcels:", error);
+			}
+			return null;
+		} finally {
+			if (viewportRequestRef.current === controller) {
+				viewportRequestRef.current = null;
+			}
+		}
 	}, []);
 
 	/**
-	 * Handle map click to fetch parcel data from ArcGIS API
-	 * Sends lat/lng to Boone County ArcGIS REST API
+	 * Add parcels to the click lookup, owner and ID indexes (full dataset or a freshly loaded tile)
+	 * @param {Array<Object>} features - GeoJSON parcel features
 	 */
-	const isPointInRing = (point, ring) => {
-		let inside = false;
-		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-			const xi = ring[i][0];
-			const yi = ring[i][1];
-			const xj = ring[j][0];
-			const yj = ring[j][1];
-
-			const intersect = yi > point[1] !== yj > point[1] && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi;
-
-			if (intersect) {
-				inside = !inside;
-			}
+	const indexParcels = useCallback((features) => {
+		ownerIndexRef.current.insert(features);
+		parcelIdIndexRef.current.insert(features);
+		const added = parcelIndexRef.current.insert(features);
+		if (added > 0) {
+			console.log(`[Hook] Indexed ${added} parcels (${parcelIndexRef.current.size} total)`);
 		}
+	}, []);
 
-		return inside;
-	};
-
-	const isPointInPolygon = (point, polygon) => {
-		if (!polygon?.length) {
-			return false;
+	/**
+	 * Drop parcels from the click lookup, owner and ID indexes (e.g. a tile evicted from the tile cache)
+	 * @param {Array<Object>} features - GeoJSON parcel features previously indexed
+	 */
+	const unindexParcels = useCallback((features) => {
+		ownerIndexRef.current.remove(features);
+		parcelIdIndexRef.current.remove(features);
+		const removed = parcelIndexRef.current.remove(features);
+		if (removed > 0) {
+			console.log(`[Hook] Unindexed ${removed} parcels (${parcelIndexRef.current.size} total)`);
 		}
+	}, []);
+
+	/**
+	 * Find parcels by owner name. Loaded parcels are searched locally; with signal the server searches
+	 * the full tile set too, and the two are merged per parcel, best match first.
+	 * @param {string} query - Owner name, e.g. "JOHNSON FAMILY TRUST" or "Johnson, Mary"
+	 * @param {Object} options - { limit, signal }
+	 * @returns {Promise<Object>} { matches: [{ key, feature, owner, matchedName, score }], total, truncated, partial }
+	 *   partial is true when only the loaded parcels could be searched
+	 */
+	const searchOwners = useCallback(async (query, { limit = OWNER_SEARCH_LIMIT, signal } = {}) => {
+		const local = ownerIndexRef.current.search(query, { limit });
+		const merged = new Map(local.matches.map((match) => [match.key, match]));
+		let total = local.total;
+		let partial = true;
 
-		const [outer, ...holes] = polygon;
-		if (!isPointInRing(point, outer)) {
-			return false;
+		if (typeof navigator === "undefined" || navigator.onLine !== false) {
+			try {
+				const remote = await searchOwnersOnServer(query, { limit, signal });
+				for (const match of remote.matches) {
+					const key = getParcelKey(match.feature);
+					if (!merged.has(key)) merged.set(key, { ...match, key });
+				}
+				total = Math.max(total, remote.total);
+				partial = false;
+			} catch (error) {
+				if (error.name === "AbortError") throw error;
+				console.warn("[Hook] Owner search fell back to loaded parcels:", error.message);
+			}
 		}
 
-		return !holes.some((hole) => isPointInRing(point, hole));
-	};
+		const matches = [...merged.values()]
+			.sort((a, b) => b.score - a.score || a.owner.localeCompare(b.owner))
+			.slice(0, limit);
+		total = Math.max(total, merged.size);
+		console.log(
+			`[Hook] Owner search "${query}": ${matches.length} of ${total}${partial ? " (loaded parcels only)" : ""}`,
+		);
+		return { matches, total, truncated: total > matches.length, partial };
+	}, []);
+
+	/**
+	 * Find parcels by parcel ID (PID, OLDPID or PARCEL_ID), formatted or not. Loaded parcels are checked locally;
+	 * with signal the server resolves the ID through the full tile set's prebuilt ID index too.
+	 * @param {string} id - ID as typed, e.g. "09-05-22-0000-003-005"
+	 * @param {Object} options - { signal }
+	 * @returns {Promise<Object>} { matches: [{ key, feature, field }], partial }, current-PID matches first;
+	 *   partial is true when only the loaded parcels could be searched
+	 */
+	const findParcelsById = useCallback(async (id, { signal } = {}) => {
+		const merged = new Map(parcelIdIndexRef.current.lookup(id).map((match) => [match.key, match]));
+		let partial = true;
 
-	const isPointInGeometry = (point, geometry) => {
-		if (!geometry) {
-			return false;
+		if (typeof navigator === "undefined" || navigator.onLine !== false) {
+			try {
+				const remote = await lookupParcelIdOnServer(id, { signal });
+				for (const match of remote.matches) {
+					const key = getParcelKey(match.feature);
+					if (!merged.has(key)) merged.set(key, { key, feature: match.feature, field: match.field });
+				}
+				partial = false;
+			} catch (error) {
+				if (error.name === "AbortError") throw error;
+				console.warn("[Hook] Parcel ID lookup fell back to loaded parcels:", error.message);
+			}
 		}
 
-		switch (geometry.type) {
-			case "Polygon":
-				return isPointInPolygon(point, geometry.coordinates);
-			case "MultiPolygon":
-				return geometry.coordinates.some((polygon) => isPointInPolygon(point, polygon));
-			default:
-				return false;
+		const matches = [...merged.values()].sort(
+			(a, b) => PARCEL_ID_FIELDS.indexOf(a.field) - PARCEL_ID_FIELDS.indexOf(b.field),
+		);
+		console.log(`[Hook] Parcel ID "${id}": ${matches.length} found${partial ? " (loaded parcels only)" : ""}`);
+		return { matches, partial };
+	}, []);
+
+	/**
+	 * Find the parcel under a point, falling back to the nearest parcel within
+	 * NEAREST_PARCEL_MAX_METERS when the point lands in a road or ROW gap
+	 */
+	const findParcelByCoordinates = (lng, lat) => {
+		const index = parcelIndexRef.current;
+		const hit = index.findContaining(lng, lat);
+		if (hit) return hit;
+
+		const nearest = index.findNearest(lng, lat, NEAREST_PARCEL_MAX_METERS);
+		if (nearest) {
+			console.log(`[Hook] No parcel under click, using nearest parcel ${nearest.distance.toFixed(1)}m away`);
+			return nearest.feature;
 		}
-	};
 
-	const findParcelByCoordinates = (features, lng, lat) => {
-		const point = [lng, lat];
+		return null;
+	};
 
-		for (const feature of features) {
-			const bbox = feature.properties?.__bbox;
-			if (bbox && (lng < bbox[0] || lng > bbox[2] || lat < bbox[1] || lat > bbox[3])) {
-				continue;
+	/**
+	 * Neighbors of a parcel: every parcel touching it or within bufferMeters, grouped by owner. Loaded parcels are
+	 * searched locally; with signal the surrounding parcels are also fetched at full detail, so neighbors outside
+	 * the loaded tiles are found too.
+	 * @param {Object} feature - GeoJSON parcel feature
+	 * @param {Object} options - { bufferMeters, signal }
+	 * @returns {Promise<Object>} { neighbors, groups, partial }, as from src/utils/neighbors.js;
+	 *   partial is true when only the loaded parcels could be searched, or the server capped the parcels it returned
+	 */
+	const loadNeighbors = useCallback(async (feature, { bufferMeters = 0, signal } = {}) => {
+		const bbox = getNeighborSearchBbox(feature, bufferMeters);
+		if (!bbox) return { neighbors: [], groups: [], partial: false };
+
+		// Server parcels go first: loaded viewport parcels may carry simplified geometry
+		const candidates = [];
+		let partial = true;
+		if (typeof navigator === "undefined" || navigator.onLine !== false) {
+			try {
+				const remote = await fetchParcelsInBounds(
+					{ minLng: bbox[0], minLat: bbox[1], maxLng: bbox[2], maxLat: bbox[3] },
+					NEIGHBOR_QUERY_ZOOM,
+					{ limit: VIEWPORT_FEATURE_LIMIT, signal },
+				);
+				candidates.push(...remote.features);
+				partial = Boolean(remote.truncated);
+			} catch (error) {
+				if (error.name === "AbortError") throw error;
+				console.warn("[Hook] Neighbor search fell back to loaded parcels:", error.message);
 			}
+		}
+		candidates.push(...parcelIndexRef.current.findInBbox(bbox));
+
+		const neighbors = findNeighbors(feature, candidates, { bufferMeters, getKey: getParcelKey });
+		const groups = groupNeighborsByOwner(neighbors, feature);
+		console.log(
+			`[Hook] ${neighbors.length} neighboring parcels, ${groups.length} owners within ${bufferMeters}m` +
+				`${partial ? " (partial search)" : ""}`,
+		);
+		return { neighbors, groups, partial };
+	}, []);
 
-			if (isPointInGeometry(point, feature.geometry)) {
-				return feature;
+	/**
+	 * Holdings of a parcel's owner: every parcel recorded under any spelling of the owner's name, dissolved into
+	 * blocks of contiguous land. Loaded parcels are searched locally; with signal the server searches the full
+	 * tile set too.
+	 * @param {Object} feature - GeoJSON parcel feature
+	 * @param {Object} options - { signal }
+	 * @returns {Promise<Object|null>} As from buildHoldings in src/utils/holdings.js, plus { total, truncated,
+	 *   partial }; null when the parcel has no owner on record. partial is true when only the loaded parcels
+	 *   could be searched.
+	 */
+	const loadHoldings = useCallback(async (feature, { signal } = {}) => {
+		const owner = getParcelOwner(feature);
+		if (!owner) return null;
+
+		const local = ownerIndexRef.current.findHoldings(owner, { limit: HOLDINGS_LIMIT });
+		const merged = new Map(local.matches.map((match) => [match.key, match]));
+		let total = local.total;
+		let partial = true;
+
+		if (typeof navigator === "undefined" || navigator.onLine !== false) {
+			try {
+				const remote = await findHoldingsOnServer(owner, { limit: HOLDINGS_LIMIT, signal });
+				// Server geometry replaces loaded viewport parcels, which may be simplified
+				for (const match of remote.matches) {
+					const key = getParcelKey(match.feature);
+					merged.set(key, { ...match, key });
+				}
+				total = Math.max(total, remote.total);
+				partial = false;
+			} catch (error) {
+				if (error.name === "AbortError") throw error;
+				console.warn("[Hook] Holdings search fell back to loaded parcels:", error.message);
 			}
 		}
 
-		return null;
-	};
+		const matches = [...merged.values()].slice(0, HOLDINGS_LIMIT);
+		const holdings = buildHoldings(feature, matches, { getKey: getParcelKey });
+		total = Math.max(total, holdings.parcels.length);
+		console.log(
+			`[Hook] Holdings of "${owner}": ${holdings.parcels.length} parcels in ${holdings.blocks.length} blocks` +
+				`${partial ? " (loaded parcels only)" : ""}`,
+		);
+		return { ...holdings, total, truncated: total > holdings.parcels.length, partial };
+	}, []);
 
+	/**
+	 * Make a parcel the selection and log the query, as a map click on it does
+	 * @param {Object} feature - GeoJSON parcel feature
+	 * @param {Object} query - { lat, lng, source }; the point defaults to the centre of the parcel's extent
+	 * @returns {Promise<Object>} The feature
+	 */
+	const selectParcel = useCallback(async (feature, { lat, lng, source = "map_click" } = {}) => {
+		setParcels({
+			type: "FeatureCollection",
+			features: [feature],
+		});
+		setSelectedParcelData(feature);
+
+		const bbox = getGeometryBbox(feature.geometry);
+		await logQuery({
+			lat: lat ?? (bbox ? (bbox[1] + bbox[3]) / 2 : null),
+			lng: lng ?? (bbox ? (bbox[0] + bbox[2]) / 2 : null),
+			address: null,
+			result: {
+				owner: feature.properties?.OWNER || feature.properties?.OWNER_NAME,
+				acres: feature.properties?.ACRES_CALC ?? feature.properties?.ACRES,
+				parcelId: getParcelRecordId(feature),
+			},
+			source,
+		});
+
+		return feature;
+	}, []);
+
+	/**
+	 * Handle map click - look up the parcel under the clicked point in the local index
+	 */
 	const handleMapClick = async (event) => {
 		// Get the clicked coordinates
 		const { lng, lat } = event.lngLat;
@@ -176,13 +447,13 @@ const useMissouriParcels = () => {
 		setIsLoading(true);
 
 		try {
-			if (!localParcels?.features?.length) {
+			if (parcelIndexRef.current.size === 0) {
 				console.warn("Local parcel dataset not loaded yet.");
 				setIsLoading(false);
 				return null;
 			}
 
-			const hit = findParcelByCoordinates(localParcels.features, lng, lat);
+			const hit = findParcelByCoordinates(lng, lat);
 			if (!hit) {
 				setSelectedParcelData(null);
 				setParcels({
@@ -193,25 +464,7 @@ const useMissouriParcels = () => {
 				return null;
 			}
 
-			const parcelCollection = {
-				type: "FeatureCollection",
-				features: [hit],
-			};
-
-			setParcels(parcelCollection);
-			setSelectedParcelData(hit);
-
-			await logQuery({
-				lat,
-				lng,
-				address: null,
-				result: {
-					owner: hit.properties?.OWNER || hit.properties?.OWNER_NAME,
-					acres: hit.properties?.ACRES_CALC ?? hit.properties?.ACRES,
-					parcelId: hit.properties?.PARCEL_ID,
-				},
-				source: "map_click",
-			});
+			await selectParcel(hit, { lat, lng, source: "map_click" });
 
 			setIsLoading(false);
 			return hit;
@@ -232,6 +485,14 @@ const useMissouriParcels = () => {
 		selectedParcelData,
 		handleMapClick,
 		loadParcelsForBounds,
+		viewportParcels,
+		indexParcels,
+		unindexParcels,
+		searchOwners,
+		findParcelsById,
+		loadNeighbors,
+		loadHoldings,
+		selectParcel,
 		mapRef,
 		isLoading,
 		loadingParcels,
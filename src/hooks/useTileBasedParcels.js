@@ -1,118 +1,304 @@
-import { useState, useRef, useEffect, useCallback } from "react";
+import { useState, useRef, useCallback } from "react";
+import { getCounty, getCountiesInBounds } from "../config/counties";
+import { getParcelKey } from "../utils/parcelIndex";
+import { getStoredManifest, getStoredTile, getManifestSignature, saveOfflineArea } from "../services/offlineStore";
+
+// Tile ids are namespaced by county, e.g. "cole:0213"
+const toTileId = (countyId, key) => `${countyId}:${key}`;
+
+const parseTileId = (tileId) => {
+	const separator = tileId.indexOf(":");
+	return { countyId: tileId.slice(0, separator), key: tileId.slice(separator + 1) };
+};
+
+const boundsIntersect = (a, b) =>
+	!(a.maxLng < b.minLng || a.minLng > b.maxLng || a.maxLat < b.minLat || a.minLat > b.maxLat);
+
+/**
+ * Prepare a manifest for lookups: a quadtree root to walk and a key -> leaf map.
+ * Older grid manifests (flat col/row tiles) become a single-level tree.
+ * @param {Object} manifest - tiles.json contents
+ * @returns {{ root: Object, leaves: Map<string, Object> }}
+ */
+const indexManifest = (manifest) => {
+	const root = manifest.root ?? {
+		key: "",
+		bounds: manifest.bounds,
+		children: manifest.tiles.map((tile) => ({ ...tile, key: tile.key ?? `${tile.col}_${tile.row}` })),
+	};
+
+	const leaves = new Map();
+	const stack = [root];
+	while (stack.length > 0) {
+		const node = stack.pop();
+		if (node.children) stack.push(...node.children);
+		else if (node.file) leaves.set(node.key, node);
+	}
+
+	return { root, leaves };
+};
+
+// Leaves of the quadtree intersecting bounds, skipping every subtree outside them
+const findLeavesInBounds = (root, bounds) => {
+	const found = [];
+	const stack = [root];
+	while (stack.length > 0) {
+		const node = stack.pop();
+		if (!boundsIntersect(bounds, node.bounds)) continue;
+		if (node.children) stack.push(...node.children);
+		else if (node.file) found.push(node);
+	}
+	return found;
+};
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+const fetchManifest = async (county) => {
+	const response = await fetch(county.tiles.manifest);
+	if (!response.ok) throw new Error(`Failed to load ${county.name} manifest: ${response.status}`);
+	return response.json();
+};
+
+const fetchTileText = async (county, tile) => {
+	const response = await fetch(`${county.tiles.baseUrl}/${tile.file}`);
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	return response.text();
+};
+
+// Tile cache budget; whichever limit is crossed first evicts the least-recently-used tiles
+export const DEFAULT_MAX_CACHED_TILES = 32;
+export const DEFAULT_MAX_CACHE_BYTES = 24 * 1024 * 1024; // GeoJSON text size of the cached tiles
 
 /**
  * Hook for viewport-based parcel tile loading with caching and preloading.
+ * Tile manifests are loaded per county from the county registry, only for counties in view.
+ * The tile cache is LRU-bounded by tile count and bytes; visible tiles are never evicted.
+ * Tiles saved for offline use are read from IndexedDB before the network; without signal the
+ * stored manifest stands in for the county's tiles.json.
+ * @param {Object} options
+ * @param {number} options.maxTiles - Maximum cached tiles
+ * @param {number} options.maxBytes - Maximum cached GeoJSON bytes
+ * @param {Function} options.onEvict - Called with (tileId, tileData) when a tile leaves the cache
  */
-const useTileBasedParcels = () => {
+const useTileBasedParcels = ({
+	maxTiles = DEFAULT_MAX_CACHED_TILES,
+	maxBytes = DEFAULT_MAX_CACHE_BYTES,
+	onEvict,
+} = {}) => {
 	const [visibleTiles, setVisibleTiles] = useState(new Set());
 	const [tileCache, setTileCache] = useState(new Map());
-	const [tilesManifest, setTilesManifest] = useState(null);
+	const [tilesManifests, setTilesManifests] = useState(new Map());
 	const [loading, setLoading] = useState(false);
-	const [error, setError] = useState(null);
-	const manifestLoadedRef = useRef(false);
-	const tileCacheRef = useRef(new Map());
+	const [manifestErrors, setManifestErrors] = useState(new Map()); // county id -> message of its last failed load
+	const [cacheStats, setCacheStats] = useState({
+		tiles: 0,
+		bytes: 0,
+		hits: 0,
+		misses: 0,
+		evictions: 0,
+		maxTiles,
+		maxBytes,
+	});
+	const manifestsRef = useRef(new Map());
+	const inflightManifestsRef = useRef(new Map());
+	const tileCacheRef = useRef(new Map()); // insertion order = least to most recently used
+	const tileSizesRef = useRef(new Map()); // tileId -> GeoJSON bytes
+	const cacheBytesRef = useRef(0);
+	const statsRef = useRef({ hits: 0, misses: 0, evictions: 0 });
 	const visibleTilesRef = useRef(new Set());
 	const inflightLoadsRef = useRef(new Map());
+	const budgetRef = useRef({ maxTiles, maxBytes });
+	const onEvictRef = useRef(onEvict);
+	budgetRef.current = { maxTiles, maxBytes };
+	onEvictRef.current = onEvict;
 
-	useEffect(() => {
-		if (manifestLoadedRef.current) return;
-		manifestLoadedRef.current = true;
+	const publishStats = useCallback(() => {
+		setCacheStats({
+			...statsRef.current,
+			tiles: tileCacheRef.current.size,
+			bytes: cacheBytesRef.current,
+			...budgetRef.current,
+		});
+	}, []);
 
-		const loadManifest = async () => {
-			try {
-				const response = await fetch("/data/tiles.json");
-				if (!response.ok) throw new Error(`Failed to load manifest: ${response.status}`);
-				const manifest = await response.json();
-				setTilesManifest(manifest);
-			} catch (err) {
-				console.error("Failed to load tile manifest:", err);
-				setError(err.message);
-			}
-		};
+	const dropTile = useCallback((tileId) => {
+		const tileData = tileCacheRef.current.get(tileId);
+		tileCacheRef.current.delete(tileId);
+		cacheBytesRef.current -= tileSizesRef.current.get(tileId) ?? 0;
+		tileSizesRef.current.delete(tileId);
+		onEvictRef.current?.(tileId, tileData);
+	}, []);
+
+	// Evict least-recently-used tiles until the cache fits its budget, skipping visible tiles
+	const evictOverBudget = useCallback(() => {
+		const { maxTiles: tileLimit, maxBytes: byteLimit } = budgetRef.current;
+		for (const tileId of [...tileCacheRef.current.keys()]) {
+			if (tileCacheRef.current.size <= tileLimit && cacheBytesRef.current <= byteLimit) break;
+			if (visibleTilesRef.current.has(tileId)) continue;
+			dropTile(tileId);
+			statsRef.current.evictions++;
+		}
+	}, [dropTile]);
 
-		loadManifest();
+	const setIndexedManifest = useCallback((countyId, manifest, source) => {
+		manifestsRef.current.set(countyId, {
+			...manifest,
+			...indexManifest(manifest),
+			signature: getManifestSignature(manifest),
+			source,
+		});
+		setTilesManifests(new Map(manifestsRef.current));
 	}, []);
 
-	const getTilesForViewport = useCallback(
-		(bounds) => {
-			if (!tilesManifest) return [];
-
-			const intersectingTiles = [];
-			for (const tile of tilesManifest.tiles) {
-				const intersects = !(
-					bounds.maxLng < tile.bounds.minLng ||
-					bounds.minLng > tile.bounds.maxLng ||
-					bounds.maxLat < tile.bounds.minLat ||
-					bounds.minLat > tile.bounds.maxLat
-				);
-
-				if (intersects) {
-					intersectingTiles.push(`${tile.col}_${tile.row}`);
-				}
-			}
+	const loadCountyManifest = useCallback(async (county) => {
+		if (manifestsRef.current.has(county.id)) {
+			return manifestsRef.current.get(county.id);
+		}
 
-			return intersectingTiles;
-		},
-		[tilesManifest],
-	);
+		if (inflightManifestsRef.current.has(county.id)) {
+			return inflightManifestsRef.current.get(county.id);
+		}
 
-	const getSurroundingTiles = useCallback(
-		(col, row) => {
-			const surrounding = [];
-			for (let c = col - 1; c <= col + 1; c++) {
-				for (let r = row - 1; r <= row + 1; r++) {
-					if (c === col && r === row) continue;
-					const exists = tilesManifest?.tiles?.some((t) => t.col === c && t.row === r);
-					if (exists) {
-						surrounding.push(`${c}_${r}`);
+		const loadPromise = (async () => {
+			try {
+				let manifest = null;
+				let source = "network";
+				if (isOffline()) {
+					manifest = (await getStoredManifest(county.id))?.manifest ?? null;
+					source = "offline";
+				}
+				if (!manifest) {
+					try {
+						manifest = await fetchManifest(county);
+						source = "network";
+					} catch (err) {
+						const stored = await getStoredManifest(county.id);
+						if (!stored) throw err;
+						console.warn(`📴 Using offline manifest for ${county.name}:`, err.message);
+						manifest = stored.manifest;
+						source = "offline";
 					}
 				}
-			}
-			return surrounding;
-		},
-		[tilesManifest],
-	);
+				if (!manifest) throw new Error(`No offline manifest saved for ${county.name}`);
 
-	const loadTile = useCallback(
-		async (tileId) => {
-			if (tileCacheRef.current.has(tileId)) {
-				return tileCacheRef.current.get(tileId);
+				setIndexedManifest(county.id, manifest, source);
+				setManifestErrors((previous) => {
+					if (!previous.has(county.id)) return previous;
+					const next = new Map(previous);
+					next.delete(county.id);
+					return next;
+				});
+				return manifest;
+			} catch (err) {
+				console.error(`Failed to load tile manifest for ${county.name}:`, err);
+				setManifestErrors((previous) => new Map(previous).set(county.id, err.message));
+				return null;
+			} finally {
+				inflightManifestsRef.current.delete(county.id);
 			}
+		})();
 
-			if (inflightLoadsRef.current.has(tileId)) {
-				return inflightLoadsRef.current.get(tileId);
-			}
+		inflightManifestsRef.current.set(county.id, loadPromise);
+		return loadPromise;
+	}, [setIndexedManifest]);
 
-			const tile = tilesManifest?.tiles.find((t) => `${t.col}_${t.row}` === tileId);
-			if (!tile) {
-				return null;
+	const getTilesForViewport = useCallback((bounds) => {
+		const intersectingTiles = [];
+
+		for (const county of getCountiesInBounds(bounds)) {
+			const manifest = manifestsRef.current.get(county.id);
+			if (!manifest) continue;
+
+			for (const leaf of findLeavesInBounds(manifest.root, bounds)) {
+				intersectingTiles.push(toTileId(county.id, leaf.key));
 			}
+		}
+
+		return intersectingTiles;
+	}, []);
+
+	// Neighbours are the leaves within one tile-width of this tile, whatever their depth
+	const getSurroundingTiles = useCallback((tileId) => {
+		const { countyId, key } = parseTileId(tileId);
+		const manifest = manifestsRef.current.get(countyId);
+		const tile = manifest?.leaves.get(key);
+		if (!tile) return [];
 
-			const loadPromise = (async () => {
-				try {
-					const response = await fetch(`/data/tiles/${tile.file}`);
-					if (!response.ok) throw new Error(`HTTP ${response.status}`);
-					const tileData = await response.json();
-					tileCacheRef.current.set(tileId, tileData);
-					setTileCache(new Map(tileCacheRef.current));
-					return tileData;
-				} catch (err) {
-					console.error(`Failed to load tile ${tileId}:`, err);
-					return null;
-				} finally {
-					inflightLoadsRef.current.delete(tileId);
+		const width = tile.bounds.maxLng - tile.bounds.minLng;
+		const height = tile.bounds.maxLat - tile.bounds.minLat;
+		const neighbourhood = {
+			minLng: tile.bounds.minLng - width,
+			maxLng: tile.bounds.maxLng + width,
+			minLat: tile.bounds.minLat - height,
+			maxLat: tile.bounds.maxLat + height,
+		};
+
+		return findLeavesInBounds(manifest.root, neighbourhood)
+			.filter((leaf) => leaf.key !== key)
+			.map((leaf) => toTileId(countyId, leaf.key));
+	}, []);
+
+	const loadTile = useCallback(async (tileId) => {
+		if (tileCacheRef.current.has(tileId)) {
+			// Re-insert to mark as most recently used
+			const tileData = tileCacheRef.current.get(tileId);
+			tileCacheRef.current.delete(tileId);
+			tileCacheRef.current.set(tileId, tileData);
+			statsRef.current.hits++;
+			return tileData;
+		}
+
+		if (inflightLoadsRef.current.has(tileId)) {
+			return inflightLoadsRef.current.get(tileId);
+		}
+
+		const { countyId, key } = parseTileId(tileId);
+		const county = getCounty(countyId);
+		const manifest = manifestsRef.current.get(countyId);
+		const tile = manifest?.leaves.get(key);
+		if (!county?.tiles || !tile) {
+			return null;
+		}
+
+		statsRef.current.misses++;
+		const loadPromise = (async () => {
+			try {
+				// A stored tile is only current if it was saved against the same tile set
+				const stored = await getStoredTile(tileId);
+				let tileData;
+				let bytes;
+				if (stored && stored.signature === manifest.signature) {
+					tileData = stored.data;
+					bytes = stored.bytes;
+				} else {
+					const text = await fetchTileText(county, tile);
+					tileData = JSON.parse(text);
+					bytes = text.length;
 				}
-			})();
+				tileCacheRef.current.set(tileId, tileData);
+				tileSizesRef.current.set(tileId, bytes);
+				cacheBytesRef.current += bytes;
+				evictOverBudget();
+				setTileCache(new Map(tileCacheRef.current));
+				publishStats();
+				return tileData;
+			} catch (err) {
+				console.error(`Failed to load tile ${tileId}:`, err);
+				return null;
+			} finally {
+				inflightLoadsRef.current.delete(tileId);
+			}
+		})();
 
-			inflightLoadsRef.current.set(tileId, loadPromise);
-			return loadPromise;
-		},
-		[tilesManifest],
-	);
+		inflightLoadsRef.current.set(tileId, loadPromise);
+		return loadPromise;
+	}, [evictOverBudget, publishStats]);
 
 	const updateVisibleTiles = useCallback(
 		async (viewportBounds) => {
-			if (!tilesManifest) return;
+			// Only counties in view need their manifests
+			const countiesInView = getCountiesInBounds(viewportBounds).filter((county) => county.tiles);
+			await Promise.all(countiesInView.map((county) => loadCountyManifest(county)));
 
 			const visibleTileIds = getTilesForViewport(viewportBounds);
 			const nextVisibleSet = new Set(visibleTileIds);
@@ -129,23 +315,26 @@ const useTileBasedParcels = () => {
 				}
 			}
 
+			// Pin the new viewport's tiles before loading so eviction can't drop them mid-load
+			visibleTilesRef.current = nextVisibleSet;
+
 			const visibleMissing = visibleTileIds.filter((tileId) => !tileCacheRef.current.has(tileId));
 			if (visibleMissing.length > 0) {
 				setLoading(true);
-				await Promise.all(visibleMissing.map((tileId) => loadTile(tileId)));
+			}
+			await Promise.all(visibleTileIds.map((tileId) => loadTile(tileId)));
+			if (visibleMissing.length > 0) {
 				setLoading(false);
 			}
+			publishStats();
 
 			if (hasChanges) {
-				visibleTilesRef.current = nextVisibleSet;
 				setVisibleTiles(nextVisibleSet);
 			}
 
 			const surroundingTileIds = new Set();
 			for (const tileId of visibleTileIds) {
-				const [col, row] = tileId.split("_").map(Number);
-				const surrounding = getSurroundingTiles(col, row);
-				surrounding.forEach((t) => surroundingTileIds.add(t));
+				getSurroundingTiles(tileId).forEach((t) => surroundingTileIds.add(t));
 			}
 
 			for (const tileId of surroundingTileIds) {
@@ -154,7 +343,7 @@ const useTileBasedParcels = () => {
 				}
 			}
 		},
-		[tilesManifest, getTilesForViewport, getSurroundingTiles, loadTile],
+		[loadCountyManifest, getTilesForViewport, getSurroundingTiles, loadTile, publishStats],
 	);
 
 	const getVisibleParcels = useCallback(
@@ -200,21 +389,93 @@ const useTileBasedParcels = () => {
 		[visibleTiles],
 	);
 
+	/**
+	 * Download every tile intersecting bounds, with fresh manifests, and save them as an offline area
+	 * @param {Object} bounds - { minLng, minLat, maxLng, maxLat }
+	 * @param {Object} options - { id, name, onProgress(done, total) }
+	 * @returns {Promise<Object>} The stored area record
+	 */
+	const saveAreaOffline = useCallback(
+		async (bounds, { id, name, onProgress } = {}) => {
+			const counties = getCountiesInBounds(bounds).filter((county) => county.tiles);
+			if (counties.length === 0) throw new Error("No parcel tiles cover this area");
+
+			const manifests = [];
+			const jobs = [];
+			for (const county of counties) {
+				const manifest = await fetchManifest(county);
+				setIndexedManifest(county.id, manifest, "network");
+				const signature = getManifestSignature(manifest);
+				manifests.push({ countyId: county.id, manifest });
+				for (const leaf of findLeavesInBounds(indexManifest(manifest).root, bounds)) {
+					jobs.push({ county, leaf, signature });
+				}
+			}
+
+			const tiles = [];
+			for (const { county, leaf, signature } of jobs) {
+				onProgress?.(tiles.length, jobs.length);
+				const text = await fetchTileText(county, leaf);
+				tiles.push({
+					id: toTileId(county.id, leaf.key),
+					countyId: county.id,
+					key: leaf.key,
+					data: JSON.parse(text),
+					bytes: text.length,
+					signature,
+				});
+			}
+			onProgress?.(tiles.length, jobs.length);
+
+			// Parcels straddling tile edges appear in several tiles
+			const parcels = new Map();
+			for (const tile of tiles) {
+				for (const feature of tile.data.features ?? []) {
+					parcels.set(getParcelKey(feature) ?? feature, feature);
+				}
+			}
+			const ownerCount = [...parcels.values()].filter(
+				(feature) => feature.properties?.OWNER || feature.properties?.OWNER_NAME,
+			).length;
+
+			return saveOfflineArea(
+				{
+					id: id ?? `area-${Date.now()}`,
+					name: name ?? "Offline area",
+					bounds,
+					parcelCount: parcels.size,
+					ownerCount,
+				},
+				tiles,
+				manifests,
+			);
+		},
+		[setIndexedManifest],
+	);
+
 	const clearCache = useCallback(() => {
-		tileCacheRef.current = new Map();
+		for (const tileId of [...tileCacheRef.current.keys()]) {
+			dropTile(tileId);
+		}
 		visibleTilesRef.current = new Set();
 		setTileCache(new Map());
 		setVisibleTiles(new Set());
-	}, []);
+		publishStats();
+	}, [dropTile, publishStats]);
+
+	// Only counties whose manifest is still failing count; one that loads again clears its own error
+	const error = manifestErrors.values().next().value ?? null;
 
 	return {
 		visibleTiles,
 		tileCache,
-		tilesManifest,
+		tilesManifests,
 		loading,
 		error,
+		cacheStats,
 		updateVisibleTiles,
 		getVisibleParcels,
+		saveAreaOffline,
 		clearCache,
 	};
 };
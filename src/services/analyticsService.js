@@ -0,0 +1,187 @@
+/**
+ * Analytics Service
+ * Reads the query and visitor logs for the admin dashboard: paged history, date/source filters and
+ * the aggregates behind the heatmap, daily charts and most-queried parcel list
+ */
+
+import { collection, query, where, orderBy, limit, startAfter, getDocs, Timestamp } from "firebase/firestore";
+import { db } from "../config/firebase";
+
+export const QUERY_SOURCES = ["map_click", "address_search", "parcel_id_search"];
+
+// Aggregates read every log entry in the range; past this many the charts cover only the newest ones
+export const ANALYTICS_MAX_DOCS = 5000;
+const RANGE_PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDayKey = (date) =>
+	`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+/**
+ * Build a Firestore query over a log collection, newest first
+ * @param {string} collectionName - "queries", "visitors" or "geolocations"
+ * @param {Object} filters - { start?: Date, end?: Date, source?: string }; end is inclusive to the end of its day
+ * @param {Array} constraints - Extra constraints (limit, startAfter)
+ */
+const buildLogQuery = (collectionName, { start, end, source }, constraints) => {
+	const filters = [];
+	if (start) filters.push(where("timestamp", ">=", Timestamp.fromDate(start)));
+	if (end) {
+		const endOfDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+		filters.push(where("timestamp", "<", Timestamp.fromDate(endOfDay)));
+	}
+	// source + timestamp needs the composite index in firestore.indexes.json
+	if (source) filters.push(where("source", "==", source));
+	return query(collection(db, collectionName), ...filters, orderBy("timestamp", "desc"), ...constraints);
+};
+
+const toRow = (docSnap) => ({
+	id: docSnap.id,
+	...docSnap.data(),
+	timestamp: docSnap.data().timestamp?.toDate?.() || new Date(),
+});
+
+/**
+ * Fetch one page of a log collection
+ * @param {string} collectionName - "queries" or "visitors"
+ * @param {Object} filters - { start, end, source }
+ * @param {Object} options - { cursor: last document of the previous page, pageSize }
+ * @returns {Promise<{ rows: Array, cursor: Object|null, hasMore: boolean }>}
+ */
+export const fetchLogPage = async (collectionName, filters, { cursor = null, pageSize = 50 } = {}) => {
+	// One extra document tells whether another page exists without a count query
+	const constraints = [limit(pageSize + 1)];
+	if (cursor) constraints.unshift(startAfter(cursor));
+
+	const snapshot = await getDocs(buildLogQuery(collectionName, filters, constraints));
+	const docs = snapshot.docs.slice(0, pageSize);
+	return {
+		rows: docs.map(toRow),
+		cursor: docs[docs.length - 1] ?? null,
+		hasMore: snapshot.docs.length > pageSize,
+	};
+};
+
+/**
+ * Walk every entry matching the filters, newest first, one page at a time
+ * @param {string} collectionName - "queries", "visitors" or "geolocations"
+ * @param {Object} filters - { start, end, source }
+ * @yields {Array} Rows of each page
+ */
+export async function* iterateLog(collectionName, filters) {
+	let cursor = null;
+	let hasMore = true;
+
+	while (hasMore) {
+		const page = await fetchLogPage(collectionName, filters, { cursor, pageSize: RANGE_PAGE_SIZE });
+		if (page.rows.length > 0) yield page.rows;
+		cursor = page.cursor;
+		hasMore = page.hasMore;
+	}
+}
+
+/**
+ * Fetch every entry in the range (newest first), up to ANALYTICS_MAX_DOCS
+ * @param {string} collectionName - "queries" or "visitors"
+ * @param {Object} filters - { start, end, source }
+ * @returns {Promise<{ rows: Array, truncated: boolean }>}
+ */
+export const fetchLogRange = async (collectionName, filters) => {
+	const rows = [];
+	let cursor = null;
+	let hasMore = true;
+
+	while (hasMore && rows.length < ANALYTICS_MAX_DOCS) {
+		const pageSize = Math.min(RANGE_PAGE_SIZE, ANALYTICS_MAX_DOCS - rows.length);
+		const page = await fetchLogPage(collectionName, filters, { cursor, pageSize });
+		rows.push(...page.rows);
+		cursor = page.cursor;
+		hasMore = page.hasMore;
+	}
+
+	return { rows, truncated: hasMore };
+};
+
+/**
+ * Count entries per local day, including days with none
+ * @param {Array} rows - Log entries with a Date `timestamp`
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {Array<{ day: string, count: number }>}
+ */
+export const countByDay = (rows, start, end) => {
+	const counts = new Map();
+	for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()); day <= end;) {
+		counts.set(toDayKey(day), 0);
+		day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+	}
+	for (const row of rows) {
+		const key = toDayKey(row.timestamp);
+		if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+	}
+	return [...counts].map(([day, count]) => ({ day, count }));
+};
+
+/**
+ * Parcels looked up most often
+ * @param {Array} rows - Query log entries
+ * @param {number} count - How many to return
+ * @returns {Array<{ parcelId, owner, acres, lat, lng, count, lastQueried }>}
+ */
+export const getTopParcels = (rows, count = 10) => {
+	const byParcel = new Map();
+	for (const row of rows) {
+		const parcelId = row.result?.parcelId;
+		// Older entries logged the assessor's PARCEL_ID, which is "N/A" for every parcel
+		if (!parcelId || String(parcelId).trim().toUpperCase() === "N/A") continue;
+		const entry = byParcel.get(parcelId);
+		if (entry) {
+			entry.count++;
+			continue;
+		}
+		// Rows are newest first, so the first one seen carries the latest owner and timestamp
+		byParcel.set(parcelId, {
+			parcelId,
+			owner: row.result.owner ?? null,
+			acres: row.result.acres ?? null,
+			lat: row.lat,
+			lng: row.lng,
+			count: 1,
+			lastQueried: row.timestamp,
+		});
+	}
+	return [...byParcel.values()].sort((a, b) => b.count - a.count).slice(0, count);
+};
+
+/**
+ * Query locations as points for a heatmap layer
+ * @param {Array} rows - Query log entries
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const toHeatmapGeoJSON = (rows) => ({
+	type: "FeatureCollection",
+	features: rows
+		.filter((row) => Number.isFinite(row.lat) && Number.isFinite(row.lng))
+		.map((row) => ({
+			type: "Feature",
+			geometry: { type: "Point", coordinates: [row.lng, row.lat] },
+			properties: { source: row.source ?? null },
+		})),
+});
+
+/**
+ * Default dashboard range: the last `days` days, ending today
+ * @param {number} days
+ * @returns {{ start: Date, end: Date }}
+ */
+export const getDefaultRange = (days = 30) => {
+	const end = new Date();
+	const start = new Date(end.getTime() - (days - 1) * DAY_MS);
+	return { start: new Date(start.getFullYear(), start.getMonth(), start.getDate()), end };
+};
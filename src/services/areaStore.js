@@ -0,0 +1,145 @@
+/**
+ * Drawn Area Store
+ * Saves drawn areas to localStorage and syncs them to users/{uid}/areas in Firestore.
+ *
+ * Every area is a record { id, feature, updatedAt, deleted, owner }. Deletes are kept as tombstones so they
+ * reach other devices. Conflicts resolve per area, last write wins by updatedAt; a delete wins a tie.
+ * owner is the uid of the account a record belongs to, and is only kept on the device; areas drawn while signed
+ * out have none until an account adopts them, so a shared device never hands one user's areas to another.
+ */
+
+import { collection, doc, onSnapshot, setDoc, serverTimestamp } from "firebase/firestore";
+import { db } from "../config/firebase";
+
+const STORAGE_KEY = "landverify:drawnAreas";
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * New area id; numeric because Mapbox feature ids must be numbers, time-based so ids from
+ * different devices don't collide
+ * @returns {number}
+ */
+export const createAreaId = () => Date.now() * 1000 + Math.floor(Math.random() * 1000);
+
+/**
+ * Records saved on this device
+ * @returns {Array<Object>}
+ */
+export const loadLocalAreas = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+		return Array.isArray(stored?.records) ? stored.records : [];
+	} catch (error) {
+		console.error("[Areas] Failed to read saved areas:", error);
+		return [];
+	}
+};
+
+/**
+ * Save records on this device, dropping tombstones older than TOMBSTONE_TTL_MS
+ * @param {Array<Object>} records - Area records
+ */
+export const saveLocalAreas = (records) => {
+	const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+	const kept = records.filter((record) => !record.deleted || record.updatedAt > cutoff);
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, records: kept }));
+	} catch (error) {
+		console.error("[Areas] Failed to save areas:", error);
+	}
+};
+
+/**
+ * Whether record a should replace record b
+ * @returns {boolean}
+ */
+export const isNewerRecord = (a, b) => {
+	if (!b) return true;
+	if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+	return a.deleted && !b.deleted;
+};
+
+/**
+ * Records that belong to no account: drawn while signed out and never synced
+ * @param {Array<Object>} records - Area records
+ * @returns {Array<Object>}
+ */
+export const getUnownedAreas = (records) => records.filter((record) => !record.owner);
+
+/**
+ * Merge remote records into local ones. Local records of another account are dropped; unowned ones are
+ * adopted by this account and pushed.
+ * @param {Array<Object>} local - Records on this device
+ * @param {Array<Object>} remote - Records in Firestore
+ * @param {string} uid - Signed-in user's id
+ * @returns {{ records: Array<Object>, toPush: Array<Object> }} Merged records and local records newer than Firestore
+ */
+export const mergeAreaRecords = (local, remote, uid) => {
+	const own = local
+		.filter((record) => !record.owner || record.owner === uid)
+		.map((record) => (record.owner ? record : { ...record, owner: uid }));
+	const merged = new Map(own.map((record) => [record.id, record]));
+	const remoteById = new Map(remote.map((record) => [record.id, record]));
+
+	for (const record of remote) {
+		if (isNewerRecord(record, merged.get(record.id))) merged.set(record.id, { ...record, owner: uid });
+	}
+
+	const toPush = own.filter(
+		(record) => merged.get(record.id) === record && isNewerRecord(record, remoteById.get(record.id)),
+	);
+	return { records: [...merged.values()], toPush };
+};
+
+// Firestore rejects nested arrays, so geometry travels as a JSON string
+const toDocument = (record) => ({
+	id: record.id,
+	updatedAt: record.updatedAt,
+	deleted: Boolean(record.deleted),
+	geometry: record.feature ? JSON.stringify(record.feature.geometry) : null,
+	properties: record.feature?.properties ?? null,
+	syncedAt: serverTimestamp(),
+});
+
+const fromDocument = (data) => ({
+	id: data.id,
+	updatedAt: data.updatedAt,
+	deleted: Boolean(data.deleted),
+	feature:
+		data.deleted || !data.geometry
+			? null
+			: { type: "Feature", id: data.id, geometry: JSON.parse(data.geometry), properties: data.properties ?? {} },
+});
+
+/**
+ * Write one record to the user's area collection
+ * @param {string} uid - Firebase user id
+ * @param {Object} record - Area record
+ */
+export const pushAreaRecord = (uid, record) =>
+	setDoc(doc(db, "users", uid, "areas", String(record.id)), toDocument(record));
+
+/**
+ * Listen to the user's area collection
+ * @param {string} uid - Firebase user id
+ * @param {Function} onRecords - Called with every record on each change
+ * @param {Function} onError - Called with listener errors
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToAreas = (uid, onRecords, onError) =>
+	onSnapshot(
+		collection(db, "users", uid, "areas"),
+		{ includeMetadataChanges: true }, // also fires when pending writes are acknowledged
+		(snapshot) => {
+			const records = [];
+			for (const docSnap of snapshot.docs) {
+				try {
+					records.push(fromDocument(docSnap.data()));
+				} catch (error) {
+					console.error(`[Areas] Skipping unreadable area ${docSnap.id}:`, error);
+				}
+			}
+			onRecords(records, snapshot.metadata);
+		},
+		onError,
+	);
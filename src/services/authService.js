@@ -0,0 +1,107 @@
+/**
+ * Auth Service
+ * Email/password accounts on Firebase Auth, with a profile document at users/{uid}
+ */
+
+import {
+	createUserWithEmailAndPassword,
+	signInWithEmailAndPassword,
+	signOut,
+	sendPasswordResetEmail,
+	updateProfile,
+} from "firebase/auth";
+import { doc, setDoc, serverTimestamp } from "firebase/firestore";
+import { auth, db } from "../config/firebase";
+
+const AUTH_ERROR_MESSAGES = {
+	"auth/email-already-in-use": "An account already exists for that email.",
+	"auth/invalid-email": "That email address isn't valid.",
+	"auth/weak-password": "Password must be at least 6 characters.",
+	"auth/invalid-credential": "Email or password is incorrect.",
+	"auth/wrong-password": "Email or password is incorrect.",
+	"auth/user-not-found": "Email or password is incorrect.",
+	"auth/too-many-requests": "Too many attempts. Try again in a few minutes.",
+	"auth/network-request-failed": "No connection. Try again when you have signal.",
+};
+
+/**
+ * Readable message for a Firebase Auth error
+ * @param {Error} error - Error thrown by Firebase Auth
+ * @returns {string}
+ */
+export const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error?.code] ?? "Something went wrong. Please try again.";
+
+const saveProfile = (user, fields) =>
+	setDoc(
+		doc(db, "users", user.uid),
+		{ email: user.email, displayName: user.displayName ?? null, ...fields },
+		{ merge: true },
+	).catch((error) => {
+		// The account works without its profile document; don't fail sign-in over it
+		console.error("[Auth] Failed to save profile:", error);
+	});
+
+/**
+ * Create an account and sign in
+ * @param {Object} details - { email, password, displayName }
+ * @returns {Promise<Object>} Firebase user
+ */
+export const signUp = async ({ email, password, displayName }) => {
+	const { user } = await createUserWithEmailAndPassword(auth, email.trim(), password);
+	if (displayName?.trim()) {
+		await updateProfile(user, { displayName: displayName.trim() });
+	}
+	await saveProfile(user, { createdAt: serverTimestamp(), lastSignInAt: serverTimestamp() });
+	return user;
+};
+
+/**
+ * Sign in with email and password
+ * @returns {Promise<Object>} Firebase user
+ */
+export const signIn = async (email, password) => {
+	const { user } = await signInWithEmailAndPassword(auth, email.trim(), password);
+	await saveProfile(user, { lastSignInAt: serverTimestamp() });
+	return user;
+};
+
+export const signOutUser = () => signOut(auth);
+
+/**
+ * Email a password reset link
+ * @param {string} email - Account email
+ */
+export const resetPassword = (email) => sendPasswordResetEmail(auth, email.trim());
+
+/**
+ * Change the signed-in user's display name
+ * @param {string} displayName - New name
+ */
+export const updateDisplayName = async (displayName) => {
+	const user = auth.currentUser;
+	if (!user) throw new Error("Not signed in");
+	await updateProfile(user, { displayName: displayName.trim() || null });
+	await saveProfile(user, { displayName: user.displayName ?? null });
+};
+
+/**
+ * Whether a user carries the `admin` custom claim (set with scripts/set-admin-claim.mjs).
+ * This only decides what the UI shows; Firestore rules enforce the same claim on every read.
+ * @param {Object|null} user - Firebase user
+ * @param {boolean} forceRefresh - Fetch a fresh ID token so a newly granted claim shows up without signing out
+ * @returns {Promise<boolean>}
+ */
+export const hasAdminClaim = async (user, forceRefresh = false) => {
+	if (!user) return false;
+	const { claims } = await user.getIdTokenResult(forceRefresh);
+	return claims.admin === true;
+};
+
+/**
+ * Who to attribute a logged document to; anonymous visitors get null fields
+ * @returns {{ userId: string|null, userEmail: string|null }}
+ */
+export const getUserAttribution = () => ({
+	userId: auth.currentUser?.uid ?? null,
+	userEmail: auth.currentUser?.email ?? null,
+});
@@ -0,0 +1,190 @@
+/**
+ * Basemap Cache Service
+ * Downloads basemap raster tiles covering a drawn area across a zoom range into Cache Storage,
+ * where the service worker (public/sw.js) serves them when the map has no signal.
+ *
+ * Tiles are cached under their URL without the query string, so the access token never becomes
+ * part of the key; the service worker matches with ignoreSearch.
+ */
+
+import { getTilesForGeometry, countBboxTiles } from "../utils/tileCoverage";
+import { listBasemapRegions, saveBasemapRegion, deleteBasemapRegionRecord } from "./offlineStore";
+
+// Must match BASEMAP_CACHE in public/sw.js
+export const BASEMAP_CACHE = "landverify-basemap-v1";
+
+// Raster rendering of the app's satellite-streets style; VITE_BASEMAP_TILE_URL points at another provider
+// or a local stand-in (scripts/basemap-tile-server.mjs)
+export const BASEMAP_TILE_URL =
+	import.meta.env.VITE_BASEMAP_TILE_URL ||
+	"https://api.mapbox.com/styles/v1/mapbox/satellite-streets-v12/tiles/256/{z}/{x}/{y}@2x";
+
+export const BASEMAP_MIN_ZOOM = 10;
+export const BASEMAP_MAX_ZOOM = 18;
+
+// Same ceiling as Mapbox's mobile offline regions
+export const MAX_REGION_TILES = 6000;
+
+const ESTIMATE_SAMPLE_SIZE = 8;
+const FALLBACK_TILE_BYTES = 60 * 1024; // typical 512px satellite JPEG
+const DOWNLOAD_CONCURRENCY = 4;
+
+export const isBasemapCacheSupported = () => typeof caches !== "undefined";
+
+const getTileUrl = ({ z, x, y }, template = BASEMAP_TILE_URL) =>
+	template.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+
+const withAccessToken = (url) =>
+	url.startsWith("https://api.mapbox.com/")
+		? `${url}${url.includes("?") ? "&" : "?"}access_token=${import.meta.env.VITE_MAPBOX_ACCESS_TOKEN}`
+		: url;
+
+const fetchTile = async (tile, signal) => {
+	const response = await fetch(withAccessToken(getTileUrl(tile)), { signal });
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	return response;
+};
+
+const coverRegion = (geometry, minZoom, maxZoom) => {
+	// The bounding box count is an upper bound; skip the per-tile walk when it is wildly over
+	if (countBboxTiles(geometry, minZoom, maxZoom) > MAX_REGION_TILES * 4) return null;
+	const tiles = getTilesForGeometry(geometry, minZoom, maxZoom);
+	return tiles.length > MAX_REGION_TILES ? null : tiles;
+};
+
+/**
+ * Estimate a region's download before committing to it.
+ * A few tiles spread across the region are fetched to measure the average tile size.
+ * @param {Object} geometry - Drawn Polygon
+ * @param {number} minZoom - Lowest zoom
+ * @param {number} maxZoom - Highest zoom
+ * @returns {Promise<Object>} { tileCount, estimatedBytes, measured, tooLarge }
+ */
+export const estimateBasemapRegion = async (geometry, minZoom, maxZoom) => {
+	const tiles = coverRegion(geometry, minZoom, maxZoom);
+	if (!tiles) {
+		return { tileCount: countBboxTiles(geometry, minZoom, maxZoom), estimatedBytes: null, measured: false, tooLarge: true };
+	}
+
+	const step = Math.max(1, Math.floor(tiles.length / ESTIMATE_SAMPLE_SIZE));
+	const sample = tiles.filter((_, index) => index % step === 0).slice(0, ESTIMATE_SAMPLE_SIZE);
+	const sizes = [];
+	for (const tile of sample) {
+		try {
+			sizes.push((await (await fetchTile(tile)).blob()).size);
+		} catch (error) {
+			console.warn("[Basemap] Sample tile failed:", error.message);
+		}
+	}
+
+	const averageBytes = sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length : FALLBACK_TILE_BYTES;
+	return {
+		tileCount: tiles.length,
+		estimatedBytes: Math.round(averageBytes * tiles.length),
+		measured: sizes.length > 0,
+		tooLarge: false,
+	};
+};
+
+/**
+ * Download and cache every basemap tile covering a region, then record the region
+ * @param {Object} region - { id, name, geometry, minZoom, maxZoom }
+ * @param {Object} options - { onProgress(done, total), signal }
+ * @returns {Promise<Object>} The stored region record
+ */
+export const downloadBasemapRegion = async (region, { onProgress, signal } = {}) => {
+	const tiles = coverRegion(region.geometry, region.minZoom, region.maxZoom);
+	if (!tiles) throw new Error(`Region needs more than ${MAX_REGION_TILES} tiles; lower the max zoom or draw a smaller area`);
+
+	const cache = await caches.open(BASEMAP_CACHE);
+	let done = 0;
+	let bytes = 0;
+	let failedTiles = 0;
+	const queue = [...tiles];
+
+	const worker = async () => {
+		while (queue.length > 0) {
+			if (signal?.aborted) throw new DOMException("Basemap download cancelled", "AbortError");
+			const tile = queue.shift();
+			const key = getTileUrl(tile);
+			try {
+				const cached = await cache.match(key);
+				if (cached) {
+					bytes += (await cached.clone().blob()).size;
+				} else {
+					const response = await fetchTile(tile, signal);
+					const blob = await response.blob();
+					const contentType = response.headers.get("Content-Type") ?? blob.type;
+					await cache.put(key, new Response(blob, { headers: { "Content-Type": contentType } }));
+					bytes += blob.size;
+				}
+			} catch (error) {
+				if (error.name === "AbortError") throw error;
+				failedTiles++;
+			}
+			onProgress?.(++done, tiles.length);
+		}
+	};
+
+	await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+	if (failedTiles > 0) {
+		console.warn(`[Basemap] ${failedTiles} of ${tiles.length} tiles failed to download for ${region.name}`);
+	}
+
+	return saveBasemapRegion({
+		...region,
+		tileUrl: BASEMAP_TILE_URL,
+		tileCount: tiles.length,
+		failedTiles,
+		bytes,
+	});
+};
+
+/**
+ * Delete a region and the cached tiles no other region covers
+ * @param {string} regionId - Region id
+ */
+export const deleteBasemapRegion = async (regionId) => {
+	const regions = await listBasemapRegions();
+	const region = regions.find((r) => r.id === regionId);
+	if (!region) return;
+
+	const keep = new Set();
+	for (const other of regions) {
+		if (other.id === regionId) continue;
+		for (const tile of getTilesForGeometry(other.geometry, other.minZoom, other.maxZoom)) {
+			keep.add(getTileUrl(tile, other.tileUrl));
+		}
+	}
+
+	const cache = await caches.open(BASEMAP_CACHE);
+	for (const tile of getTilesForGeometry(region.geometry, region.minZoom, region.maxZoom)) {
+		const key = getTileUrl(tile, region.tileUrl);
+		if (!keep.has(key)) await cache.delete(key);
+	}
+	await deleteBasemapRegionRecord(regionId);
+};
+
+/**
+ * Raster-only Mapbox style drawing the cached basemap tiles; used in place of the
+ * vector satellite-streets style while offline. Past maxZoom the deepest cached tiles are overzoomed.
+ * @param {number} maxZoom - Deepest zoom any saved region covers
+ * @returns {Object} Mapbox GL style
+ */
+export const getOfflineBasemapStyle = (maxZoom = BASEMAP_MAX_ZOOM) => ({
+	version: 8,
+	glyphs: "mapbox://fonts/mapbox/{fontstack}/{range}.pbf",
+	sources: {
+		"offline-basemap": {
+			type: "raster",
+			tiles: [BASEMAP_TILE_URL],
+			tileSize: 256,
+			maxzoom: maxZoom,
+		},
+	},
+	layers: [
+		{ id: "offline-background", type: "background", paint: { "background-color": "#111111" } },
+		{ id: "offline-basemap", type: "raster", source: "offline-basemap" },
+	],
+});
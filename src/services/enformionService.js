@@ -1,54 +1,98 @@
 /**
  * Enformion API Service
  * Proxy service to fetch landowner contact data securely
+ * Lookups are saved to the offline store so they can be shown again without signal
  */
 
+import { auth } from "../config/firebase";
+import { saveOwnerContact, getOwnerContact } from "./offlineStore";
+
+// Matches VERIFIED_CONFIDENCE in api/_lib/enformion.js
+export const VERIFIED_CONFIDENCE = 0.8;
+
+/**
+ * Bring a contact saved before lookups returned lists (just phone/email/address/verified)
+ * into the current schema, so the card renders old offline copies the same way
+ * @param {Object} contact
+ * @returns {Object}
+ */
+const toContactSchema = (contact) => {
+	if (Array.isArray(contact.phones)) return contact;
+	const legacyConfidence = contact.verified ? VERIFIED_CONFIDENCE : null;
+	return {
+		ownerType: null,
+		searchType: null,
+		matchedName: null,
+		phones: contact.phone
+			? [{ number: contact.phone, type: null, connected: null, lastSeen: null, confidence: legacyConfidence }]
+			: [],
+		emails: contact.email ? [{ address: contact.email, confidence: legacyConfidence }] : [],
+		addresses: contact.address ? [{ line: contact.address, lastSeen: null, confidence: legacyConfidence }] : [],
+		...contact,
+	};
+};
+
+const toStoredResult = (stored) => ({ ...toContactSchema(stored.contact), offlineSavedAt: stored.savedAt });
+
+// The saved lookup for a parcel, unless it was made for a different owner (the parcel has since changed hands)
+const getStoredContact = async (parcelId, ownerName) => {
+	const stored = await getOwnerContact(parcelId);
+	return stored && stored.ownerName === ownerName ? stored : null;
+};
+
 /**
  * Fetch owner data from Enformion API via Vercel serverless function
  * @param {string} ownerName - The name of the property owner
- * @param {string} parcelId - The parcel identifier
- * @returns {Promise<Object>} Contact information (phone, email, address)
+ * @param {string} parcelId - The parcel's record ID (getParcelRecordId); offline copies are kept under it
+ * @param {string} [address] - The parcel's mailing address; narrows the match for individuals
+ * @returns {Promise<Object>} Contact in the schema documented in api/_lib/enformion.js
+ *   (phones, emails and addresses ranked by confidence, plus the best phone/email/address),
+ *   with `cachedAt` (ms) when the server answered from its lookup cache.
+ *   Rejects with `status` 429 and `retryAfter` (seconds) when the lookup limit is reached.
  */
-export const fetchOwnerData = async (ownerName, parcelId) => {
+export const fetchOwnerData = async (ownerName, parcelId, address) => {
+	// No signal: skip the request and use the last saved lookup
+	if (parcelId && typeof navigator !== "undefined" && navigator.onLine === false) {
+		const stored = await getStoredContact(parcelId, ownerName);
+		if (stored) return toStoredResult(stored);
+	}
+
 	try {
+		// Signed-in lookups count against the account's limits instead of the IP's
+		const headers = { "Content-Type": "application/json" };
+		const idToken = await auth.currentUser?.getIdToken();
+		if (idToken) headers.Authorization = `Bearer ${idToken}`;
+
 		// Call Vercel serverless function instead of direct API call
 		const response = await fetch("/api/enformion", {
 			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
+			headers,
 			body: JSON.stringify({
 				ownerName,
 				parcelId,
+				address: address || null,
 			}),
 		});
 
 		if (!response.ok) {
-			throw new Error("Failed to fetch owner data");
+			const data = await response.json().catch(() => ({}));
+			const error = new Error(data.error || "Failed to fetch owner data");
+			error.status = response.status;
+			error.retryAfter = Number(response.headers.get("Retry-After")) || null;
+			throw error;
 		}
 
-		const data = await response.json();
+		const contact = toContactSchema(await response.json());
+		if (parcelId) saveOwnerContact(parcelId, ownerName, contact);
 
-		// Return the contact data
-		return {
-			phone: data.phone || null,
-			email: data.email || null,
-			address: data.address || null,
-			verified: data.verified || false,
-		};
+		const cacheDate =
+			response.headers.get("X-Cache") === "HIT" ? Date.parse(response.headers.get("X-Cache-Date")) : NaN;
+		return Number.isFinite(cacheDate) ? { ...contact, cachedAt: cacheDate } : contact;
 	} catch (error) {
 		console.error("Error in fetchOwnerData:", error);
 
-		// For development/demo purposes, return mock data
-		// Remove this in production once Enformion API is integrated
-		if (import.meta.env.DEV) {
-			return {
-				phone: "(573) 555-0123",
-				email: "landowner@missouri.com",
-				address: "123 Farm Road, Jefferson City, MO 65101",
-				verified: true,
-			};
-		}
+		const stored = parcelId ? await getStoredContact(parcelId, ownerName) : null;
+		if (stored) return toStoredResult(stored);
 
 		throw error;
 	}
@@ -0,0 +1,171 @@
+/**
+ * Log Export Service
+ * Streams an admin log collection (visitors, queries, geolocations) to CSV or GeoJSON, one Firestore page
+ * at a time, so exports cover the full filtered history rather than the rows loaded in the Admin Panel
+ */
+
+import { Timestamp } from "firebase/firestore";
+import { iterateLog, toDayKey } from "./analyticsService";
+import { toCsvLine, downloadFile } from "../utils/csv";
+
+// Columns per collection; nested fields use dot paths. Anything else on a document is left out of the CSV.
+// clientId is deliberately absent: it's what lets a visitor delete their own entries
+const EXPORT_COLUMNS = {
+	visitors: [
+		"id",
+		"timestamp",
+		"ip",
+		"ipHash",
+		"consent",
+		"referrer",
+		"location.latitude",
+		"location.longitude",
+		"location.accuracy",
+		"userAgent",
+	],
+	queries: [
+		"id",
+		"timestamp",
+		"source",
+		"consent",
+		"lat",
+		"lng",
+		"address",
+		"result.owner",
+		"result.acres",
+		"result.parcelId",
+		"userId",
+		"userEmail",
+		"userAgent",
+	],
+	geolocations: [
+		"id",
+		"timestamp",
+		"type",
+		"consent",
+		"latitude",
+		"longitude",
+		"accuracy",
+		"userId",
+		"userEmail",
+		"userAgent",
+	],
+};
+
+// Where each collection keeps its coordinates, as [lng, lat]
+const POINT_GETTERS = {
+	visitors: (row) => [row.location?.longitude, row.location?.latitude],
+	queries: (row) => [row.lng, row.lat],
+	geolocations: (row) => [row.longitude, row.latitude],
+};
+
+export const EXPORTABLE_COLLECTIONS = Object.keys(EXPORT_COLUMNS);
+
+const getPath = (row, path) => path.split(".").reduce((value, key) => value?.[key], row);
+
+/**
+ * Convert Firestore Timestamps and Dates (at any depth) to ISO strings
+ * @param {*} value
+ * @returns {*}
+ */
+const toExportValue = (value) => {
+	if (value instanceof Timestamp) return value.toDate().toISOString();
+	if (value instanceof Date) return value.toISOString();
+	if (Array.isArray(value)) return value.map(toExportValue);
+	if (value && typeof value === "object") {
+		return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toExportValue(nested)]));
+	}
+	return value;
+};
+
+/**
+ * Where export chunks go: a file picked with the File System Access API when the browser has it,
+ * so large exports are written as they arrive; otherwise an in-memory Blob downloaded at the end
+ * @returns {Promise<{ write: Function, close: Function, abort: Function }>}
+ */
+const openSink = async (filename, mimeType, extension) => {
+	if (typeof window.showSaveFilePicker === "function") {
+		const handle = await window.showSaveFilePicker({
+			suggestedName: filename,
+			types: [{ description: extension.toUpperCase(), accept: { [mimeType]: [`.${extension}`] } }],
+		});
+		const writable = await handle.createWritable();
+		return {
+			write: (chunk) => writable.write(chunk),
+			close: () => writable.close(),
+			abort: () => writable.abort(),
+		};
+	}
+
+	const parts = [];
+	return {
+		write: (chunk) => parts.push(chunk),
+		close: () => downloadFile(parts, filename, mimeType),
+		abort: () => {
+			parts.length = 0;
+		},
+	};
+};
+
+const buildFilename = (collectionName, { start, end, source }, extension) => {
+	const range = start || end ? `_${start ? toDayKey(start) : "start"}_to_${end ? toDayKey(end) : "now"}` : "";
+	return `landverify_${collectionName}${source ? `_${source}` : ""}${range}.${extension}`;
+};
+
+/**
+ * Export a log collection
+ * @param {string} collectionName - "visitors", "queries" or "geolocations"
+ * @param {"csv"|"geojson"} format - GeoJSON includes only entries with coordinates
+ * @param {Object} filters - { start?: Date, end?: Date, source?: string }, as for analyticsService
+ * @param {Object} options - { onProgress(rowsRead), signal: AbortSignal }
+ * @returns {Promise<{ rows: number, written: number }>} Entries read and entries written
+ */
+export const exportLog = async (collectionName, format, filters = {}, { onProgress, signal } = {}) => {
+	const columns = EXPORT_COLUMNS[collectionName];
+	if (!columns) throw new Error(`Unknown log collection: ${collectionName}`);
+
+	const isCsv = format === "csv";
+	const extension = isCsv ? "csv" : "geojson";
+	const mimeType = isCsv ? "text/csv" : "application/geo+json";
+	const sink = await openSink(buildFilename(collectionName, filters, extension), mimeType, extension);
+	const getPoint = POINT_GETTERS[collectionName];
+
+	let rows = 0;
+	let written = 0;
+	try {
+		await sink.write(isCsv ? toCsvLine(columns) : '{"type":"FeatureCollection","features":[\n');
+
+		for await (const page of iterateLog(collectionName, filters)) {
+			if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+
+			let chunk = "";
+			for (const row of page.map(toExportValue)) {
+				rows++;
+				if (isCsv) {
+					chunk += toCsvLine(columns.map((column) => getPath(row, column)));
+					written++;
+					continue;
+				}
+
+				const [lng, lat] = getPoint(row);
+				if (!Number.isFinite(lng) || !Number.isFinite(lat)) continue;
+				const { id, clientId, ...properties } = row;
+				const feature = { type: "Feature", id, geometry: { type: "Point", coordinates: [lng, lat] }, properties };
+				chunk += `${written > 0 ? ",\n" : ""}${JSON.stringify(feature)}`;
+				written++;
+			}
+
+			await sink.write(chunk);
+			onProgress?.(rows);
+		}
+
+		if (!isCsv) await sink.write("\n]}\n");
+	} catch (error) {
+		// Don't leave a half-written file behind
+		await sink.abort();
+		throw error;
+	}
+	await sink.close();
+	console.log(`[Export] ${collectionName}: ${written} of ${rows} entries written as ${extension}`);
+	return { rows, written };
+};
@@ -0,0 +1,57 @@
+/**
+ * Neighbors Export Service
+ * Writes a parcel's neighbors report to CSV, one row per neighboring parcel with its owner's totals,
+ * so the list can be worked through in a spreadsheet or mail merge
+ */
+
+import { toCsvLine, downloadFile } from "../utils/csv";
+import { getParcelAcres } from "../utils/neighbors";
+
+const COLUMNS = [
+	"owner",
+	"owner_parcels",
+	"owner_total_acres",
+	"same_owner",
+	"pid",
+	"acres",
+	"touching",
+	"distance_m",
+	"situs_address",
+	"mailing_address",
+];
+
+/**
+ * Download the neighbors report as CSV
+ * @param {Object} subject - The parcel the report is for
+ * @param {Array<Object>} groups - From groupNeighborsByOwner
+ * @param {number} bufferMeters - The report's buffer, used in the file name
+ * @returns {number} Rows written
+ */
+export const exportNeighborsCsv = (subject, groups, bufferMeters) => {
+	const lines = [toCsvLine(COLUMNS)];
+
+	for (const group of groups) {
+		for (const { feature, touching, distanceMeters } of group.parcels) {
+			const properties = feature.properties ?? {};
+			lines.push(
+				toCsvLine([
+					group.owner,
+					group.parcels.length,
+					group.totalAcres,
+					group.sameOwner,
+					properties.PID,
+					getParcelAcres(feature) || null,
+					touching,
+					distanceMeters,
+					properties.SITUS_ADDRESS,
+					properties.MAILING_ADDRESS,
+				]),
+			);
+		}
+	}
+
+	const parcelName = subject.properties?.PID ?? "parcel";
+	const bufferName = bufferMeters > 0 ? `within_${Math.round(bufferMeters)}m` : "touching";
+	downloadFile(lines, `landverify_neighbors_${parcelName}_${bufferName}.csv`, "text/csv");
+	return lines.length - 1;
+};
@@ -0,0 +1,298 @@
+/**
+ * Offline Store
+ * IndexedDB persistence for field use without signal: parcel tiles, county tile manifests,
+ * owner contact lookups and the offline areas that reference them.
+ *
+ * Stores:
+ * - tiles:     { id: "cole:0213", countyId, key, data, bytes, savedAt, areaIds }
+ * - manifests: { countyId, manifest, signature, savedAt }
+ * - owners:    { parcelId, ownerName, contact, savedAt }
+ * - areas:     { id, name, bounds, tileIds, countyIds, parcelCount, ownerCount, bytes, signatures, savedAt }
+ * - basemaps:  { id, name, geometry, minZoom, maxZoom, tileUrl, tileCount, failedTiles, bytes, savedAt }
+ *              (the raster tiles themselves live in Cache Storage - see basemapCache.js)
+ *
+ * Tiles are shared between overlapping areas and removed only when their last area is deleted.
+ */
+
+const DB_NAME = "landverify-offline";
+const DB_VERSION = 2;
+
+// Areas older than this are shown as stale
+export const OFFLINE_AREA_STALE_DAYS = 30;
+
+let dbPromise = null;
+
+export const isOfflineStorageSupported = () => typeof indexedDB !== "undefined";
+
+const openDb = () => {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (!db.objectStoreNames.contains("tiles")) db.createObjectStore("tiles", { keyPath: "id" });
+				if (!db.objectStoreNames.contains("manifests")) db.createObjectStore("manifests", { keyPath: "countyId" });
+				if (!db.objectStoreNames.contains("owners")) db.createObjectStore("owners", { keyPath: "parcelId" });
+				if (!db.objectStoreNames.contains("areas")) db.createObjectStore("areas", { keyPath: "id" });
+				if (!db.objectStoreNames.contains("basemaps")) db.createObjectStore("basemaps", { keyPath: "id" });
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => {
+				dbPromise = null;
+				reject(request.error);
+			};
+		});
+	}
+	return dbPromise;
+};
+
+const promisify = (request) =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+/**
+ * Run fn inside a transaction and resolve once the transaction commits
+ * @param {Array<string>} storeNames - Object stores used
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Called with an object of stores; its return value is resolved
+ */
+const withStores = async (storeNames, mode, fn) => {
+	const db = await openDb();
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeNames, mode);
+		const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]));
+		let result;
+		Promise.resolve(fn(stores))
+			.then((value) => {
+				result = value;
+			})
+			.catch((error) => {
+				try {
+					tx.abort();
+				} catch {
+					// Already finished
+				}
+				reject(error);
+			});
+		tx.oncomplete = () => resolve(result);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error ?? new Error("Offline store transaction aborted"));
+	});
+};
+
+// Missing storage never breaks the map; reads just come back empty
+const safely = async (label, fn, fallback) => {
+	if (!isOfflineStorageSupported()) return fallback;
+	try {
+		return await fn();
+	} catch (error) {
+		console.error(`[Offline] ${label} failed:`, error);
+		return fallback;
+	}
+};
+
+/**
+ * Signature of a manifest's tile set; changes whenever the tiles are regenerated
+ * @param {Object} manifest - tiles.json contents
+ * @returns {string}
+ */
+export const getManifestSignature = (manifest) =>
+	(manifest?.tiles ?? []).map((tile) => `${tile.key ?? `${tile.col}_${tile.row}`}:${tile.bytes ?? tile.featureCount}`).join("|");
+
+/**
+ * Stored tile manifest for a county
+ * @param {string} countyId - Registry id
+ * @returns {Promise<Object|null>} { countyId, manifest, signature, savedAt }
+ */
+export const getStoredManifest = (countyId) =>
+	safely("Read manifest", () => withStores(["manifests"], "readonly", ({ manifests }) => promisify(manifests.get(countyId))), null);
+
+/**
+ * Stored tile by id
+ * @param {string} tileId - Namespaced tile id, e.g. "cole:0213"
+ * @returns {Promise<Object|null>} { id, data, bytes, savedAt, ... }
+ */
+export const getStoredTile = (tileId) =>
+	safely("Read tile", () => withStores(["tiles"], "readonly", ({ tiles }) => promisify(tiles.get(tileId))), null);
+
+/**
+ * Every stored tile (used when the full parcel dataset can't be fetched)
+ * @returns {Promise<Array<Object>>}
+ */
+export const getAllStoredTiles = () =>
+	safely("Read tiles", () => withStores(["tiles"], "readonly", ({ tiles }) => promisify(tiles.getAll())), []);
+
+/**
+ * Remember an owner contact lookup so it can be shown offline
+ * @param {string} parcelId - Parcel identifier
+ * @param {string} ownerName - Owner name the lookup was made for
+ * @param {Object} contact - { phone, email, address, verified }
+ */
+export const saveOwnerContact = (parcelId, ownerName, contact) =>
+	safely(
+		"Save owner contact",
+		() =>
+			withStores(["owners"], "readwrite", ({ owners }) =>
+				promisify(owners.put({ parcelId: String(parcelId), ownerName, contact, savedAt: Date.now() })),
+			),
+		null,
+	);
+
+/**
+ * Stored owner contact for a parcel
+ * @param {string} parcelId - Parcel identifier
+ * @returns {Promise<Object|null>} { parcelId, ownerName, contact, savedAt }
+ */
+export const getOwnerContact = (parcelId) =>
+	safely("Read owner contact", () => withStores(["owners"], "readonly", ({ owners }) => promisify(owners.get(String(parcelId)))), null);
+
+/**
+ * All offline areas, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export const listOfflineAreas = () =>
+	safely(
+		"List areas",
+		async () => {
+			const areas = await withStores(["areas"], "readonly", ({ areas }) => promisify(areas.getAll()));
+			return areas.sort((a, b) => b.savedAt - a.savedAt);
+		},
+		[],
+	);
+
+/**
+ * Persist an offline area with its tiles and manifests in one transaction.
+ * Re-saving an area id replaces its previous tiles.
+ * @param {Object} area - { id, name, bounds, parcelCount, ownerCount }
+ * @param {Array<Object>} tiles - { id, countyId, key, data, bytes }
+ * @param {Array<Object>} manifests - { countyId, manifest }
+ * @returns {Promise<Object>} The stored area record
+ */
+export const saveOfflineArea = async (area, tiles, manifests) => {
+	const savedAt = Date.now();
+	const record = {
+		...area,
+		tileIds: tiles.map((tile) => tile.id),
+		countyIds: manifests.map((entry) => entry.countyId),
+		bytes: tiles.reduce((sum, tile) => sum + tile.bytes, 0),
+		signatures: Object.fromEntries(manifests.map((entry) => [entry.countyId, getManifestSignature(entry.manifest)])),
+		savedAt,
+	};
+
+	await withStores(["tiles", "manifests", "areas"], "readwrite", async (stores) => {
+		const previous = await promisify(stores.areas.get(area.id));
+		if (previous) await releaseTiles(stores.tiles, area.id, previous.tileIds);
+
+		for (const tile of tiles) {
+			const existing = await promisify(stores.tiles.get(tile.id));
+			const areaIds = new Set(existing?.areaIds ?? []);
+			areaIds.add(area.id);
+			stores.tiles.put({ ...tile, savedAt, areaIds: [...areaIds] });
+		}
+		for (const entry of manifests) {
+			stores.manifests.put({ ...entry, signature: getManifestSignature(entry.manifest), savedAt });
+		}
+		stores.areas.put(record);
+	});
+
+	return record;
+};
+
+// Drop an area's claim on its tiles, deleting tiles no other area holds
+const releaseTiles = async (tileStore, areaId, tileIds) => {
+	for (const tileId of tileIds) {
+		const tile = await promisify(tileStore.get(tileId));
+		if (!tile) continue;
+		const areaIds = tile.areaIds.filter((id) => id !== areaId);
+		if (areaIds.length > 0) tileStore.put({ ...tile, areaIds });
+		else tileStore.delete(tileId);
+	}
+};
+
+/**
+ * Delete an offline area and any tiles only it was holding.
+ * A county's manifest goes with its last area.
+ * @param {string} areaId - Area id
+ */
+export const deleteOfflineArea = (areaId) =>
+	safely(
+		"Delete area",
+		() =>
+			withStores(["tiles", "manifests", "areas"], "readwrite", async (stores) => {
+				const area = await promisify(stores.areas.get(areaId));
+				if (!area) return;
+				await releaseTiles(stores.tiles, areaId, area.tileIds);
+				stores.areas.delete(areaId);
+
+				const remaining = (await promisify(stores.areas.getAll())).filter((other) => other.id !== areaId);
+				for (const countyId of area.countyIds) {
+					if (!remaining.some((other) => other.countyIds.includes(countyId))) stores.manifests.delete(countyId);
+				}
+			}),
+		null,
+	);
+
+/**
+ * All saved basemap regions, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export const listBasemapRegions = () =>
+	safely(
+		"List basemap regions",
+		async () => {
+			const regions = await withStores(["basemaps"], "readonly", ({ basemaps }) => promisify(basemaps.getAll()));
+			return regions.sort((a, b) => b.savedAt - a.savedAt);
+		},
+		[],
+	);
+
+/**
+ * Save or replace a basemap region record
+ * @param {Object} region - { id, name, geometry, minZoom, maxZoom, tileUrl, tileCount, failedTiles, bytes }
+ * @returns {Promise<Object>} The stored record
+ */
+export const saveBasemapRegion = async (region) => {
+	const record = { ...region, savedAt: Date.now() };
+	await withStores(["basemaps"], "readwrite", ({ basemaps }) => promisify(basemaps.put(record)));
+	return record;
+};
+
+/**
+ * Delete a basemap region record
+ * @param {string} regionId - Region id
+ */
+export const deleteBasemapRegionRecord = (regionId) =>
+	safely(
+		"Delete basemap region",
+		() => withStores(["basemaps"], "readwrite", ({ basemaps }) => promisify(basemaps.delete(regionId))),
+		null,
+	);
+
+/**
+ * Storage usage reported by the browser
+ * @returns {Promise<{ usage: number, quota: number }|null>}
+ */
+export const getStorageEstimate = async () => {
+	if (!navigator.storage?.estimate) return null;
+	try {
+		const { usage, quota } = await navigator.storage.estimate();
+		return { usage, quota };
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Ask the browser not to evict offline data under storage pressure
+ * @returns {Promise<boolean>} Whether storage is persistent
+ */
+export const requestPersistentStorage = async () => {
+	if (!navigator.storage?.persist) return false;
+	try {
+		return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+	} catch {
+		return false;
+	}
+};
@@ -0,0 +1,54 @@
+/**
+ * Owner Search Service
+ * Searches parcel owners across the full tile set via the /api/parcels/search and /api/parcels/holdings endpoints
+ */
+
+/**
+ * Find parcels by owner name
+ * @param {string} query - Owner name, e.g. "JOHNSON FAMILY TRUST" or "Johnson, Mary"
+ * @param {Object} options
+ * @param {number} options.limit - Maximum matches to return
+ * @param {AbortSignal} options.signal - Abort signal for superseded searches
+ * @returns {Promise<Object>} { matches: [{ feature, owner, matchedName, score }], total, truncated }
+ */
+export const searchOwnersOnServer = async (query, { limit, signal } = {}) => {
+	const response = await fetch("/api/parcels/search", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ query, limit }),
+		signal,
+	});
+
+	if (!response.ok) {
+		throw new Error(`Owner search request failed: ${response.status}`);
+	}
+
+	return response.json();
+};
+
+/**
+ * Find every parcel held by an owner, under any spelling of their name
+ * @param {string} owner - Owner name as recorded on one of their parcels
+ * @param {Object} options
+ * @param {number} options.limit - Maximum parcels to return
+ * @param {AbortSignal} options.signal - Abort signal for superseded requests
+ * @returns {Promise<Object>} { matches: [{ feature, owner }], total, truncated }
+ */
+export const findHoldingsOnServer = async (owner, { limit, signal } = {}) => {
+	const response = await fetch("/api/parcels/holdings", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ owner, limit }),
+		signal,
+	});
+
+	if (!response.ok) {
+		throw new Error(`Holdings request failed: ${response.status}`);
+	}
+
+	return response.json();
+};
@@ -0,0 +1,37 @@
+/**
+ * Parcel Bounds Service
+ * Fetches parcels intersecting the map viewport from the /api/parcels/bounds endpoint
+ */
+
+/**
+ * Fetch parcels inside a viewport
+ * @param {Object} bounds - { minLng, minLat, maxLng, maxLat }
+ * @param {number} zoom - Current map zoom (drives server-side simplification)
+ * @param {Object} options
+ * @param {number} options.limit - Maximum features to return
+ * @param {AbortSignal} options.signal - Abort signal for superseded requests
+ * @returns {Promise<Object>} GeoJSON FeatureCollection with totalFeatures and truncated members
+ */
+export const fetchParcelsInBounds = async (bounds, zoom, { limit, signal } = {}) => {
+	const response = await fetch("/api/parcels/bounds", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({
+			bounds: [
+				[bounds.minLng, bounds.minLat],
+				[bounds.maxLng, bounds.maxLat],
+			],
+			zoom,
+			limit,
+		}),
+		signal,
+	});
+
+	if (!response.ok) {
+		throw new Error(`Parcel bounds request failed: ${response.status}`);
+	}
+
+	return response.json();
+};
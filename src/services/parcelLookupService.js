@@ -0,0 +1,28 @@
+/**
+ * Parcel Lookup Service
+ * Resolves parcel IDs (PID, OLDPID) through the prebuilt ID index behind the /api/parcels/lookup endpoint
+ */
+
+/**
+ * Find the parcels carrying a parcel ID
+ * @param {string} id - ID as typed, e.g. "0905220000003005" or "09-05-22-0000-003-005"
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Abort signal for superseded lookups
+ * @returns {Promise<Object>} { matches: [{ feature, field, county }] }, current-PID matches first
+ */
+export const lookupParcelIdOnServer = async (id, { signal } = {}) => {
+	const response = await fetch("/api/parcels/lookup", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ id }),
+		signal,
+	});
+
+	if (!response.ok) {
+		throw new Error(`Parcel ID lookup failed: ${response.status}`);
+	}
+
+	return response.json();
+};
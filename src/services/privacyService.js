@@ -0,0 +1,136 @@
+/**
+ * Privacy Service
+ * Tracking consent, the anonymous device id that links this browser's log entries,
+ * location coarsening for anonymous consent, and the "delete my data" request
+ */
+
+import { auth } from "../config/firebase";
+
+const CONSENT_KEY = "landverify:consent";
+const CLIENT_ID_KEY = "landverify:clientId";
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "";
+
+/**
+ * What the visitor agreed to:
+ * - none: nothing is logged
+ * - anonymous: visits and lookups are logged with a hashed IP, and locations and looked-up points rounded to ~1 km
+ * - precise: raw IP and exact coordinates are logged
+ */
+export const CONSENT_LEVELS = ["none", "anonymous", "precise"];
+
+// Two decimal places is about 1.1 km of latitude
+const COARSE_DECIMALS = 2;
+const COARSE_ACCURACY_METERS = 1100;
+
+const roundCoordinate = (value) => (Number.isFinite(value) ? Number(value.toFixed(COARSE_DECIMALS)) : value);
+
+const listeners = new Set();
+
+/**
+ * The visitor's choice, or null until they answer the consent banner
+ * @returns {"none"|"anonymous"|"precise"|null}
+ */
+export const getConsent = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(CONSENT_KEY));
+		return CONSENT_LEVELS.includes(stored?.level) ? stored.level : null;
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Record the visitor's choice and notify subscribers
+ * @param {"none"|"anonymous"|"precise"} level
+ */
+export const setConsent = (level) => {
+	if (!CONSENT_LEVELS.includes(level)) throw new Error(`Unknown consent level: ${level}`);
+	try {
+		localStorage.setItem(CONSENT_KEY, JSON.stringify({ level, decidedAt: Date.now() }));
+	} catch (error) {
+		console.warn("[Privacy] Failed to save consent:", error);
+	}
+	listeners.forEach((listener) => listener(level));
+};
+
+/**
+ * Listen for consent changes
+ * @param {Function} listener - Called with the new level
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToConsent = (listener) => {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+};
+
+/**
+ * Whether tracking writes are allowed at all
+ * @returns {boolean}
+ */
+export const canTrack = () => {
+	const level = getConsent();
+	return level === "anonymous" || level === "precise";
+};
+
+export const isPreciseConsent = () => getConsent() === "precise";
+
+/**
+ * Random id stored on this device and written with each log entry, so "delete my data" can find
+ * this browser's entries without an account. It's only sent with log writes and the delete request.
+ * @returns {string}
+ */
+export const getClientId = () => {
+	let clientId = localStorage.getItem(CLIENT_ID_KEY);
+	if (!clientId) {
+		clientId = crypto.randomUUID();
+		localStorage.setItem(CLIENT_ID_KEY, clientId);
+	}
+	return clientId;
+};
+
+/**
+ * Location as the visitor agreed to share it
+ * @param {Object} location - { latitude, longitude, accuracy }
+ * @returns {Object} Exact location with precise consent; otherwise rounded to ~1 km
+ */
+export const applyLocationConsent = (location) => {
+	if (!location || isPreciseConsent()) return location;
+	return {
+		latitude: roundCoordinate(location.latitude),
+		longitude: roundCoordinate(location.longitude),
+		accuracy: Math.max(location.accuracy ?? 0, COARSE_ACCURACY_METERS),
+	};
+};
+
+/**
+ * A looked-up point as the visitor agreed to share it; the parcel they clicked says where they are interested
+ * in as much as their own location does
+ * @param {Object} point - { lat, lng }; either may be null
+ * @returns {Object} Exact point with precise consent; otherwise rounded to ~1 km
+ */
+export const applyPointConsent = ({ lat, lng }) =>
+	isPreciseConsent() ? { lat, lng } : { lat: roundCoordinate(lat), lng: roundCoordinate(lng) };
+
+/**
+ * Delete every visitor, geolocation and query log entry from this device, plus those attributed to
+ * the signed-in account, then forget the device id so later entries aren't linked to the deleted ones
+ * @returns {Promise<Object>} Deleted counts per collection
+ */
+export const deleteMyData = async () => {
+	const headers = { "Content-Type": "application/json" };
+	const idToken = await auth.currentUser?.getIdToken();
+	if (idToken) headers.Authorization = `Bearer ${idToken}`;
+
+	const response = await fetch(`${API_BASE_URL}/api/delete-my-data`, {
+		method: "POST",
+		headers,
+		body: JSON.stringify({ clientId: localStorage.getItem(CLIENT_ID_KEY) }),
+	});
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(data.error || `HTTP ${response.status}`);
+	}
+
+	localStorage.removeItem(CLIENT_ID_KEY);
+	return data.deleted;
+};
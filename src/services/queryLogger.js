@@ -1,10 +1,13 @@
 /**
  * Query Logging Service
- * Logs all parcel queries to Firestore
+ * Logs parcel queries and geolocation access to Firestore once the visitor has consented to tracking,
+ * attributed to the signed-in user when there is one
  */
 
 import { collection, addDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { getUserAttribution } from "./authService";
+import { canTrack, getConsent, getClientId, applyLocationConsent, applyPointConsent } from "./privacyService";
 
 /**
  * Log a parcel query to Firestore
@@ -13,12 +16,19 @@ import { db } from "../config/firebase";
  * @param {number} queryData.lng - Longitude
  * @param {string} queryData.address - Address searched (if applicable)
  * @param {Object} queryData.result - Parcel result data
- * @param {string} queryData.source - "map_click" or "address_search"
+ * @param {string} queryData.source - "map_click", "address_search" or "parcel_id_search"
  */
 export const logQuery = async (queryData) => {
+	if (!canTrack()) return null;
+
 	try {
+		// lat/lng is the parcel or address looked up; anonymous consent keeps it to ~1 km like a location
 		const logEntry = {
 			...queryData,
+			...applyPointConsent(queryData),
+			...getUserAttribution(),
+			consent: getConsent(),
+			clientId: getClientId(),
 			timestamp: serverTimestamp(),
 			userAgent: navigator.userAgent,
 			ipAddress: "auto-detected", // Will be set by backend if needed
@@ -42,14 +52,20 @@ export const logQuery = async (queryData) => {
  * @param {number} location.accuracy - Accuracy in meters
  */
 export const logGeolocation = async (location) => {
+	if (!canTrack()) return null;
+
 	try {
+		const { latitude, longitude, accuracy } = applyLocationConsent(location);
 		const logEntry = {
-			latitude: location.latitude,
-			longitude: location.longitude,
-			accuracy: location.accuracy,
+			latitude,
+			longitude,
+			accuracy,
 			timestamp: serverTimestamp(),
 			type: "geolocation_access",
 			userAgent: navigator.userAgent,
+			...getUserAttribution(),
+			consent: getConsent(),
+			clientId: getClientId(),
 		};
 
 		const docRef = await addDoc(collection(db, "geolocations"), logEntry);
@@ -0,0 +1,60 @@
+/**
+ * Saved Parcels Service
+ * Parcels a signed-in user has saved, stored at users/{uid}/savedParcels/{parcelId}, where parcelId is the
+ * parcel's PID or GlobalID (getParcelRecordId)
+ */
+
+import { collection, doc, setDoc, deleteDoc, onSnapshot, serverTimestamp } from "firebase/firestore";
+import { db } from "../config/firebase";
+import { getGeometryBbox } from "../utils/geometry";
+import { getParcelRecordId } from "../utils/parcelIds";
+
+// Parcel ids can contain slashes, which Firestore document ids can't
+const toDocId = (parcelId) => encodeURIComponent(String(parcelId));
+
+/**
+ * Save a parcel to the user's list
+ * @param {string} uid - Firebase user id
+ * @param {Object} parcel - GeoJSON parcel feature
+ */
+export const saveParcel = async (uid, parcel) => {
+	const properties = parcel.properties ?? {};
+	const parcelId = getParcelRecordId(parcel);
+	if (!parcelId) throw new Error("Parcel has no id to save it under");
+
+	const bbox = getGeometryBbox(parcel.geometry);
+	await setDoc(doc(db, "users", uid, "savedParcels", toDocId(parcelId)), {
+		parcelId: String(parcelId),
+		owner: properties.OWNER ?? properties.OWNER_NAME ?? null,
+		acres: Number(properties.ACRES_CALC ?? properties.ACRES) || null,
+		address: properties.SITUS_ADDRESS ?? properties.MAILING_ADDRESS ?? null,
+		center: bbox ? { lng: (bbox[0] + bbox[2]) / 2, lat: (bbox[1] + bbox[3]) / 2 } : null,
+		savedAt: serverTimestamp(),
+	});
+};
+
+/**
+ * Remove a parcel from the user's list
+ * @param {string} uid - Firebase user id
+ * @param {string} parcelId - Parcel identifier
+ */
+export const unsaveParcel = (uid, parcelId) => deleteDoc(doc(db, "users", uid, "savedParcels", toDocId(parcelId)));
+
+/**
+ * Listen to the user's saved parcels, newest first
+ * @param {string} uid - Firebase user id
+ * @param {Function} onParcels - Called with the saved parcel list
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToSavedParcels = (uid, onParcels) =>
+	onSnapshot(
+		collection(db, "users", uid, "savedParcels"),
+		(snapshot) => {
+			const parcels = snapshot.docs.map((docSnap) => ({
+				...docSnap.data(),
+				savedAt: docSnap.data().savedAt?.toDate?.() ?? new Date(),
+			}));
+			onParcels(parcels.sort((a, b) => b.savedAt - a.savedAt));
+		},
+		(error) => console.error("[SavedParcels] Listener failed:", error),
+	);
@@ -1,10 +1,12 @@
 /**
  * Visitor Tracker Service
- * Tracks visitor IP addresses and location data
+ * Tracks visitor IP addresses and location data, only after consent: anonymous consent stores a hashed IP
+ * and rounded coordinates, precise consent the raw values
  */
 
 import { collection, addDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { canTrack, getConsent, getClientId, applyLocationConsent } from "./privacyService";
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "";
 
@@ -13,14 +15,19 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "";
  * @param {Object} location - Optional location data { latitude, longitude, accuracy }
  */
 export async function trackVisitor(location = null) {
+	if (!canTrack()) return null;
+
 	try {
-		// Call API to get IP address
+		const consent = getConsent();
+		const sharedLocation = applyLocationConsent(location);
+
+		// Call API to get IP address (or its hash, for anonymous consent)
 		const response = await fetch(`${API_BASE_URL}/api/track-visitor`, {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json",
 			},
-			body: JSON.stringify(location || {}),
+			body: JSON.stringify({ anonymize: consent !== "precise" }),
 		});
 
 		if (!response.ok) {
@@ -32,22 +39,25 @@ export async function trackVisitor(location = null) {
 
 		// Write to Firebase with IP address from server
 		const visitorData = {
-			ip: data.ip || "Unknown",
+			ip: consent === "precise" ? data.ip || "Unknown" : null,
+			ipHash: data.ipHash ?? null,
 			userAgent: data.userAgent || navigator.userAgent || "Unknown",
 			referrer: data.referrer || document.referrer || "Direct",
 			timestamp: serverTimestamp(),
 			location:
-				location?.latitude && location?.longitude
+				sharedLocation?.latitude && sharedLocation?.longitude
 					? {
-							latitude: location.latitude,
-							longitude: location.longitude,
-							accuracy: location.accuracy,
+							latitude: sharedLocation.latitude,
+							longitude: sharedLocation.longitude,
+							accuracy: sharedLocation.accuracy,
 						}
 					: null,
+			consent,
+			clientId: getClientId(),
 		};
 
 		const docRef = await addDoc(collection(db, "visitors"), visitorData);
-		console.log("✅ Visitor tracked in Firebase:", { id: docRef.id, ip: data.ip });
+		console.log("✅ Visitor tracked in Firebase:", { id: docRef.id, consent });
 
 		return { ...data, firestoreId: docRef.id };
 	} catch (error) {
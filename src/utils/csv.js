@@ -0,0 +1,36 @@
+/**
+ * CSV and file download helpers
+ * Shared by the admin log export and the neighbors report export
+ */
+
+const toCsvCell = (value) => {
+	if (value === null || value === undefined) return "";
+	if (typeof value === "object") value = JSON.stringify(value);
+	let text = String(value);
+	// Spreadsheet apps run cells starting with these as formulas; user agents, addresses and owner names
+	// all come from outside the app
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line, CRLF-terminated
+ * @param {Array<*>} cells - Objects are written as JSON
+ * @returns {string}
+ */
+export const toCsvLine = (cells) => `${cells.map(toCsvCell).join(",")}\r\n`;
+
+/**
+ * Save chunks of text as a downloaded file
+ * @param {Array<string|Blob>} parts - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - e.g. "text/csv"
+ */
+export const downloadFile = (parts, filename, mimeType) => {
+	const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,274 @@
+/**
+ * Geometry helpers
+ * Plain GeoJSON math shared by the browser hooks, the API routes and the data scripts
+ */
+
+/**
+ * Iterate every ring of a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<[number, number]>>} Rings
+ */
+export const getGeometryRings = (geometry) => {
+	if (!geometry?.coordinates) return [];
+
+	switch (geometry.type) {
+		case "Polygon":
+			return geometry.coordinates;
+		case "MultiPolygon":
+			return geometry.coordinates.flat(1);
+		default:
+			return [];
+	}
+};
+
+/**
+ * Compute [minLng, minLat, maxLng, maxLat] across every ring of a geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array<number>|null} Bounding box, or null for empty geometry
+ */
+export const getGeometryBbox = (geometry) => {
+	let minLng = Infinity;
+	let minLat = Infinity;
+	let maxLng = -Infinity;
+	let maxLat = -Infinity;
+
+	for (const ring of getGeometryRings(geometry)) {
+		for (const [lng, lat] of ring) {
+			if (lng < minLng) minLng = lng;
+			if (lng > maxLng) maxLng = lng;
+			if (lat < minLat) minLat = lat;
+			if (lat > maxLat) maxLat = lat;
+		}
+	}
+
+	return minLng === Infinity ? null : [minLng, minLat, maxLng, maxLat];
+};
+
+/**
+ * Check whether two [minLng, minLat, maxLng, maxLat] boxes overlap
+ */
+export const bboxIntersects = (a, b) => !(a[2] < b[0] || a[0] > b[2] || a[3] < b[1] || a[1] > b[3]);
+
+const getSqSegmentDistance = (point, start, end) => {
+	let x = start[0];
+	let y = start[1];
+	let dx = end[0] - x;
+	let dy = end[1] - y;
+
+	if (dx !== 0 || dy !== 0) {
+		const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+		if (t > 1) {
+			x = end[0];
+			y = end[1];
+		} else if (t > 0) {
+			x += dx * t;
+			y += dy * t;
+		}
+	}
+
+	dx = point[0] - x;
+	dy = point[1] - y;
+	return dx * dx + dy * dy;
+};
+
+// Iterative Douglas-Peucker over a single ring
+const simplifyRing = (ring, sqTolerance) => {
+	if (ring.length <= 4) return ring;
+
+	const keep = new Uint8Array(ring.length);
+	keep[0] = 1;
+	keep[ring.length - 1] = 1;
+	const stack = [[0, ring.length - 1]];
+
+	while (stack.length > 0) {
+		const [first, last] = stack.pop();
+		let maxSqDist = 0;
+		let index = -1;
+
+		for (let i = first + 1; i < last; i++) {
+			const sqDist = getSqSegmentDistance(ring[i], ring[first], ring[last]);
+			if (sqDist > maxSqDist) {
+				maxSqDist = sqDist;
+				index = i;
+			}
+		}
+
+		if (index !== -1 && maxSqDist > sqTolerance) {
+			keep[index] = 1;
+			stack.push([first, index], [index, last]);
+		}
+	}
+
+	const simplified = ring.filter((_, i) => keep[i] === 1);
+	return simplified.length >= 4 ? simplified : null;
+};
+
+/**
+ * Simplify a Polygon or MultiPolygon with Douglas-Peucker.
+ * Rings that collapse below a triangle are dropped; an outer ring is kept unsimplified rather than lost.
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Tolerance in coordinate units (degrees)
+ * @returns {Object} Simplified geometry
+ */
+export const simplifyGeometry = (geometry, tolerance) => {
+	if (!geometry || !(tolerance > 0)) return geometry;
+
+	const sqTolerance = tolerance * tolerance;
+	const simplifyPolygon = (polygon) =>
+		polygon
+			.map((ring, index) => simplifyRing(ring, sqTolerance) ?? (index === 0 ? ring : null))
+			.filter(Boolean);
+
+	switch (geometry.type) {
+		case "Polygon":
+			return { type: "Polygon", coordinates: simplifyPolygon(geometry.coordinates) };
+		case "MultiPolygon":
+			return { type: "MultiPolygon", coordinates: geometry.coordinates.map(simplifyPolygon) };
+		default:
+			return geometry;
+	}
+};
+
+const isPointInRing = (point, ring) => {
+	let inside = false;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+		const xi = ring[i][0];
+		const yi = ring[i][1];
+		const xj = ring[j][0];
+		const yj = ring[j][1];
+
+		const intersect = yi > point[1] !== yj > point[1] && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi;
+
+		if (intersect) {
+			inside = !inside;
+		}
+	}
+
+	return inside;
+};
+
+const isPointInPolygon = (point, polygon) => {
+	if (!polygon?.length) {
+		return false;
+	}
+
+	const [outer, ...holes] = polygon;
+	if (!isPointInRing(point, outer)) {
+		return false;
+	}
+
+	return !holes.some((hole) => isPointInRing(point, hole));
+};
+
+/**
+ * Ray-casting point-in-polygon test for Polygon and MultiPolygon geometries (holes respected)
+ * @param {[number, number]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export const isPointInGeometry = (point, geometry) => {
+	if (!geometry) {
+		return false;
+	}
+
+	switch (geometry.type) {
+		case "Polygon":
+			return isPointInPolygon(point, geometry.coordinates);
+		case "MultiPolygon":
+			return geometry.coordinates.some((polygon) => isPointInPolygon(point, polygon));
+		default:
+			return false;
+	}
+};
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Convert a distance in meters to degrees of longitude/latitude at a given latitude
+ * @returns {{ lng: number, lat: number }}
+ */
+export const metersToDegrees = (meters, latitude) => ({
+	lng: meters / (METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180)),
+	lat: meters / METERS_PER_DEGREE,
+});
+
+/**
+ * Distance in meters from a point to the nearest edge of a geometry (0 when inside).
+ * Uses a local equirectangular projection, accurate to well under a meter at parcel scale.
+ * @param {[number, number]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number} Meters, Infinity for empty geometry
+ */
+export const distanceToGeometryMeters = (point, geometry) => {
+	if (isPointInGeometry(point, geometry)) return 0;
+
+	const scaleX = METERS_PER_DEGREE * Math.cos((point[1] * Math.PI) / 180);
+	const scaleY = METERS_PER_DEGREE;
+	const project = (coord) => [(coord[0] - point[0]) * scaleX, (coord[1] - point[1]) * scaleY];
+	let minSqDist = Infinity;
+
+	for (const ring of getGeometryRings(geometry)) {
+		for (let i = 0; i < ring.length - 1; i++) {
+			const sqDist = getSqSegmentDistance([0, 0], project(ring[i]), project(ring[i + 1]));
+			if (sqDist < minSqDist) minSqDist = sqDist;
+		}
+	}
+
+	return Math.sqrt(minSqDist);
+};
+
+// Whether two segments properly cross; segments that only touch are caught by the endpoint distances instead
+const segmentsCross = (a1, a2, b1, b2) => {
+	const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+	const d1 = cross(b1, b2, a1);
+	const d2 = cross(b1, b2, a2);
+	const d3 = cross(a1, a2, b1);
+	const d4 = cross(a1, a2, b2);
+	return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+};
+
+const getSqSegmentsDistance = (a1, a2, b1, b2) =>
+	segmentsCross(a1, a2, b1, b2)
+		? 0
+		: Math.min(
+				getSqSegmentDistance(a1, b1, b2),
+				getSqSegmentDistance(a2, b1, b2),
+				getSqSegmentDistance(b1, a1, a2),
+				getSqSegmentDistance(b2, a1, a2),
+			);
+
+/**
+ * Distance in meters between the edges of two geometries (0 when they touch, overlap or one contains the other).
+ * Uses the same local equirectangular projection as distanceToGeometryMeters.
+ * @param {Object} a - GeoJSON Polygon or MultiPolygon
+ * @param {Object} b - GeoJSON Polygon or MultiPolygon
+ * @returns {number} Meters, Infinity when either geometry is empty
+ */
+export const distanceBetweenGeometriesMeters = (a, b) => {
+	const ringsA = getGeometryRings(a).filter((ring) => ring.length > 1);
+	const ringsB = getGeometryRings(b).filter((ring) => ring.length > 1);
+	if (ringsA.length === 0 || ringsB.length === 0) return Infinity;
+	if (isPointInGeometry(ringsA[0][0], b) || isPointInGeometry(ringsB[0][0], a)) return 0;
+
+	const origin = ringsA[0][0];
+	const scaleX = METERS_PER_DEGREE * Math.cos((origin[1] * Math.PI) / 180);
+	const project = (ring) =>
+		ring.map((coord) => [(coord[0] - origin[0]) * scaleX, (coord[1] - origin[1]) * METERS_PER_DEGREE]);
+	const projectedA = ringsA.map(project);
+	const projectedB = ringsB.map(project);
+	let minSqDist = Infinity;
+
+	for (const ringA of projectedA) {
+		for (let i = 0; i < ringA.length - 1; i++) {
+			for (const ringB of projectedB) {
+				for (let j = 0; j < ringB.length - 1; j++) {
+					const sqDist = getSqSegmentsDistance(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1]);
+					if (sqDist === 0) return 0;
+					if (sqDist < minSqDist) minSqDist = sqDist;
+				}
+			}
+		}
+	}
+
+	return Math.sqrt(minSqDist);
+};
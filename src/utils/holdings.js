@@ -0,0 +1,169 @@
+/**
+ * Owner holdings
+ * Dissolves the parcels one owner holds into blocks of contiguous land, each with its acreage and an outline of
+ * the block's outer boundary. Backs the selected parcel's holdings view.
+ */
+
+import {
+	getGeometryBbox,
+	getGeometryRings,
+	bboxIntersects,
+	metersToDegrees,
+	distanceBetweenGeometriesMeters,
+} from "./geometry";
+import { TOUCHING_TOLERANCE_METERS, getParcelAcres, getParcelOwner } from "./neighbors";
+
+// Vertices closer than about a centimeter are the same corner
+const VERTEX_PRECISION = 1e7;
+
+const roundAcres = (acres) => Math.round(acres * 100) / 100;
+
+const getVertexKey = ([lng, lat]) => `${Math.round(lng * VERTEX_PRECISION)},${Math.round(lat * VERTEX_PRECISION)}`;
+
+// A shared edge is drawn one way round by one parcel and the other way by its neighbor
+const getEdgeKey = (a, b) => {
+	const [first, second] = [getVertexKey(a), getVertexKey(b)].sort();
+	return `${first}|${second}`;
+};
+
+/**
+ * Outline of a block's outer boundary: every parcel edge except those two parcels of the block share, so the
+ * lines between contiguous parcels drop out. Edges shared only approximately (vertices off by more than
+ * VERTEX_PRECISION) are kept and show as interior lines.
+ * @param {Array<Object>} features - GeoJSON parcel features
+ * @returns {Object} GeoJSON MultiLineString
+ */
+export const getBlockOutline = (features) => {
+	const rings = features.flatMap((feature) => getGeometryRings(feature.geometry));
+	const edgeCounts = new Map();
+	for (const ring of rings) {
+		for (let i = 1; i < ring.length; i++) {
+			const key = getEdgeKey(ring[i - 1], ring[i]);
+			edgeCounts.set(key, (edgeCounts.get(key) ?? 0) + 1);
+		}
+	}
+
+	// Runs of unshared edges, in ring order, become lines
+	const lines = [];
+	for (const ring of rings) {
+		let line = null;
+		for (let i = 1; i < ring.length; i++) {
+			if (edgeCounts.get(getEdgeKey(ring[i - 1], ring[i])) > 1) {
+				line = null;
+				continue;
+			}
+			if (!line) {
+				line = [ring[i - 1]];
+				lines.push(line);
+			}
+			line.push(ring[i]);
+		}
+	}
+
+	return { type: "MultiLineString", coordinates: lines };
+};
+
+/**
+ * Group parcels into blocks of contiguous land: parcels within TOUCHING_TOLERANCE_METERS of each other,
+ * directly or through other parcels of the block
+ * @param {Array<{ key, feature }>} parcels - One owner's parcels
+ * @returns {Array<{ id: number, parcels, acres: number, bbox: Array<number>, outline: Object }>} Largest first;
+ *   ids count from 1 in that order
+ */
+export const groupIntoBlocks = (parcels) => {
+	const items = [];
+	for (const parcel of parcels) {
+		const bbox = getGeometryBbox(parcel.feature.geometry);
+		if (!bbox) continue;
+		const delta = metersToDegrees(TOUCHING_TOLERANCE_METERS, (bbox[1] + bbox[3]) / 2);
+		items.push({
+			parcel,
+			bbox,
+			searchBbox: [bbox[0] - delta.lng, bbox[1] - delta.lat, bbox[2] + delta.lng, bbox[3] + delta.lat],
+		});
+	}
+
+	// Union-find over parcels that touch
+	const parents = items.map((_, i) => i);
+	const findRoot = (i) => {
+		while (parents[i] !== i) {
+			parents[i] = parents[parents[i]];
+			i = parents[i];
+		}
+		return i;
+	};
+
+	for (let i = 0; i < items.length; i++) {
+		for (let j = i + 1; j < items.length; j++) {
+			const [a, b] = [items[i], items[j]];
+			if (!bboxIntersects(b.bbox, a.searchBbox)) continue;
+			const [rootA, rootB] = [findRoot(i), findRoot(j)];
+			if (rootA === rootB) continue;
+			if (
+				distanceBetweenGeometriesMeters(a.parcel.feature.geometry, b.parcel.feature.geometry) <=
+				TOUCHING_TOLERANCE_METERS
+			) {
+				parents[rootB] = rootA;
+			}
+		}
+	}
+
+	const blocks = new Map();
+	items.forEach((item, i) => {
+		const root = findRoot(i);
+		if (!blocks.has(root)) blocks.set(root, { parcels: [], acres: 0, bbox: [...item.bbox] });
+		const block = blocks.get(root);
+		block.parcels.push(item.parcel);
+		block.acres += getParcelAcres(item.parcel.feature);
+		block.bbox = [
+			Math.min(block.bbox[0], item.bbox[0]),
+			Math.min(block.bbox[1], item.bbox[1]),
+			Math.max(block.bbox[2], item.bbox[2]),
+			Math.max(block.bbox[3], item.bbox[3]),
+		];
+	});
+
+	return [...blocks.values()]
+		.map((block) => ({ ...block, acres: roundAcres(block.acres) }))
+		.sort((a, b) => b.acres - a.acres || b.parcels.length - a.parcels.length)
+		.map((block, i) => ({
+			id: i + 1,
+			...block,
+			outline: getBlockOutline(block.parcels.map((parcel) => parcel.feature)),
+		}));
+};
+
+/**
+ * An owner's holdings around one of their parcels
+ * @param {Object} subject - GeoJSON parcel feature the view was opened from
+ * @param {Array<{ key, feature, owner }>} parcels - The owner's parcels; the subject is added when missing
+ * @param {Object} options
+ * @param {Function} options.getKey - Stable key for a parcel feature
+ * @returns {Object} { owner, spellings: [{ owner, count }], parcels, blocks, totalAcres, subjectBlockId };
+ *   spellings are the names the parcels are recorded under, most used first
+ */
+export const buildHoldings = (subject, parcels, { getKey }) => {
+	const owner = getParcelOwner(subject);
+	const subjectKey = getKey(subject);
+	const all = parcels.some((parcel) => parcel.key === subjectKey)
+		? parcels
+		: [{ key: subjectKey, feature: subject, owner }, ...parcels];
+
+	const spellingCounts = new Map();
+	for (const parcel of all) {
+		const spelling = parcel.owner ?? getParcelOwner(parcel.feature);
+		if (spelling) spellingCounts.set(spelling, (spellingCounts.get(spelling) ?? 0) + 1);
+	}
+
+	const blocks = groupIntoBlocks(all);
+	return {
+		owner,
+		spellings: [...spellingCounts]
+			.map(([spelling, count]) => ({ owner: spelling, count }))
+			.sort((a, b) => b.count - a.count || a.owner.localeCompare(b.owner)),
+		parcels: all,
+		blocks,
+		totalAcres: roundAcres(blocks.reduce((sum, block) => sum + block.acres, 0)),
+		subjectBlockId: blocks.find((block) => block.parcels.some((parcel) => parcel.key === subjectKey))?.id ?? null,
+	};
+};
@@ -0,0 +1,122 @@
+/**
+ * Neighboring parcels
+ * Finds the parcels touching a parcel or within a buffer of it, and groups them by owner so each neighbor is
+ * contacted once however many parcels they hold. Backs the selected parcel's neighbors report.
+ */
+
+import { getGeometryBbox, bboxIntersects, metersToDegrees, distanceBetweenGeometriesMeters } from "./geometry.js";
+import { isSameOwner } from "./ownerSearch.js";
+
+// County layers rarely share boundaries exactly; parcels closer than this count as touching
+export const TOUCHING_TOLERANCE_METERS = 1;
+
+// Buffer choices for the report
+export const NEIGHBOR_BUFFERS = [
+	{ label: "Touching", meters: 0 },
+	{ label: "100 ft", meters: 30.48 },
+	{ label: "500 ft", meters: 152.4 },
+	{ label: "¼ mile", meters: 402.34 },
+];
+
+export const getParcelOwner = (feature) => feature?.properties?.OWNER || feature?.properties?.OWNER_NAME || null;
+
+export const getParcelAcres = (feature) => Number(feature?.properties?.ACRES_CALC ?? feature?.properties?.ACRES) || 0;
+
+/**
+ * Box to search for a parcel's neighbors: its extent grown by the buffer
+ * @param {Object} feature - GeoJSON parcel feature
+ * @param {number} bufferMeters
+ * @returns {Array<number>|null} [west, south, east, north]
+ */
+export const getNeighborSearchBbox = (feature, bufferMeters) => {
+	const bbox = getGeometryBbox(feature?.geometry);
+	if (!bbox) return null;
+	const delta = metersToDegrees(bufferMeters + TOUCHING_TOLERANCE_METERS, (bbox[1] + bbox[3]) / 2);
+	return [bbox[0] - delta.lng, bbox[1] - delta.lat, bbox[2] + delta.lng, bbox[3] + delta.lat];
+};
+
+/**
+ * Parcels touching a parcel or within bufferMeters of it
+ * @param {Object} subject - GeoJSON parcel feature
+ * @param {Array<Object>} candidates - Nearby features; may repeat parcels and include the subject
+ * @param {Object} options
+ * @param {number} options.bufferMeters - 0 for touching parcels only
+ * @param {Function} options.getKey - Stable key for a parcel feature
+ * @returns {Array<{ key, feature, distanceMeters: number, touching: boolean }>} Nearest first
+ */
+export const findNeighbors = (subject, candidates, { bufferMeters = 0, getKey }) => {
+	const searchBbox = getNeighborSearchBbox(subject, bufferMeters);
+	if (!searchBbox) return [];
+
+	const subjectKey = getKey(subject);
+	const maxMeters = bufferMeters + TOUCHING_TOLERANCE_METERS;
+	const neighbors = new Map();
+
+	for (const feature of candidates) {
+		const key = getKey(feature) ?? feature;
+		if (key === subjectKey || feature === subject || neighbors.has(key)) continue;
+
+		const bbox = getGeometryBbox(feature.geometry);
+		if (!bbox || !bboxIntersects(bbox, searchBbox)) continue;
+
+		const distanceMeters = distanceBetweenGeometriesMeters(subject.geometry, feature.geometry);
+		if (distanceMeters > maxMeters) continue;
+		neighbors.set(key, {
+			key,
+			feature,
+			distanceMeters: Math.round(distanceMeters * 10) / 10,
+			touching: distanceMeters <= TOUCHING_TOLERANCE_METERS,
+		});
+	}
+
+	return [...neighbors.values()].sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
+
+/**
+ * Group neighbors by owner, matching spellings as the holdings view does (isSameOwner), so "JOHNSON FAM TR" and
+ * "JOHNSON FAMILY TRUST" are one group
+ * @param {Array<Object>} neighbors - From findNeighbors
+ * @param {Object} subject - The parcel they neighbor; its owner's other parcels, under any spelling the holdings
+ *   view accepts (isSameOwner), are flagged sameOwner
+ * @returns {Array<{ key, owner, parcels, totalAcres: number, touching: boolean, sameOwner: boolean }>}
+ *   Owners touching the parcel first, then the largest holdings. Parcels with no owner on record each get
+ *   their own group rather than being lumped together.
+ */
+export const groupNeighborsByOwner = (neighbors, subject) => {
+	const subjectOwner = getParcelOwner(subject);
+	const groups = new Map();
+
+	for (const neighbor of neighbors) {
+		const owner = getParcelOwner(neighbor.feature);
+		// A spelling joins the group of the first owner it matches
+		const ownerGroup = owner
+			? [...groups.values()].find((group) => group.owner && (group.owner === owner || isSameOwner(group.owner, owner)))
+			: null;
+		const key = ownerGroup?.key ?? (owner ? `owner:${owner}` : `parcel:${neighbor.key}`);
+
+		if (!groups.has(key)) {
+			groups.set(key, {
+				key,
+				owner,
+				parcels: [],
+				totalAcres: 0,
+				touching: false,
+				sameOwner: Boolean(owner && subjectOwner) && isSameOwner(owner, subjectOwner),
+			});
+		}
+		const group = groups.get(key);
+		group.parcels.push(neighbor);
+		group.totalAcres += getParcelAcres(neighbor.feature);
+		group.touching = group.touching || neighbor.touching;
+	}
+
+	return [...groups.values()]
+		.map((group) => ({ ...group, totalAcres: Math.round(group.totalAcres * 100) / 100 }))
+		.sort(
+			(a, b) =>
+				a.sameOwner - b.sameOwner ||
+				b.touching - a.touching ||
+				b.totalAcres - a.totalAcres ||
+				(a.owner ?? "").localeCompare(b.owner ?? ""),
+		);
+};
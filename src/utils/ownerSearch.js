@@ -0,0 +1,444 @@
+/**
+ * Owner-name search index
+ * Inverted index from normalized owner-name tokens to parcels, with prefix and typo-tolerant matching.
+ * Assessor rolls write owners as "LAST, FIRST & SPOUSE", "LAST FIRST M" or entity names with abbreviations
+ * ("JOHNSON FAMILY TR"), so names are reduced to tokens that match however the owner is typed.
+ * Shared by the client (loaded parcels and tiles), /api/parcels/search and /api/parcels/holdings (the full tile set).
+ */
+
+// Abbreviations folded into one token, so "TR", "TRS" and "TRUSTEE" all find "TRUST"
+const TOKEN_SYNONYMS = {
+	TR: "TRUST",
+	TRS: "TRUST",
+	TRST: "TRUST",
+	TRUSTEE: "TRUST",
+	TRUSTEES: "TRUST",
+	EST: "ESTATE",
+	CORPORATION: "CORP",
+	INCORPORATED: "INC",
+	COMPANY: "CO",
+	REV: "REVOCABLE",
+	LIV: "LIVING",
+};
+
+// Filler that says nothing about who the owner is
+const STOP_TOKENS = new Set(["THE", "OF", "AND", "ETAL", "ETUX", "ETVIR"]);
+
+// Joins co-owners: "SMITH JOHN & MARY", "SMITH JOHN AND MARY"
+const CO_OWNER_SEPARATOR = /\s*&\s*|\s+AND\s+/;
+
+// Words many unrelated owners share; a name must have something besides these to match another
+const GENERIC_TOKENS = new Set([
+	"TRUST",
+	"ESTATE",
+	"LLC",
+	"INC",
+	"CORP",
+	"CO",
+	"LP",
+	"LLP",
+	"LTD",
+	"FAMILY",
+	"LIVING",
+	"REVOCABLE",
+	"IRREVOCABLE",
+	"FARM",
+	"FARMS",
+	"PROPERTIES",
+	"HOLDINGS",
+]);
+
+// Words that make a name an entity rather than a person, so it isn't read as "LAST FIRST"
+const ENTITY_TOKENS = new Set([
+	"LLC",
+	"INC",
+	"CORP",
+	"CO",
+	"LP",
+	"LLP",
+	"LTD",
+	"PC",
+	"PLLC",
+	"TRUST",
+	"ESTATE",
+	"HEIRS",
+	"PARTNERSHIP",
+	"ASSOCIATION",
+	"ASSN",
+	"BANK",
+	"CHURCH",
+	"FARM",
+	"FARMS",
+	"RANCH",
+	"PROPERTIES",
+	"HOLDINGS",
+	"INVESTMENTS",
+	"ENTERPRISES",
+	"CITY",
+	"COUNTY",
+	"STATE",
+	"DISTRICT",
+]);
+
+// Shortest word a typo is tolerated in when matching owners; shorter names differ by one letter too often
+const MIN_TYPO_LENGTH = 6;
+// Shortest abbreviation of an entity word matched by prefix ("FAM" for FAMILY)
+const MIN_ABBREVIATION_LENGTH = 3;
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Owner name as bare words: upper case, "L.L.C." -> "LLC", other punctuation -> spaces,
+ * "ET AL" / "ET UX" joined so they can be dropped
+ * @param {string} name
+ * @returns {string}
+ */
+const cleanOwnerText = (name) =>
+	String(name ?? "")
+		.toUpperCase()
+		.replace(/[.']/g, "")
+		.replace(/\bET\s+(AL|UX|VIR)\b/g, "ET$1")
+		.replace(/[^A-Z0-9&,]+/g, " ")
+		.trim();
+
+const toTokens = (text) =>
+	text
+		.replace(/[&,]/g, " ")
+		.split(/\s+/)
+		.map((word) => TOKEN_SYNONYMS[word] ?? word)
+		.filter((word) => word && !STOP_TOKENS.has(word));
+
+/**
+ * Search tokens for an owner name or a query
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+export const tokenizeOwnerName = (name) => [...new Set(toTokens(cleanOwnerText(name)))];
+
+/**
+ * Split an owner into the people (or entity) it names, expanding the roll's shorthand:
+ * "JOHNSON, MARY & ROBERT" -> ["MARY JOHNSON", "ROBERT JOHNSON"], "SMITH JOHN A & JANE" -> ["JOHN A SMITH", "JANE SMITH"].
+ * A co-owner written as a single first name (optionally with a middle initial) inherits the first owner's last name.
+ * Entity names ("ACME LLC", "JOHNSON FAMILY TRUST") are kept as written.
+ * @param {string} name
+ * @returns {Array<string>} Display names; the cleaned name itself for entities and unrecognised forms
+ */
+export const splitOwnerNames = (name) => {
+	const cleaned = cleanOwnerText(name)
+		.replace(/\bET(AL|UX|VIR)\b/g, "")
+		.trim();
+	const parts = cleaned
+		.split(CO_OWNER_SEPARATOR)
+		.map((part) => part.trim())
+		.filter(Boolean);
+	if (parts.length === 0) return [];
+
+	let lastName = null;
+	const people = parts.map((part, index) => {
+		if (toTokens(part).some((token) => ENTITY_TOKENS.has(token))) return part.replace(/\s*,\s*/g, " ");
+		if (part.includes(",")) {
+			const [last, first = ""] = part.split(",").map((piece) => piece.trim());
+			lastName = last;
+			return first ? `${first} ${last}` : last;
+		}
+
+		const words = part.split(/\s+/);
+		const isGivenNameOnly = words.length === 1 || (words.length === 2 && words[1].length === 1);
+		if (index > 0 && lastName && isGivenNameOnly) return `${part} ${lastName}`;
+		if (index === 0 && words.length >= 2) {
+			// Roll format: LAST FIRST [MIDDLE]
+			lastName = words[0];
+			return `${words.slice(1).join(" ")} ${words[0]}`;
+		}
+		return part;
+	});
+
+	return [...new Set(people)];
+};
+
+/**
+ * Edit distance between two tokens, giving up once it exceeds max
+ * @returns {number} Distance, or max + 1 when larger
+ */
+const boundedEditDistance = (a, b, max) => {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+			rowMin = Math.min(rowMin, current[j]);
+		}
+		if (rowMin > max) return max + 1;
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+/**
+ * How well a query token matches an indexed token: exact, prefix (for names typed partway), or a typo
+ * @returns {number} 0-1, 0 for no match
+ */
+const scoreToken = (queryToken, token) => {
+	if (queryToken === token) return 1;
+	if (queryToken.length >= 2 && token.startsWith(queryToken)) return 0.85;
+	if (queryToken.length < 4) return 0;
+	const allowed = queryToken.length >= 7 ? 2 : 1;
+	const distance = boundedEditDistance(queryToken, token, allowed);
+	if (distance > allowed) return 0;
+	return distance === 1 ? 0.75 : 0.55;
+};
+
+const isTypoOf = (a, b) => Math.min(a.length, b.length) >= MIN_TYPO_LENGTH && boundedEditDistance(a, b, 1) <= 1;
+
+// One way only: the shorter word abbreviates an entity word ("FAM" -> "FAMILY"), never a surname
+const isAbbreviationOf = (short, full) =>
+	short.length >= MIN_ABBREVIATION_LENGTH &&
+	short.length < full.length &&
+	(ENTITY_TOKENS.has(full) || GENERIC_TOKENS.has(full)) &&
+	full.startsWith(short);
+
+const surnamesMatch = (a, b) => a === b || isTypoOf(a, b);
+
+// Given names are short and differ by a letter ("MARK", "MARY"), so only an initial stands in for one
+const givenNamesMatch = (a, b) => a === b || (a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b));
+
+const wordsMatch = (a, b) => surnamesMatch(a, b) || isAbbreviationOf(a, b) || isAbbreviationOf(b, a);
+
+/**
+ * One person or entity named in an owner, from that name's tokens in display order (see splitOwnerNames)
+ * @param {Array<string>} tokens
+ * @returns {Object} { entity: true, tokens } or { tokens, surname, given }
+ */
+const toOwnerParty = (tokens) => {
+	if (tokens.some((token) => ENTITY_TOKENS.has(token))) return { entity: true, tokens };
+	return { tokens, surname: tokens[tokens.length - 1], given: tokens.slice(0, -1) };
+};
+
+const getOwnerParties = (name) => splitOwnerNames(name).map((person) => toOwnerParty(tokenizeOwnerName(person)));
+
+/**
+ * Whether two entities are the same: every word of the shorter matches a word of the longer ("JOHNSON FAM TR"
+ * and "JOHNSON FAMILY TRUST"), and the shorter has more to it than a single word or words like TRUST and LLC
+ */
+const isSameEntity = (a, b) => {
+	const [shorter, longer] = a.tokens.length <= b.tokens.length ? [a.tokens, b.tokens] : [b.tokens, a.tokens];
+	if (!shorter.every((token) => longer.some((other) => wordsMatch(token, other)))) return false;
+	if (shorter.length === 1) return longer.length === 1;
+	return shorter.some((token) => !GENERIC_TOKENS.has(token));
+};
+
+// A person's own trust or estate: "SMITH JOHN" in "SMITH JOHN REV TRUST"
+const isPersonInEntity = (person, entity) =>
+	person.given.length > 0 &&
+	entity.tokens.some((token) => surnamesMatch(person.surname, token)) &&
+	person.given.every((name) => entity.tokens.includes(name));
+
+/**
+ * Whether two people are the same: surname to surname, then given names to given names in order, as far as the
+ * shorter list goes ("JOHN SMITH" and "JOHN A SMITH", "J A SMITH" and "JOHN ALLEN SMITH")
+ */
+const isSamePerson = (a, b) => {
+	if (!surnamesMatch(a.surname, b.surname)) return false;
+	if (a.given.length === 0 || b.given.length === 0) return a.given.length === b.given.length;
+	const count = Math.min(a.given.length, b.given.length);
+	return a.given.slice(0, count).every((name, index) => givenNamesMatch(name, b.given[index]));
+};
+
+const isSameParty = (a, b) => {
+	if (a.entity && b.entity) return isSameEntity(a, b);
+	if (a.entity) return isPersonInEntity(b, a);
+	if (b.entity) return isPersonInEntity(a, b);
+	return isSamePerson(a, b);
+};
+
+/**
+ * Whether two owners, as parties, are the same owner spelled differently: every person or entity of the owner
+ * naming fewer is one the other names ("SMITH JOHN" and "SMITH JOHN & MARY")
+ * @param {Array<Object>} a - From getOwnerParties
+ * @param {Array<Object>} b - From getOwnerParties
+ * @returns {boolean}
+ */
+const isSameOwnerParties = (a, b) => {
+	const [fewer, more] = a.length <= b.length ? [a, b] : [b, a];
+	return fewer.length > 0 && fewer.every((party) => more.some((other) => isSameParty(party, other)));
+};
+
+/**
+ * Whether two owner names are the same owner spelled differently (see isSameOwnerParties). Surnames and entity
+ * words tolerate a typo only when long; given names must match exactly or by initial.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const isSameOwner = (a, b) => isSameOwnerParties(getOwnerParties(a), getOwnerParties(b));
+
+/**
+ * Create an empty owner index
+ * @param {Object} options
+ * @param {Function} options.getKey - Stable key for a parcel feature; tiles repeat parcels along their edges
+ * @returns {Object} Index with insert/remove/search/findHoldings/clear
+ */
+export const createOwnerIndex = ({ getKey }) => {
+	const entries = new Map(); // parcel key -> { feature, owner, tokens, names, people, parties, refCount }
+	const postings = new Map(); // token -> Set of parcel keys
+
+	const getOwner = (feature) => feature?.properties?.OWNER || feature?.properties?.OWNER_NAME || null;
+
+	/**
+	 * Add features with an owner name; features already indexed only gain a reference
+	 * @param {Array<Object>} features - GeoJSON features
+	 * @returns {number} Number of parcels newly indexed
+	 */
+	const insert = (features) => {
+		let added = 0;
+		for (const feature of features ?? []) {
+			const owner = getOwner(feature);
+			const key = getKey(feature);
+			if (!owner || key === null || key === undefined) continue;
+
+			const existing = entries.get(key);
+			if (existing) {
+				existing.refCount++;
+				continue;
+			}
+
+			const names = splitOwnerNames(owner);
+			const tokens = tokenizeOwnerName(owner);
+			const people = names.map(tokenizeOwnerName);
+			entries.set(key, { feature, owner, tokens, names, people, parties: people.map(toOwnerParty), refCount: 1 });
+			for (const token of tokens) {
+				if (!postings.has(token)) postings.set(token, new Set());
+				postings.get(token).add(key);
+			}
+			added++;
+		}
+		return added;
+	};
+
+	/**
+	 * Release features previously inserted; a parcel leaves the index once nothing holds it
+	 * @param {Array<Object>} features - GeoJSON features
+	 * @returns {number} Number of parcels removed
+	 */
+	const remove = (features) => {
+		let removed = 0;
+		for (const feature of features ?? []) {
+			const key = getKey(feature);
+			const entry = entries.get(key);
+			if (!entry || --entry.refCount > 0) continue;
+
+			for (const token of entry.tokens) {
+				const keys = postings.get(token);
+				keys?.delete(key);
+				if (keys?.size === 0) postings.delete(token);
+			}
+			entries.delete(key);
+			removed++;
+		}
+		return removed;
+	};
+
+	/**
+	 * Find parcels whose owner matches every word of the query
+	 * @param {string} query - Owner name in any of the roll's forms, or part of one
+	 * @param {Object} options - { limit }
+	 * @returns {{ matches: Array<{ key, feature, owner, matchedName, score }>, total: number }}
+	 *   matches best first; matchedName is the co-owner the query picked out, when only one of them matches
+	 */
+	const search = (query, { limit = DEFAULT_LIMIT } = {}) => {
+		const queryTokens = tokenizeOwnerName(query);
+		if (queryTokens.length === 0) return { matches: [], total: 0 };
+
+		// Best score per parcel for each query token; a parcel must match them all
+		let candidates = null;
+		for (const queryToken of queryTokens) {
+			const tokenScores = new Map();
+			for (const [token, keys] of postings) {
+				const score = scoreToken(queryToken, token);
+				if (score === 0) continue;
+				for (const key of keys) {
+					if (candidates && !candidates.has(key)) continue;
+					tokenScores.set(key, Math.max(tokenScores.get(key) ?? 0, score));
+				}
+			}
+
+			if (candidates) {
+				for (const [key, total] of candidates) {
+					if (tokenScores.has(key)) candidates.set(key, total + tokenScores.get(key));
+					else candidates.delete(key);
+				}
+			} else {
+				candidates = tokenScores;
+			}
+			if (candidates.size === 0) return { matches: [], total: 0 };
+		}
+
+		const matches = [...candidates].map(([key, total]) => {
+			const { feature, owner, names, people } = entries.get(key);
+			// Queries naming one co-owner rank above ones spread across the household
+			const matchingPeople = names.filter((_, index) =>
+				queryTokens.every((queryToken) => people[index].some((token) => scoreToken(queryToken, token) > 0)),
+			);
+			const score = total / queryTokens.length + (matchingPeople.length > 0 ? 0.05 : 0);
+			return {
+				key,
+				feature,
+				owner,
+				matchedName: names.length > 1 && matchingPeople.length === 1 ? matchingPeople[0] : null,
+				score: Math.round(Math.min(1, score) * 100) / 100,
+			};
+		});
+
+		matches.sort((a, b) => b.score - a.score || a.owner.localeCompare(b.owner));
+		return { matches: matches.slice(0, limit), total: matches.length };
+	};
+
+	/**
+	 * Every parcel held by an owner, under any spelling of the name that isSameOwner accepts
+	 * @param {string} owner - Owner name as recorded on one of their parcels
+	 * @param {Object} options - { limit }
+	 * @returns {{ matches: Array<{ key, feature, owner }>, total: number }} matches ordered by owner spelling
+	 */
+	const findHoldings = (owner, { limit = DEFAULT_LIMIT } = {}) => {
+		const ownerTokens = tokenizeOwnerName(owner);
+		if (ownerTokens.length === 0) return { matches: [], total: 0 };
+		const ownerParties = getOwnerParties(owner);
+
+		// Any owner sharing a surname or entity word is a candidate
+		const candidates = new Set();
+		for (const [token, keys] of postings) {
+			if (!ownerTokens.some((ownerToken) => wordsMatch(ownerToken, token))) continue;
+			for (const key of keys) candidates.add(key);
+		}
+
+		const matches = [];
+		for (const key of candidates) {
+			const entry = entries.get(key);
+			if (isSameOwnerParties(ownerParties, entry.parties)) {
+				matches.push({ key, feature: entry.feature, owner: entry.owner });
+			}
+		}
+
+		matches.sort((a, b) => a.owner.localeCompare(b.owner));
+		return { matches: matches.slice(0, limit), total: matches.length };
+	};
+
+	const clear = () => {
+		entries.clear();
+		postings.clear();
+	};
+
+	return {
+		insert,
+		remove,
+		search,
+		findHoldings,
+		clear,
+		get size() {
+			return entries.size;
+		},
+	};
+};
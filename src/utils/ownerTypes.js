@@ -0,0 +1,73 @@
+/**
+ * Owner classification
+ * Tells from an owner name as written on the assessor roll whether a person, an estate, a trust, a government
+ * body or a business holds the parcel. Shared by the Enformion search (api/_lib/enformion.js), which picks a
+ * person or business search by it, and the parcel layer's owner type filter (parcelFilters.js).
+ */
+
+const GOVERNMENT_WORDS = [
+	"CITY OF",
+	"TOWN OF",
+	"VILLAGE OF",
+	"COUNTY OF",
+	"STATE OF",
+	"MISSOURI STATE",
+	"UNITED STATES",
+	"USA",
+	"COMMISSION",
+	"DEPT",
+	"DEPARTMENT",
+	"SCHOOL DISTRICT",
+	"FIRE PROTECTION DISTRICT",
+	"SEWER DISTRICT",
+	"WATER DISTRICT",
+	"HOUSING AUTHORITY",
+];
+
+const BUSINESS_WORDS = [
+	"LLC",
+	"L\\.L\\.C",
+	"INC",
+	"CORP",
+	"CORPORATION",
+	"CO",
+	"COMPANY",
+	"LP",
+	"LLP",
+	"LTD",
+	"PARTNERSHIP",
+	"FARMS?",
+	"RANCH",
+	"BANK",
+	"CHURCH",
+	"ASSOCIATION",
+	"ASSN",
+	"PROPERTIES",
+	"HOLDINGS",
+	"INVESTMENTS",
+	"ENTERPRISES",
+	"DEVELOPMENT",
+	"UTILITIES",
+	"FOUNDATION",
+	"UNIVERSITY",
+	"COLLEGE",
+	"SCHOOL",
+	"DISTRICT",
+];
+
+// Checked in order; the first match decides the owner type. A county holds land as "COLE COUNTY", so COUNTY
+// counts only at the end of the name: elsewhere it is usually part of a business ("COUNTY LINE FARMS LLC").
+const OWNER_TYPE_PATTERNS = [
+	["government", new RegExp(`\\b(${GOVERNMENT_WORDS.join("|")})\\b|\\bCOUNTY\\s*$`, "i")],
+	["estate", /\b(ESTATE|EST OF|HEIRS)\b/i],
+	["trust", /\b(TRUST|TRUSTEES?|TRS|TR|REVOCABLE)\b/i],
+	["business", new RegExp(`\\b(${BUSINESS_WORDS.join("|")})\\b`, "i")],
+];
+
+/**
+ * Classify a parcel owner name
+ * @param {string} ownerName - Owner as written on the assessor roll
+ * @returns {"individual"|"estate"|"trust"|"government"|"business"}
+ */
+export const classifyOwner = (ownerName) =>
+	OWNER_TYPE_PATTERNS.find(([, pattern]) => pattern.test(ownerName))?.[0] ?? "individual";
@@ -0,0 +1,185 @@
+/**
+ * Parcel attribute filters and thematic styles
+ * Turns the filter panel's choices into Mapbox GL expressions for the parcel layers: a filter over acreage,
+ * owner type and LAST_EDITE, and a fill color by any one of them. Assessor rolls have no owner type, so it is
+ * derived from the owner name (ownerTypes.js) into OWNER_TYPE when /api/tiles slices vector tiles and for the
+ * offline GeoJSON layer.
+ * Shared by the client and api/_lib/vector-tiles.js.
+ */
+
+import { classifyOwner } from "./ownerTypes.js";
+
+export const OWNER_TYPE_PROPERTY = "OWNER_TYPE";
+
+// Part of the vector tile URL (?v=); bump it whenever the properties tiles carry change, since tiles are cached
+// for a day and a browser would otherwise keep drawing ones without the new property
+export const PARCEL_TILES_VERSION = 2;
+
+export const OWNER_TYPES = [
+	{ value: "individual", label: "Individual", color: "#60A5FA" },
+	{ value: "trust", label: "Trust / estate", color: "#F472B6" },
+	{ value: "llc", label: "LLC / business", color: "#F97316" },
+	{ value: "government", label: "Government", color: "#94A3B8" },
+	{ value: "unknown", label: "Not on record", color: "#4B5563" },
+];
+
+// Everything but government land, for the "private tracts" preset
+export const PRIVATE_OWNER_TYPES = ["individual", "trust", "llc"];
+
+// Half-open [min, max) ranges; the legend colors run cool to hot so the large tracts stand out
+export const ACREAGE_RANGES = [
+	{ value: "under5", label: "< 5 ac", min: 0, max: 5, color: "#0EA5E9" },
+	{ value: "5to20", label: "5-20 ac", min: 5, max: 20, color: "#22C55E" },
+	{ value: "20to40", label: "20-40 ac", min: 20, max: 40, color: "#EAB308" },
+	{ value: "40to160", label: "40-160 ac", min: 40, max: 160, color: "#F97316" },
+	{ value: "160plus", label: "160+ ac", min: 160, max: null, color: "#EF4444" },
+];
+
+// LAST_EDITE is an ISO timestamp, so periods start at a year prefix and compare as strings; newest first
+export const EDIT_PERIODS = [
+	{ label: "2020 or later", since: "2020", color: "#FACC15" },
+	{ label: "2015-2019", since: "2015", color: "#A3E635" },
+	{ label: "2013-2014", since: "2013", color: "#2DD4BF" },
+	{ label: "Before 2013", since: "", color: "#6366F1" },
+];
+const NO_EDIT_DATE_COLOR = "#4B5563";
+
+export const PARCEL_THEMES = [
+	{ value: "none", label: "Plain" },
+	{ value: "acreage", label: "Acreage" },
+	{ value: "ownerType", label: "Owner type" },
+	{ value: "lastEdit", label: "Last edited" },
+];
+
+export const DEFAULT_PARCEL_FILTERS = {
+	acreageRanges: [], // ACREAGE_RANGES values; none selected means any acreage
+	ownerTypes: [], // OWNER_TYPES values; none selected means any owner
+	minAcres: "",
+	editedAfter: "", // "YYYY-MM-DD", from a date input
+	editedBefore: "",
+	theme: "none",
+};
+
+// Filter bucket for each classifyOwner type
+const OWNER_TYPE_BY_CLASS = {
+	individual: "individual",
+	estate: "trust",
+	trust: "trust",
+	business: "llc",
+	government: "government",
+};
+
+/**
+ * Classify a parcel owner for filtering and styling
+ * @param {string|null} ownerName - Owner as written on the assessor roll
+ * @returns {"individual"|"trust"|"llc"|"government"|"unknown"}
+ */
+export const getParcelOwnerType = (ownerName) => {
+	if (!ownerName?.trim()) return "unknown";
+	return OWNER_TYPE_BY_CLASS[classifyOwner(ownerName)];
+};
+
+/**
+ * A parcel's properties with OWNER_TYPE added, as the parcel layers expect them
+ * @param {Object} properties - GeoJSON feature properties
+ * @returns {Object}
+ */
+export const withOwnerType = (properties) => ({
+	...properties,
+	[OWNER_TYPE_PROPERTY]: getParcelOwnerType(properties?.OWNER || properties?.OWNER_NAME),
+});
+
+const ACRES = ["to-number", ["coalesce", ["get", "ACRES_CALC"], ["get", "ACRES"], 0]];
+const OWNER_TYPE = ["coalesce", ["get", OWNER_TYPE_PROPERTY], "unknown"];
+const LAST_EDITED = ["to-string", ["coalesce", ["get", "LAST_EDITE"], ""]];
+
+const isInAcreageRange = (range) =>
+	range.max === null ? [">=", ACRES, range.min] : ["all", [">=", ACRES, range.min], ["<", ACRES, range.max]];
+
+/**
+ * Whether any filter is set (the theme aside)
+ * @param {Object} filters - As DEFAULT_PARCEL_FILTERS
+ * @returns {boolean}
+ */
+export const hasActiveParcelFilters = (filters) =>
+	filters.acreageRanges.length > 0 ||
+	filters.ownerTypes.length > 0 ||
+	Number(filters.minAcres) > 0 ||
+	Boolean(filters.editedAfter) ||
+	Boolean(filters.editedBefore);
+
+/**
+ * Mapbox filter expression for the parcel layers. Parcels without an edit date are dropped by either date bound.
+ * @param {Object} filters - As DEFAULT_PARCEL_FILTERS
+ * @returns {Array} Expression; ["all"] (every parcel) when nothing is set
+ */
+export const buildParcelFilter = (filters) => {
+	const conditions = [];
+
+	const ranges = ACREAGE_RANGES.filter((range) => filters.acreageRanges.includes(range.value));
+	if (ranges.length > 0) conditions.push(["any", ...ranges.map(isInAcreageRange)]);
+
+	if (filters.ownerTypes.length > 0) conditions.push(["in", OWNER_TYPE, ["literal", filters.ownerTypes]]);
+
+	const minAcres = Number(filters.minAcres);
+	if (minAcres > 0) conditions.push([">=", ACRES, minAcres]);
+
+	// Date inputs give "YYYY-MM-DD", which compares against the ISO timestamp as a prefix
+	if (filters.editedAfter) conditions.push([">=", LAST_EDITED, filters.editedAfter]);
+	if (filters.editedBefore) conditions.push(["!=", LAST_EDITED, ""], ["<", LAST_EDITED, filters.editedBefore]);
+
+	return ["all", ...conditions];
+};
+
+/**
+ * Mapbox color expression for a theme
+ * @param {string} theme - PARCEL_THEMES value
+ * @param {string} plainColor - Color for the "none" theme
+ * @returns {Array|string}
+ */
+export const buildParcelColor = (theme, plainColor) => {
+	switch (theme) {
+		case "acreage":
+			return [
+				"step",
+				ACRES,
+				ACREAGE_RANGES[0].color,
+				...ACREAGE_RANGES.slice(1).flatMap((range) => [range.min, range.color]),
+			];
+		case "ownerType":
+			return [
+				"match",
+				OWNER_TYPE,
+				...OWNER_TYPES.slice(0, -1).flatMap((type) => [type.value, type.color]),
+				OWNER_TYPES[OWNER_TYPES.length - 1].color,
+			];
+		case "lastEdit":
+			return [
+				"case",
+				["==", LAST_EDITED, ""],
+				NO_EDIT_DATE_COLOR,
+				...EDIT_PERIODS.slice(0, -1).flatMap((period) => [[">=", LAST_EDITED, period.since], period.color]),
+				EDIT_PERIODS[EDIT_PERIODS.length - 1].color,
+			];
+		default:
+			return plainColor;
+	}
+};
+
+/**
+ * Legend entries for a theme
+ * @param {string} theme - PARCEL_THEMES value
+ * @returns {Array<{ label: string, color: string }>} Empty for the "none" theme
+ */
+export const getParcelThemeLegend = (theme) => {
+	switch (theme) {
+		case "acreage":
+			return ACREAGE_RANGES;
+		case "ownerType":
+			return OWNER_TYPES;
+		case "lastEdit":
+			return [...EDIT_PERIODS, { label: "No date", color: NO_EDIT_DATE_COLOR }];
+		default:
+			return [];
+	}
+};
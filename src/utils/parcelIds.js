@@ -0,0 +1,169 @@
+/**
+ * Parcel ID normalization and lookup
+ * County letters and tax bills write parcel numbers with dashes, dots or spaces ("09-05-22-0000-003-005"),
+ * and spreadsheets drop their leading zeros, so IDs are compared in one normalized form.
+ * Shared by the client (loaded parcels), scripts/lib/parcel-id-index.mjs (the prebuilt index) and
+ * /api/parcels/lookup (which answers from that index).
+ */
+
+// Properties that hold an ID someone might type; PARCELNUM is only the lot number within a block
+export const PARCEL_ID_FIELDS = ["PID", "OLDPID", "PARCEL_ID"];
+
+export const PARCEL_ID_FIELD_LABELS = { PID: "PID", OLDPID: "Old PID", PARCEL_ID: "Parcel ID" };
+
+// Shorter values are lot numbers or placeholders, not parcel IDs
+const MIN_ID_LENGTH = 6;
+
+/**
+ * Parcel ID in comparable form: upper case, separators removed, leading zeros dropped
+ * @param {string|number} value - "09-05-22-0000-003-005", "0905220000003005" or 905220000003005
+ * @returns {string|null} "905220000003005", or null for values that can't be a parcel ID ("N/A", "")
+ */
+export const normalizeParcelId = (value) => {
+	const compact = String(value ?? "")
+		.toUpperCase()
+		.replace(/[^A-Z0-9]/g, "");
+	if (!/\d/.test(compact)) return null;
+	const key = compact.replace(/^0+/, "");
+	return key.length >= MIN_ID_LENGTH ? key : null;
+};
+
+/**
+ * Whether search text reads as a parcel ID rather than an address or owner:
+ * digits and separators only, with enough digits to be more than a house number
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const looksLikeParcelId = (text) =>
+	/^[\d\s.\-/]+$/.test(String(text ?? "").trim()) && normalizeParcelId(text) !== null;
+
+/**
+ * A parcel's IDs in normalized form
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array<{ field: string, value: string, key: string }>} One entry per ID field with a usable value
+ */
+export const getParcelIds = (feature) =>
+	PARCEL_ID_FIELDS.map((field) => {
+		const value = feature?.properties?.[field];
+		const key = normalizeParcelId(value);
+		return key ? { field, value: String(value), key } : null;
+	}).filter(Boolean);
+
+/**
+ * The ID a parcel's own records are kept under (saved parcels, offline owner contacts): its PID, else its GlobalID.
+ * PARCEL_ID is passed over because the tiles fill it with "N/A"; placeholders and blank values don't count.
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|null}
+ */
+export const getParcelRecordId = (feature) => {
+	const { PID, GlobalID } = feature?.properties ?? {};
+	if (normalizeParcelId(PID)) return String(PID).trim();
+	const globalId = String(GlobalID ?? "").trim();
+	return globalId && globalId.toUpperCase() !== "N/A" ? globalId : null;
+};
+
+/**
+ * Which of a parcel's ID fields a query matched
+ * @param {Object} feature - GeoJSON feature
+ * @param {string} id - ID as typed
+ * @returns {string|null} Field name, e.g. "OLDPID"
+ */
+export const getMatchedIdField = (feature, id) => {
+	const key = normalizeParcelId(id);
+	return getParcelIds(feature).find((entry) => entry.key === key)?.field ?? null;
+};
+
+/**
+ * Create an empty parcel ID index
+ * @param {Object} options
+ * @param {Function} options.getKey - Stable key for a parcel feature; tiles repeat parcels along their edges
+ * @returns {Object} Index with insert/remove/lookup/clear
+ */
+export const createParcelIdIndex = ({ getKey }) => {
+	const entries = new Map(); // parcel key -> { feature, ids, refCount }
+	const byId = new Map(); // normalized ID -> Set of parcel keys
+
+	/**
+	 * Add features; features already indexed only gain a reference
+	 * @param {Array<Object>} features - GeoJSON features
+	 * @returns {number} Number of parcels newly indexed
+	 */
+	const insert = (features) => {
+		let added = 0;
+		for (const feature of features ?? []) {
+			const key = getKey(feature);
+			if (key === null || key === undefined) continue;
+
+			const existing = entries.get(key);
+			if (existing) {
+				existing.refCount++;
+				continue;
+			}
+
+			const ids = getParcelIds(feature);
+			if (ids.length === 0) continue;
+			entries.set(key, { feature, ids, refCount: 1 });
+			for (const { key: id } of ids) {
+				if (!byId.has(id)) byId.set(id, new Set());
+				byId.get(id).add(key);
+			}
+			added++;
+		}
+		return added;
+	};
+
+	/**
+	 * Release features previously inserted; a parcel leaves the index once nothing holds it
+	 * @param {Array<Object>} features - GeoJSON features
+	 * @returns {number} Number of parcels removed
+	 */
+	const remove = (features) => {
+		let removed = 0;
+		for (const feature of features ?? []) {
+			const key = getKey(feature);
+			const entry = entries.get(key);
+			if (!entry || --entry.refCount > 0) continue;
+
+			for (const { key: id } of entry.ids) {
+				const keys = byId.get(id);
+				keys?.delete(key);
+				if (keys?.size === 0) byId.delete(id);
+			}
+			entries.delete(key);
+			removed++;
+		}
+		return removed;
+	};
+
+	/**
+	 * Parcels carrying an ID, in any of PARCEL_ID_FIELDS
+	 * @param {string} id - ID as typed, formatted or not
+	 * @returns {Array<{ key, feature, field }>} Usually one; an old PID can be shared by the parcels it was split into.
+	 *   Current-PID matches come first
+	 */
+	const lookup = (id) => {
+		const normalized = normalizeParcelId(id);
+		if (!normalized) return [];
+		return [...(byId.get(normalized) ?? [])]
+			.map((key) => {
+				const { feature, ids } = entries.get(key);
+				return { key, feature, field: ids.find((entry) => entry.key === normalized).field };
+			})
+			.sort((a, b) => PARCEL_ID_FIELDS.indexOf(a.field) - PARCEL_ID_FIELDS.indexOf(b.field));
+	};
+
+	const clear = () => {
+		entries.clear();
+		byId.clear();
+	};
+
+	return {
+		insert,
+		remove,
+		lookup,
+		clear,
+		get size() {
+			return entries.size;
+		},
+	};
+};
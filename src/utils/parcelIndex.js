@@ -0,0 +1,151 @@
+/**
+ * Parcel spatial index
+ * R-tree over parcel bounding boxes for click-to-parcel lookups.
+ * Features can be added as the full dataset or individual tiles arrive; duplicates are ignored.
+ * Each parcel is reference-counted, so removing an evicted tile keeps parcels another tile still holds.
+ */
+
+import RBush from "rbush";
+import { getGeometryBbox, isPointInGeometry, distanceToGeometryMeters, metersToDegrees } from "./geometry";
+
+/**
+ * Stable key for a parcel feature (tiles repeat parcels that straddle their edges)
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|number|null}
+ */
+export const getParcelKey = (feature) =>
+	feature?.properties?.GlobalID ?? feature?.properties?.PID ?? feature?.properties?.PARCEL_ID ?? feature?.id ?? null;
+
+/**
+ * Create an empty parcel index
+ * @returns {Object} Index with insert/remove/findContaining/findNearest/findInBbox
+ */
+export const createParcelIndex = () => {
+	const tree = new RBush();
+	const items = new Map(); // parcel key -> rbush item
+	const refCounts = new Map(); // parcel key -> number of inserts holding it
+
+	const toItem = (feature) => {
+		const bbox = getGeometryBbox(feature.geometry);
+		if (!bbox) return null;
+		return { minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3], feature };
+	};
+
+	/**
+	 * Add features to the index
+	 * @param {Array<Object>} features - GeoJSON features
+	 * @returns {number} Number of features newly indexed
+	 */
+	const insert = (features) => {
+		const batch = [];
+		for (const feature of features ?? []) {
+			const key = getParcelKey(feature) ?? feature;
+			if (items.has(key)) {
+				refCounts.set(key, refCounts.get(key) + 1);
+				continue;
+			}
+
+			const item = toItem(feature);
+			if (!item) continue;
+			items.set(key, item);
+			refCounts.set(key, 1);
+			batch.push(item);
+		}
+
+		// Bulk loading is much faster than one-by-one inserts for a fresh tile
+		if (batch.length > 0) tree.load(batch);
+		return batch.length;
+	};
+
+	/**
+	 * Release features previously inserted; a parcel leaves the index once nothing holds it
+	 * @param {Array<Object>} features - GeoJSON features previously inserted
+	 * @returns {number} Number of features removed from the index
+	 */
+	const remove = (features) => {
+		let removed = 0;
+		for (const feature of features ?? []) {
+			const key = getParcelKey(feature) ?? feature;
+			const item = items.get(key);
+			if (!item) continue;
+
+			const count = refCounts.get(key) - 1;
+			if (count > 0) {
+				refCounts.set(key, count);
+				continue;
+			}
+
+			tree.remove(item);
+			items.delete(key);
+			refCounts.delete(key);
+			removed++;
+		}
+		return removed;
+	};
+
+	/**
+	 * Find the parcel containing a point
+	 * @param {number} lng - Longitude
+	 * @param {number} lat - Latitude
+	 * @returns {Object|null} Feature
+	 */
+	const findContaining = (lng, lat) => {
+		const point = [lng, lat];
+		const candidates = tree.search({ minX: lng, minY: lat, maxX: lng, maxY: lat });
+		const hit = candidates.find((item) => isPointInGeometry(point, item.feature.geometry));
+		return hit?.feature ?? null;
+	};
+
+	/**
+	 * Find the closest parcel within maxMeters of a point (e.g. a click on a road gap)
+	 * @param {number} lng - Longitude
+	 * @param {number} lat - Latitude
+	 * @param {number} maxMeters - Search radius
+	 * @returns {{ feature: Object, distance: number }|null}
+	 */
+	const findNearest = (lng, lat, maxMeters) => {
+		const delta = metersToDegrees(maxMeters, lat);
+		const candidates = tree.search({
+			minX: lng - delta.lng,
+			minY: lat - delta.lat,
+			maxX: lng + delta.lng,
+			maxY: lat + delta.lat,
+		});
+
+		let nearest = null;
+		for (const item of candidates) {
+			const distance = distanceToGeometryMeters([lng, lat], item.feature.geometry);
+			if (distance <= maxMeters && (!nearest || distance < nearest.distance)) {
+				nearest = { feature: item.feature, distance };
+			}
+		}
+
+		return nearest;
+	};
+
+	/**
+	 * Parcels whose extent intersects a bounding box
+	 * @param {Array<number>} bbox - [west, south, east, north]
+	 * @returns {Array<Object>} Features
+	 */
+	const findInBbox = (bbox) =>
+		tree.search({ minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3] }).map((item) => item.feature);
+
+	const clear = () => {
+		tree.clear();
+		items.clear();
+		refCounts.clear();
+	};
+
+	return {
+		insert,
+		remove,
+		findContaining,
+		findNearest,
+		findInBbox,
+		clear,
+		get size() {
+			return items.size;
+		},
+	};
+};
@@ -0,0 +1,102 @@
+/**
+ * Slippy-map tile math
+ * Web Mercator tile coordinates and the tiles covering a polygon, for basemap region downloads
+ */
+
+import { getGeometryBbox, getGeometryRings, isPointInGeometry } from "./geometry";
+
+const MAX_LATITUDE = 85.0511287798;
+
+const clampLat = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+/**
+ * Tile containing a point
+ * @returns {{ x: number, y: number }}
+ */
+export const lngLatToTile = (lng, lat, z) => {
+	const n = 2 ** z;
+	const latRad = (clampLat(lat) * Math.PI) / 180;
+	const x = Math.floor(((lng + 180) / 360) * n);
+	const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+	return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+};
+
+/**
+ * Geographic bounds of a tile as [minLng, minLat, maxLng, maxLat]
+ */
+export const tileToBbox = (x, y, z) => {
+	const n = 2 ** z;
+	const toLat = (row) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / n))) * 180) / Math.PI;
+	return [(x / n) * 360 - 180, toLat(y + 1), ((x + 1) / n) * 360 - 180, toLat(y)];
+};
+
+const segmentsCross = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+	const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+	const d1 = cross(cx, cy, dx, dy, ax, ay);
+	const d2 = cross(cx, cy, dx, dy, bx, by);
+	const d3 = cross(ax, ay, bx, by, cx, cy);
+	const d4 = cross(ax, ay, bx, by, dx, dy);
+	return d1 * d2 <= 0 && d3 * d4 <= 0;
+};
+
+// A tile touches the polygon if either holds a vertex of the other or their edges cross
+const tileIntersectsGeometry = (bbox, geometry) => {
+	const [minLng, minLat, maxLng, maxLat] = bbox;
+	const corners = [
+		[minLng, minLat],
+		[maxLng, minLat],
+		[maxLng, maxLat],
+		[minLng, maxLat],
+	];
+	if (corners.some((corner) => isPointInGeometry(corner, geometry))) return true;
+
+	const rings = getGeometryRings(geometry);
+	const inTile = ([lng, lat]) => lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+	if (rings.some((ring) => ring.some(inTile))) return true;
+
+	const edges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+	return rings.some((ring) =>
+		ring.slice(1).some((point, i) => edges.some(([a, b]) => segmentsCross(ring[i], point, a, b))),
+	);
+};
+
+/**
+ * Tiles covering a Polygon or MultiPolygon across a zoom range
+ * @param {Object} geometry - GeoJSON geometry in WGS84
+ * @param {number} minZoom - Lowest zoom, inclusive
+ * @param {number} maxZoom - Highest zoom, inclusive
+ * @returns {Array<{ z: number, x: number, y: number }>}
+ */
+export const getTilesForGeometry = (geometry, minZoom, maxZoom) => {
+	const bbox = getGeometryBbox(geometry);
+	if (!bbox) return [];
+
+	const tiles = [];
+	for (let z = minZoom; z <= maxZoom; z++) {
+		const topLeft = lngLatToTile(bbox[0], bbox[3], z);
+		const bottomRight = lngLatToTile(bbox[2], bbox[1], z);
+		for (let x = topLeft.x; x <= bottomRight.x; x++) {
+			for (let y = topLeft.y; y <= bottomRight.y; y++) {
+				if (tileIntersectsGeometry(tileToBbox(x, y, z), geometry)) tiles.push({ z, x, y });
+			}
+		}
+	}
+	return tiles;
+};
+
+/**
+ * Number of tiles in the polygon's bounding box across a zoom range - a cheap upper bound
+ * to refuse huge regions before walking every tile
+ */
+export const countBboxTiles = (geometry, minZoom, maxZoom) => {
+	const bbox = getGeometryBbox(geometry);
+	if (!bbox) return 0;
+
+	let count = 0;
+	for (let z = minZoom; z <= maxZoom; z++) {
+		const topLeft = lngLatToTile(bbox[0], bbox[3], z);
+		const bottomRight = lngLatToTile(bbox[2], bbox[1], z);
+		count += (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+	}
+	return count;
+};
@@ -6,7 +6,8 @@ export default defineConfig({
 	server: {
 		port: 3000,
 		proxy: {
-			"/api/arcgis": {
+			// Every /api route is served by server.js in development
+			"/api": {
 				target: "http://localhost:3001",
 				changeOrigin: true,
 			},